@@ -0,0 +1,76 @@
+const { db, User, Poll, ResultSnapshot } = require("../database");
+const { runScheduledTransitions } = require("../scheduler");
+
+describe("Poll scheduler", () => {
+  let testUser;
+  const now = new Date("2026-03-01T12:00:00Z");
+  const minutes = (n) => new Date(now.getTime() + n * 60 * 1000);
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+    testUser = await User.create({
+      username: "testuser",
+      passwordHash: User.hashPassword("testpass123"),
+    });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await Poll.destroy({ where: {} });
+  });
+
+  const createPoll = (fields) =>
+    Poll.create({ title: "Scheduled Poll", creatorId: testUser.id, ...fields });
+
+  test("publishes drafts whose opening time has passed", async () => {
+    const due = await createPoll({ status: "draft", opensAt: minutes(-1) });
+    const later = await createPoll({ status: "draft", opensAt: minutes(10) });
+    const unscheduled = await createPoll({ status: "draft" });
+
+    const { opened } = await runScheduledTransitions(now);
+
+    expect(opened).toEqual([due.id]);
+    await due.reload();
+    expect(due.status).toBe("published");
+    expect(due.shareLink).toBeTruthy();
+    expect((await later.reload()).status).toBe("draft");
+    expect((await unscheduled.reload()).status).toBe("draft");
+  });
+
+  test("closes published polls whose closing time has passed", async () => {
+    const due = await createPoll({ status: "published", closesAt: minutes(-1) });
+    const open = await createPoll({ status: "published", closesAt: minutes(10) });
+
+    const { closed } = await runScheduledTransitions(now);
+
+    expect(closed).toEqual([due.id]);
+    expect((await due.reload()).status).toBe("closed");
+    expect((await open.reload()).status).toBe("published");
+  });
+
+  test("certifies the results of polls it closes", async () => {
+    const due = await createPoll({ status: "published", closesAt: minutes(-1) });
+
+    await runScheduledTransitions(now);
+
+    const snapshots = await ResultSnapshot.findAll({ where: { pollId: due.id } });
+    expect(snapshots.length).toBe(1);
+    expect(snapshots[0]).toMatchObject({ kind: "certified", userId: null, ballotCount: 0 });
+  });
+
+  test("does not publish a draft whose voting window has already ended", async () => {
+    const missed = await createPoll({
+      status: "draft",
+      opensAt: minutes(-10),
+      closesAt: minutes(-5),
+    });
+
+    const { opened } = await runScheduledTransitions(now);
+
+    expect(opened).toEqual([]);
+    expect((await missed.reload()).status).toBe("draft");
+  });
+});
@@ -0,0 +1,262 @@
+const http = require("http");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const { io: connect } = require("socket.io-client");
+const {
+  db,
+  User,
+  Poll,
+  PollMember,
+  PollOption,
+  Organization,
+  OrganizationMember,
+} = require("../database");
+const { accessCookieName, accessGrant } = require("../auth");
+const app = require("../app");
+const {
+  initSocketServer,
+  authenticateSocket,
+  canFollowPoll,
+  hasPollFollowers,
+  dropLostFollowers,
+  emitPollStatus,
+} = require("../socket-server");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+describe("Following live poll updates", () => {
+  let creator;
+  let voter;
+  let organization;
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+    [creator, voter] = await User.bulkCreate([
+      { username: "creator" },
+      { username: "voter", email: "voter@example.com" },
+    ]);
+    organization = await Organization.create({ name: "Acme" });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await OrganizationMember.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+  });
+
+  // A socket as authenticateSocket leaves it: the token's user, if any, and signed cookies
+  const socketFor = (user, signedCookies = {}) => ({
+    user: user && { id: user.id, username: user.username },
+    request: { signedCookies },
+  });
+
+  // Everyone but members follows a poll through its share link
+  const canFollow = (poll, socket) => canFollowPoll(poll, socket, { viaShareLink: true });
+
+  const createPoll = (fields) =>
+    Poll.create({
+      title: "Live Poll",
+      status: "published",
+      resultsVisibility: "live",
+      creatorId: creator.id,
+      ...fields,
+    });
+
+  test("lets anyone follow a public poll with live results", async () => {
+    const poll = await createPoll();
+
+    expect(await canFollow(poll, socketFor(null))).toBe(true);
+    expect(await canFollow(await createPoll({ status: "draft" }), socketFor(null))).toBe(false);
+  });
+
+  test("only lets members follow a poll by its id", async () => {
+    const poll = await createPoll({ visibility: "unlisted" });
+
+    expect(await canFollowPoll(poll, socketFor(null))).toBe(false);
+    expect(await canFollowPoll(poll, socketFor(voter))).toBe(false);
+    expect(await canFollowPoll(poll, socketFor(creator))).toBe(true);
+    expect(await canFollow(poll, socketFor(null))).toBe(true);
+  });
+
+  test("turns away anonymous sockets from archived or taken down polls", async () => {
+    const archived = await createPoll({ archivedAt: new Date() });
+    const takenDown = await createPoll({ takenDownAt: new Date() });
+
+    expect(await canFollow(archived, socketFor(null))).toBe(false);
+    expect(await canFollow(takenDown, socketFor(null))).toBe(false);
+    expect(await canFollow(archived, socketFor(creator))).toBe(true);
+  });
+
+  test("needs the password grant for password-protected polls", async () => {
+    const poll = await createPoll({
+      visibility: "password",
+      accessPasswordHash: Poll.hashAccessPassword("secret"),
+    });
+
+    const forged = { [accessCookieName(poll)]: "forged" };
+    const granted = { [accessCookieName(poll)]: accessGrant(poll) };
+
+    expect(await canFollow(poll, socketFor(null))).toBe(false);
+    expect(await canFollow(poll, socketFor(null, forged))).toBe(false);
+    expect(await canFollow(poll, socketFor(null, granted))).toBe(true);
+  });
+
+  test("applies login, group and organization restrictions", async () => {
+    const usersOnly = await createPoll({ visibility: "users" });
+    const group = await createPoll({ visibility: "group", groupDomain: "acme.org" });
+    const organizationOnly = await createPoll({
+      visibility: "organization",
+      organizationId: organization.id,
+    });
+
+    expect(await canFollow(usersOnly, socketFor(null))).toBe(false);
+    expect(await canFollow(usersOnly, socketFor(voter))).toBe(true);
+    expect(await canFollow(group, socketFor(voter))).toBe(false);
+    expect(await canFollow(organizationOnly, socketFor(voter))).toBe(false);
+
+    await OrganizationMember.create({ organizationId: organization.id, userId: voter.id });
+    expect(await canFollow(organizationOnly, socketFor(voter))).toBe(true);
+  });
+
+  test("connects suspended accounts as anonymous sockets", async () => {
+    const token = jwt.sign({ id: voter.id, username: voter.username }, JWT_SECRET);
+    const handshake = () => ({ request: { headers: { cookie: `token=${token}` } } });
+
+    const active = handshake();
+    await new Promise((resolve) => authenticateSocket(active, resolve));
+    expect(active.user.id).toBe(voter.id);
+
+    await voter.update({ suspendedAt: new Date() });
+    const suspended = handshake();
+    await new Promise((resolve) => authenticateSocket(suspended, resolve));
+    expect(suspended.user).toBeUndefined();
+    await voter.update({ suspendedAt: null });
+  });
+
+  describe("over a connection", () => {
+    let server;
+    let url;
+    const clients = [];
+
+    beforeAll(async () => {
+      server = http.createServer();
+      initSocketServer(server);
+      await new Promise((resolve) => server.listen(0, resolve));
+      url = `http://localhost:${server.address().port}`;
+    });
+
+    afterEach(() => {
+      clients.splice(0).forEach((client) => client.disconnect());
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const connectAs = (user) => {
+      const token = user && jwt.sign({ id: user.id, username: user.username }, JWT_SECRET);
+      const client = connect(url, {
+        transports: ["websocket"],
+        extraHeaders: token ? { cookie: `token=${token}` } : {},
+      });
+      clients.push(client);
+      return client;
+    };
+
+    const nextEvent = (client, event) => new Promise((resolve) => client.once(event, resolve));
+
+    // Joining has no acknowledgement, so wait until the socket shows up in the room
+    const waitForFollowers = async (pollId) => {
+      for (let attempt = 0; attempt < 50 && !hasPollFollowers(pollId); attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      return hasPollFollowers(pollId);
+    };
+
+    test("turns away anonymous sockets joining an unlisted poll by id", async () => {
+      const poll = await createPoll({ visibility: "unlisted" });
+      const client = connectAs(null);
+
+      const error = nextEvent(client, "poll:error");
+      client.emit("poll:join", poll.id);
+
+      expect((await error).error).toBe("Not allowed to follow this poll");
+      expect(hasPollFollowers(poll.id)).toBe(false);
+    });
+
+    test("follows by share link without sending the link out again", async () => {
+      const poll = await createPoll({ visibility: "unlisted" });
+      const client = connectAs(null);
+
+      client.emit("poll:join", poll.shareLink);
+      expect(await waitForFollowers(poll.id)).toBe(true);
+
+      const status = nextEvent(client, "poll:status");
+      await poll.update({ status: "closed" });
+      emitPollStatus(poll);
+
+      expect(await status).toEqual({ pollId: poll.id, status: "closed" });
+    });
+
+    test("lets members follow by id", async () => {
+      const poll = await createPoll({ visibility: "unlisted", resultsVisibility: "creator" });
+      const client = connectAs(creator);
+
+      client.emit("poll:join", poll.id);
+
+      expect(await waitForFollowers(poll.id)).toBe(true);
+    });
+
+    test("drops followers once live results are turned off", async () => {
+      const poll = await createPoll();
+      const client = connectAs(null);
+      client.emit("poll:join", poll.shareLink);
+      expect(await waitForFollowers(poll.id)).toBe(true);
+
+      await poll.update({ resultsVisibility: "closed" });
+      await dropLostFollowers(poll);
+
+      expect(hasPollFollowers(poll.id)).toBe(false);
+    });
+
+    test("drops members who are removed from the poll", async () => {
+      const poll = await createPoll({ resultsVisibility: "creator" });
+      const member = await PollMember.create({
+        pollId: poll.id,
+        userId: voter.id,
+        role: "observer",
+      });
+      const client = connectAs(voter);
+      client.emit("poll:join", poll.id);
+      expect(await waitForFollowers(poll.id)).toBe(true);
+
+      await member.destroy();
+      await dropLostFollowers(poll);
+
+      expect(hasPollFollowers(poll.id)).toBe(false);
+    });
+
+    test("sends secret-ballot polls only the ballot count", async () => {
+      const poll = await createPoll({ anonymous: true });
+      const options = await PollOption.bulkCreate([
+        { text: "Option A", pollId: poll.id, position: 0 },
+        { text: "Option B", pollId: poll.id, position: 1 },
+      ]);
+      const client = connectAs(creator);
+      client.emit("poll:join", poll.id);
+      expect(await waitForFollowers(poll.id)).toBe(true);
+
+      const rankings = options.map((option, i) => ({ pollOptionId: option.id, rank: i + 1 }));
+      const tally = nextEvent(client, "poll:tally");
+      await request(app)
+        .post(`/api/polls/public/${poll.shareLink}/vote`)
+        .send({ rankings })
+        .expect(201);
+
+      expect(await tally).toEqual({ pollId: poll.id, ballotCount: 1, results: null });
+    });
+  });
+});
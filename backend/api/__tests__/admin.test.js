@@ -0,0 +1,150 @@
+const request = require("supertest");
+const app = require("../../app");
+const { db, User, Poll, PollOption, PollRevision } = require("../../database");
+const { runScheduledTransitions } = require("../../scheduler");
+const { as } = require("./helpers");
+
+describe("Admin API Routes", () => {
+  let admin;
+  let creator;
+  let spammer;
+  let testPoll;
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+
+    [admin, creator, spammer] = await User.bulkCreate([
+      { username: "admin", isAdmin: true },
+      { username: "creator", email: "creator@example.com" },
+      { username: "spammer", passwordHash: User.hashPassword("spam123") },
+    ]);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await User.update({ suspendedAt: null }, { where: {} });
+    await PollRevision.destroy({ where: {} });
+    await PollOption.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+
+    testPoll = await Poll.create({
+      title: "Buy cheap watches",
+      status: "published",
+      creatorId: spammer.id,
+    });
+    testPoll.generateShareLink();
+    await testPoll.save();
+    await PollOption.bulkCreate([
+      { text: "Yes", position: 0, pollId: testPoll.id },
+      { text: "Also yes", position: 1, pollId: testPoll.id },
+    ]);
+  });
+
+  test("only admins can use the admin routes", async () => {
+    const response = await as(creator, request(app).get("/api/admin/stats")).expect(403);
+    expect(response.body.error).toBe("Admin access required");
+
+    await request(app).get("/api/admin/users").expect(401);
+  });
+
+  test("reports site stats", async () => {
+    const response = await as(admin, request(app).get("/api/admin/stats")).expect(200);
+
+    expect(response.body.users).toEqual({ total: 3, admins: 1, suspended: 0 });
+    expect(response.body.polls).toMatchObject({ total: 1, published: 1, draft: 0, public: 1 });
+  });
+
+  test("searches users and polls", async () => {
+    const users = await as(admin, request(app).get("/api/admin/users?q=EXAMPLE.com")).expect(200);
+    expect(users.body.map((user) => user.username)).toEqual(["creator"]);
+    expect(users.body[0].passwordHash).toBeUndefined();
+
+    const polls = await as(admin, request(app).get("/api/admin/polls?q=watches")).expect(200);
+    expect(polls.body[0]).toMatchObject({ id: testPoll.id, creator: { username: "spammer" } });
+  });
+
+  test("rejects unknown poll status filters", async () => {
+    const published = await as(admin, request(app).get("/api/admin/polls?status=published"));
+    expect(published.status).toBe(200);
+    expect(published.body.map((poll) => poll.id)).toEqual([testPoll.id]);
+    await as(admin, request(app).get("/api/admin/polls?status=")).expect(200);
+
+    const response = await as(admin, request(app).get("/api/admin/polls?status=bogus")).expect(400);
+    expect(response.body.error).toBe("Invalid status");
+    await as(admin, request(app).get("/api/admin/polls?status=closed&status=draft")).expect(400);
+  });
+
+  test("suspends users, locking them out until the suspension is lifted", async () => {
+    await as(admin, request(app).post(`/api/admin/users/${spammer.id}/suspend`)).expect(200);
+
+    const denied = await as(spammer, request(app).get("/api/polls")).expect(403);
+    expect(denied.body.error).toBe("This account has been suspended");
+    const me = await as(spammer, request(app).get("/auth/me")).expect(403);
+    expect(me.body.error).toBe("This account has been suspended");
+    await request(app)
+      .post("/auth/login")
+      .send({ username: "spammer", password: "spam123" })
+      .expect(403);
+
+    await as(admin, request(app).post(`/api/admin/users/${spammer.id}/unsuspend`)).expect(200);
+    await as(spammer, request(app).get("/api/polls")).expect(200);
+    await as(spammer, request(app).get("/auth/me")).expect(200);
+  });
+
+  test("treats suspended users as anonymous on public routes", async () => {
+    const fetchPublicPoll = () => request(app).get(`/api/polls/public/${testPoll.shareLink}`);
+    await testPoll.update({ visibility: "users" });
+    await as(creator, fetchPublicPoll()).expect(200);
+
+    await as(admin, request(app).post(`/api/admin/users/${creator.id}/suspend`)).expect(200);
+
+    const response = await as(creator, fetchPublicPoll()).expect(401);
+    expect(response.body.access).toBe("login");
+  });
+
+  test("won't suspend admins", async () => {
+    await as(admin, request(app).post(`/api/admin/users/${admin.id}/suspend`)).expect(400);
+  });
+
+  test("takes abusive polls down from the public routes until reinstated", async () => {
+    const takedown = () => as(admin, request(app).post(`/api/admin/polls/${testPoll.id}/takedown`));
+
+    await takedown().send({}).expect(400);
+    await takedown().send({ reason: "Spam" }).expect(200);
+
+    const publicPolls = await request(app).get("/api/polls/public").expect(200);
+    expect(publicPolls.body).toEqual([]);
+    await request(app).get(`/api/polls/public/${testPoll.shareLink}`).expect(404);
+
+    const revision = await PollRevision.findOne({ where: { pollId: testPoll.id } });
+    expect(revision).toMatchObject({ action: "taken_down", userId: admin.id });
+
+    await as(admin, request(app).post(`/api/admin/polls/${testPoll.id}/reinstate`)).expect(200);
+    await request(app).get(`/api/polls/public/${testPoll.shareLink}`).expect(200);
+  });
+
+  test("unpublishes polls back to draft", async () => {
+    await as(admin, request(app).post(`/api/admin/polls/${testPoll.id}/unpublish`))
+      .send({ reason: "Misleading" })
+      .expect(200);
+
+    await testPoll.reload();
+    expect(testPoll.status).toBe("draft");
+    await as(admin, request(app).post(`/api/admin/polls/${testPoll.id}/unpublish`)).expect(400);
+  });
+
+  test("keeps unpublished polls from being reopened by the scheduler", async () => {
+    await testPoll.update({ opensAt: new Date(Date.now() - 60 * 1000) });
+
+    await as(admin, request(app).post(`/api/admin/polls/${testPoll.id}/unpublish`)).expect(200);
+    const { opened } = await runScheduledTransitions();
+
+    expect(opened).toEqual([]);
+    await testPoll.reload();
+    expect(testPoll.status).toBe("draft");
+    expect(testPoll.opensAt).toBeNull();
+  });
+});
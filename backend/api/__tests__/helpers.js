@@ -0,0 +1,13 @@
+// Auth helpers shared by the API route tests
+
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+// Sign a token for a user, as the login routes do
+const tokenFor = (user) => jwt.sign({ id: user.id, username: user.username }, JWT_SECRET);
+
+// Send a supertest request as the given user
+const as = (user, req) => req.set("Cookie", [`token=${tokenFor(user)}`]);
+
+module.exports = { tokenFor, as };
@@ -0,0 +1,174 @@
+const request = require("supertest");
+const app = require("../../app");
+const { db, User, Poll, PollOption, PollMember, PollRevision } = require("../../database");
+const { as } = require("./helpers");
+
+describe("Poll Members API Routes", () => {
+  let owner;
+  let editor;
+  let observer;
+  let outsider;
+  let testPoll;
+
+  const share = (user, role) => PollMember.create({ pollId: testPoll.id, userId: user.id, role });
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+
+    [owner, editor, observer, outsider] = await User.bulkCreate([
+      { username: "owner" },
+      { username: "editor" },
+      { username: "observer" },
+      { username: "outsider" },
+    ]);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await PollRevision.destroy({ where: {} });
+    await PollMember.destroy({ where: {} });
+    await PollOption.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+
+    testPoll = await Poll.create({ title: "Team Lunch", status: "draft", creatorId: owner.id });
+    await PollOption.bulkCreate([
+      { text: "Tacos", position: 0, pollId: testPoll.id },
+      { text: "Pizza", position: 1, pollId: testPoll.id },
+    ]);
+  });
+
+  describe("POST /api/polls/:id/members", () => {
+    test("shares the poll with a user by username", async () => {
+      const response = await as(owner, request(app).post(`/api/polls/${testPoll.id}/members`))
+        .send({ username: "editor", role: "editor" })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        role: "editor",
+        user: { id: editor.id, username: "editor" },
+        invitedBy: { id: owner.id, username: "owner" },
+      });
+
+      const revision = await PollRevision.findOne({ where: { pollId: testPoll.id } });
+      expect(revision.action).toBe("member_added");
+      expect(revision.details).toMatchObject({ username: "editor", role: "editor" });
+    });
+
+    test("rejects unknown users, unknown roles and repeat invitations", async () => {
+      const invite = (body) =>
+        as(owner, request(app).post(`/api/polls/${testPoll.id}/members`)).send(body);
+
+      await invite({ username: "nobody", role: "editor" }).expect(404);
+      await invite({ username: "editor", role: "admin" }).expect(400);
+      await invite({ username: "owner", role: "editor" }).expect(400);
+      await invite({ username: "editor", role: "editor" }).expect(201);
+      await invite({ username: "editor", role: "observer" }).expect(409);
+    });
+
+    test("only owners can share the poll", async () => {
+      await share(editor, "editor");
+
+      const response = await as(editor, request(app).post(`/api/polls/${testPoll.id}/members`))
+        .send({ username: "observer", role: "observer" })
+        .expect(403);
+
+      expect(response.body.error).toBe("Only the poll's owners can do that");
+    });
+  });
+
+  describe("roles", () => {
+    test("lists shared polls with the user's role", async () => {
+      await share(observer, "observer");
+
+      const response = await as(observer, request(app).get("/api/polls")).expect(200);
+
+      expect(response.body.length).toBe(1);
+      expect(response.body[0]).toMatchObject({
+        id: testPoll.id,
+        role: "observer",
+        creator: { username: "owner" },
+      });
+    });
+
+    test("observers can view the poll but not change it", async () => {
+      await share(observer, "observer");
+
+      const response = await as(observer, request(app).get(`/api/polls/${testPoll.id}`)).expect(
+        200
+      );
+      expect(response.body.role).toBe("observer");
+      await as(observer, request(app).get(`/api/polls/${testPoll.id}/results`)).expect(200);
+
+      await as(observer, request(app).put(`/api/polls/${testPoll.id}`))
+        .send({ title: "Renamed" })
+        .expect(403);
+      await as(observer, request(app).post(`/api/polls/${testPoll.id}/options`))
+        .send({ text: "Sushi" })
+        .expect(403);
+    });
+
+    test("editors can change options and settings but not delete the poll", async () => {
+      await share(editor, "editor");
+
+      await as(editor, request(app).put(`/api/polls/${testPoll.id}`))
+        .send({ title: "Renamed" })
+        .expect(200);
+      await as(editor, request(app).post(`/api/polls/${testPoll.id}/options`))
+        .send({ text: "Sushi" })
+        .expect(201);
+      await as(editor, request(app).delete(`/api/polls/${testPoll.id}`)).expect(403);
+    });
+
+    test("co-owners can manage everything", async () => {
+      await share(editor, "owner");
+
+      await as(editor, request(app).post(`/api/polls/${testPoll.id}/archive`)).expect(200);
+      await as(editor, request(app).post(`/api/polls/${testPoll.id}/members`))
+        .send({ username: "observer", role: "observer" })
+        .expect(201);
+    });
+
+    test("hides the poll from users it isn't shared with", async () => {
+      await as(outsider, request(app).get(`/api/polls/${testPoll.id}`)).expect(404);
+      await as(outsider, request(app).get(`/api/polls/${testPoll.id}/members`)).expect(404);
+    });
+  });
+
+  describe("changing and removing members", () => {
+    test("owners change a member's role", async () => {
+      const member = await share(editor, "editor");
+
+      const response = await as(
+        owner,
+        request(app).put(`/api/polls/${testPoll.id}/members/${member.id}`)
+      )
+        .send({ role: "observer" })
+        .expect(200);
+
+      expect(response.body.role).toBe("observer");
+      await as(editor, request(app).put(`/api/polls/${testPoll.id}`))
+        .send({ title: "Renamed" })
+        .expect(403);
+    });
+
+    test("members can leave, but not remove anyone else", async () => {
+      const editorMember = await share(editor, "editor");
+      const observerMember = await share(observer, "observer");
+
+      await as(
+        observer,
+        request(app).delete(`/api/polls/${testPoll.id}/members/${editorMember.id}`)
+      ).expect(403);
+      await as(
+        observer,
+        request(app).delete(`/api/polls/${testPoll.id}/members/${observerMember.id}`)
+      ).expect(200);
+
+      expect(await PollMember.count({ where: { pollId: testPoll.id } })).toBe(1);
+      await as(observer, request(app).get(`/api/polls/${testPoll.id}`)).expect(404);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+const request = require("supertest");
+const app = require("../../app");
+const {
+  db,
+  User,
+  Poll,
+  PollOption,
+  PollRevision,
+  Ballot,
+  Ranking,
+} = require("../../database");
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+describe("Poll Options API Routes", () => {
+  let authToken;
+  let testUser;
+  let testPoll;
+  let options;
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+
+    testUser = await User.create({
+      username: "testuser",
+      passwordHash: User.hashPassword("testpass123"),
+    });
+
+    authToken = jwt.sign({ id: testUser.id, username: testUser.username }, JWT_SECRET, {
+      expiresIn: "1h",
+    });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await PollRevision.destroy({ where: {} });
+    await Ranking.destroy({ where: {} });
+    await Ballot.destroy({ where: {} });
+    await PollOption.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+
+    testPoll = await Poll.create({
+      title: "Team Lunch",
+      status: "draft",
+      creatorId: testUser.id,
+    });
+
+    options = await PollOption.bulkCreate([
+      { text: "Tacos", position: 0, pollId: testPoll.id },
+      { text: "Pizza", position: 1, pollId: testPoll.id },
+      { text: "Sushi", position: 2, pollId: testPoll.id },
+    ]);
+  });
+
+  const authed = (req) => req.set("Cookie", [`token=${authToken}`]);
+
+  const revisionActions = async () =>
+    (await PollRevision.findAll({ where: { pollId: testPoll.id }, order: [["id", "ASC"]] })).map(
+      (revision) => revision.action
+    );
+
+  describe("editing a draft poll", () => {
+    test("adds an option at the end", async () => {
+      const response = await authed(request(app).post(`/api/polls/${testPoll.id}/options`))
+        .send({ text: "Curry" })
+        .expect(201);
+
+      expect(response.body.text).toBe("Curry");
+      expect(response.body.position).toBe(3);
+      expect(await revisionActions()).toEqual(["option_added"]);
+    });
+
+    test("rejects duplicate option text", async () => {
+      const response = await authed(request(app).post(`/api/polls/${testPoll.id}/options`))
+        .send({ text: " tacos " })
+        .expect(400);
+
+      expect(response.body.error).toContain("already exists");
+    });
+
+    test("renames an option and records the old text", async () => {
+      await authed(request(app).put(`/api/polls/${testPoll.id}/options/${options[1].id}`))
+        .send({ text: "Pasta" })
+        .expect(200);
+
+      const revision = await PollRevision.findOne({ where: { pollId: testPoll.id } });
+      expect(revision.action).toBe("option_renamed");
+      expect(revision.details).toEqual({ optionId: options[1].id, from: "Pizza", to: "Pasta" });
+    });
+
+    test("reorders options", async () => {
+      const order = [options[2].id, options[0].id, options[1].id];
+
+      const response = await authed(request(app).put(`/api/polls/${testPoll.id}/options/order`))
+        .send({ optionIds: order })
+        .expect(200);
+
+      expect(response.body.map((option) => option.id)).toEqual(order);
+
+      const poll = await authed(request(app).get(`/api/polls/${testPoll.id}`)).expect(200);
+      expect(poll.body.options.map((option) => option.text)).toEqual(["Sushi", "Tacos", "Pizza"]);
+    });
+
+    test("rejects an order that leaves out an option", async () => {
+      await authed(request(app).put(`/api/polls/${testPoll.id}/options/order`))
+        .send({ optionIds: [options[0].id, options[1].id] })
+        .expect(400);
+    });
+
+    test("removes an option but keeps at least two", async () => {
+      await authed(request(app).delete(`/api/polls/${testPoll.id}/options/${options[0].id}`))
+        .expect(200);
+
+      const response = await authed(
+        request(app).delete(`/api/polls/${testPoll.id}/options/${options[1].id}`)
+      ).expect(400);
+
+      expect(response.body.error).toContain("at least 2 options");
+      expect(await PollOption.count({ where: { pollId: testPoll.id } })).toBe(2);
+    });
+
+    test("cannot edit options once the poll is published", async () => {
+      await testPoll.update({ status: "published" });
+
+      await authed(request(app).post(`/api/polls/${testPoll.id}/options`))
+        .send({ text: "Curry" })
+        .expect(400);
+      await authed(request(app).delete(`/api/polls/${testPoll.id}/options/${options[0].id}`))
+        .expect(400);
+    });
+
+    test("only the creator can edit options", async () => {
+      const otherUser = await User.create({
+        username: "otheruser",
+        passwordHash: User.hashPassword("testpass123"),
+      });
+      const otherToken = jwt.sign({ id: otherUser.id, username: otherUser.username }, JWT_SECRET);
+
+      await request(app)
+        .post(`/api/polls/${testPoll.id}/options`)
+        .set("Cookie", [`token=${otherToken}`])
+        .send({ text: "Curry" })
+        .expect(404);
+    });
+  });
+
+  describe("write-in options", () => {
+    beforeEach(async () => {
+      await testPoll.update({ status: "published", shareLink: "lunch-link" });
+      await request(app)
+        .post("/api/polls/public/lunch-link/vote")
+        .send({
+          rankings: options.map((option, index) => ({ pollOptionId: option.id, rank: index + 1 })),
+        })
+        .expect(201);
+    });
+
+    test("adds a write-in and records how existing ballots treat it", async () => {
+      const response = await authed(request(app).post(`/api/polls/${testPoll.id}/options/write-in`))
+        .send({ text: "Curry" })
+        .expect(201);
+
+      expect(response.body.option.text).toBe("Curry");
+      expect(response.body.revision.details).toEqual({
+        optionId: response.body.option.id,
+        text: "Curry",
+        existingBallots: 1,
+        ballotHandling: "unranked",
+      });
+
+      // The earlier ballot still counts, with the write-in left unranked
+      const results = await authed(request(app).get(`/api/polls/${testPoll.id}/results`));
+      expect(results.body.poll.options).toHaveLength(4);
+      expect(results.body.results.totalVotes).toBe(1);
+    });
+
+    test("new voters must rank the write-in too", async () => {
+      await authed(request(app).post(`/api/polls/${testPoll.id}/options/write-in`))
+        .send({ text: "Curry" })
+        .expect(201);
+
+      await request(app)
+        .post("/api/polls/public/lunch-link/vote")
+        .send({
+          rankings: options.map((option, index) => ({ pollOptionId: option.id, rank: index + 1 })),
+        })
+        .expect(400);
+    });
+
+    test("write-ins are only for published polls", async () => {
+      await testPoll.update({ status: "closed" });
+
+      await authed(request(app).post(`/api/polls/${testPoll.id}/options/write-in`))
+        .send({ text: "Curry" })
+        .expect(400);
+    });
+
+    test("write-ins can't reach archived or taken down polls", async () => {
+      const writeIn = () =>
+        authed(request(app).post(`/api/polls/${testPoll.id}/options/write-in`)).send({
+          text: "Curry",
+        });
+
+      await testPoll.update({ archivedAt: new Date() });
+      const archived = await writeIn().expect(400);
+      expect(archived.body.error).toBe("Restore this poll before adding write-in options");
+
+      await testPoll.update({ archivedAt: null, takenDownAt: new Date() });
+      const takenDown = await writeIn().expect(400);
+      expect(takenDown.body.error).toBe("Cannot add write-in options to a taken down poll");
+
+      expect(await PollOption.count({ where: { pollId: testPoll.id } })).toBe(3);
+    });
+  });
+
+  describe("GET /api/polls/:id/revisions", () => {
+    test("lists option edits and poll updates, newest first", async () => {
+      await authed(request(app).post(`/api/polls/${testPoll.id}/options`))
+        .send({ text: "Curry" })
+        .expect(201);
+      await authed(request(app).put(`/api/polls/${testPoll.id}`))
+        .send({ title: "Team Dinner" })
+        .expect(200);
+
+      const response = await authed(request(app).get(`/api/polls/${testPoll.id}/revisions`))
+        .expect(200);
+
+      expect(response.body.map((revision) => revision.action)).toEqual([
+        "poll_updated",
+        "option_added",
+      ]);
+      expect(response.body[0].details.changes.title).toEqual({
+        from: "Team Lunch",
+        to: "Team Dinner",
+      });
+      expect(response.body[0].user.username).toBe("testuser");
+    });
+
+    test("does not record a revision when nothing changed", async () => {
+      await authed(request(app).put(`/api/polls/${testPoll.id}`))
+        .send({ title: "Team Lunch" })
+        .expect(200);
+
+      expect(await revisionActions()).toEqual([]);
+    });
+  });
+});
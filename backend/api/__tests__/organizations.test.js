@@ -0,0 +1,152 @@
+const request = require("supertest");
+const app = require("../../app");
+const { db, User, Poll, PollOption, Organization, OrganizationMember } = require("../../database");
+const { as } = require("./helpers");
+
+describe("Organizations API Routes", () => {
+  let admin;
+  let member;
+  let outsider;
+  let organization;
+
+  const join = (user, role) =>
+    OrganizationMember.create({ organizationId: organization.id, userId: user.id, role });
+  const workIn = (user, organizationId) =>
+    as(user, request(app).put("/api/organizations/active")).send({ organizationId });
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+
+    [admin, member, outsider] = await User.bulkCreate([
+      { username: "admin" },
+      { username: "member" },
+      { username: "outsider", email: "outsider@example.com" },
+    ]);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await User.update({ activeOrganizationId: null }, { where: {} });
+    await PollOption.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+    await OrganizationMember.destroy({ where: {} });
+    await Organization.destroy({ where: {} });
+
+    organization = await Organization.create({ name: "Acme" });
+    await join(admin, "admin");
+  });
+
+  describe("creating organizations and members", () => {
+    test("makes the creator the organization's first admin", async () => {
+      const response = await as(member, request(app).post("/api/organizations"))
+        .send({ name: "  Robotics Club " })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ name: "Robotics Club", role: "admin" });
+
+      const list = await as(member, request(app).get("/api/organizations")).expect(200);
+      expect(list.body).toEqual({
+        organizations: [{ id: response.body.id, name: "Robotics Club", role: "admin" }],
+        activeOrganizationId: null,
+      });
+
+      await as(member, request(app).post("/api/organizations")).send({ name: " " }).expect(400);
+    });
+
+    test("lets admins add members by username", async () => {
+      const invite = (user, body) =>
+        as(user, request(app).post(`/api/organizations/${organization.id}/members`)).send(body);
+
+      const response = await invite(admin, { username: "member" }).expect(201);
+      expect(response.body).toMatchObject({ role: "member", user: { username: "member" } });
+
+      await invite(admin, { username: "member" }).expect(409);
+      await invite(admin, { username: "nobody" }).expect(404);
+      await invite(admin, { username: "outsider", role: "owner" }).expect(400);
+      await invite(member, { username: "outsider" }).expect(403);
+      await invite(outsider, { username: "outsider" }).expect(404);
+    });
+
+    test("keeps at least one admin", async () => {
+      const adminMember = await OrganizationMember.findOne({ where: { userId: admin.id } });
+      const url = `/api/organizations/${organization.id}/members/${adminMember.id}`;
+
+      await as(admin, request(app).put(url)).send({ role: "member" }).expect(400);
+      await as(admin, request(app).delete(url)).expect(400);
+    });
+
+    test("members can leave, which resets their workspace", async () => {
+      const membership = await join(member, "member");
+      await workIn(member, organization.id).expect(200);
+
+      await as(
+        member,
+        request(app).delete(`/api/organizations/${organization.id}/members/${membership.id}`)
+      ).expect(200);
+
+      await member.reload();
+      expect(member.activeOrganizationId).toBeNull();
+      await workIn(member, organization.id).expect(404);
+    });
+  });
+
+  describe("organization workspaces", () => {
+    const createPoll = (user, body = {}) =>
+      as(user, request(app).post("/api/polls")).send({
+        title: "Offsite venue",
+        options: ["Lake", "City"],
+        ...body,
+      });
+
+    test("creates polls in the active workspace and lists them there", async () => {
+      await join(member, "member");
+      await workIn(member, organization.id).expect(200);
+
+      const created = await createPoll(member).expect(201);
+      expect(created.body.organizationId).toBe(organization.id);
+
+      const orgPolls = await as(member, request(app).get("/api/polls")).expect(200);
+      expect(orgPolls.body.map((poll) => poll.id)).toEqual([created.body.id]);
+
+      await workIn(member, null).expect(200);
+      const personalPolls = await as(member, request(app).get("/api/polls")).expect(200);
+      expect(personalPolls.body).toEqual([]);
+    });
+
+    test("admins see every poll in the organization, read-only", async () => {
+      await join(member, "member");
+      await workIn(member, organization.id);
+      const created = await createPoll(member).expect(201);
+
+      await workIn(admin, organization.id);
+      const response = await as(admin, request(app).get("/api/polls")).expect(200);
+      expect(response.body[0]).toMatchObject({ id: created.body.id, role: "observer" });
+
+      await as(admin, request(app).get(`/api/polls/${created.body.id}`)).expect(200);
+      await as(admin, request(app).put(`/api/polls/${created.body.id}`))
+        .send({ title: "Renamed" })
+        .expect(403);
+    });
+
+    test("limits voting to organization members", async () => {
+      await createPoll(admin, { visibility: "organization" }).expect(400);
+
+      await join(member, "member");
+      await workIn(admin, organization.id);
+      const created = await createPoll(admin, { visibility: "organization" }).expect(201);
+      const poll = await Poll.findByPk(created.body.id);
+      poll.status = "published";
+      poll.generateShareLink();
+      await poll.save();
+
+      const url = `/api/polls/public/${poll.shareLink}`;
+      await request(app).get(url).expect(401);
+      const denied = await as(outsider, request(app).get(url)).expect(403);
+      expect(denied.body.access).toBe("organization");
+      await as(member, request(app).get(url)).expect(200);
+    });
+  });
+});
@@ -1,6 +1,16 @@
 const request = require("supertest");
 const app = require("../../app");
-const { db, User, Poll, PollOption, Ballot, Ranking } = require("../../database");
+const {
+  db,
+  User,
+  Poll,
+  PollOption,
+  Ballot,
+  Ranking,
+  PollRevision,
+  ResultSnapshot,
+  Participation,
+} = require("../../database");
 const jwt = require("jsonwebtoken");
 
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
@@ -159,6 +169,64 @@ describe("Polls API Routes", () => {
       expect(response.body.error).toContain("at least 2");
     });
 
+    test("stores the chosen voting method", async () => {
+      const response = await request(app)
+        .post("/api/polls")
+        .set("Cookie", [`token=${authToken}`])
+        .send({
+          title: "Borda Poll",
+          options: ["Option A", "Option B"],
+          votingMethod: "borda",
+        })
+        .expect(201);
+
+      expect(response.body.votingMethod).toBe("borda");
+    });
+
+    test("requires fewer seats than options", async () => {
+      const response = await request(app)
+        .post("/api/polls")
+        .set("Cookie", [`token=${authToken}`])
+        .send({
+          title: "Board Election",
+          options: ["Alice", "Bob"],
+          votingMethod: "stv",
+          seats: 2,
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain("Seats");
+    });
+
+    test("requires the closing time to be after the opening time", async () => {
+      const response = await request(app)
+        .post("/api/polls")
+        .set("Cookie", `token=${authToken}`)
+        .send({
+          title: "Scheduled Poll",
+          options: ["A", "B"],
+          opensAt: "2026-05-02T10:00:00Z",
+          closesAt: "2026-05-01T10:00:00Z",
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain("after opening time");
+    });
+
+    test("rejects unknown voting methods", async () => {
+      const response = await request(app)
+        .post("/api/polls")
+        .set("Cookie", [`token=${authToken}`])
+        .send({
+          title: "Test Poll",
+          options: ["Option 1", "Option 2"],
+          votingMethod: "plurality",
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain("voting method");
+    });
+
     test("validates title is required", async () => {
       const response = await request(app)
         .post("/api/polls")
@@ -277,6 +345,80 @@ describe("Polls API Routes", () => {
 
       expect(response.body.error).toContain("closed");
     });
+
+    test("can change results visibility after the poll closes", async () => {
+      await testPoll.update({ status: "closed" });
+
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ resultsVisibility: "closed" })
+        .expect(200);
+
+      expect(response.body.resultsVisibility).toBe("closed");
+    });
+
+    test("rejects an unknown results visibility", async () => {
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ resultsVisibility: "everyone" })
+        .expect(400);
+
+      expect(response.body.error).toBe("Invalid results visibility");
+    });
+
+    test("requires a password before making a poll password protected", async () => {
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ visibility: "password" })
+        .expect(400);
+
+      expect(response.body.error).toBe("Password-protected polls need a password");
+    });
+
+    test("sets a poll password without revealing it", async () => {
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ visibility: "password", accessPassword: "secret" })
+        .expect(200);
+
+      expect(response.body.visibility).toBe("password");
+      expect(response.body.accessPasswordHash).toBeUndefined();
+      await testPoll.reload();
+      expect(testPoll.checkAccessPassword("secret")).toBe(true);
+
+      const revision = await PollRevision.findOne({ where: { pollId: testPoll.id } });
+      expect(revision.details.changes).toEqual({
+        visibility: { from: "public", to: "password" },
+        accessPassword: {},
+      });
+    });
+
+    test("normalizes the group domain", async () => {
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ visibility: "group", groupDomain: " @Example.ORG " })
+        .expect(200);
+
+      expect(response.body.groupDomain).toBe("example.org");
+    });
+
+    test("clears a past opening time when a poll goes back to draft", async () => {
+      const opensAt = new Date(Date.now() - 60 * 1000);
+      await testPoll.update({ status: "published", opensAt });
+
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ status: "draft" })
+        .expect(200);
+
+      expect(response.body.opensAt).toBeNull();
+    });
   });
 
   describe("POST /api/polls/:id/close", () => {
@@ -301,6 +443,23 @@ describe("Polls API Routes", () => {
       expect(updatedPoll.status).toBe("closed");
     });
 
+    test("certifies a result snapshot", async () => {
+      await request(app)
+        .post(`/api/polls/${testPoll.id}/close`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      const snapshots = await ResultSnapshot.findAll({ where: { pollId: testPoll.id } });
+      expect(snapshots.length).toBe(1);
+      expect(snapshots[0]).toMatchObject({
+        kind: "certified",
+        method: "irv",
+        ballotCount: 0,
+        userId: testUser.id,
+      });
+      expect(snapshots[0].ballotHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
     test("cannot close already closed poll", async () => {
       await testPoll.update({ status: "closed" });
 
@@ -313,6 +472,375 @@ describe("Polls API Routes", () => {
     });
   });
 
+  describe("archiving polls", () => {
+    beforeEach(async () => {
+      testPoll = await Poll.create({
+        title: "Test Poll",
+        status: "published",
+        shareLink: "archive-me",
+        creatorId: testUser.id,
+      });
+    });
+
+    test("archives a poll and hides it from voters", async () => {
+      await request(app)
+        .post(`/api/polls/${testPoll.id}/archive`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect((await testPoll.reload()).archivedAt).not.toBeNull();
+      await request(app).get("/api/polls/public/archive-me").expect(404);
+    });
+
+    test("restores an archived poll", async () => {
+      await testPoll.update({ archivedAt: new Date() });
+
+      await request(app)
+        .post(`/api/polls/${testPoll.id}/restore`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect((await testPoll.reload()).archivedAt).toBeNull();
+      await request(app).get("/api/polls/public/archive-me").expect(200);
+    });
+
+    test("cannot edit an archived poll", async () => {
+      await testPoll.update({ archivedAt: new Date() });
+
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ title: "Updated Title" })
+        .expect(400);
+
+      expect(response.body.error).toContain("Restore");
+    });
+  });
+
+  describe("POST /api/polls/:id/duplicate", () => {
+    test("copies options and settings into a new draft", async () => {
+      testPoll = await Poll.create({
+        title: "Board Election",
+        description: "Annual vote",
+        status: "closed",
+        shareLink: "original-link",
+        votingMethod: "stv",
+        seats: 2,
+        dedupPolicy: "email",
+        creatorId: testUser.id,
+      });
+      await PollOption.bulkCreate([
+        { text: "Ana", position: 1, pollId: testPoll.id },
+        { text: "Sam", position: 0, pollId: testPoll.id },
+        { text: "Kim", position: 2, pollId: testPoll.id },
+      ]);
+
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/duplicate`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(201);
+
+      expect(response.body.id).not.toBe(testPoll.id);
+      expect(response.body.title).toBe("Board Election (copy)");
+      expect(response.body.description).toBe("Annual vote");
+      expect(response.body.status).toBe("draft");
+      expect(response.body.shareLink).toBeNull();
+      expect(response.body.votingMethod).toBe("stv");
+      expect(response.body.seats).toBe(2);
+      expect(response.body.dedupPolicy).toBe("email");
+      expect(response.body.options.map((option) => option.text)).toEqual(["Sam", "Ana", "Kim"]);
+    });
+
+    test("returns 404 for another user's poll", async () => {
+      await request(app)
+        .post("/api/polls/99999/duplicate")
+        .set("Cookie", [`token=${authToken}`])
+        .expect(404);
+    });
+  });
+
+  describe("DELETE /api/polls/:id", () => {
+    test("deletes the poll with its ballots and rankings", async () => {
+      testPoll = await Poll.create({
+        title: "Test Poll",
+        status: "closed",
+        creatorId: testUser.id,
+      });
+      const [option] = await PollOption.bulkCreate([
+        { text: "Option 1", pollId: testPoll.id },
+        { text: "Option 2", pollId: testPoll.id },
+      ]);
+      const ballot = await Ballot.create({ pollId: testPoll.id });
+      await Ranking.create({ ballotId: ballot.id, pollOptionId: option.id, rank: 1 });
+
+      await request(app)
+        .delete(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(await Poll.findByPk(testPoll.id)).toBeNull();
+      expect(await PollOption.count({ where: { pollId: testPoll.id } })).toBe(0);
+      expect(await Ballot.count({ where: { pollId: testPoll.id } })).toBe(0);
+      expect(await Ranking.count({ where: { ballotId: ballot.id } })).toBe(0);
+    });
+
+    test("only the creator can delete a poll", async () => {
+      const otherUser = await User.create({
+        username: "pollowner",
+        passwordHash: User.hashPassword("testpass123"),
+      });
+      testPoll = await Poll.create({ title: "Not Mine", creatorId: otherUser.id });
+
+      await request(app)
+        .delete(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(404);
+
+      expect(await Poll.findByPk(testPoll.id)).not.toBeNull();
+    });
+  });
+
+  describe("GET /api/polls/:id/export", () => {
+    beforeEach(async () => {
+      testPoll = await Poll.create({
+        title: "Export Poll",
+        status: "closed",
+        creatorId: testUser.id,
+      });
+
+      const options = await PollOption.bulkCreate([
+        { text: "Option A", pollId: testPoll.id, position: 0 },
+        { text: "Option B", pollId: testPoll.id, position: 1 },
+      ]);
+
+      const ballot = await Ballot.create({
+        pollId: testPoll.id,
+        voterName: "Ana",
+        voterEmail: "ana@example.com",
+      });
+      await Ranking.bulkCreate([
+        { ballotId: ballot.id, pollOptionId: options[1].id, rank: 1 },
+        { ballotId: ballot.id, pollOptionId: options[0].id, rank: 2 },
+      ]);
+    });
+
+    test("downloads ballots as CSV without voter details by default", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/export`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(response.headers["content-type"]).toMatch(/text\/csv/);
+      expect(response.headers["content-disposition"]).toBe(
+        `attachment; filename="poll-${testPoll.id}.csv"`
+      );
+      const [header, row] = response.text.split("\r\n");
+      expect(header).toBe("ballot_id,submitted_at,rank_1,rank_2");
+      expect(row).toMatch(/,Option B,Option A$/);
+      expect(response.text).not.toContain("ana@example.com");
+    });
+
+    test("includes voter details when asked", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/export?format=json&includeVoters=true`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      const document = JSON.parse(response.text);
+      expect(document.format).toBe("rcv-polls/ballots");
+      expect(document.ballots).toHaveLength(1);
+      expect(document.ballots[0].voterEmail).toBe("ana@example.com");
+      expect(document.ballots[0].rankings).toEqual(document.options.map((o) => o.id).reverse());
+    });
+
+    test("downloads ballots as BLT", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/export?format=blt`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(response.text).toBe('2 1\n1 2 1 0\n0\n"Option A"\n"Option B"\n"Export Poll"\n');
+    });
+
+    test("rejects unknown formats", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/export?format=xml`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(400);
+
+      expect(response.body.error).toBe("Export format must be one of: csv, blt, json");
+    });
+  });
+
+  describe("anonymous polls", () => {
+    let options;
+
+    beforeEach(async () => {
+      testPoll = await Poll.create({
+        title: "Secret Poll",
+        status: "published",
+        anonymous: true,
+        creatorId: testUser.id,
+      });
+      options = await PollOption.bulkCreate([
+        { text: "Option A", pollId: testPoll.id, position: 0 },
+        { text: "Option B", pollId: testPoll.id, position: 1 },
+      ]);
+      await Participation.bulkCreate([
+        { pollId: testPoll.id, voterName: "Bo", identityKey: "browser:b" },
+        { pollId: testPoll.id, voterName: "Ana", identityKey: "browser:a" },
+      ]);
+      for (const first of options) {
+        const ballot = await Ballot.create({ pollId: testPoll.id });
+        await Ranking.create({ ballotId: ballot.id, pollOptionId: first.id, rank: 1 });
+      }
+    });
+
+    test("lists who voted apart from ballots stripped of identity", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(response.body.participants).toEqual([
+        { voterName: "Ana", voterEmail: null },
+        { voterName: "Bo", voterEmail: null },
+      ]);
+      expect(response.body.ballots).toHaveLength(2);
+      response.body.ballots.forEach((ballot) => {
+        expect(ballot).not.toHaveProperty("id");
+        expect(Object.keys(ballot)).toEqual(["rankings"]);
+        ballot.rankings.forEach((ranking) =>
+          expect(Object.keys(ranking).sort()).toEqual(["pollOptionId", "rank"])
+        );
+      });
+      const firstChoices = response.body.ballots.map((ballot) => ballot.rankings[0].pollOptionId);
+      expect(firstChoices.sort()).toEqual(options.map((option) => option.id).sort());
+    });
+
+    test("exports ballots without ids, times or voters", async () => {
+      await request(app)
+        .get(`/api/polls/${testPoll.id}/export?includeVoters=true`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(400);
+
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/export?format=json`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      const { ballots } = JSON.parse(response.text);
+      expect(ballots).toHaveLength(2);
+      expect(ballots.map((ballot) => ballot.rankings).sort()).toEqual([
+        [options[0].id],
+        [options[1].id],
+      ]);
+      ballots.forEach((ballot) => {
+        expect(ballot.id).toBeNull();
+        expect(ballot.submittedAt).toBeNull();
+      });
+    });
+
+    test("cannot change anonymity once votes are cast", async () => {
+      const response = await request(app)
+        .put(`/api/polls/${testPoll.id}`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ anonymous: false })
+        .expect(400);
+
+      expect(response.body.error).toBe("Anonymity can't be changed once votes are cast");
+    });
+
+    test("keeps imported voter names off the ballots", async () => {
+      await request(app)
+        .post(`/api/polls/${testPoll.id}/import`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ format: "csv", data: "voter_name,rank_1,rank_2\nCy,Option A,Option B\n" })
+        .expect(201);
+
+      expect(await Participation.count({ where: { pollId: testPoll.id, voterName: "Cy" } })).toBe(
+        1
+      );
+      expect(await Ballot.count({ where: { pollId: testPoll.id, voterName: "Cy" } })).toBe(0);
+    });
+  });
+
+  describe("POST /api/polls/:id/import", () => {
+    beforeEach(async () => {
+      testPoll = await Poll.create({
+        title: "Paper Poll",
+        status: "closed",
+        creatorId: testUser.id,
+      });
+
+      await PollOption.bulkCreate([
+        { text: "Option A", pollId: testPoll.id, position: 0 },
+        { text: "Option B", pollId: testPoll.id, position: 1 },
+      ]);
+    });
+
+    test("imports CSV ballots and tabulates them", async () => {
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/import`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({
+          format: "csv",
+          data: "rank_1,rank_2\nOption B,Option A\nOption B,Option A\nOption A,Option B\n",
+        })
+        .expect(201);
+
+      expect(response.body.imported).toBe(3);
+
+      const results = await request(app)
+        .get(`/api/polls/${testPoll.id}/results`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+      expect(results.body.results.totalVotes).toBe(3);
+      expect(results.body.results.winner.text).toBe("Option B");
+    });
+
+    test("imports BLT ballots", async () => {
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/import`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ format: "blt", data: '2 1\n4 1 2 0\n0\n"Option A"\n"Option B"\n"Paper"\n' })
+        .expect(201);
+
+      expect(response.body.imported).toBe(4);
+      expect(await Ballot.count({ where: { pollId: testPoll.id } })).toBe(4);
+    });
+
+    test("reports every bad row and imports nothing", async () => {
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/import`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({
+          format: "csv",
+          data: "rank_1,rank_2\nOption A,Option B\nOption A,\nOption C,Option A\n",
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe("No ballots were imported");
+      expect(response.body.errors).toEqual([
+        { row: 3, error: "All options must be ranked" },
+        { row: 4, error: 'Unknown option "Option C"' },
+      ]);
+      expect(await Ballot.count({ where: { pollId: testPoll.id } })).toBe(0);
+    });
+
+    test("does not import into drafts", async () => {
+      await testPoll.update({ status: "draft" });
+
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/import`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ format: "csv", data: "Option A,Option B" })
+        .expect(400);
+
+      expect(response.body.error).toBe("Publish this poll before importing ballots");
+    });
+  });
+
   describe("GET /api/polls/:id/results", () => {
     beforeEach(async () => {
       testPoll = await Poll.create({
@@ -349,11 +877,165 @@ describe("Polls API Routes", () => {
         .expect(200);
 
       expect(response.body.poll).toBeDefined();
+      expect(response.body.poll.role).toBe("owner");
       expect(response.body.results).toBeDefined();
       expect(response.body.results.winner).toBeDefined();
       expect(response.body.results.rounds).toBeDefined();
       expect(Array.isArray(response.body.results.rounds)).toBe(true);
       expect(response.body.results.totalVotes).toBe(3);
+      expect(response.body.results.method).toBe("irv");
+    });
+
+    test("returns ranking analytics for each option", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/analytics`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(response.body.totalBallots).toBe(3);
+      expect(response.body.options.map((option) => option.rankCounts)).toEqual([
+        [2, 1],
+        [1, 2],
+      ]);
+      expect(response.body.patterns[0]).toMatchObject({ count: 2 });
+    });
+
+    test("hides analytics from other users", async () => {
+      const otherToken = jwt.sign({ id: testUser.id + 1000, username: "someone" }, JWT_SECRET);
+
+      await request(app)
+        .get(`/api/polls/${testPoll.id}/analytics`)
+        .set("Cookie", [`token=${otherToken}`])
+        .expect(404);
+    });
+
+    test("recounts against the certified snapshot", async () => {
+      await testPoll.update({ status: "published" });
+      await request(app)
+        .post(`/api/polls/${testPoll.id}/close`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      const unchanged = await request(app)
+        .post(`/api/polls/${testPoll.id}/recount`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(201);
+
+      expect(unchanged.body.recount.kind).toBe("recount");
+      expect(unchanged.body.recount.ballotHash).toBe(unchanged.body.certified.ballotHash);
+      expect(unchanged.body.diff.changed).toBe(false);
+
+      // A ballot added after certification changes the ballot set and the counts
+      const [optionA] = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+      const ballot = await Ballot.create({ pollId: testPoll.id });
+      await Ranking.create({ ballotId: ballot.id, pollOptionId: optionA.id, rank: 1 });
+
+      const changed = await request(app)
+        .post(`/api/polls/${testPoll.id}/recount`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(201);
+
+      expect(changed.body.diff).toMatchObject({
+        changed: true,
+        ballotsChanged: true,
+        ballotCount: { from: 3, to: 4 },
+        winners: null,
+      });
+      expect(changed.body.diff.counts).toContainEqual({
+        round: 1,
+        optionId: optionA.id,
+        from: 2,
+        to: 3,
+      });
+
+      const snapshots = await request(app)
+        .get(`/api/polls/${testPoll.id}/snapshots`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(snapshots.body.map((snapshot) => snapshot.kind)).toEqual([
+        "recount",
+        "recount",
+        "certified",
+      ]);
+      expect(snapshots.body[0].user.username).toBe("testuser");
+    });
+
+    test("recounts without a diff when nothing was certified", async () => {
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/recount`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(201);
+
+      expect(response.body.certified).toBeNull();
+      expect(response.body.recount.ballotCount).toBe(3);
+      expect(response.body.diff).toBeNull();
+    });
+
+    test("only recounts closed polls", async () => {
+      await testPoll.update({ status: "published" });
+
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/recount`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(400);
+
+      expect(response.body.error).toBe("Only closed polls can be recounted");
+    });
+
+    test("compares the winner head-to-head with every option", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/results`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      const { headToHead, winner } = response.body.results;
+      expect(headToHead.matrix[winner.id]).toBeDefined();
+      expect(headToHead.condorcetWinner).toBe(winner.id);
+      expect(headToHead.agreesWithCondorcet).toBe(true);
+    });
+
+    test("publishes the tie-break rule and seed", async () => {
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/results`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(response.body.results.tieBreak.rule).toBe("backward");
+      expect(response.body.results.tieBreak.seed).toBe(testPoll.tieBreakSeed);
+    });
+
+    test("records a manual tie-break decision", async () => {
+      await testPoll.update({ tieBreakRule: "manual" });
+      const [optionA, optionB] = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/tie-break`)
+        .set("Cookie", [`token=${authToken}`])
+        .send({ tiedOptions: [optionA.id, optionB.id], eliminate: optionB.id })
+        .expect(200);
+
+      expect(response.body.tieBreakOrder).toEqual([optionA.id, optionB.id]);
+    });
+
+    test("dispatches to the poll's voting method", async () => {
+      await testPoll.update({ votingMethod: "borda" });
+
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/results`)
+        .set("Cookie", [`token=${authToken}`])
+        .expect(200);
+
+      expect(response.body.poll.votingMethod).toBe("borda");
+      expect(response.body.results.method).toBe("borda");
+      expect(response.body.results.standings.length).toBe(2);
+      expect(response.body.results.winner.text).toBe("Option A");
     });
   });
 });
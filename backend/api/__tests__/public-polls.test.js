@@ -1,6 +1,17 @@
 const request = require("supertest");
 const app = require("../../app");
-const { db, User, Poll, PollOption, Ballot, Ranking } = require("../../database");
+const {
+  db,
+  User,
+  Poll,
+  PollOption,
+  Ballot,
+  Ranking,
+  Participation,
+} = require("../../database");
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
 
 describe("Public Polls API Routes", () => {
   let testUser;
@@ -79,6 +90,12 @@ describe("Public Polls API Routes", () => {
         .expect(404);
     });
 
+    test("treats a poll past its closing time as closed", async () => {
+      await testPoll.update({ closesAt: new Date(Date.now() - 60 * 1000) });
+
+      await request(app).get(`/api/polls/public/${shareLink}`).expect(404);
+    });
+
     test("does not return closed polls", async () => {
       await testPoll.update({ status: "closed" });
 
@@ -137,6 +154,21 @@ describe("Public Polls API Routes", () => {
       expect(response.body.error).toContain("All options must be ranked");
     });
 
+    test("accepts a partial ballot when the poll sets a minimum", async () => {
+      await testPoll.update({ minRankings: 1 });
+      const poll = await Poll.findByPk(testPoll.id, {
+        include: [{ model: PollOption, as: "options" }],
+      });
+
+      const response = await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: [{ pollOptionId: poll.options[1].id, rank: 1 }] })
+        .expect(201);
+
+      const rankings = await Ranking.findAll({ where: { ballotId: response.body.ballotId } });
+      expect(rankings).toHaveLength(1);
+    });
+
     test("validates rankings are sequential", async () => {
       const poll = await Poll.findByPk(testPoll.id, {
         include: [{ model: PollOption, as: "options" }],
@@ -215,5 +247,463 @@ describe("Public Polls API Routes", () => {
       expect(ballot.voterEmail).toBeNull();
     });
   });
-});
 
+  describe("duplicate-vote protection", () => {
+    let fullBallot;
+
+    beforeEach(async () => {
+      const options = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+      fullBallot = options.map((opt, index) => ({ pollOptionId: opt.id, rank: index + 1 }));
+    });
+
+    test("accepts repeat ballots when the policy is none", async () => {
+      const vote = () =>
+        request(app).post(`/api/polls/public/${shareLink}/vote`).send({ rankings: fullBallot });
+
+      await vote().expect(201);
+      await vote().expect(201);
+    });
+
+    test("allows one ballot per browser using a signed cookie", async () => {
+      await testPoll.update({ dedupPolicy: "browser" });
+      const browser = request.agent(app);
+
+      const first = await browser
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: fullBallot })
+        .expect(201);
+
+      const response = await browser
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: fullBallot })
+        .expect(409);
+      expect(response.body.error).toContain("already voted");
+
+      const ballot = await Ballot.findByPk(first.body.ballotId);
+      expect(ballot.identityKey).toMatch(/^browser:/);
+
+      // A different browser can still vote
+      await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: fullBallot })
+        .expect(201);
+    });
+
+    test("allows one ballot per logged-in user", async () => {
+      await testPoll.update({ dedupPolicy: "user" });
+      const authToken = jwt.sign({ id: testUser.id, username: testUser.username }, JWT_SECRET);
+      const vote = () =>
+        request(app)
+          .post(`/api/polls/public/${shareLink}/vote`)
+          .set("Cookie", `token=${authToken}`)
+          .send({ rankings: fullBallot });
+
+      await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: fullBallot })
+        .expect(401);
+
+      const response = await vote().expect(201);
+      await vote().expect(409);
+
+      const ballot = await Ballot.findByPk(response.body.ballotId);
+      expect(ballot.identityKey).toBe(`user:${testUser.id}`);
+    });
+
+    test("allows one ballot per email address", async () => {
+      await testPoll.update({ dedupPolicy: "email" });
+      const vote = (voterEmail) =>
+        request(app)
+          .post(`/api/polls/public/${shareLink}/vote`)
+          .send({ rankings: fullBallot, voterEmail });
+
+      await vote(undefined).expect(400);
+      await vote("ana@example.com").expect(201);
+      await vote(" ANA@example.com ").expect(409);
+    });
+  });
+
+  describe("anonymous polls", () => {
+    test("records the voter apart from their ballot and still blocks repeat votes", async () => {
+      await testPoll.update({ anonymous: true, dedupPolicy: "email" });
+      const options = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+      const vote = () =>
+        request(app)
+          .post(`/api/polls/public/${shareLink}/vote`)
+          .send({
+            voterName: "Ana",
+            voterEmail: "ana@example.com",
+            rankings: options.map((opt, index) => ({ pollOptionId: opt.id, rank: index + 1 })),
+          });
+
+      const response = await vote().expect(201);
+      await vote().expect(409);
+
+      const ballot = await Ballot.findByPk(response.body.ballotId);
+      expect(ballot.voterName).toBeNull();
+      expect(ballot.voterEmail).toBeNull();
+      expect(ballot.identityKey).toBeNull();
+
+      const participation = await Participation.findOne({ where: { pollId: testPoll.id } });
+      expect(participation).toMatchObject({
+        voterName: "Ana",
+        voterEmail: "ana@example.com",
+        identityKey: "email:ana@example.com",
+      });
+    });
+  });
+
+  describe("poll visibility", () => {
+    let voter;
+    let voterToken;
+
+    const fullBallot = async () => {
+      const options = await PollOption.findAll({ where: { pollId: testPoll.id } });
+      return options.map((opt, index) => ({ pollOptionId: opt.id, rank: index + 1 }));
+    };
+
+    beforeEach(async () => {
+      [voter] = await User.findOrCreate({ where: { username: "voter" } });
+      await voter.update({ email: "voter@example.com" });
+      voterToken = jwt.sign({ id: voter.id, username: voter.username }, JWT_SECRET);
+    });
+
+    test("only lists public polls", async () => {
+      await Poll.create({
+        title: "Unlisted Poll",
+        status: "published",
+        visibility: "unlisted",
+        shareLink: "unlisted-link",
+        creatorId: testUser.id,
+      });
+
+      const response = await request(app).get("/api/polls/public").expect(200);
+      expect(response.body.map((poll) => poll.title)).toEqual(["Public Poll"]);
+
+      await request(app).get("/api/polls/public/unlisted-link").expect(200);
+    });
+
+    test("asks for the password before showing or taking votes on a protected poll", async () => {
+      await testPoll.update({
+        visibility: "password",
+        accessPasswordHash: Poll.hashAccessPassword("secret"),
+      });
+      const browser = request.agent(app);
+
+      const locked = await browser.get(`/api/polls/public/${shareLink}`).expect(401);
+      expect(locked.body.access).toBe("password");
+      await browser
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: await fullBallot() })
+        .expect(401);
+
+      await browser
+        .post(`/api/polls/public/${shareLink}/access`)
+        .send({ password: "wrong" })
+        .expect(401);
+      await browser
+        .post(`/api/polls/public/${shareLink}/access`)
+        .send({ password: "secret" })
+        .expect(200);
+
+      const response = await browser.get(`/api/polls/public/${shareLink}`).expect(200);
+      expect(response.body.accessPasswordHash).toBeUndefined();
+      await browser
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: await fullBallot() })
+        .expect(201);
+
+      // A new password locks out browsers that entered the old one
+      await testPoll.update({ accessPasswordHash: Poll.hashAccessPassword("changed") });
+      await browser.get(`/api/polls/public/${shareLink}`).expect(401);
+    });
+
+    test("requires a login for logged-in-only polls", async () => {
+      await testPoll.update({ visibility: "users" });
+
+      const response = await request(app).get(`/api/polls/public/${shareLink}`).expect(401);
+      expect(response.body.access).toBe("login");
+
+      await request(app)
+        .get(`/api/polls/public/${shareLink}`)
+        .set("Cookie", `token=${voterToken}`)
+        .expect(200);
+    });
+
+    test("only admits accounts at the group domain", async () => {
+      await testPoll.update({ visibility: "group", groupDomain: "example.org" });
+      const vote = async () =>
+        request(app)
+          .post(`/api/polls/public/${shareLink}/vote`)
+          .set("Cookie", `token=${voterToken}`)
+          .send({ rankings: await fullBallot() });
+
+      const denied = await vote();
+      expect(denied.status).toBe(403);
+      expect(denied.body.access).toBe("group");
+
+      await voter.update({ email: "voter@example.org" });
+      expect((await vote()).status).toBe(201);
+    });
+
+    test("lets the creator preview a restricted poll", async () => {
+      await testPoll.update({ visibility: "users" });
+      const authToken = jwt.sign({ id: testUser.id, username: testUser.username }, JWT_SECRET);
+
+      await request(app)
+        .get(`/api/polls/public/${shareLink}`)
+        .set("Cookie", `token=${authToken}`)
+        .expect(200);
+    });
+  });
+
+  describe("revising a ballot", () => {
+    let options;
+    let editToken;
+
+    beforeEach(async () => {
+      options = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+
+      const response = await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({
+          rankings: options.map((opt, index) => ({ pollOptionId: opt.id, rank: index + 1 })),
+        })
+        .expect(201);
+      editToken = response.body.editToken;
+    });
+
+    test("returns the voter's rankings for their edit token", async () => {
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/ballots/${editToken}`)
+        .expect(200);
+
+      expect(response.body.rankings.map((r) => r.pollOptionId)).toEqual(
+        options.map((opt) => opt.id)
+      );
+    });
+
+    test("replaces the rankings", async () => {
+      const reversed = [...options].reverse();
+      await request(app)
+        .put(`/api/polls/public/${shareLink}/ballots/${editToken}`)
+        .send({
+          rankings: reversed.map((opt, index) => ({ pollOptionId: opt.id, rank: index + 1 })),
+        })
+        .expect(200);
+
+      const ballot = await Ballot.findOne({
+        where: { editToken },
+        include: [{ model: Ranking, as: "rankings" }],
+      });
+      const first = ballot.rankings.find((r) => r.rank === 1);
+      expect(first.pollOptionId).toBe(reversed[0].id);
+      expect(ballot.rankings).toHaveLength(3);
+      expect(await Ballot.count()).toBe(1);
+    });
+
+    test("validates the new rankings", async () => {
+      await request(app)
+        .put(`/api/polls/public/${shareLink}/ballots/${editToken}`)
+        .send({ rankings: [{ pollOptionId: options[0].id, rank: 1 }] })
+        .expect(400);
+    });
+
+    test("cannot revise a ballot once the poll closes", async () => {
+      await testPoll.update({ status: "closed" });
+
+      await request(app).get(`/api/polls/public/${shareLink}/ballots/${editToken}`).expect(404);
+      await request(app)
+        .put(`/api/polls/public/${shareLink}/ballots/${editToken}`)
+        .send({ rankings: [] })
+        .expect(404);
+    });
+
+    test("rejects unknown edit tokens", async () => {
+      await request(app).get(`/api/polls/public/${shareLink}/ballots/not-a-token`).expect(404);
+    });
+  });
+
+  describe("ballot receipts", () => {
+    let options;
+    let receipt;
+    let editToken;
+
+    const rank = (order) => order.map((opt, index) => ({ pollOptionId: opt.id, rank: index + 1 }));
+
+    beforeEach(async () => {
+      options = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+
+      const response = await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: rank(options) })
+        .expect(201);
+      ({ receipt, editToken } = response.body);
+      await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({ rankings: rank([...options].reverse()) })
+        .expect(201);
+    });
+
+    test("gives each voter a receipt", async () => {
+      expect(receipt).toMatch(/^[0-9a-f]{64}$/);
+
+      const ballot = await request(app)
+        .get(`/api/polls/public/${shareLink}/ballots/${editToken}`)
+        .expect(200);
+      expect(ballot.body.receipt).toBe(receipt);
+    });
+
+    test("issues a new receipt when the ballot is revised", async () => {
+      const response = await request(app)
+        .put(`/api/polls/public/${shareLink}/ballots/${editToken}`)
+        .send({ rankings: rank([options[1], options[0], options[2]]) })
+        .expect(200);
+
+      expect(response.body.receipt).toMatch(/^[0-9a-f]{64}$/);
+      expect(response.body.receipt).not.toBe(receipt);
+    });
+
+    test("publishes the bulletin board once the poll closes", async () => {
+      const early = await request(app)
+        .get(`/api/polls/public/${shareLink}/bulletin-board`)
+        .expect(403);
+      expect(early.body.error).toBe("The bulletin board is published once the poll closes");
+
+      await testPoll.update({ status: "closed" });
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/bulletin-board`)
+        .expect(200);
+
+      expect(response.body.ballotCount).toBe(2);
+      expect(response.body.entries.map((entry) => entry.receipt)).toContain(receipt);
+      expect(response.body.head).toBe(response.body.entries[1].chainHash);
+    });
+
+    test("publishes the bulletin board as soon as closesAt passes", async () => {
+      await testPoll.update({ closesAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/bulletin-board`)
+        .expect(200);
+
+      expect(response.body.ballotCount).toBe(2);
+    });
+
+    test("verifies a receipt against the bulletin board", async () => {
+      await testPoll.update({ status: "closed" });
+
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/receipts/${receipt.toUpperCase()}`)
+        .expect(200);
+      expect(response.body.entry.receipt).toBe(receipt);
+      expect(response.body.poll.title).toBe("Public Poll");
+
+      await request(app)
+        .get(`/api/polls/public/${shareLink}/receipts/${"0".repeat(64)}`)
+        .expect(404);
+      await request(app).get(`/api/polls/public/${shareLink}/receipts/not-a-receipt`).expect(400);
+    });
+
+    test("applies the poll's visibility to the bulletin board and receipt checks", async () => {
+      await testPoll.update({ status: "closed", visibility: "users" });
+      const authToken = jwt.sign({ id: testUser.id, username: testUser.username }, JWT_SECRET);
+
+      const board = await request(app)
+        .get(`/api/polls/public/${shareLink}/bulletin-board`)
+        .expect(401);
+      expect(board.body.access).toBe("login");
+      await request(app).get(`/api/polls/public/${shareLink}/receipts/${receipt}`).expect(401);
+
+      await request(app)
+        .get(`/api/polls/public/${shareLink}/receipts/${receipt}`)
+        .set("Cookie", `token=${authToken}`)
+        .expect(200);
+    });
+
+    test("no longer finds a receipt whose ballot was altered", async () => {
+      const ballot = await Ballot.findOne({ where: { editToken } });
+      await Ranking.update({ rank: 4 }, { where: { ballotId: ballot.id, rank: 1 } });
+      await testPoll.update({ status: "closed" });
+
+      await request(app).get(`/api/polls/public/${shareLink}/receipts/${receipt}`).expect(404);
+    });
+  });
+
+  describe("GET /api/polls/public/:shareLink/results", () => {
+    beforeEach(async () => {
+      const options = await PollOption.findAll({
+        where: { pollId: testPoll.id },
+        order: [["id", "ASC"]],
+      });
+      await request(app)
+        .post(`/api/polls/public/${shareLink}/vote`)
+        .send({
+          rankings: options.map((option, index) => ({ pollOptionId: option.id, rank: index + 1 })),
+        })
+        .expect(201);
+    });
+
+    test("keeps results private by default", async () => {
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/results`)
+        .expect(403);
+
+      expect(response.body.error).toMatch(/private/);
+    });
+
+    test("hides results until the poll closes when visibility is after close", async () => {
+      await testPoll.update({ resultsVisibility: "closed" });
+
+      await request(app).get(`/api/polls/public/${shareLink}/results`).expect(403);
+
+      await testPoll.update({ status: "closed" });
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/results`)
+        .expect(200);
+
+      expect(response.body.poll.ballotCount).toBe(1);
+      expect(response.body.results.winner.text).toBe("Option 1");
+    });
+
+    test("shows results after close once closesAt passes, before the scheduler runs", async () => {
+      await testPoll.update({ resultsVisibility: "closed", closesAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/results`)
+        .expect(200);
+
+      expect(response.body.poll.status).toBe("published");
+      expect(response.body.results.winner.text).toBe("Option 1");
+    });
+
+    test("shows results while voting is open when visibility is live", async () => {
+      await testPoll.update({ resultsVisibility: "live" });
+
+      const response = await request(app)
+        .get(`/api/polls/public/${shareLink}/results`)
+        .expect(200);
+
+      expect(response.body.poll.status).toBe("published");
+      expect(response.body.results.totalVotes).toBe(1);
+    });
+
+    test("does not show results for draft polls", async () => {
+      await testPoll.update({ status: "draft", resultsVisibility: "live" });
+
+      await request(app).get(`/api/polls/public/${shareLink}/results`).expect(404);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const request = require("supertest");
+const app = require("../../app");
+const { db, User, Poll, PollOption, PollReport } = require("../../database");
+const { as } = require("./helpers");
+
+describe("Poll Reports API Routes", () => {
+  let admin;
+  let reporters;
+  let testPoll;
+
+  const report = (user, body = { reason: "spam" }) =>
+    as(user, request(app).post(`/api/polls/public/${testPoll.shareLink}/report`)).send(body);
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+
+    [admin, ...reporters] = await User.bulkCreate([
+      { username: "admin", isAdmin: true },
+      { username: "reader1" },
+      { username: "reader2" },
+      { username: "reader3" },
+    ]);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await PollReport.destroy({ where: {} });
+    await PollOption.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+
+    testPoll = await Poll.create({
+      title: "Free crypto giveaway",
+      status: "published",
+      creatorId: admin.id,
+    });
+    testPoll.generateShareLink();
+    await testPoll.save();
+    await PollOption.bulkCreate([
+      { text: "Yes", position: 0, pollId: testPoll.id },
+      { text: "No", position: 1, pollId: testPoll.id },
+    ]);
+  });
+
+  describe("POST /api/polls/public/:shareLink/report", () => {
+    test("records one report per reporter", async () => {
+      await report(reporters[0], { reason: "spam", details: "  Phishing link  " }).expect(201);
+      await report(reporters[0], { reason: "offensive" }).expect(409);
+      await report(reporters[1], { reason: "rude" }).expect(400);
+
+      const reports = await PollReport.findAll({ where: { pollId: testPoll.id } });
+      expect(reports.length).toBe(1);
+      expect(reports[0]).toMatchObject({
+        reason: "spam",
+        details: "Phishing link",
+        reporterId: reporters[0].id,
+        status: "open",
+      });
+    });
+
+    test("accepts anonymous reports, one per browser", async () => {
+      const agent = request.agent(app);
+      const url = `/api/polls/public/${testPoll.shareLink}/report`;
+
+      await agent.post(url).send({ reason: "misleading" }).expect(201);
+      await agent.post(url).send({ reason: "misleading" }).expect(409);
+    });
+
+    test("hides a poll from Discover Polls once it passes the report threshold", async () => {
+      await report(reporters[0]).expect(201);
+      await report(reporters[1]).expect(201);
+
+      let publicPolls = await request(app).get("/api/polls/public").expect(200);
+      expect(publicPolls.body.length).toBe(1);
+
+      await report(reporters[2]).expect(201);
+
+      publicPolls = await request(app).get("/api/polls/public").expect(200);
+      expect(publicPolls.body).toEqual([]);
+      // The share link still works until an admin takes the poll down
+      await request(app).get(`/api/polls/public/${testPoll.shareLink}`).expect(200);
+    });
+
+    test("doesn't let anonymous reports hide a poll", async () => {
+      const url = `/api/polls/public/${testPoll.shareLink}/report`;
+      // Each request without cookies looks like a new browser
+      for (let i = 0; i < 3; i++) {
+        await request(app).post(url).send({ reason: "spam" }).expect(201);
+      }
+      await report(reporters[0]).expect(201);
+
+      const publicPolls = await request(app).get("/api/polls/public").expect(200);
+      expect(publicPolls.body.length).toBe(1);
+      expect(await PollReport.count({ where: { pollId: testPoll.id } })).toBe(4);
+    });
+  });
+
+  describe("moderation queue", () => {
+    beforeEach(async () => {
+      await Promise.all(reporters.map((reporter) => report(reporter).expect(201)));
+    });
+
+    test("lists reported polls for admins", async () => {
+      await as(reporters[0], request(app).get("/api/admin/reports")).expect(403);
+
+      const response = await as(admin, request(app).get("/api/admin/reports")).expect(200);
+
+      expect(response.body.length).toBe(1);
+      expect(response.body[0].poll).toMatchObject({ id: testPoll.id, creator: { id: admin.id } });
+      expect(response.body[0].reports.length).toBe(3);
+    });
+
+    test("dismissing reports returns the poll to Discover Polls", async () => {
+      const response = await as(
+        admin,
+        request(app).post(`/api/admin/reports/${testPoll.id}/dismiss`)
+      ).expect(200);
+      expect(response.body.dismissed).toBe(3);
+
+      const publicPolls = await request(app).get("/api/polls/public").expect(200);
+      expect(publicPolls.body.length).toBe(1);
+      const queue = await as(admin, request(app).get("/api/admin/reports")).expect(200);
+      expect(queue.body).toEqual([]);
+    });
+
+    test("taking the poll down resolves its reports", async () => {
+      await as(admin, request(app).post(`/api/admin/polls/${testPoll.id}/takedown`))
+        .send({ reason: "Scam" })
+        .expect(200);
+
+      expect(await PollReport.count({ where: { status: "actioned" } })).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const request = require("supertest");
+const app = require("../../app");
+const { db, User, Poll, PollOption, Ballot, Ranking, Voter } = require("../../database");
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+describe("Voter Roll API Routes", () => {
+  let authToken;
+  let testUser;
+  let testPoll;
+  let options;
+
+  beforeAll(async () => {
+    await db.sync({ force: true });
+
+    testUser = await User.create({
+      username: "testuser",
+      passwordHash: User.hashPassword("testpass123"),
+    });
+
+    authToken = jwt.sign({ id: testUser.id, username: testUser.username }, JWT_SECRET, {
+      expiresIn: "1h",
+    });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await Ranking.destroy({ where: {} });
+    await Ballot.destroy({ where: {} });
+    await Voter.destroy({ where: {} });
+    await PollOption.destroy({ where: {} });
+    await Poll.destroy({ where: {} });
+
+    testPoll = await Poll.create({
+      title: "Board Election",
+      status: "published",
+      creatorId: testUser.id,
+    });
+    testPoll.generateShareLink();
+    await testPoll.save();
+
+    options = await PollOption.bulkCreate([
+      { text: "Option 1", pollId: testPoll.id },
+      { text: "Option 2", pollId: testPoll.id },
+    ]);
+  });
+
+  const vote = (body) =>
+    request(app)
+      .post(`/api/polls/public/${testPoll.shareLink}/vote`)
+      .send({
+        rankings: [
+          { pollOptionId: options[0].id, rank: 1 },
+          { pollOptionId: options[1].id, rank: 2 },
+        ],
+        ...body,
+      });
+
+  describe("POST /api/polls/:id/voters", () => {
+    test("requires authentication", async () => {
+      await request(app).post(`/api/polls/${testPoll.id}/voters`).send({}).expect(401);
+    });
+
+    test("adds emails from a list and a CSV, skipping duplicates and invalid entries", async () => {
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/voters`)
+        .set("Cookie", `token=${authToken}`)
+        .send({
+          emails: "ana@example.com, not-an-email",
+          csv: 'name,email\n"Lee, Sam",sam@example.com\nAna,ANA@example.com\n',
+        })
+        .expect(201);
+
+      expect(response.body.added.map((voter) => voter.email)).toEqual([
+        "ana@example.com",
+        "sam@example.com",
+      ]);
+      expect(response.body.invalid).toEqual(["not-an-email"]);
+      expect(response.body.added[0].token).not.toEqual(response.body.added[1].token);
+
+      const again = await request(app)
+        .post(`/api/polls/${testPoll.id}/voters`)
+        .set("Cookie", `token=${authToken}`)
+        .send({ emails: ["sam@example.com"] })
+        .expect(201);
+
+      expect(again.body.added).toHaveLength(0);
+      expect(again.body.skipped).toEqual(["sam@example.com"]);
+    });
+
+    test("rejects addresses the Voter model would refuse instead of failing the batch", async () => {
+      const response = await request(app)
+        .post(`/api/polls/${testPoll.id}/voters`)
+        .set("Cookie", `token=${authToken}`)
+        .send({ emails: "ok@x.com a@b.c a..b@c.com x@-y.com" })
+        .expect(201);
+
+      expect(response.body.added.map((voter) => voter.email)).toEqual(["ok@x.com"]);
+      expect(response.body.invalid).toEqual(["a@b.c", "a..b@c.com", "x@-y.com"]);
+    });
+  });
+
+  describe("voting with a roll", () => {
+    let voter;
+
+    beforeEach(async () => {
+      voter = await Voter.create({ email: "ana@example.com", pollId: testPoll.id });
+    });
+
+    test("tells voters a token is required", async () => {
+      const response = await request(app)
+        .get(`/api/polls/public/${testPoll.shareLink}`)
+        .expect(200);
+
+      expect(response.body.requiresToken).toBe(true);
+    });
+
+    test("rejects ballots without a valid token", async () => {
+      await vote({}).expect(403);
+      await vote({ token: "wrong" }).expect(403);
+    });
+
+    test("spends the token and rejects reuse", async () => {
+      await vote({ token: voter.token }).expect(201);
+      await voter.reload();
+      expect(voter.usedAt).not.toBeNull();
+
+      const response = await vote({ token: voter.token }).expect(409);
+      expect(response.body.error).toContain("already been used");
+      expect(await Ballot.count()).toBe(1);
+    });
+
+    test("reports turnout against the roll", async () => {
+      await Voter.create({ email: "sam@example.com", pollId: testPoll.id });
+      await vote({ token: voter.token }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/polls/${testPoll.id}/voters`)
+        .set("Cookie", `token=${authToken}`)
+        .expect(200);
+
+      expect(response.body.turnout).toEqual({ eligible: 2, voted: 1 });
+      // Who voted, but not when, so roll entries can't be matched to ballots by time
+      expect(response.body.voters.map(({ email, voted }) => [email, voted])).toEqual([
+        ["ana@example.com", true],
+        ["sam@example.com", false],
+      ]);
+      response.body.voters.forEach((entry) => expect(entry).not.toHaveProperty("usedAt"));
+    });
+
+    test("cannot remove a voter who has voted", async () => {
+      await vote({ token: voter.token }).expect(201);
+
+      await request(app)
+        .delete(`/api/polls/${testPoll.id}/voters/${voter.id}`)
+        .set("Cookie", `token=${authToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,342 @@
+const express = require("express");
+const router = express.Router();
+const { Op } = require("sequelize");
+const {
+  User,
+  Poll,
+  PollRevision,
+  PollReport,
+  Ballot,
+  Organization,
+  db,
+} = require("../database");
+const { authenticateJWT, requireAdmin } = require("../auth");
+const { dropLostFollowers, emitPollStatus } = require("../socket-server");
+
+// Most rows a search returns; admins narrow the search to find anything older
+const SEARCH_LIMIT = 50;
+
+const USER_ATTRIBUTES = ["id", "username", "email", "isAdmin", "suspendedAt", "createdAt"];
+
+const POLL_ATTRIBUTES = [
+  "id",
+  "title",
+  "status",
+  "visibility",
+  "shareLink",
+  "archivedAt",
+  "takenDownAt",
+  "takedownReason",
+  "flaggedAt",
+  "createdAt",
+];
+
+// Values the poll search accepts for ?status= (empty means any); taken_down matches on takenDownAt
+const POLL_STATUS_FILTERS = ["draft", "published", "closed", "taken_down"];
+
+// Case-insensitive "contains" match on any of the given fields, or no filter for an empty query
+const searchWhere = (query, fields) => {
+  const term = typeof query === "string" ? query.trim() : "";
+  if (!term) return {};
+  return { [Op.or]: fields.map((field) => ({ [field]: { [Op.iLike]: `%${term}%` } })) };
+};
+
+// Record a moderation action in the poll's edit history, so its owners can see what happened
+const recordModeration = (req, poll, action, details, transaction) =>
+  PollRevision.create({ pollId: poll.id, userId: req.user.id, action, details }, { transaction });
+
+const findUser = (req) => User.findByPk(req.params.userId, { attributes: USER_ATTRIBUTES });
+
+// GET /api/admin/stats - Get site-wide counts of users, polls, ballots, organizations and open reports (admins only)
+router.get("/stats", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const [
+      users,
+      admins,
+      suspended,
+      pollStatuses,
+      publicPolls,
+      archived,
+      takenDown,
+      ballots,
+      organizations,
+      openReports,
+    ] = await Promise.all([
+      User.count(),
+      User.count({ where: { isAdmin: true } }),
+      User.count({ where: { suspendedAt: { [Op.ne]: null } } }),
+      Poll.count({ group: ["status"] }),
+      Poll.count({ where: { visibility: "public", status: "published" } }),
+      Poll.count({ where: { archivedAt: { [Op.ne]: null } } }),
+      Poll.count({ where: { takenDownAt: { [Op.ne]: null } } }),
+      Ballot.count(),
+      Organization.count(),
+      PollReport.count({ where: { status: "open" } }),
+    ]);
+    const byStatus = Object.fromEntries(
+      pollStatuses.map(({ status, count }) => [status, Number(count)])
+    );
+
+    res.json({
+      users: { total: users, admins, suspended },
+      polls: {
+        total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        draft: byStatus.draft || 0,
+        published: byStatus.published || 0,
+        closed: byStatus.closed || 0,
+        public: publicPolls,
+        archived,
+        takenDown,
+      },
+      ballots,
+      organizations,
+      openReports,
+    });
+  } catch (error) {
+    console.error("Error fetching site stats:", error);
+    res.status(500).json({ error: "Failed to fetch site stats" });
+  }
+});
+
+// GET /api/admin/users - Search users by username or email with ?q= (admins only)
+router.get("/users", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const users = await User.findAll({
+      where: searchWhere(req.query.q, ["username", "email"]),
+      attributes: USER_ATTRIBUTES,
+      order: [["createdAt", "DESC"]],
+      limit: SEARCH_LIMIT,
+    });
+
+    res.json(users);
+  } catch (error) {
+    console.error("Error searching users:", error);
+    res.status(500).json({ error: "Failed to search users" });
+  }
+});
+
+// POST /api/admin/users/:userId/suspend - Suspend a user's account (admins only)
+router.post("/users/:userId/suspend", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const user = await findUser(req);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: "You can't suspend your own account" });
+    }
+
+    if (user.isAdmin) {
+      return res.status(400).json({ error: "Administrators can't be suspended" });
+    }
+
+    if (!user.suspendedAt) {
+      await user.update({ suspendedAt: new Date() });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({ error: "Failed to suspend user" });
+  }
+});
+
+// POST /api/admin/users/:userId/unsuspend - Lift a user's suspension (admins only)
+router.post("/users/:userId/unsuspend", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const user = await findUser(req);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await user.update({ suspendedAt: null });
+
+    res.json(user);
+  } catch (error) {
+    console.error("Error lifting user suspension:", error);
+    res.status(500).json({ error: "Failed to lift suspension" });
+  }
+});
+
+// GET /api/admin/polls - Search every poll by title with ?q=, optionally filtered by ?status= (admins only)
+router.get("/polls", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !POLL_STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    const where = searchWhere(req.query.q, ["title"]);
+    if (status === "taken_down") {
+      where.takenDownAt = { [Op.ne]: null };
+    } else if (status) {
+      where.status = status;
+    }
+
+    const polls = await Poll.findAll({
+      where,
+      attributes: POLL_ATTRIBUTES,
+      include: [{ model: User, as: "creator", attributes: ["id", "username"] }],
+      order: [["createdAt", "DESC"]],
+      limit: SEARCH_LIMIT,
+    });
+
+    res.json(polls);
+  } catch (error) {
+    console.error("Error searching polls:", error);
+    res.status(500).json({ error: "Failed to search polls" });
+  }
+});
+
+// POST /api/admin/polls/:pollId/unpublish - Move a published poll back to draft, closing its share link (admins only)
+router.post("/polls/:pollId/unpublish", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const poll = await Poll.findByPk(req.params.pollId);
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    if (poll.status !== "published") {
+      return res.status(400).json({ error: "Only published polls can be unpublished" });
+    }
+
+    // The reason is optional, so the request may have no body at all
+    const reason = (typeof req.body?.reason === "string" && req.body.reason.trim()) || null;
+    await db.transaction(async (t) => {
+      await poll.update({ status: "draft" }, { transaction: t });
+      await recordModeration(req, poll, "unpublished", { reason }, t);
+    });
+    emitPollStatus(poll);
+    await dropLostFollowers(poll);
+
+    res.json({ message: "Poll unpublished", poll });
+  } catch (error) {
+    console.error("Error unpublishing poll:", error);
+    res.status(500).json({ error: "Failed to unpublish poll" });
+  }
+});
+
+// POST /api/admin/polls/:pollId/takedown - Take an abusive poll down until an admin reinstates it (admins only)
+router.post("/polls/:pollId/takedown", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required to take down a poll" });
+    }
+
+    const poll = await Poll.findByPk(req.params.pollId);
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    if (poll.takenDownAt) {
+      return res.status(400).json({ error: "Poll is already taken down" });
+    }
+
+    await db.transaction(async (t) => {
+      await poll.update({ takenDownAt: new Date(), takedownReason: reason }, { transaction: t });
+      await recordModeration(req, poll, "taken_down", { reason }, t);
+      // Taking the poll down deals with everything visitors reported about it
+      await PollReport.update(
+        { status: "actioned" },
+        { where: { pollId: poll.id, status: "open" }, transaction: t }
+      );
+    });
+    await dropLostFollowers(poll);
+
+    res.json({ message: "Poll taken down", poll });
+  } catch (error) {
+    console.error("Error taking down poll:", error);
+    res.status(500).json({ error: "Failed to take down poll" });
+  }
+});
+
+// POST /api/admin/polls/:pollId/reinstate - Make a taken-down poll reachable again (admins only)
+router.post("/polls/:pollId/reinstate", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const poll = await Poll.findByPk(req.params.pollId);
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    if (!poll.takenDownAt) {
+      return res.status(400).json({ error: "Poll is not taken down" });
+    }
+
+    await db.transaction(async (t) => {
+      await poll.update({ takenDownAt: null, takedownReason: null }, { transaction: t });
+      await recordModeration(req, poll, "reinstated", {}, t);
+    });
+
+    res.json({ message: "Poll reinstated", poll });
+  } catch (error) {
+    console.error("Error reinstating poll:", error);
+    res.status(500).json({ error: "Failed to reinstate poll" });
+  }
+});
+
+// GET /api/admin/reports - Get the moderation queue: polls with open reports, most reported first (admins only)
+router.get("/reports", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const reports = await PollReport.findAll({
+      where: { status: "open" },
+      attributes: ["id", "pollId", "reason", "details", "createdAt"],
+      include: [
+        {
+          model: Poll,
+          as: "poll",
+          attributes: POLL_ATTRIBUTES,
+          include: [{ model: User, as: "creator", attributes: ["id", "username"] }],
+        },
+      ],
+      order: [["createdAt", "ASC"]],
+    });
+
+    const queue = new Map();
+    reports.forEach((report) => {
+      const { poll, ...details } = report.toJSON();
+      if (!queue.has(poll.id)) {
+        queue.set(poll.id, { poll, reports: [] });
+      }
+      queue.get(poll.id).reports.push(details);
+    });
+
+    res.json([...queue.values()].sort((a, b) => b.reports.length - a.reports.length));
+  } catch (error) {
+    console.error("Error fetching moderation queue:", error);
+    res.status(500).json({ error: "Failed to fetch moderation queue" });
+  }
+});
+
+// POST /api/admin/reports/:pollId/dismiss - Dismiss a poll's open reports, returning it to Discover Polls (admins only)
+router.post("/reports/:pollId/dismiss", authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const poll = await Poll.findByPk(req.params.pollId);
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    const [dismissed] = await db.transaction(async (t) => {
+      await poll.update({ flaggedAt: null }, { transaction: t });
+      return PollReport.update(
+        { status: "dismissed" },
+        { where: { pollId: poll.id, status: "open" }, transaction: t }
+      );
+    });
+
+    res.json({ message: "Reports dismissed", dismissed });
+  } catch (error) {
+    console.error("Error dismissing reports:", error);
+    res.status(500).json({ error: "Failed to dismiss reports" });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,18 @@ const express = require("express");
 const router = express.Router();
 const testDbRouter = require("./test-db");
 const pollsRouter = require("./polls");
+const votersRouter = require("./voters");
+const optionsRouter = require("./options");
+const membersRouter = require("./members");
+const organizationsRouter = require("./organizations");
+const adminRouter = require("./admin");
 
 router.use("/test-db", testDbRouter);
+router.use("/polls/:id/voters", votersRouter);
+router.use("/polls/:id/options", optionsRouter);
+router.use("/polls/:id/members", membersRouter);
 router.use("/polls", pollsRouter);
+router.use("/organizations", organizationsRouter);
+router.use("/admin", adminRouter);
 
 module.exports = router;
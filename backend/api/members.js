@@ -0,0 +1,158 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { PollMember, PollRevision, User, db } = require("../database");
+const { authenticateJWT, requirePollRole, POLL_ROLES } = require("../auth");
+const { dropLostFollowers } = require("../socket-server");
+
+const memberIncludes = [
+  { model: User, as: "user", attributes: ["id", "username"] },
+  { model: User, as: "invitedBy", attributes: ["id", "username"] },
+];
+
+const ROLE_ERROR = `Role must be one of: ${POLL_ROLES.join(", ")}`;
+
+// Record a membership change in the poll's edit history
+const recordMemberRevision = (req, action, details, transaction) =>
+  PollRevision.create(
+    { pollId: req.poll.id, userId: req.user.id, action, details },
+    { transaction }
+  );
+
+const findMember = (req) =>
+  PollMember.findOne({
+    where: { id: req.params.memberId, pollId: req.poll.id },
+    include: memberIncludes,
+  });
+
+// GET /api/polls/:id/members - Get the poll's creator and the users it is shared with (any poll member)
+router.get("/", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  try {
+    const creator = await User.findByPk(req.poll.creatorId, { attributes: ["id", "username"] });
+    const members = await PollMember.findAll({
+      where: { pollId: req.poll.id },
+      include: memberIncludes,
+      order: [["createdAt", "ASC"]],
+    });
+
+    res.json({ creator, members, role: req.pollRole });
+  } catch (error) {
+    console.error("Error fetching poll members:", error);
+    res.status(500).json({ error: "Failed to fetch poll members" });
+  }
+});
+
+// POST /api/polls/:id/members - Share the poll with a user by username (poll owners only)
+router.post("/", authenticateJWT, requirePollRole("owner"), async (req, res) => {
+  try {
+    const { username, role } = req.body;
+
+    if (!POLL_ROLES.includes(role)) {
+      return res.status(400).json({ error: ROLE_ERROR });
+    }
+
+    const user =
+      typeof username === "string" && username.trim()
+        ? await User.findOne({ where: { username: username.trim() } })
+        : null;
+
+    if (!user) {
+      return res.status(404).json({ error: "No user with that username" });
+    }
+
+    if (user.id === req.poll.creatorId) {
+      return res.status(400).json({ error: "That user created this poll" });
+    }
+
+    if (await PollMember.count({ where: { pollId: req.poll.id, userId: user.id } })) {
+      return res.status(409).json({ error: "This poll is already shared with that user" });
+    }
+
+    const member = await db.transaction(async (t) => {
+      const newMember = await PollMember.create(
+        { pollId: req.poll.id, userId: user.id, invitedById: req.user.id, role },
+        { transaction: t }
+      );
+      await recordMemberRevision(
+        req,
+        "member_added",
+        { memberId: newMember.id, username: user.username, role },
+        t
+      );
+      return newMember;
+    });
+
+    res.status(201).json(await PollMember.findByPk(member.id, { include: memberIncludes }));
+  } catch (error) {
+    console.error("Error adding poll member:", error);
+    res.status(500).json({ error: "Failed to add poll member" });
+  }
+});
+
+// PUT /api/polls/:id/members/:memberId - Change a member's role (poll owners only)
+router.put("/:memberId", authenticateJWT, requirePollRole("owner"), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!POLL_ROLES.includes(role)) {
+      return res.status(400).json({ error: ROLE_ERROR });
+    }
+
+    const member = await findMember(req);
+
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+
+    if (member.role !== role) {
+      const details = {
+        memberId: member.id,
+        username: member.user.username,
+        from: member.role,
+        to: role,
+      };
+      await db.transaction(async (t) => {
+        await member.update({ role }, { transaction: t });
+        await recordMemberRevision(req, "member_role_changed", details, t);
+      });
+    }
+
+    res.json(member);
+  } catch (error) {
+    console.error("Error changing poll member role:", error);
+    res.status(500).json({ error: "Failed to change member role" });
+  }
+});
+
+// DELETE /api/polls/:id/members/:memberId - Stop sharing the poll with a member (poll owners,
+// or members removing themselves)
+router.delete("/:memberId", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  try {
+    const member = await findMember(req);
+
+    if (!member) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+
+    if (req.pollRole !== "owner" && member.userId !== req.user.id) {
+      return res.status(403).json({ error: "Only the poll's owners can do that" });
+    }
+
+    await db.transaction(async (t) => {
+      await member.destroy({ transaction: t });
+      await recordMemberRevision(
+        req,
+        "member_removed",
+        { memberId: member.id, username: member.user.username, role: member.role },
+        t
+      );
+    });
+    await dropLostFollowers(req.poll);
+
+    res.json({ message: "Member removed" });
+  } catch (error) {
+    console.error("Error removing poll member:", error);
+    res.status(500).json({ error: "Failed to remove poll member" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { PollOption, PollRevision, Ballot, Ranking, db } = require("../database");
+const { authenticateJWT, requirePollRole } = require("../auth");
+
+// A poll's options in display order
+const findPollOptions = async (poll) => {
+  const pollOptions = await PollOption.findAll({
+    where: { pollId: poll.id },
+    attributes: ["id", "text", "position"],
+  });
+  return pollOptions.sort(PollOption.byPosition);
+};
+
+// Returns an error message if the option text is missing or repeats another option's text
+const validateOptionText = (text, pollOptions, optionId = null) => {
+  if (typeof text !== "string" || !text.trim()) {
+    return "Option text is required";
+  }
+
+  const normalized = text.trim().toLowerCase();
+  const duplicate = pollOptions.some(
+    (option) => option.id !== optionId && option.text.trim().toLowerCase() === normalized
+  );
+  return duplicate ? "An option with that text already exists" : null;
+};
+
+const DRAFT_ONLY_ERROR = "Options can only be changed while the poll is a draft";
+
+// POST /api/polls/:id/options - Add an option to a draft poll
+router.post("/", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.status !== "draft") {
+      return res.status(400).json({ error: DRAFT_ONLY_ERROR });
+    }
+
+    const pollOptions = await findPollOptions(poll);
+    const textError = validateOptionText(req.body.text, pollOptions);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+
+    const position = pollOptions.length > 0 ? pollOptions.at(-1).position + 1 : 0;
+    const option = await db.transaction(async (t) => {
+      const newOption = await PollOption.create(
+        { text: req.body.text.trim(), position, pollId: poll.id },
+        { transaction: t }
+      );
+      await PollRevision.create(
+        {
+          pollId: poll.id,
+          userId: req.user.id,
+          action: "option_added",
+          details: { optionId: newOption.id, text: newOption.text },
+        },
+        { transaction: t }
+      );
+      return newOption;
+    });
+
+    res.status(201).json(option);
+  } catch (error) {
+    console.error("Error adding option:", error);
+    res.status(500).json({ error: "Failed to add option" });
+  }
+});
+
+// POST /api/polls/:id/options/write-in - Add a write-in option to a published poll.
+// Ballots cast before the write-in never ranked it, so they keep treating it as unranked.
+router.post("/write-in", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.archivedAt) {
+      return res.status(400).json({ error: "Restore this poll before adding write-in options" });
+    }
+    if (poll.takenDownAt) {
+      return res.status(400).json({ error: "Cannot add write-in options to a taken down poll" });
+    }
+    if (poll.status !== "published") {
+      return res.status(400).json({
+        error: "Write-in options can only be added to a published poll",
+      });
+    }
+
+    const pollOptions = await findPollOptions(poll);
+    const textError = validateOptionText(req.body.text, pollOptions);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+
+    const existingBallots = await Ballot.count({ where: { pollId: poll.id } });
+    const position = pollOptions.length > 0 ? pollOptions.at(-1).position + 1 : 0;
+
+    const { option, revision } = await db.transaction(async (t) => {
+      const newOption = await PollOption.create(
+        { text: req.body.text.trim(), position, pollId: poll.id },
+        { transaction: t }
+      );
+      const newRevision = await PollRevision.create(
+        {
+          pollId: poll.id,
+          userId: req.user.id,
+          action: "write_in_added",
+          details: {
+            optionId: newOption.id,
+            text: newOption.text,
+            existingBallots,
+            ballotHandling: "unranked",
+          },
+        },
+        { transaction: t }
+      );
+      return { option: newOption, revision: newRevision };
+    });
+
+    res.status(201).json({ option, revision });
+  } catch (error) {
+    console.error("Error adding write-in option:", error);
+    res.status(500).json({ error: "Failed to add write-in option" });
+  }
+});
+
+// PUT /api/polls/:id/options/order - Reorder a draft poll's options
+router.put("/order", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.status !== "draft") {
+      return res.status(400).json({ error: DRAFT_ONLY_ERROR });
+    }
+
+    const { optionIds } = req.body;
+    const pollOptions = await findPollOptions(poll);
+    const currentIds = pollOptions.map((option) => option.id);
+    const isPermutation =
+      Array.isArray(optionIds) &&
+      optionIds.length === currentIds.length &&
+      new Set(optionIds).size === optionIds.length &&
+      optionIds.every((id) => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({ error: "Option order must list every option exactly once" });
+    }
+
+    await db.transaction(async (t) => {
+      await Promise.all(
+        optionIds.map((id, position) =>
+          PollOption.update({ position }, { where: { id, pollId: poll.id }, transaction: t })
+        )
+      );
+      await PollRevision.create(
+        {
+          pollId: poll.id,
+          userId: req.user.id,
+          action: "options_reordered",
+          details: { from: currentIds, to: optionIds },
+        },
+        { transaction: t }
+      );
+    });
+
+    res.json(await findPollOptions(poll));
+  } catch (error) {
+    console.error("Error reordering options:", error);
+    res.status(500).json({ error: "Failed to reorder options" });
+  }
+});
+
+// PUT /api/polls/:id/options/:optionId - Rename an option on a draft poll
+router.put("/:optionId", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.status !== "draft") {
+      return res.status(400).json({ error: DRAFT_ONLY_ERROR });
+    }
+
+    const pollOptions = await findPollOptions(poll);
+    const option = pollOptions.find((opt) => opt.id === Number(req.params.optionId));
+
+    if (!option) {
+      return res.status(404).json({ error: "Option not found" });
+    }
+
+    const textError = validateOptionText(req.body.text, pollOptions, option.id);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+
+    const from = option.text;
+    await db.transaction(async (t) => {
+      await option.update({ text: req.body.text.trim() }, { transaction: t });
+      await PollRevision.create(
+        {
+          pollId: poll.id,
+          userId: req.user.id,
+          action: "option_renamed",
+          details: { optionId: option.id, from, to: option.text },
+        },
+        { transaction: t }
+      );
+    });
+
+    res.json(option);
+  } catch (error) {
+    console.error("Error renaming option:", error);
+    res.status(500).json({ error: "Failed to rename option" });
+  }
+});
+
+// DELETE /api/polls/:id/options/:optionId - Remove an option from a draft poll
+router.delete("/:optionId", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.status !== "draft") {
+      return res.status(400).json({ error: DRAFT_ONLY_ERROR });
+    }
+
+    const pollOptions = await findPollOptions(poll);
+    const option = pollOptions.find((opt) => opt.id === Number(req.params.optionId));
+
+    if (!option) {
+      return res.status(404).json({ error: "Option not found" });
+    }
+
+    const remaining = pollOptions.length - 1;
+    if (remaining < 2) {
+      return res.status(400).json({ error: "A poll needs at least 2 options" });
+    }
+    if (poll.seats >= remaining) {
+      return res.status(400).json({ error: "Seats must be fewer than the number of options" });
+    }
+    if (poll.minRankings && poll.minRankings > remaining) {
+      return res.status(400).json({
+        error: "Minimum rankings cannot exceed the number of options",
+      });
+    }
+
+    // A poll moved back to draft may already have ballots that rank this option
+    if ((await Ranking.count({ where: { pollOptionId: option.id } })) > 0) {
+      return res.status(400).json({ error: "Cannot remove an option that ballots have ranked" });
+    }
+
+    await db.transaction(async (t) => {
+      await option.destroy({ transaction: t });
+      await PollRevision.create(
+        {
+          pollId: poll.id,
+          userId: req.user.id,
+          action: "option_removed",
+          details: { optionId: option.id, text: option.text },
+        },
+        { transaction: t }
+      );
+    });
+
+    res.json({ message: "Option removed" });
+  } catch (error) {
+    console.error("Error removing option:", error);
+    res.status(500).json({ error: "Failed to remove option" });
+  }
+});
+
+module.exports = router;
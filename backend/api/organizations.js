@@ -0,0 +1,250 @@
+const express = require("express");
+const router = express.Router();
+const { Organization, OrganizationMember, Poll, User, db } = require("../database");
+const {
+  authenticateJWT,
+  requireOrganizationRole,
+  findOrganizationRole,
+  ORGANIZATION_ROLES,
+} = require("../auth");
+const { dropLostFollowers } = require("../socket-server");
+
+const MAX_NAME_LENGTH = 100;
+
+const ROLE_ERROR = `Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`;
+
+const memberIncludes = [{ model: User, as: "user", attributes: ["id", "username"] }];
+
+const findMember = (req) =>
+  OrganizationMember.findOne({
+    where: { id: req.params.memberId, organizationId: req.params.organizationId },
+    include: memberIncludes,
+  });
+
+// Whether taking this member's admin role away would leave the organization without one
+const isLastAdmin = async (member) =>
+  member.role === "admin" &&
+  (await OrganizationMember.count({
+    where: { organizationId: member.organizationId, role: "admin" },
+  })) === 1;
+
+// GET /api/organizations - Get the organizations the user belongs to and their active workspace
+router.get("/", authenticateJWT, async (req, res) => {
+  try {
+    const memberships = await OrganizationMember.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Organization, as: "organization", attributes: ["id", "name"] }],
+      order: [[{ model: Organization, as: "organization" }, "name", "ASC"]],
+    });
+    const organizations = memberships.map((member) => ({
+      id: member.organization.id,
+      name: member.organization.name,
+      role: member.role,
+    }));
+
+    // A workspace the user has since left falls back to their personal one
+    const user = await User.findByPk(req.user.id, { attributes: ["activeOrganizationId"] });
+    const activeOrganizationId = organizations.some(
+      (organization) => organization.id === user.activeOrganizationId
+    )
+      ? user.activeOrganizationId
+      : null;
+
+    res.json({ organizations, activeOrganizationId });
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    res.status(500).json({ error: "Failed to fetch organizations" });
+  }
+});
+
+// POST /api/organizations - Create an organization with the user as its first admin
+router.post("/", authenticateJWT, async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name) {
+      return res.status(400).json({ error: "Organization name is required" });
+    }
+
+    if (name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        error: `Organization name must be ${MAX_NAME_LENGTH} characters or fewer`,
+      });
+    }
+
+    const organization = await db.transaction(async (t) => {
+      const newOrganization = await Organization.create({ name }, { transaction: t });
+      await OrganizationMember.create(
+        { organizationId: newOrganization.id, userId: req.user.id, role: "admin" },
+        { transaction: t }
+      );
+      return newOrganization;
+    });
+
+    res.status(201).json({ id: organization.id, name: organization.name, role: "admin" });
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    res.status(500).json({ error: "Failed to create organization" });
+  }
+});
+
+// PUT /api/organizations/active - Switch the user's workspace to an organization, or to their
+// personal polls with organizationId null
+router.put("/active", authenticateJWT, async (req, res) => {
+  try {
+    const organizationId = req.body.organizationId ?? null;
+
+    if (organizationId !== null && !(await findOrganizationRole(organizationId, req.user.id))) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    await User.update({ activeOrganizationId: organizationId }, { where: { id: req.user.id } });
+
+    res.json({ activeOrganizationId: organizationId });
+  } catch (error) {
+    console.error("Error switching workspace:", error);
+    res.status(500).json({ error: "Failed to switch workspace" });
+  }
+});
+
+// GET /api/organizations/:organizationId - Get an organization with its members (any member)
+router.get(
+  "/:organizationId",
+  authenticateJWT,
+  requireOrganizationRole("member"),
+  async (req, res) => {
+    try {
+      const organization = await Organization.findByPk(req.params.organizationId, {
+        include: [{ model: OrganizationMember, as: "members", include: memberIncludes }],
+        order: [[{ model: OrganizationMember, as: "members" }, "createdAt", "ASC"]],
+      });
+
+      res.json({ ...organization.toJSON(), role: req.organizationRole });
+    } catch (error) {
+      console.error("Error fetching organization:", error);
+      res.status(500).json({ error: "Failed to fetch organization" });
+    }
+  }
+);
+
+// POST /api/organizations/:organizationId/members - Add a user by username (organization admins only)
+router.post(
+  "/:organizationId/members",
+  authenticateJWT,
+  requireOrganizationRole("admin"),
+  async (req, res) => {
+    try {
+      const { username, role = "member" } = req.body;
+
+      if (!ORGANIZATION_ROLES.includes(role)) {
+        return res.status(400).json({ error: ROLE_ERROR });
+      }
+
+      const user =
+        typeof username === "string" && username.trim()
+          ? await User.findOne({ where: { username: username.trim() } })
+          : null;
+
+      if (!user) {
+        return res.status(404).json({ error: "No user with that username" });
+      }
+
+      const { organizationId } = req.params;
+      if (await OrganizationMember.count({ where: { organizationId, userId: user.id } })) {
+        return res.status(409).json({ error: "That user is already in this organization" });
+      }
+
+      const member = await OrganizationMember.create({ organizationId, userId: user.id, role });
+
+      res.status(201).json(
+        await OrganizationMember.findByPk(member.id, { include: memberIncludes })
+      );
+    } catch (error) {
+      console.error("Error adding organization member:", error);
+      res.status(500).json({ error: "Failed to add organization member" });
+    }
+  }
+);
+
+// PUT /api/organizations/:organizationId/members/:memberId - Change a member's role (organization admins only)
+router.put(
+  "/:organizationId/members/:memberId",
+  authenticateJWT,
+  requireOrganizationRole("admin"),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      if (!ORGANIZATION_ROLES.includes(role)) {
+        return res.status(400).json({ error: ROLE_ERROR });
+      }
+
+      const member = await findMember(req);
+
+      if (!member) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      if (role !== "admin" && (await isLastAdmin(member))) {
+        return res.status(400).json({ error: "An organization needs at least one admin" });
+      }
+
+      await member.update({ role });
+
+      res.json(member);
+    } catch (error) {
+      console.error("Error changing organization member role:", error);
+      res.status(500).json({ error: "Failed to change member role" });
+    }
+  }
+);
+
+// DELETE /api/organizations/:organizationId/members/:memberId - Remove a member (organization
+// admins, or members leaving)
+router.delete(
+  "/:organizationId/members/:memberId",
+  authenticateJWT,
+  requireOrganizationRole("member"),
+  async (req, res) => {
+    try {
+      const member = await findMember(req);
+
+      if (!member) {
+        return res.status(404).json({ error: "Member not found" });
+      }
+
+      if (req.organizationRole !== "admin" && member.userId !== req.user.id) {
+        return res.status(403).json({ error: "Only the organization's admins can do that" });
+      }
+
+      if (await isLastAdmin(member)) {
+        return res.status(400).json({ error: "An organization needs at least one admin" });
+      }
+
+      // Move the user back to their personal workspace if they were working in this one
+      await db.transaction(async (t) => {
+        await member.destroy({ transaction: t });
+        await User.update(
+          { activeOrganizationId: null },
+          {
+            where: { id: member.userId, activeOrganizationId: member.organizationId },
+            transaction: t,
+          }
+        );
+      });
+
+      // Former members may have been following the organization's polls
+      const polls = await Poll.findAll({ where: { organizationId: member.organizationId } });
+      for (const poll of polls) {
+        await dropLostFollowers(poll);
+      }
+
+      res.json({ message: "Member removed" });
+    } catch (error) {
+      console.error("Error removing organization member:", error);
+      res.status(500).json({ error: "Failed to remove organization member" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,24 +1,405 @@
 const express = require("express");
 const router = express.Router();
-const { Poll, PollOption, Ballot, Ranking, User, db } = require("../database");
-const { authenticateJWT } = require("../auth");
-const { calculateIRV } = require("../utils/irv");
+const {
+  Poll,
+  PollOption,
+  PollRevision,
+  ResultSnapshot,
+  Participation,
+  PollMember,
+  OrganizationMember,
+  PollReport,
+  Ballot,
+  Ranking,
+  User,
+  Voter,
+  db,
+} = require("../database");
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const {
+  authenticateJWT,
+  optionalAuth,
+  cookieSettings,
+  requirePollRole,
+  findOrganizationRole,
+  accessCookieName,
+  accessGrant,
+  checkPollAccess,
+} = require("../auth");
+const { isVotingMethod } = require("../utils/methods");
+const { TIE_BREAK_RULES, addManualDecision } = require("../utils/tieBreak");
+const { validateRankings } = require("../utils/rankings");
+const { analyzeRankings } = require("../utils/analytics");
+const { EXPORT_FORMATS, isExportFormat, toExportBallot } = require("../utils/export");
+const { isImportFormat, parseBallotFile } = require("../utils/import");
+const {
+  hasPollFollowers,
+  dropLostFollowers,
+  emitPollTally,
+  emitPollStatus,
+} = require("../socket-server");
+const { findPollBallots, tabulateStoredPoll, recordResultSnapshot } = require("../tally");
+const { diffSnapshots } = require("../utils/audit");
+const { computeReceipt, buildBulletinBoard, isReceipt } = require("../utils/receipts");
+const { shuffle, toSecretBallot } = require("../utils/anonymity");
+
+const DEDUP_POLICIES = ["none", "user", "browser", "email"];
+const RESULTS_VISIBILITIES = ["creator", "closed", "live"];
+const POLL_VISIBILITIES = ["public", "unlisted", "password", "users", "group", "organization"];
+
+// Shortest password a password-protected poll accepts
+const MIN_ACCESS_PASSWORD_LENGTH = 4;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+// Settings a duplicated poll inherits; its schedule, share link and ballots start fresh
+const DUPLICATED_SETTINGS = [
+  "votingMethod",
+  "approvalCutoff",
+  "seats",
+  "tieBreakRule",
+  "minRankings",
+  "dedupPolicy",
+  "resultsVisibility",
+  "anonymous",
+  "visibility",
+  "accessPasswordHash",
+  "groupDomain",
+];
+
+const REPORT_REASONS = ["spam", "offensive", "misleading", "other"];
+// Open reports from logged-in users that hide a poll from Discover Polls until an admin
+// reviews them. Anonymous reports only queue the poll, as clearing the browser cookie would
+// let one person report it again and again.
+const REPORT_THRESHOLD = 3;
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Ballots loaded per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+// Signed cookie that identifies a browser for the "browser" dedup policy
+const VOTER_COOKIE = "voterId";
+const voterCookieSettings = { ...cookieSettings, signed: true, maxAge: 365 * 24 * 60 * 60 * 1000 };
+
+// Signed cookie remembering that this browser entered a poll's password
+const accessCookieSettings = { ...cookieSettings, signed: true };
+
+// Where clause for polls accepting votes: published, not archived or taken down and not past
+// closesAt, even if the scheduler hasn't closed them yet
+const acceptingVotes = () => ({
+  status: "published",
+  archivedAt: null,
+  takenDownAt: null,
+  [Op.or]: [{ closesAt: null }, { closesAt: { [Op.gt]: new Date() } }],
+});
+
+// Whether voting on a poll has ended: closed, or past closesAt even if the scheduler hasn't
+// closed it yet
+const isEffectivelyClosed = (poll) =>
+  poll.status === "closed" || Boolean(poll.closesAt && poll.closesAt <= new Date());
+
+// Parse an optional timestamp setting: undefined = not provided, null/"" = clear it
+const parseTimestamp = (value) => {
+  if (value === undefined) return { provided: false };
+  if (value === null || value === "") return { provided: true, date: null };
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { provided: true, invalid: true } : { provided: true, date };
+};
+
+// Validate the voting and ballot settings in a create/update request body.
+// Returns { error } on failure, otherwise only the settings that were provided.
+const parsePollSettings = ({
+  votingMethod,
+  approvalCutoff,
+  seats,
+  tieBreakRule,
+  minRankings,
+  dedupPolicy,
+  resultsVisibility,
+  anonymous,
+  visibility,
+  accessPassword,
+  groupDomain,
+  opensAt,
+  closesAt,
+}) => {
+  const settings = {};
+
+  if (votingMethod !== undefined) {
+    if (!isVotingMethod(votingMethod)) {
+      return { error: "Invalid voting method" };
+    }
+    settings.votingMethod = votingMethod;
+  }
+
+  if (approvalCutoff !== undefined) {
+    if (approvalCutoff === null || approvalCutoff === "") {
+      settings.approvalCutoff = null;
+    } else {
+      const cutoff = parseInt(approvalCutoff);
+      if (!Number.isInteger(cutoff) || cutoff < 1) {
+        return { error: "Approval cutoff must be a positive whole number" };
+      }
+      settings.approvalCutoff = cutoff;
+    }
+  }
+
+  if (seats !== undefined) {
+    const seatCount = parseInt(seats);
+    if (!Number.isInteger(seatCount) || seatCount < 1) {
+      return { error: "Seats must be a positive whole number" };
+    }
+    settings.seats = seatCount;
+  }
+
+  if (tieBreakRule !== undefined) {
+    if (!TIE_BREAK_RULES.includes(tieBreakRule)) {
+      return { error: "Invalid tie-break rule" };
+    }
+    settings.tieBreakRule = tieBreakRule;
+  }
+
+  if (minRankings !== undefined) {
+    if (minRankings === null || minRankings === "") {
+      settings.minRankings = null;
+    } else {
+      const minimum = parseInt(minRankings);
+      if (!Number.isInteger(minimum) || minimum < 1) {
+        return { error: "Minimum rankings must be a positive whole number" };
+      }
+      settings.minRankings = minimum;
+    }
+  }
+
+  if (dedupPolicy !== undefined) {
+    if (!DEDUP_POLICIES.includes(dedupPolicy)) {
+      return { error: "Invalid duplicate-vote policy" };
+    }
+    settings.dedupPolicy = dedupPolicy;
+  }
+
+  if (resultsVisibility !== undefined) {
+    if (!RESULTS_VISIBILITIES.includes(resultsVisibility)) {
+      return { error: "Invalid results visibility" };
+    }
+    settings.resultsVisibility = resultsVisibility;
+  }
+
+  if (anonymous !== undefined) {
+    if (typeof anonymous !== "boolean") {
+      return { error: "Anonymous must be true or false" };
+    }
+    settings.anonymous = anonymous;
+  }
+
+  if (visibility !== undefined) {
+    if (!POLL_VISIBILITIES.includes(visibility)) {
+      return { error: "Invalid poll visibility" };
+    }
+    settings.visibility = visibility;
+  }
+
+  if (accessPassword !== undefined && accessPassword !== null && accessPassword !== "") {
+    if (typeof accessPassword !== "string" || accessPassword.length < MIN_ACCESS_PASSWORD_LENGTH) {
+      return {
+        error: `Poll password must be at least ${MIN_ACCESS_PASSWORD_LENGTH} characters`,
+      };
+    }
+    settings.accessPasswordHash = Poll.hashAccessPassword(accessPassword);
+  }
+
+  if (groupDomain !== undefined) {
+    const domain =
+      typeof groupDomain === "string" ? groupDomain.trim().toLowerCase().replace(/^@/, "") : "";
+    if (groupDomain !== null && domain !== "" && !DOMAIN_PATTERN.test(domain)) {
+      return { error: "Group domain must look like example.com" };
+    }
+    settings.groupDomain = domain || null;
+  }
+
+  const opening = parseTimestamp(opensAt);
+  if (opening.invalid) {
+    return { error: "Invalid opening time" };
+  }
+  if (opening.provided) {
+    settings.opensAt = opening.date;
+  }
+
+  const closing = parseTimestamp(closesAt);
+  if (closing.invalid) {
+    return { error: "Invalid closing time" };
+  }
+  if (closing.provided) {
+    settings.closesAt = closing.date;
+  }
+
+  return { settings };
+};
+
+// Check that the visibility settings the poll would end up with are complete
+const checkVisibilitySettings = (visibility, accessPasswordHash, groupDomain, organizationId) => {
+  if (visibility === "password" && !accessPasswordHash) {
+    return "Password-protected polls need a password";
+  }
+  if (visibility === "group" && !groupDomain) {
+    return "Group-only polls need an email domain";
+  }
+  if (visibility === "organization" && !organizationId) {
+    return "Only polls created in an organization workspace can be limited to its members";
+  }
+  return null;
+};
+
+// The organization workspace the user is working in, or null for their personal polls.
+// Ignores a workspace the user has since left.
+const findActiveOrganizationId = async (userId) => {
+  const user = await User.findByPk(userId, { attributes: ["activeOrganizationId"] });
+  const organizationId = user?.activeOrganizationId;
+  if (!organizationId) return null;
+  return (await findOrganizationRole(organizationId, userId)) ? organizationId : null;
+};
+
+// Work out the identity the poll's dedup policy checks for this voter.
+// Returns { status, error } if the voter can't be identified, otherwise { identityKey }
+// (null when the poll accepts repeat ballots).
+const resolveVoterIdentity = (poll, req, res) => {
+  switch (poll.dedupPolicy) {
+    case "user":
+      if (!req.user) {
+        return { status: 401, error: "Please log in to vote in this poll" };
+      }
+      return { identityKey: `user:${req.user.id}` };
+    case "email": {
+      const email = req.body.voterEmail?.trim().toLowerCase();
+      if (!email) {
+        return { status: 400, error: "An email address is required to vote in this poll" };
+      }
+      return { identityKey: `email:${email}` };
+    }
+    case "browser":
+      return { identityKey: browserIdentity(req, res) };
+    default:
+      return { identityKey: null };
+  }
+};
+
+// Identify this browser by its voter cookie, setting one if it has none yet
+const browserIdentity = (req, res) => {
+  let browserId = req.signedCookies[VOTER_COOKIE];
+  if (!browserId) {
+    browserId = crypto.randomBytes(16).toString("hex");
+    res.cookie(VOTER_COOKIE, browserId, voterCookieSettings);
+  }
+  return `browser:${browserId}`;
+};
+
+// Tabulate a poll and shape it the way the results pages expect
+const buildResultsResponse = async (poll) => {
+  const { options, ballotCount, results } = await tabulateStoredPoll(poll);
+
+  return {
+    poll: {
+      id: poll.id,
+      title: poll.title,
+      description: poll.description,
+      status: poll.status,
+      votingMethod: poll.votingMethod,
+      approvalCutoff: poll.approvalCutoff,
+      seats: poll.seats,
+      tieBreakRule: poll.tieBreakRule,
+      minRankings: poll.minRankings,
+      resultsVisibility: poll.resultsVisibility,
+      anonymous: poll.anonymous,
+      options,
+      ballotCount,
+    },
+    results,
+  };
+};
+
+// Push the latest tally to creators following the poll live. Secret-ballot polls only get
+// the ballot count, since a tally after each ballot would show how that voter ranked. A
+// failure here only affects the live view, so it is logged rather than surfaced to the voter.
+const broadcastTally = async (pollId) => {
+  if (!hasPollFollowers(pollId)) return;
+
+  try {
+    const poll = await Poll.findByPk(pollId, {
+      include: [{ model: PollOption, as: "options", attributes: ["id", "text", "position"] }],
+    });
+    if (poll.anonymous) {
+      const ballotCount = await Ballot.count({ where: { pollId: poll.id } });
+      emitPollTally(poll.id, { ballotCount, results: null });
+      return;
+    }
+    const { ballotCount, results } = await tabulateStoredPoll(poll);
+    emitPollTally(poll.id, { ballotCount, results });
+  } catch (error) {
+    console.error("Error broadcasting tally:", error);
+  }
+};
+
+// Find a poll whose bulletin board is public: closed, or past closesAt, not archived or taken
+// down, and visible to this request. Responds with the error and returns null otherwise.
+const findBulletinBoardPoll = async (req, res) => {
+  const poll = await Poll.findOne({
+    where: {
+      shareLink: req.params.shareLink,
+      status: { [Op.in]: ["published", "closed"] },
+      archivedAt: null,
+      takenDownAt: null,
+    },
+  });
+
+  if (!poll) {
+    res.status(404).json({ error: "Poll not found" });
+    return null;
+  }
+
+  const denied = await checkPollAccess(poll, req);
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error, access: denied.access });
+    return null;
+  }
+
+  if (!isEffectivelyClosed(poll)) {
+    res.status(403).json({ error: "The bulletin board is published once the poll closes" });
+    return null;
+  }
+
+  return poll;
+};
+
+// Chain the receipts of every ballot in a poll
+const buildPollBulletinBoard = async (poll) => {
+  const ballots = await findPollBallots(poll.id);
+  return buildBulletinBoard(ballots.map(computeReceipt));
+};
 
 // PUBLIC ROUTES (no authentication required) - Must come before parameterized routes!
 
-// GET /api/polls/public - Get all published polls (for discovering)
+// GET /api/polls/public - Get all published, publicly listed polls (for discovering)
 router.get("/public", async (req, res) => {
   try {
     const polls = await Poll.findAll({
-      where: {
-        status: "published",
-      },
-      attributes: ["id", "title", "description", "status", "shareLink", "createdAt", "updatedAt"],
+      where: { ...acceptingVotes(), visibility: "public", flaggedAt: null },
+      attributes: [
+        "id",
+        "title",
+        "description",
+        "status",
+        "shareLink",
+        "votingMethod",
+        "closesAt",
+        "createdAt",
+        "updatedAt",
+      ],
       include: [
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
         {
           model: Ballot,
@@ -37,18 +418,18 @@ router.get("/public", async (req, res) => {
 });
 
 // GET /api/polls/public/:shareLink - Get poll by share link (for voting)
-router.get("/public/:shareLink", async (req, res) => {
+router.get("/public/:shareLink", optionalAuth, async (req, res) => {
   try {
     const poll = await Poll.findOne({
       where: {
         shareLink: req.params.shareLink,
-        status: "published",
+        ...acceptingVotes(),
       },
       include: [
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
       ],
     });
@@ -57,28 +438,172 @@ router.get("/public/:shareLink", async (req, res) => {
       return res.status(404).json({ error: "Poll not found or no longer accepting votes" });
     }
 
-    // Sort options by ID
+    const denied = await checkPollAccess(poll, req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error, access: denied.access });
+    }
+
+    // Sort options into display order
     if (poll.options) {
-      poll.options.sort((a, b) => a.id - b.id);
+      poll.options.sort(PollOption.byPosition);
     }
 
-    res.json(poll);
+    // Polls with a voter roll only accept ballots that carry a voting token
+    const requiresToken = (await Voter.count({ where: { pollId: poll.id } })) > 0;
+
+    res.json({ ...poll.toJSON(), requiresToken });
   } catch (error) {
     console.error("Error fetching public poll:", error);
     res.status(500).json({ error: "Failed to fetch poll" });
   }
 });
 
+// POST /api/polls/public/:shareLink/access - Enter the password of a password-protected poll
+router.post("/public/:shareLink/access", async (req, res) => {
+  try {
+    const poll = await Poll.findOne({
+      where: {
+        shareLink: req.params.shareLink,
+        status: { [Op.in]: ["published", "closed"] },
+        archivedAt: null,
+        takenDownAt: null,
+      },
+    });
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    if (poll.visibility !== "password") {
+      return res.status(400).json({ error: "This poll is not password protected" });
+    }
+
+    if (!poll.checkAccessPassword(req.body.password)) {
+      return res.status(401).json({ error: "Incorrect password" });
+    }
+
+    res.cookie(accessCookieName(poll), accessGrant(poll), accessCookieSettings);
+    res.json({ message: "Access granted" });
+  } catch (error) {
+    console.error("Error checking poll password:", error);
+    res.status(500).json({ error: "Failed to check password" });
+  }
+});
+
+// POST /api/polls/public/:shareLink/report - Report a poll as abusive (no authentication required)
+router.post("/public/:shareLink/report", optionalAuth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const details = typeof req.body.details === "string" ? req.body.details.trim() : "";
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Reason must be one of: ${REPORT_REASONS.join(", ")}` });
+    }
+
+    if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+      return res.status(400).json({
+        error: `Details must be ${MAX_REPORT_DETAILS_LENGTH} characters or fewer`,
+      });
+    }
+
+    const poll = await Poll.findOne({
+      where: {
+        shareLink: req.params.shareLink,
+        status: { [Op.in]: ["published", "closed"] },
+        archivedAt: null,
+        takenDownAt: null,
+      },
+    });
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    const reporterKey = req.user ? `user:${req.user.id}` : browserIdentity(req, res);
+
+    if (await PollReport.count({ where: { pollId: poll.id, reporterKey } })) {
+      return res.status(409).json({ error: "You have already reported this poll" });
+    }
+
+    await PollReport.create({
+      pollId: poll.id,
+      reporterId: req.user?.id || null,
+      reporterKey,
+      reason,
+      details: details || null,
+    });
+
+    // Enough open reports take the poll off Discover Polls until an admin reviews them
+    if (
+      req.user &&
+      !poll.flaggedAt &&
+      (await PollReport.count({
+        where: { pollId: poll.id, status: "open", reporterId: { [Op.ne]: null } },
+      })) >= REPORT_THRESHOLD
+    ) {
+      await poll.update({ flaggedAt: new Date() });
+    }
+
+    res.status(201).json({ message: "Thanks for your report. An admin will review this poll." });
+  } catch (error) {
+    console.error("Error reporting poll:", error);
+    res.status(500).json({ error: "Failed to report poll" });
+  }
+});
+
+// GET /api/polls/public/:shareLink/results - Get results if the poll's visibility allows it (no authentication required)
+router.get("/public/:shareLink/results", optionalAuth, async (req, res) => {
+  try {
+    const poll = await Poll.findOne({
+      where: {
+        shareLink: req.params.shareLink,
+        status: { [Op.in]: ["published", "closed"] },
+        archivedAt: null,
+        takenDownAt: null,
+      },
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id", "text", "position"],
+        },
+      ],
+    });
+
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    const denied = await checkPollAccess(poll, req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error, access: denied.access });
+    }
+
+    if (poll.resultsVisibility === "creator") {
+      return res.status(403).json({ error: "Results for this poll are private" });
+    }
+
+    if (poll.resultsVisibility === "closed" && !isEffectivelyClosed(poll)) {
+      return res.status(403).json({ error: "Results will be available once the poll closes" });
+    }
+
+    res.json(await buildResultsResponse(poll));
+  } catch (error) {
+    console.error("Error fetching public poll results:", error);
+    res.status(500).json({ error: "Failed to fetch poll results" });
+  }
+});
+
 // POST /api/polls/public/:shareLink/vote - Submit a vote (no authentication required)
-router.post("/public/:shareLink/vote", async (req, res) => {
+router.post("/public/:shareLink/vote", optionalAuth, async (req, res) => {
   try {
-    const { voterName, voterEmail, rankings } = req.body;
+    const { voterName, voterEmail, rankings, token } = req.body;
 
     // Find the poll
     const poll = await Poll.findOne({
       where: {
         shareLink: req.params.shareLink,
-        status: "published",
+        ...acceptingVotes(),
       },
       include: [
         {
@@ -92,43 +617,67 @@ router.post("/public/:shareLink/vote", async (req, res) => {
       return res.status(404).json({ error: "Poll not found or no longer accepting votes" });
     }
 
-    // Validate rankings
-    if (!rankings || !Array.isArray(rankings) || rankings.length !== poll.options.length) {
-      return res.status(400).json({ error: "All options must be ranked" });
+    const denied = await checkPollAccess(poll, req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error, access: denied.access });
     }
 
-    // Validate that each option is ranked exactly once
-    const optionIds = poll.options.map((opt) => opt.id);
-    const rankedOptionIds = rankings.map((r) => r.pollOptionId);
-    const uniqueRankedIds = [...new Set(rankedOptionIds)];
-
-    if (uniqueRankedIds.length !== optionIds.length) {
-      return res.status(400).json({ error: "Each option must be ranked exactly once" });
+    const rankingError = validateRankings(
+      rankings,
+      poll.options.map((opt) => opt.id),
+      poll.minRankings
+    );
+    if (rankingError) {
+      return res.status(400).json({ error: rankingError });
     }
 
-    // Validate that all option IDs are valid
-    for (const ranking of rankings) {
-      if (!optionIds.includes(ranking.pollOptionId)) {
-        return res.status(400).json({ error: "Invalid option ID" });
+    // Polls with a voter roll only accept ballots that carry an unused voting token
+    let voter = null;
+    if ((await Voter.count({ where: { pollId: poll.id } })) > 0) {
+      voter = token ? await Voter.findOne({ where: { pollId: poll.id, token } }) : null;
+
+      if (!voter) {
+        return res.status(403).json({ error: "A valid voting token is required for this poll" });
+      }
+      if (voter.usedAt) {
+        return res.status(409).json({ error: "This voting token has already been used" });
       }
     }
 
-    // Validate rankings are sequential (1, 2, 3, ...)
-    const ranks = rankings.map((r) => r.rank).sort((a, b) => a - b);
-    for (let i = 0; i < ranks.length; i++) {
-      if (ranks[i] !== i + 1) {
-        return res.status(400).json({ error: "Rankings must be sequential (1, 2, 3, etc.)" });
-      }
+    // Enforce the poll's one-ballot-per-voter policy
+    const { status, error: identityError, identityKey } = resolveVoterIdentity(poll, req, res);
+    if (identityError) {
+      return res.status(status).json({ error: identityError });
+    }
+    // Anonymous polls record identities on participations, never on ballots
+    const identityRecords = poll.anonymous ? Participation : Ballot;
+    if (identityKey && (await identityRecords.count({ where: { pollId: poll.id, identityKey } }))) {
+      return res.status(409).json({ error: "You have already voted in this poll" });
     }
+    const identity = {
+      voterName: voterName?.trim() || null,
+      voterEmail: voterEmail?.trim() || null,
+      identityKey,
+    };
 
     // Create ballot and rankings in a transaction
     const ballot = await db.transaction(async (t) => {
+      // Spend the token first so two ballots racing on one token can't both be counted
+      if (voter) {
+        const [spent] = await Voter.update(
+          { usedAt: new Date() },
+          { where: { id: voter.id, usedAt: null }, transaction: t }
+        );
+        if (spent === 0) {
+          return null;
+        }
+      }
+
+      if (poll.anonymous) {
+        await Participation.create({ pollId: poll.id, ...identity }, { transaction: t });
+      }
       const newBallot = await Ballot.create(
-        {
-          pollId: poll.id,
-          voterName: voterName?.trim() || null,
-          voterEmail: voterEmail?.trim() || null,
-        },
+        { pollId: poll.id, ...(poll.anonymous ? {} : identity) },
         { transaction: t }
       );
 
@@ -149,39 +698,233 @@ router.post("/public/:shareLink/vote", async (req, res) => {
       return newBallot;
     });
 
-    res.status(201).json({ message: "Vote submitted successfully", ballotId: ballot.id });
+    if (!ballot) {
+      return res.status(409).json({ error: "This voting token has already been used" });
+    }
+
+    res.status(201).json({
+      message: "Vote submitted successfully",
+      ballotId: ballot.id,
+      editToken: ballot.editToken,
+      receipt: computeReceipt({ ...ballot.toJSON(), rankings }),
+    });
+
+    broadcastTally(poll.id);
   } catch (error) {
+    // Two ballots with the same identity raced past the check above
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(409).json({ error: "You have already voted in this poll" });
+    }
     console.error("Error submitting vote:", error);
     res.status(500).json({ error: "Failed to submit vote" });
   }
 });
 
+// Find a ballot by its edit token, as long as its poll is still accepting votes
+const findEditableBallot = (req) =>
+  Ballot.findOne({
+    where: { editToken: req.params.token },
+    include: [
+      {
+        model: Poll,
+        as: "poll",
+        where: { shareLink: req.params.shareLink, ...acceptingVotes() },
+        include: [{ model: PollOption, as: "options", attributes: ["id"] }],
+      },
+      {
+        model: Ranking,
+        as: "rankings",
+        attributes: ["pollOptionId", "rank"],
+      },
+    ],
+  });
+
+// GET /api/polls/public/:shareLink/ballots/:token - Load a ballot for editing (no authentication required)
+router.get("/public/:shareLink/ballots/:token", async (req, res) => {
+  try {
+    const ballot = await findEditableBallot(req);
+
+    if (!ballot) {
+      return res.status(404).json({ error: "Ballot not found or poll no longer accepting votes" });
+    }
+
+    res.json({
+      ballotId: ballot.id,
+      voterName: ballot.voterName,
+      voterEmail: ballot.voterEmail,
+      rankings: [...ballot.rankings].sort((a, b) => a.rank - b.rank),
+      receipt: computeReceipt(ballot),
+    });
+  } catch (error) {
+    console.error("Error fetching ballot:", error);
+    res.status(500).json({ error: "Failed to fetch ballot" });
+  }
+});
+
+// PUT /api/polls/public/:shareLink/ballots/:token - Replace a ballot's rankings (no authentication required)
+router.put("/public/:shareLink/ballots/:token", async (req, res) => {
+  try {
+    const { rankings } = req.body;
+    const ballot = await findEditableBallot(req);
+
+    if (!ballot) {
+      return res.status(404).json({ error: "Ballot not found or poll no longer accepting votes" });
+    }
+
+    const rankingError = validateRankings(
+      rankings,
+      ballot.poll.options.map((opt) => opt.id),
+      ballot.poll.minRankings
+    );
+    if (rankingError) {
+      return res.status(400).json({ error: rankingError });
+    }
+
+    await db.transaction(async (t) => {
+      await Ranking.destroy({ where: { ballotId: ballot.id }, transaction: t });
+      await Ranking.bulkCreate(
+        rankings.map((ranking) => ({
+          ballotId: ballot.id,
+          pollOptionId: ranking.pollOptionId,
+          rank: ranking.rank,
+        })),
+        { transaction: t }
+      );
+    });
+
+    // The rankings are part of the receipt, so a revised ballot gets a new one
+    res.json({
+      message: "Ballot updated successfully",
+      ballotId: ballot.id,
+      receipt: computeReceipt({ ...ballot.toJSON(), rankings }),
+    });
+
+    broadcastTally(ballot.pollId);
+  } catch (error) {
+    console.error("Error updating ballot:", error);
+    res.status(500).json({ error: "Failed to update ballot" });
+  }
+});
+
+// GET /api/polls/public/:shareLink/bulletin-board - Get every ballot receipt of a closed poll, hash-chained (no authentication required)
+router.get("/public/:shareLink/bulletin-board", optionalAuth, async (req, res) => {
+  try {
+    const poll = await findBulletinBoardPoll(req, res);
+    if (!poll) return;
+
+    const { entries, head } = await buildPollBulletinBoard(poll);
+
+    res.json({
+      poll: { id: poll.id, title: poll.title },
+      ballotCount: entries.length,
+      head,
+      entries,
+    });
+  } catch (error) {
+    console.error("Error fetching bulletin board:", error);
+    res.status(500).json({ error: "Failed to fetch bulletin board" });
+  }
+});
+
+// GET /api/polls/public/:shareLink/receipts/:receipt - Check a receipt is on a closed poll's bulletin board (no authentication required)
+router.get("/public/:shareLink/receipts/:receipt", optionalAuth, async (req, res) => {
+  try {
+    const receipt = req.params.receipt.trim().toLowerCase();
+    if (!isReceipt(receipt)) {
+      return res.status(400).json({ error: "A receipt is 64 hexadecimal characters" });
+    }
+
+    const poll = await findBulletinBoardPoll(req, res);
+    if (!poll) return;
+
+    const { entries, head } = await buildPollBulletinBoard(poll);
+    const entry = entries.find((candidate) => candidate.receipt === receipt);
+
+    if (!entry) {
+      return res.status(404).json({ error: "This receipt is not on the poll's bulletin board" });
+    }
+
+    res.json({
+      poll: { id: poll.id, title: poll.title },
+      ballotCount: entries.length,
+      head,
+      entry,
+    });
+  } catch (error) {
+    console.error("Error verifying receipt:", error);
+    res.status(500).json({ error: "Failed to verify receipt" });
+  }
+});
+
 // PROTECTED ROUTES (authentication required)
 
-// GET /api/polls - Get all polls for the authenticated user
+// GET /api/polls - Get the polls in the user's active workspace that they created or were
+// added to. Organization admins see every poll in the organization.
 router.get("/", authenticateJWT, async (req, res) => {
   try {
+    const memberships = await PollMember.findAll({
+      where: { userId: req.user.id },
+      attributes: ["pollId", "role"],
+    });
+    const sharedRoles = new Map(memberships.map((member) => [member.pollId, member.role]));
+    const ownOrShared = { [Op.or]: [{ creatorId: req.user.id }, { id: [...sharedRoles.keys()] }] };
+
+    const organizationId = await findActiveOrganizationId(req.user.id);
+    let where;
+    if (organizationId) {
+      const isAdmin = (await findOrganizationRole(organizationId, req.user.id)) === "admin";
+      where = isAdmin ? { organizationId } : { organizationId, ...ownOrShared };
+    } else {
+      // Polls from the user's organizations stay in those workspaces
+      const organizations = await OrganizationMember.findAll({
+        where: { userId: req.user.id },
+        attributes: ["organizationId"],
+      });
+      const organizationIds = organizations.map((member) => member.organizationId);
+      where = organizationIds.length
+        ? {
+            [Op.and]: [
+              ownOrShared,
+              {
+                [Op.or]: [
+                  { organizationId: null },
+                  { organizationId: { [Op.notIn]: organizationIds } },
+                ],
+              },
+            ],
+          }
+        : ownOrShared;
+    }
+
     const polls = await Poll.findAll({
-      where: { creatorId: req.user.id },
+      where,
       include: [
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
         {
           model: Ballot,
           as: "ballots",
           attributes: ["id"],
         },
+        {
+          model: User,
+          as: "creator",
+          attributes: ["id", "username"],
+        },
       ],
       order: [["createdAt", "DESC"]],
     });
 
-    // Add ballot count to each poll
+    // Add ballot count and the user's role to each poll
     const pollsWithCounts = polls.map((poll) => {
       const pollData = poll.toJSON();
       pollData.ballotCount = pollData.ballots.length;
+      // Polls an admin only sees through the organization are read-only to them
+      pollData.role =
+        poll.creatorId === req.user.id ? "owner" : sharedRoles.get(poll.id) || "observer";
       delete pollData.ballots;
       return pollData;
     });
@@ -193,23 +936,21 @@ router.get("/", authenticateJWT, async (req, res) => {
   }
 });
 
-// GET /api/polls/:id - Get a specific poll by ID (only if user is creator)
-router.get("/:id", authenticateJWT, async (req, res) => {
+// GET /api/polls/:id - Get a specific poll by ID (any poll member)
+router.get("/:id", authenticateJWT, requirePollRole("observer"), async (req, res) => {
   try {
-    const poll = await Poll.findOne({
-      where: {
-        id: req.params.id,
-        creatorId: req.user.id,
-      },
+    const poll = await Poll.findByPk(req.poll.id, {
       include: [
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
         {
           model: Ballot,
           as: "ballots",
+          // Edit tokens and receipt salts belong to voters only
+          attributes: { exclude: ["editToken", "receiptSalt"] },
           include: [
             {
               model: Ranking,
@@ -232,12 +973,26 @@ router.get("/:id", authenticateJWT, async (req, res) => {
       ],
     });
 
-    if (!poll) {
-      return res.status(404).json({ error: "Poll not found" });
+    poll.options.sort(PollOption.byPosition);
+
+    if (!poll.anonymous) {
+      return res.json({ ...poll.toJSON(), role: req.pollRole });
     }
 
-    res.json(poll);
-  } catch (error) {
+    // Secret ballots: list who voted separately, and strip and shuffle the ballots so
+    // neither their contents nor their order can be matched to a voter
+    const participants = await Participation.findAll({
+      where: { pollId: poll.id },
+      attributes: ["voterName", "voterEmail"],
+      order: [
+        ["voterName", "ASC"],
+        ["voterEmail", "ASC"],
+      ],
+    });
+    const ballots = shuffle(poll.ballots.map(toSecretBallot));
+
+    res.json({ ...poll.toJSON(), role: req.pollRole, ballots, participants });
+  } catch (error) {
     console.error("Error fetching poll:", error);
     res.status(500).json({ error: "Failed to fetch poll" });
   }
@@ -247,6 +1002,11 @@ router.get("/:id", authenticateJWT, async (req, res) => {
 router.post("/", authenticateJWT, async (req, res) => {
   try {
     const { title, description, options } = req.body;
+    const { error: settingsError, settings } = parsePollSettings(req.body);
+
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
 
     if (!title || !options || !Array.isArray(options) || options.length < 2) {
       return res.status(400).json({
@@ -265,6 +1025,35 @@ router.post("/", authenticateJWT, async (req, res) => {
       });
     }
 
+    if (settings.seats && settings.seats >= validOptions.length) {
+      return res.status(400).json({
+        error: "Seats must be fewer than the number of options",
+      });
+    }
+
+    if (settings.minRankings && settings.minRankings > validOptions.length) {
+      return res.status(400).json({
+        error: "Minimum rankings cannot exceed the number of options",
+      });
+    }
+
+    if (settings.opensAt && settings.closesAt && settings.closesAt <= settings.opensAt) {
+      return res.status(400).json({ error: "Closing time must be after opening time" });
+    }
+
+    // New polls belong to the organization whose workspace the user is in
+    const organizationId = await findActiveOrganizationId(req.user.id);
+
+    const visibilityError = checkVisibilitySettings(
+      settings.visibility,
+      settings.accessPasswordHash,
+      settings.groupDomain,
+      organizationId
+    );
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+
     // Create poll with options in a transaction
     const poll = await db.transaction(async (t) => {
       const newPoll = await Poll.create(
@@ -273,16 +1062,19 @@ router.post("/", authenticateJWT, async (req, res) => {
           description: description?.trim() || null,
           status: "draft",
           creatorId: req.user.id,
+          organizationId,
+          ...settings,
         },
         { transaction: t }
       );
 
       // Create poll options
       const pollOptions = await Promise.all(
-        validOptions.map((text) =>
+        validOptions.map((text, index) =>
           PollOption.create(
             {
               text: text.trim(),
+              position: index,
               pollId: newPoll.id,
             },
             { transaction: t }
@@ -299,11 +1091,13 @@ router.post("/", authenticateJWT, async (req, res) => {
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
       ],
     });
 
+    pollWithOptions.options.sort(PollOption.byPosition);
+
     res.status(201).json(pollWithOptions);
   } catch (error) {
     console.error("Error creating poll:", error);
@@ -311,29 +1105,71 @@ router.post("/", authenticateJWT, async (req, res) => {
   }
 });
 
-// PUT /api/polls/:id - Update a poll (only if user is creator)
-router.put("/:id", authenticateJWT, async (req, res) => {
+// PUT /api/polls/:id - Update a poll (poll editors and owners)
+router.put("/:id", authenticateJWT, requirePollRole("editor"), async (req, res) => {
   try {
-    const poll = await Poll.findOne({
-      where: {
-        id: req.params.id,
-        creatorId: req.user.id,
-      },
-    });
+    const { poll } = req;
 
-    if (!poll) {
-      return res.status(404).json({ error: "Poll not found" });
+    if (poll.archivedAt) {
+      return res.status(400).json({ error: "Restore this poll before editing it" });
     }
 
-    // Can't update closed polls
-    if (poll.status === "closed") {
+    // Closed polls are frozen, except that the creator can still decide who sees them and
+    // their results
+    const onlyVisibility = Object.keys(req.body).every((key) =>
+      ["resultsVisibility", "visibility", "accessPassword", "groupDomain"].includes(key)
+    );
+    if (poll.status === "closed" && !onlyVisibility) {
       return res.status(400).json({ error: "Cannot update a closed poll" });
     }
 
     const { title, description, status } = req.body;
+    const { error: settingsError, settings } = parsePollSettings(req.body);
+
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    if (settings.seats || settings.minRankings) {
+      const optionCount = await PollOption.count({ where: { pollId: poll.id } });
+      if (settings.seats >= optionCount) {
+        return res.status(400).json({ error: "Seats must be fewer than the number of options" });
+      }
+      if (settings.minRankings > optionCount) {
+        return res.status(400).json({
+          error: "Minimum rankings cannot exceed the number of options",
+        });
+      }
+    }
+
+    // Switching either way would leave earlier ballots holding, or missing, identities
+    if (
+      settings.anonymous !== undefined &&
+      settings.anonymous !== poll.anonymous &&
+      (await Ballot.count({ where: { pollId: poll.id } })) > 0
+    ) {
+      return res.status(400).json({ error: "Anonymity can't be changed once votes are cast" });
+    }
+
+    const visibilityError = checkVisibilitySettings(
+      settings.visibility || poll.visibility,
+      settings.accessPasswordHash || poll.accessPasswordHash,
+      settings.groupDomain !== undefined ? settings.groupDomain : poll.groupDomain,
+      poll.organizationId
+    );
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+
+    const opensAt = settings.opensAt !== undefined ? settings.opensAt : poll.opensAt;
+    const closesAt = settings.closesAt !== undefined ? settings.closesAt : poll.closesAt;
+    if (opensAt && closesAt && closesAt <= opensAt) {
+      return res.status(400).json({ error: "Closing time must be after opening time" });
+    }
 
     if (title) poll.title = title.trim();
     if (description !== undefined) poll.description = description?.trim() || null;
+    const statusChanged = Boolean(status) && status !== poll.status;
     if (status) {
       if (!["draft", "published", "closed"].includes(status)) {
         return res.status(400).json({ error: "Invalid status" });
@@ -345,19 +1181,53 @@ router.put("/:id", authenticateJWT, async (req, res) => {
         poll.generateShareLink();
       }
     }
+    Object.assign(poll, settings);
+
+    // Keep a revision of every field this request actually changed
+    const changes = Object.fromEntries(
+      (poll.changed() || [])
+        .filter((field) => field !== "shareLink")
+        .map((field) =>
+          // Record that the password changed, never the hashes themselves
+          field === "accessPasswordHash"
+            ? ["accessPassword", {}]
+            : [field, { from: poll.previous(field), to: poll.get(field) }]
+        )
+    );
 
-    await poll.save();
+    await db.transaction(async (t) => {
+      await poll.save({ transaction: t });
+      if (Object.keys(changes).length > 0) {
+        await PollRevision.create(
+          { pollId: poll.id, userId: req.user.id, action: "poll_updated", details: { changes } },
+          { transaction: t }
+        );
+      }
+      if (statusChanged && status === "closed") {
+        await recordResultSnapshot(poll, {
+          kind: "certified",
+          userId: req.user.id,
+          transaction: t,
+        });
+      }
+    });
+    if (statusChanged) {
+      emitPollStatus(poll);
+    }
+    await dropLostFollowers(poll);
 
     const updatedPoll = await Poll.findByPk(poll.id, {
       include: [
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
       ],
     });
 
+    updatedPoll.options.sort(PollOption.byPosition);
+
     res.json(updatedPoll);
   } catch (error) {
     console.error("Error updating poll:", error);
@@ -366,25 +1236,24 @@ router.put("/:id", authenticateJWT, async (req, res) => {
 });
 
 // POST /api/polls/:id/close - Close a poll
-router.post("/:id/close", authenticateJWT, async (req, res) => {
+router.post("/:id/close", authenticateJWT, requirePollRole("editor"), async (req, res) => {
   try {
-    const poll = await Poll.findOne({
-      where: {
-        id: req.params.id,
-        creatorId: req.user.id,
-      },
-    });
-
-    if (!poll) {
-      return res.status(404).json({ error: "Poll not found" });
-    }
+    const { poll } = req;
 
     if (poll.status === "closed") {
       return res.status(400).json({ error: "Poll is already closed" });
     }
 
     poll.status = "closed";
-    await poll.save();
+    await db.transaction(async (t) => {
+      await poll.save({ transaction: t });
+      await recordResultSnapshot(poll, {
+        kind: "certified",
+        userId: req.user.id,
+        transaction: t,
+      });
+    });
+    emitPollStatus(poll);
 
     res.json({ message: "Poll closed successfully", poll });
   } catch (error) {
@@ -393,66 +1262,480 @@ router.post("/:id/close", authenticateJWT, async (req, res) => {
   }
 });
 
-// GET /api/polls/:id/results - Get poll results with IRV calculation (only if user is creator)
-router.get("/:id/results", authenticateJWT, async (req, res) => {
+// POST /api/polls/:id/archive - Archive a poll, hiding it from voters until it is restored
+router.post("/:id/archive", authenticateJWT, requirePollRole("owner"), async (req, res) => {
   try {
-    const poll = await Poll.findOne({
-      where: {
-        id: req.params.id,
-        creatorId: req.user.id,
-      },
+    const { poll } = req;
+
+    if (poll.archivedAt) {
+      return res.status(400).json({ error: "Poll is already archived" });
+    }
+
+    await db.transaction(async (t) => {
+      await poll.update({ archivedAt: new Date() }, { transaction: t });
+      await PollRevision.create(
+        { pollId: poll.id, userId: req.user.id, action: "archived" },
+        { transaction: t }
+      );
+    });
+    await dropLostFollowers(poll);
+
+    res.json({ message: "Poll archived successfully", poll });
+  } catch (error) {
+    console.error("Error archiving poll:", error);
+    res.status(500).json({ error: "Failed to archive poll" });
+  }
+});
+
+// POST /api/polls/:id/restore - Restore an archived poll
+router.post("/:id/restore", authenticateJWT, requirePollRole("owner"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (!poll.archivedAt) {
+      return res.status(400).json({ error: "Poll is not archived" });
+    }
+
+    await db.transaction(async (t) => {
+      await poll.update({ archivedAt: null }, { transaction: t });
+      await PollRevision.create(
+        { pollId: poll.id, userId: req.user.id, action: "restored" },
+        { transaction: t }
+      );
+    });
+
+    res.json({ message: "Poll restored successfully", poll });
+  } catch (error) {
+    console.error("Error restoring poll:", error);
+    res.status(500).json({ error: "Failed to restore poll" });
+  }
+});
+
+// POST /api/polls/:id/duplicate - Copy a poll's title, description, options and settings into a new draft
+router.post("/:id/duplicate", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const original = await Poll.findByPk(req.poll.id, {
       include: [
         {
           model: PollOption,
           as: "options",
-          attributes: ["id", "text"],
+          attributes: ["id", "text", "position"],
         },
+      ],
+    });
+
+    // The copy stays in the original's organization only if the user belongs to it;
+    // otherwise an organization-only copy falls back to being reachable by its link
+    const settings = Object.fromEntries(
+      DUPLICATED_SETTINGS.map((field) => [field, original[field]])
+    );
+    const organizationId =
+      original.organizationId && (await findOrganizationRole(original.organizationId, req.user.id))
+        ? original.organizationId
+        : null;
+    if (settings.visibility === "organization" && !organizationId) {
+      settings.visibility = "unlisted";
+    }
+
+    const copy = await db.transaction(async (t) => {
+      const newPoll = await Poll.create(
         {
-          model: Ballot,
-          as: "ballots",
-          include: [
-            {
-              model: Ranking,
-              as: "rankings",
-              include: [
-                {
-                  model: PollOption,
-                  as: "pollOption",
-                  attributes: ["id", "text"],
-                },
-              ],
-            },
-          ],
+          title: `${original.title} (copy)`,
+          description: original.description,
+          status: "draft",
+          creatorId: req.user.id,
+          organizationId,
+          ...settings,
+        },
+        { transaction: t }
+      );
+
+      await PollOption.bulkCreate(
+        [...original.options].sort(PollOption.byPosition).map((option, index) => ({
+          text: option.text,
+          position: index,
+          pollId: newPoll.id,
+        })),
+        { transaction: t }
+      );
+
+      return newPoll;
+    });
+
+    const pollWithOptions = await Poll.findByPk(copy.id, {
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id", "text", "position"],
         },
       ],
     });
+    pollWithOptions.options.sort(PollOption.byPosition);
 
-    if (!poll) {
-      return res.status(404).json({ error: "Poll not found" });
+    res.status(201).json(pollWithOptions);
+  } catch (error) {
+    console.error("Error duplicating poll:", error);
+    res.status(500).json({ error: "Failed to duplicate poll" });
+  }
+});
+
+// DELETE /api/polls/:id - Permanently delete a poll with its options, ballots and rankings
+router.delete("/:id", authenticateJWT, requirePollRole("owner"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    await db.transaction(async (t) => {
+      const ballots = await Ballot.findAll({
+        where: { pollId: poll.id },
+        attributes: ["id"],
+        transaction: t,
+      });
+      await Ranking.destroy({
+        where: { ballotId: ballots.map((ballot) => ballot.id) },
+        transaction: t,
+      });
+      await Ballot.destroy({ where: { pollId: poll.id }, transaction: t });
+      await poll.destroy({ transaction: t });
+    });
+
+    res.json({ message: "Poll deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting poll:", error);
+    res.status(500).json({ error: "Failed to delete poll" });
+  }
+});
+
+// POST /api/polls/:id/tie-break - Record a decision for a manual tie-break (poll editors and owners)
+router.post("/:id/tie-break", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const poll = await Poll.findByPk(req.poll.id, {
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id"],
+        },
+      ],
+    });
+
+    if (poll.tieBreakRule !== "manual") {
+      return res.status(400).json({ error: "This poll does not use manual tie-breaking" });
     }
 
-    // Sort options and rankings for consistent processing
-    const sortedOptions = [...poll.options].sort((a, b) => a.id - b.id);
-    const sortedBallots = poll.ballots.map((ballot) => ({
-      ...ballot.toJSON(),
-      rankings: [...ballot.rankings].sort((a, b) => a.rank - b.rank),
-    }));
+    const { tiedOptions, eliminate } = req.body;
+    const optionIds = poll.options.map((opt) => opt.id);
 
-    // Calculate IRV results
-    const irvResults = calculateIRV(sortedOptions, sortedBallots);
+    if (
+      !Array.isArray(tiedOptions) ||
+      tiedOptions.length < 2 ||
+      !tiedOptions.every((id) => optionIds.includes(id)) ||
+      !tiedOptions.includes(eliminate)
+    ) {
+      return res.status(400).json({ error: "Choose one of the tied options to eliminate" });
+    }
 
-    // Return poll data with calculated results
-    res.json({
-      poll: {
-        id: poll.id,
-        title: poll.title,
-        description: poll.description,
-        status: poll.status,
-        options: sortedOptions,
-        ballotCount: poll.ballots.length,
-      },
-      results: irvResults,
+    const order = addManualDecision(poll.tieBreakOrder, tiedOptions, eliminate);
+    if (!order) {
+      return res.status(400).json({ error: "This would reverse an earlier tie-break decision" });
+    }
+
+    // A decision on a closed poll settles its announced result, so certify it again
+    poll.tieBreakOrder = order;
+    await db.transaction(async (t) => {
+      await poll.save({ transaction: t });
+      if (poll.status === "closed") {
+        await recordResultSnapshot(poll, {
+          kind: "certified",
+          userId: req.user.id,
+          transaction: t,
+        });
+      }
+    });
+
+    res.json({ message: "Tie-break recorded", tieBreakOrder: order });
+  } catch (error) {
+    console.error("Error recording tie-break:", error);
+    res.status(500).json({ error: "Failed to record tie-break" });
+  }
+});
+
+// GET /api/polls/:id/export - Download a poll's ballots as CSV, BLT or JSON (any poll member)
+// Query: format=csv|blt|json (default csv), includeVoters=true to add voter names and emails
+router.get("/:id/export", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!isExportFormat(format)) {
+    return res.status(400).json({
+      error: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  try {
+    const poll = await Poll.findByPk(req.poll.id, {
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id", "text", "position"],
+        },
+      ],
+    });
+
+    const includeVoters = req.query.includeVoters === "true";
+    if (poll.anonymous && includeVoters) {
+      return res.status(400).json({ error: "Anonymous polls don't keep voters with ballots" });
+    }
+
+    const writer = EXPORT_FORMATS[format];
+    const context = {
+      poll,
+      options: [...poll.options].sort(PollOption.byPosition),
+      includeVoters,
+    };
+
+    // Anonymous polls export ballots in random order; load every id up front to shuffle them
+    const ballotIds = (
+      await Ballot.findAll({
+        where: { pollId: poll.id },
+        attributes: ["id"],
+        order: [["id", "ASC"]],
+      })
+    ).map((ballot) => ballot.id);
+    const exportOrder = poll.anonymous ? shuffle(ballotIds) : ballotIds;
+
+    res.set({
+      "Content-Type": writer.contentType,
+      "Content-Disposition": `attachment; filename="poll-${poll.id}.${writer.extension}"`,
+    });
+    res.write(writer.header(context));
+
+    // Load ballots a batch at a time so large polls are never held in memory at once
+    let written = 0;
+    for (let start = 0; start < exportOrder.length; start += EXPORT_BATCH_SIZE) {
+      const batchIds = exportOrder.slice(start, start + EXPORT_BATCH_SIZE);
+      const ballots = await Ballot.findAll({
+        where: { id: batchIds },
+        attributes: ["id", "voterName", "voterEmail", "createdAt"],
+        include: [{ model: Ranking, as: "rankings", attributes: ["pollOptionId", "rank"] }],
+      });
+      const byId = new Map(ballots.map((ballot) => [ballot.id, ballot]));
+
+      // Skip any ballot deleted since the ids were loaded
+      for (const id of batchIds.filter((batchId) => byId.has(batchId))) {
+        const ballot = toExportBallot(byId.get(id), { anonymous: poll.anonymous });
+        res.write(writer.ballot(ballot, written, context));
+        written++;
+      }
+    }
+
+    res.end(writer.footer(context));
+  } catch (error) {
+    console.error("Error exporting ballots:", error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: "Failed to export ballots" });
+    }
+  }
+});
+
+// POST /api/polls/:id/import - Add ballots from an uploaded CSV or BLT file (poll editors and owners)
+// Body: { format: "csv" | "blt", data: file contents }. Every row is checked with the same
+// ranking rules as the public vote route; if any row fails, nothing is imported.
+router.post("/:id/import", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { format, data } = req.body;
+
+    if (!isImportFormat(format)) {
+      return res.status(400).json({ error: "Import format must be one of: csv, blt" });
+    }
+    if (typeof data !== "string" || data.trim() === "") {
+      return res.status(400).json({ error: "Upload a file with at least one ballot" });
+    }
+
+    const poll = await Poll.findByPk(req.poll.id, {
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id", "text", "position"],
+        },
+      ],
+    });
+
+    if (poll.archivedAt) {
+      return res.status(400).json({ error: "Restore this poll before importing ballots" });
+    }
+    if (poll.status === "draft") {
+      return res.status(400).json({ error: "Publish this poll before importing ballots" });
+    }
+
+    const optionIds = poll.options.map((opt) => opt.id);
+    const { ballots, errors } = parseBallotFile(format, data, poll.options);
+
+    for (const ballot of ballots) {
+      const rankingError = validateRankings(ballot.rankings, optionIds, poll.minRankings);
+      if (rankingError) {
+        errors.push({ row: ballot.row, error: rankingError });
+      }
+    }
+
+    if (errors.length > 0) {
+      errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+      return res.status(400).json({ error: "No ballots were imported", errors });
+    }
+    if (ballots.length === 0) {
+      return res.status(400).json({ error: "Upload a file with at least one ballot" });
+    }
+
+    await db.transaction(async (t) => {
+      const identities = ballots.map(({ voterName, voterEmail }) => ({ voterName, voterEmail }));
+      if (poll.anonymous) {
+        await Participation.bulkCreate(
+          identities
+            .filter(({ voterName, voterEmail }) => voterName || voterEmail)
+            .map((identity) => ({ pollId: poll.id, ...identity })),
+          { validate: true, transaction: t }
+        );
+      }
+      const created = await Ballot.bulkCreate(
+        identities.map((identity) => ({ pollId: poll.id, ...(poll.anonymous ? {} : identity) })),
+        { validate: true, transaction: t }
+      );
+      await Ranking.bulkCreate(
+        created.flatMap((ballot, i) =>
+          ballots[i].rankings.map((ranking) => ({ ...ranking, ballotId: ballot.id }))
+        ),
+        { transaction: t }
+      );
+      await PollRevision.create(
+        {
+          pollId: poll.id,
+          userId: req.user.id,
+          action: "ballots_imported",
+          details: { format, count: ballots.length },
+        },
+        { transaction: t }
+      );
+    });
+
+    res.status(201).json({ message: "Ballots imported successfully", imported: ballots.length });
+
+    broadcastTally(poll.id);
+  } catch (error) {
+    console.error("Error importing ballots:", error);
+    res.status(500).json({ error: "Failed to import ballots" });
+  }
+});
+
+// GET /api/polls/:id/revisions - Get a poll's edit history, newest first (any poll member)
+router.get("/:id/revisions", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    const revisions = await PollRevision.findAll({
+      where: { pollId: poll.id },
+      include: [{ model: User, as: "user", attributes: ["id", "username"] }],
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+
+    res.json(revisions);
+  } catch (error) {
+    console.error("Error fetching poll revisions:", error);
+    res.status(500).json({ error: "Failed to fetch poll revisions" });
+  }
+});
+
+// GET /api/polls/:id/analytics - Get rank distributions and common orderings (any poll member)
+router.get("/:id/analytics", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  try {
+    const poll = await Poll.findByPk(req.poll.id, {
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id", "text", "position"],
+        },
+      ],
     });
+
+    const options = [...poll.options].sort(PollOption.byPosition);
+    res.json(analyzeRankings(options, await findPollBallots(poll.id)));
+  } catch (error) {
+    console.error("Error fetching poll analytics:", error);
+    res.status(500).json({ error: "Failed to fetch poll analytics" });
+  }
+});
+
+// GET /api/polls/:id/snapshots - Get a poll's certified results and recounts, newest first (any poll member)
+router.get("/:id/snapshots", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    const snapshots = await ResultSnapshot.findAll({
+      where: { pollId: poll.id },
+      include: [{ model: User, as: "user", attributes: ["id", "username"] }],
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+
+    res.json(snapshots);
+  } catch (error) {
+    console.error("Error fetching result snapshots:", error);
+    res.status(500).json({ error: "Failed to fetch result snapshots" });
+  }
+});
+
+// POST /api/polls/:id/recount - Recount a closed poll and compare it with the certified result (poll editors and owners)
+router.post("/:id/recount", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.status !== "closed") {
+      return res.status(400).json({ error: "Only closed polls can be recounted" });
+    }
+
+    const certified = await ResultSnapshot.findOne({
+      where: { pollId: poll.id, kind: "certified" },
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+    const recount = await recordResultSnapshot(poll, { kind: "recount", userId: req.user.id });
+
+    res.status(201).json({
+      certified,
+      recount,
+      diff: certified ? diffSnapshots(certified, recount) : null,
+    });
+  } catch (error) {
+    console.error("Error recounting poll:", error);
+    res.status(500).json({ error: "Failed to recount poll" });
+  }
+});
+
+// GET /api/polls/:id/results - Get poll results using the poll's voting method (any poll member)
+router.get("/:id/results", authenticateJWT, requirePollRole("observer"), async (req, res) => {
+  try {
+    const poll = await Poll.findByPk(req.poll.id, {
+      include: [
+        {
+          model: PollOption,
+          as: "options",
+          attributes: ["id", "text", "position"],
+        },
+      ],
+    });
+
+    // The viewer's role tells the results page whether they can settle tie-breaks
+    const { poll: summary, results } = await buildResultsResponse(poll);
+    res.json({ poll: { ...summary, role: req.pollRole }, results });
   } catch (error) {
     console.error("Error fetching poll results:", error);
     res.status(500).json({ error: "Failed to fetch poll results" });
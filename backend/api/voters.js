@@ -0,0 +1,142 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { Validator } = require("sequelize");
+const { Voter } = require("../database");
+const { authenticateJWT, requirePollRole } = require("../auth");
+const { parseCSV } = require("../utils/csv");
+
+// Collect roll emails from a list (array or pasted text) and/or CSV text.
+// A CSV with an "email" header column uses that column, otherwise its first column.
+// Emails are checked with the same validator as the Voter model, so every valid one saves.
+const parseRollEmails = ({ emails, csv }) => {
+  const entries = [];
+
+  if (Array.isArray(emails)) {
+    entries.push(...emails.map(String));
+  } else if (typeof emails === "string") {
+    entries.push(...emails.split(/[\s,;]+/));
+  }
+
+  if (typeof csv === "string") {
+    const rows = parseCSV(csv);
+    const header = (rows[0] || []).map((cell) => cell.trim().toLowerCase());
+    const column = Math.max(header.indexOf("email"), 0);
+    const dataRows = header.includes("email") ? rows.slice(1) : rows;
+    entries.push(...dataRows.map((row) => row[column] || ""));
+  }
+
+  const valid = [];
+  const invalid = [];
+  entries
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => entry.length > 0)
+    .forEach((email) => {
+      if (!Validator.isEmail(email)) {
+        invalid.push(email);
+      } else if (!valid.includes(email)) {
+        valid.push(email);
+      }
+    });
+
+  return { valid, invalid };
+};
+
+// A voter as listed on the roll: whether they have voted but never when, since the time could
+// be matched against the order ballots arrived in, undoing a secret ballot
+const toRollEntry = ({ id, email, token, usedAt }) => ({
+  id,
+  email,
+  token,
+  voted: Boolean(usedAt),
+});
+
+// GET /api/polls/:id/voters - Get the voter roll and turnout (poll editors and owners, as it holds voting tokens)
+router.get("/", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    const voters = await Voter.findAll({
+      where: { pollId: poll.id },
+      attributes: ["id", "email", "token", "usedAt"],
+      order: [["email", "ASC"]],
+    });
+
+    res.json({
+      voters: voters.map(toRollEntry),
+      turnout: {
+        eligible: voters.length,
+        voted: voters.filter((voter) => voter.usedAt).length,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching voter roll:", error);
+    res.status(500).json({ error: "Failed to fetch voter roll" });
+  }
+});
+
+// POST /api/polls/:id/voters - Add emails (list or CSV) to the voter roll, one token each
+router.post("/", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    if (poll.status === "closed") {
+      return res.status(400).json({ error: "Cannot change the voter roll of a closed poll" });
+    }
+
+    const { valid, invalid } = parseRollEmails(req.body);
+
+    if (valid.length === 0) {
+      return res.status(400).json({ error: "Provide at least one valid voter email", invalid });
+    }
+
+    // Emails already on the roll keep their existing token
+    const existing = await Voter.findAll({
+      where: { pollId: poll.id, email: valid },
+      attributes: ["email"],
+    });
+    const existingEmails = existing.map((voter) => voter.email);
+    const newEmails = valid.filter((email) => !existingEmails.includes(email));
+
+    const added = await Voter.bulkCreate(
+      newEmails.map((email) => ({ email, pollId: poll.id })),
+      { validate: true }
+    );
+
+    res.status(201).json({
+      added: added.map(toRollEntry),
+      skipped: existingEmails,
+      invalid,
+    });
+  } catch (error) {
+    console.error("Error adding voters:", error);
+    res.status(500).json({ error: "Failed to add voters" });
+  }
+});
+
+// DELETE /api/polls/:id/voters/:voterId - Remove a voter who has not voted yet
+router.delete("/:voterId", authenticateJWT, requirePollRole("editor"), async (req, res) => {
+  try {
+    const { poll } = req;
+
+    const voter = await Voter.findOne({
+      where: { id: req.params.voterId, pollId: poll.id },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: "Voter not found" });
+    }
+
+    if (voter.usedAt) {
+      return res.status(400).json({ error: "Cannot remove a voter who has already voted" });
+    }
+
+    await voter.destroy();
+
+    res.json({ message: "Voter removed" });
+  } catch (error) {
+    console.error("Error removing voter:", error);
+    res.status(500).json({ error: "Failed to remove voter" });
+  }
+});
+
+module.exports = router;
@@ -9,12 +9,14 @@ const apiRouter = require("./api");
 const { router: authRouter } = require("./auth");
 const { db } = require("./database");
 const cors = require("cors");
-const initSocketServer = require("./socket-server");
+const { initSocketServer } = require("./socket-server");
+const { startPollScheduler } = require("./scheduler");
 const PORT = process.env.PORT || 8080;
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+const COOKIE_SECRET = process.env.COOKIE_SECRET || "your-cookie-secret";
 
-// body parser middleware
-app.use(express.json());
+// body parser middleware (raised limit so ballot files can be imported)
+app.use(express.json({ limit: "5mb" }));
 
 app.use(
   cors({
@@ -23,8 +25,8 @@ app.use(
   })
 );
 
-// cookie parser middleware
-app.use(cookieParser());
+// cookie parser middleware (the secret signs cookies such as the voter browser id)
+app.use(cookieParser(COOKIE_SECRET));
 
 app.use(morgan("dev")); // logging middleware
 app.use(express.static(path.join(__dirname, "public"))); // serve static files from public folder
@@ -47,6 +49,9 @@ const runApp = async () => {
 
     initSocketServer(server);
     console.log("🧦 Socket server initialized");
+
+    startPollScheduler();
+    console.log("⏰ Poll scheduler started");
   } catch (err) {
     console.error("❌ Unable to connect to the database:", err);
   }
@@ -1,6 +1,7 @@
+const crypto = require("crypto");
 const express = require("express");
 const jwt = require("jsonwebtoken");
-const { User } = require("../database");
+const { User, Poll, PollMember, OrganizationMember } = require("../database");
 
 const router = express.Router();
 
@@ -13,7 +14,17 @@ const cookieSettings = {
   maxAge: 24 * 60 * 60 * 1000, // 24 hours
 };
 
-// Middleware to authenticate JWT tokens
+const SUSPENDED_ERROR = "This account has been suspended";
+
+// Whether a token's account has been suspended, read from the database since tokens outlive
+// a suspension
+const isSuspended = async (userId) => {
+  const account = await User.findByPk(userId, { attributes: ["suspendedAt"] });
+  return Boolean(account?.suspendedAt);
+};
+
+// Middleware to authenticate JWT tokens. Suspended accounts are turned away straight away
+// rather than when their token expires.
 const authenticateJWT = (req, res, next) => {
   const token = req.cookies.token;
 
@@ -21,15 +32,196 @@ const authenticateJWT = (req, res, next) => {
     return res.status(401).send({ error: "Access token required" });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).send({ error: "Invalid or expired token" });
     }
+
+    try {
+      if (await isSuspended(user.id)) {
+        return res.status(403).send({ error: SUSPENDED_ERROR });
+      }
+    } catch (error) {
+      console.error("Error checking account status:", error);
+      return res.status(500).send({ error: "Failed to check account status" });
+    }
+
     req.user = user;
     next();
   });
 };
 
+// Middleware for site administrator routes. Runs after authenticateJWT and reads the flag
+// from the database, so granting or revoking it doesn't wait for a new token.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ["isAdmin"] });
+
+    if (!user?.isAdmin) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error checking admin access:", error);
+    res.status(500).json({ error: "Failed to check admin access" });
+  }
+};
+
+// Middleware that attaches req.user when a valid token is present, without requiring one.
+// Suspended accounts carry on as anonymous visitors.
+const optionalAuth = (req, res, next) => {
+  const token = req.cookies.token;
+
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      return next();
+    }
+
+    try {
+      if (!(await isSuspended(user.id))) {
+        req.user = user;
+      }
+    } catch (error) {
+      console.error("Error checking account status:", error);
+      return res.status(500).send({ error: "Failed to check account status" });
+    }
+    next();
+  });
+};
+
+// Organization roles from least to most trusted
+const ORGANIZATION_ROLES = ["member", "admin"];
+
+// The role a user has in an organization, or null if they don't belong to it
+const findOrganizationRole = async (organizationId, userId) => {
+  const member = await OrganizationMember.findOne({ where: { organizationId, userId } });
+  return member ? member.role : null;
+};
+
+// Middleware for routes on /organizations/:organizationId that need at least the given
+// role. Attaches the user's role as req.organizationRole. Runs after authenticateJWT;
+// organizations the user doesn't belong to are reported as not found.
+const requireOrganizationRole = (role) => async (req, res, next) => {
+  try {
+    const organizationRole = await findOrganizationRole(req.params.organizationId, req.user.id);
+
+    if (!organizationRole) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    if (ORGANIZATION_ROLES.indexOf(organizationRole) < ORGANIZATION_ROLES.indexOf(role)) {
+      return res.status(403).json({ error: "Only the organization's admins can do that" });
+    }
+
+    req.organizationRole = organizationRole;
+    next();
+  } catch (error) {
+    console.error("Error checking organization role:", error);
+    res.status(500).json({ error: "Failed to check organization access" });
+  }
+};
+
+// Poll roles from least to most trusted; each role can do everything the ones before it can
+const POLL_ROLES = ["observer", "editor", "owner"];
+
+const POLL_ROLE_ERRORS = {
+  editor: "Only the poll's owners and editors can do that",
+  owner: "Only the poll's owners can do that",
+};
+
+// The role a user has on a poll: the creator is always an owner, other users need a
+// membership, and admins of the organization that owns the poll can observe it. Returns null
+// for users the poll isn't shared with.
+const findPollRole = async (poll, userId) => {
+  if (poll.creatorId === userId) return "owner";
+
+  const member = await PollMember.findOne({ where: { pollId: poll.id, userId } });
+  if (member) return member.role;
+
+  if (!poll.organizationId) return null;
+  const organizationRole = await findOrganizationRole(poll.organizationId, userId);
+  return organizationRole === "admin" ? "observer" : null;
+};
+
+// Middleware for routes on /polls/:id that need at least the given role. Attaches the poll
+// as req.poll and the user's role as req.pollRole. Runs after authenticateJWT; polls the
+// user has no role on are reported as not found.
+const requirePollRole = (role) => async (req, res, next) => {
+  try {
+    const poll = await Poll.findByPk(req.params.id);
+    const pollRole = poll ? await findPollRole(poll, req.user.id) : null;
+
+    if (!pollRole) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+
+    if (POLL_ROLES.indexOf(pollRole) < POLL_ROLES.indexOf(role)) {
+      return res.status(403).json({ error: POLL_ROLE_ERRORS[role] });
+    }
+
+    req.poll = poll;
+    req.pollRole = pollRole;
+    next();
+  } catch (error) {
+    console.error("Error checking poll role:", error);
+    res.status(500).json({ error: "Failed to check poll access" });
+  }
+};
+
+// Signed cookie remembering that this browser entered a poll's password
+const accessCookieName = (poll) => `pollAccess${poll.id}`;
+
+// Tied to the current password hash, so changing the password locks out earlier browsers
+const accessGrant = (poll) =>
+  crypto.createHash("sha256").update(`${poll.id}:${poll.accessPasswordHash}`).digest("hex");
+
+// Check whether a request may see the poll under its visibility setting. Anyone the poll is
+// shared with always can. Only req.user and req.signedCookies are read, so socket handshakes
+// can be checked too. Returns { status, error, access } when it may not, where access tells
+// the voter what is missing ("password", "login", "group" or "organization"), otherwise null.
+const checkPollAccess = async (poll, req) => {
+  if (req.user && (await findPollRole(poll, req.user.id))) return null;
+
+  switch (poll.visibility) {
+    case "password":
+      if (req.signedCookies[accessCookieName(poll)] === accessGrant(poll)) return null;
+      return { status: 401, error: "This poll is password protected", access: "password" };
+    case "users":
+      if (req.user) return null;
+      return { status: 401, error: "Please log in to see this poll", access: "login" };
+    case "group": {
+      if (!req.user) {
+        return { status: 401, error: "Please log in to see this poll", access: "login" };
+      }
+      // Read the email from the account rather than the token, in case it has changed
+      const user = await User.findByPk(req.user.id, { attributes: ["email"] });
+      if (user?.email?.toLowerCase().endsWith(`@${poll.groupDomain}`)) return null;
+      return {
+        status: 403,
+        error: `This poll is only open to ${poll.groupDomain} accounts`,
+        access: "group",
+      };
+    }
+    case "organization":
+      if (!req.user) {
+        return { status: 401, error: "Please log in to see this poll", access: "login" };
+      }
+      if (await findOrganizationRole(poll.organizationId, req.user.id)) return null;
+      return {
+        status: 403,
+        error: "This poll is only open to members of its organization",
+        access: "organization",
+      };
+    default:
+      return null;
+  }
+};
+
 // Auth0 authentication route
 router.post("/auth0", async (req, res) => {
   try {
@@ -74,6 +266,10 @@ router.post("/auth0", async (req, res) => {
       user = await User.create(userData);
     }
 
+    if (user.suspendedAt) {
+      return res.status(403).send({ error: SUSPENDED_ERROR });
+    }
+
     // Generate JWT token with auth0Id included
     const token = jwt.sign(
       {
@@ -95,6 +291,7 @@ router.post("/auth0", async (req, res) => {
         username: user.username,
         auth0Id: user.auth0Id,
         email: user.email,
+        isAdmin: user.isAdmin,
       },
     });
   } catch (error) {
@@ -176,6 +373,10 @@ router.post("/login", async (req, res) => {
       return res.status(401).send({ error: "Invalid credentials" });
     }
 
+    if (user.suspendedAt) {
+      return res.status(403).send({ error: SUSPENDED_ERROR });
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       {
@@ -192,7 +393,7 @@ router.post("/login", async (req, res) => {
 
     res.send({
       message: "Login successful",
-      user: { id: user.id, username: user.username },
+      user: { id: user.id, username: user.username, isAdmin: user.isAdmin },
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -214,12 +415,40 @@ router.get("/me", (req, res) => {
     return res.send({});
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).send({ error: "Invalid or expired token" });
     }
-    res.send({ user: user });
+
+    try {
+      // The admin flag and suspension come from the database so the frontend sees changes
+      // straight away
+      const account = await User.findByPk(user.id, { attributes: ["isAdmin", "suspendedAt"] });
+      if (account?.suspendedAt) {
+        return res.status(403).send({ error: SUSPENDED_ERROR });
+      }
+      res.send({ user: { ...user, isAdmin: Boolean(account?.isAdmin) } });
+    } catch (error) {
+      console.error("Error fetching current user:", error);
+      res.sendStatus(500);
+    }
   });
 });
 
-module.exports = { router, authenticateJWT };
+module.exports = {
+  router,
+  authenticateJWT,
+  optionalAuth,
+  requireAdmin,
+  isSuspended,
+  cookieSettings,
+  POLL_ROLES,
+  findPollRole,
+  requirePollRole,
+  accessCookieName,
+  accessGrant,
+  checkPollAccess,
+  ORGANIZATION_ROLES,
+  findOrganizationRole,
+  requireOrganizationRole,
+};
@@ -1,19 +1,43 @@
 const { DataTypes } = require("sequelize");
 const db = require("./db");
+const crypto = require("crypto");
 
-const Ballot = db.define("ballot", {
-  voterName: {
-    type: DataTypes.STRING,
-    allowNull: true,
-  },
-  voterEmail: {
-    type: DataTypes.STRING,
-    allowNull: true,
-    validate: {
-      isEmail: true,
+const Ballot = db.define(
+  "ballot",
+  {
+    voterName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    voterEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true,
+      },
+    },
+    // Secret handed to the voter so they can revise this ballot while the poll is open
+    editToken: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      defaultValue: () => crypto.randomBytes(24).toString("hex"),
+    },
+    // Mixed into the ballot's receipt so nobody can match receipts to rankings by guessing
+    receiptSalt: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: () => crypto.randomBytes(16).toString("hex"),
+    },
+    // Identity the poll's dedup policy checked, e.g. "user:12", "browser:<id>", "email:a@b.com"
+    identityKey: {
+      type: DataTypes.STRING,
+      allowNull: true,
     },
   },
-});
+  {
+    indexes: [{ unique: true, fields: ["pollId", "identityKey"] }],
+  }
+);
 
 module.exports = Ballot;
-
@@ -4,6 +4,14 @@ const Poll = require("./poll");
 const PollOption = require("./pollOption");
 const Ballot = require("./ballot");
 const Ranking = require("./ranking");
+const Voter = require("./voter");
+const PollRevision = require("./pollRevision");
+const ResultSnapshot = require("./resultSnapshot");
+const Participation = require("./participation");
+const PollMember = require("./pollMember");
+const Organization = require("./organization");
+const OrganizationMember = require("./organizationMember");
+const PollReport = require("./pollReport");
 
 // Define relationships
 // User has many Polls
@@ -18,6 +26,58 @@ PollOption.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
 Poll.hasMany(Ballot, { foreignKey: "pollId", as: "ballots", onDelete: "CASCADE" });
 Ballot.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
 
+// Poll has many Voters (its voter roll)
+Poll.hasMany(Voter, { foreignKey: "pollId", as: "voters", onDelete: "CASCADE" });
+Voter.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
+
+// Poll has many PollRevisions (its edit history), each made by a User
+Poll.hasMany(PollRevision, { foreignKey: "pollId", as: "revisions", onDelete: "CASCADE" });
+PollRevision.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
+PollRevision.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// Poll has many ResultSnapshots (its tally audit trail); scheduled closes have no User
+Poll.hasMany(ResultSnapshot, { foreignKey: "pollId", as: "snapshots", onDelete: "CASCADE" });
+ResultSnapshot.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
+ResultSnapshot.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// Poll has many Participations (who voted, for anonymous polls)
+Poll.hasMany(Participation, { foreignKey: "pollId", as: "participations", onDelete: "CASCADE" });
+Participation.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
+
+// Poll has many PollMembers (users it is shared with), each invited by a User
+Poll.hasMany(PollMember, { foreignKey: "pollId", as: "members", onDelete: "CASCADE" });
+PollMember.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
+User.hasMany(PollMember, { foreignKey: "userId", as: "memberships", onDelete: "CASCADE" });
+PollMember.belongsTo(User, { foreignKey: "userId", as: "user" });
+PollMember.belongsTo(User, { foreignKey: "invitedById", as: "invitedBy" });
+
+// Organization has many OrganizationMembers (its users) and owns Polls; a User works in
+// one organization (or their personal space, when null) at a time
+Organization.hasMany(OrganizationMember, {
+  foreignKey: "organizationId",
+  as: "members",
+  onDelete: "CASCADE",
+});
+OrganizationMember.belongsTo(Organization, { foreignKey: "organizationId", as: "organization" });
+User.hasMany(OrganizationMember, {
+  foreignKey: "userId",
+  as: "organizationMemberships",
+  onDelete: "CASCADE",
+});
+OrganizationMember.belongsTo(User, { foreignKey: "userId", as: "user" });
+Organization.hasMany(Poll, { foreignKey: "organizationId", as: "polls", onDelete: "SET NULL" });
+Poll.belongsTo(Organization, { foreignKey: "organizationId", as: "organization" });
+User.belongsTo(Organization, {
+  foreignKey: "activeOrganizationId",
+  as: "activeOrganization",
+  onDelete: "SET NULL",
+});
+
+// Poll has many PollReports from visitors flagging it, optionally made by a logged-in User
+Poll.hasMany(PollReport, { foreignKey: "pollId", as: "reports", onDelete: "CASCADE" });
+PollReport.belongsTo(Poll, { foreignKey: "pollId", as: "poll" });
+PollReport.belongsTo(User, { foreignKey: "reporterId", as: "reporter" });
+
 // Ballot has many Rankings
 Ballot.hasMany(Ranking, { foreignKey: "ballotId", as: "rankings", onDelete: "CASCADE" });
 Ranking.belongsTo(Ballot, { foreignKey: "ballotId", as: "ballot" });
@@ -33,4 +93,12 @@ module.exports = {
   PollOption,
   Ballot,
   Ranking,
+  Voter,
+  PollRevision,
+  ResultSnapshot,
+  Participation,
+  PollMember,
+  Organization,
+  OrganizationMember,
+  PollReport,
 };
@@ -0,0 +1,16 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// A team or department workspace that groups users and the polls they run together
+const Organization = db.define("organization", {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 100],
+    },
+  },
+});
+
+module.exports = Organization;
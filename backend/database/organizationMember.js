@@ -0,0 +1,20 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// A user's place in an organization. Admins manage its members and see every poll it owns;
+// members run their own polls in it and can vote in polls limited to the organization.
+const OrganizationMember = db.define(
+  "organizationMember",
+  {
+    role: {
+      type: DataTypes.ENUM("admin", "member"),
+      defaultValue: "member",
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["organizationId", "userId"] }],
+  }
+);
+
+module.exports = OrganizationMember;
@@ -0,0 +1,38 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// Who voted in an anonymous poll, kept apart from the ballots so turnout and duplicate
+// checks never reveal how anyone voted. There is no ballot reference, and neither a
+// sequential id nor timestamps, so rows can't be matched to ballots by order or time.
+const Participation = db.define(
+  "participation",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    voterName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    voterEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true,
+      },
+    },
+    // Identity the poll's dedup policy checked, as on Ballot
+    identityKey: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    timestamps: false,
+    indexes: [{ unique: true, fields: ["pollId", "identityKey"] }],
+  }
+);
+
+module.exports = Participation;
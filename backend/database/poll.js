@@ -1,6 +1,7 @@
 const { DataTypes } = require("sequelize");
 const db = require("./db");
 const crypto = require("crypto");
+const bcrypt = require("bcrypt");
 
 const Poll = db.define("poll", {
   title: {
@@ -24,6 +25,116 @@ const Poll = db.define("poll", {
     unique: true,
     allowNull: true,
   },
+  votingMethod: {
+    type: DataTypes.ENUM("irv", "stv", "borda", "condorcet", "approval"),
+    defaultValue: "irv",
+    allowNull: false,
+  },
+  // STV only: number of candidates to elect
+  seats: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false,
+    validate: {
+      min: 1,
+    },
+  },
+  // Approval voting only: ranks at or above this count as approvals (null = every ranked option)
+  approvalCutoff: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+    },
+  },
+  // Scheduled status changes: draft → published at opensAt, published → closed at closesAt
+  opensAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  closesAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // How repeat ballots are detected: one per logged-in user, per browser, per voter email, or none
+  dedupPolicy: {
+    type: DataTypes.ENUM("none", "user", "browser", "email"),
+    defaultValue: "none",
+    allowNull: false,
+  },
+  // Secret ballot: who voted is recorded in Participations instead of on the ballots, and
+  // creators only ever see ballots without identities, in random order
+  anonymous: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+  },
+  // Who can find and vote in the poll: listed publicly, anyone with the link, the link plus a
+  // password, any logged-in user, logged-in users whose account email is at groupDomain, or
+  // members of the organization that owns the poll
+  visibility: {
+    type: DataTypes.ENUM("public", "unlisted", "password", "users", "group", "organization"),
+    defaultValue: "public",
+    allowNull: false,
+  },
+  accessPasswordHash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  groupDomain: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // Who can see results: the creator only, anyone after closing, or anyone while voting
+  resultsVisibility: {
+    type: DataTypes.ENUM("creator", "closed", "live"),
+    defaultValue: "creator",
+    allowNull: false,
+  },
+  // Fewest options a voter must rank (null = every option)
+  minRankings: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+    },
+  },
+  tieBreakRule: {
+    type: DataTypes.ENUM("previous-round", "backward", "forward", "random", "manual"),
+    defaultValue: "backward",
+    allowNull: false,
+  },
+  // Set while the poll is archived: hidden from voters and the default poll list until restored
+  archivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Set while a site administrator has taken the poll down: unreachable through its share
+  // link until reinstated. The reason is shown to the poll's owners.
+  takenDownAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  takedownReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // Set once enough visitors report the poll: hidden from Discover Polls until an admin
+  // dismisses the reports
+  flaggedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Published seed for random tie-break draws
+  tieBreakSeed: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  // Manual tie-breaking: option ids in priority order (listed last = eliminated first)
+  tieBreakOrder: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
 });
 
 // Generate unique shareable link
@@ -34,11 +145,43 @@ Poll.prototype.generateShareLink = function () {
   return this.shareLink;
 };
 
+// Instance method to check the password of a password-protected poll
+Poll.prototype.checkAccessPassword = function (password) {
+  if (!this.accessPasswordHash || typeof password !== "string") {
+    return false;
+  }
+  return bcrypt.compareSync(password, this.accessPasswordHash);
+};
+
+// Class method to hash a poll password
+Poll.hashAccessPassword = function (password) {
+  return bcrypt.hashSync(password, 10);
+};
+
+// The password hash never leaves the server
+Poll.prototype.toJSON = function () {
+  const values = this.get({ plain: true });
+  delete values.accessPasswordHash;
+  return values;
+};
+
 // Before create hook to generate share link when status is published
 Poll.beforeCreate((poll) => {
   if (poll.status === "published" && !poll.shareLink) {
     poll.shareLink = crypto.randomBytes(16).toString("hex");
   }
+  if (!poll.tieBreakSeed) {
+    poll.tieBreakSeed = crypto.randomBytes(8).toString("hex");
+  }
+});
+
+// A poll moved back to draft after its opening time would be republished by the scheduler
+// on its next run, so the spent opening time is cleared
+Poll.beforeUpdate((poll) => {
+  const opened = poll.opensAt && poll.opensAt <= new Date();
+  if (poll.changed("status") && poll.status === "draft" && opened) {
+    poll.opensAt = null;
+  }
 });
 
 module.exports = Poll;
@@ -0,0 +1,20 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// A user who manages a poll alongside its creator. Owners can do everything the creator
+// can, editors can change the poll's options and settings, and observers can only view its
+// ballots and results. The creator is always an owner and has no membership row.
+const PollMember = db.define(
+  "pollMember",
+  {
+    role: {
+      type: DataTypes.ENUM("owner", "editor", "observer"),
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["pollId", "userId"] }],
+  }
+);
+
+module.exports = PollMember;
@@ -9,7 +9,15 @@ const PollOption = db.define("pollOption", {
       notEmpty: true,
     },
   },
+  // Display order on ballots and poll pages
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
 });
 
-module.exports = PollOption;
+// Sort comparator for display order, falling back to creation order
+PollOption.byPosition = (a, b) => a.position - b.position || a.id - b.id;
 
+module.exports = PollOption;
@@ -0,0 +1,33 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// A visitor's complaint about a poll. Open reports wait in the admins' moderation queue until
+// an admin dismisses them or takes the poll down.
+const PollReport = db.define(
+  "pollReport",
+  {
+    reason: {
+      type: DataTypes.ENUM("spam", "offensive", "misleading", "other"),
+      allowNull: false,
+    },
+    details: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("open", "dismissed", "actioned"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    // Who reported the poll ("user:<id>" or "browser:<cookie>"), so each can only report once
+    reporterKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["pollId", "reporterKey"] }],
+  }
+);
+
+module.exports = PollReport;
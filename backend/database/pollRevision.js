@@ -0,0 +1,34 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// One entry in a poll's edit history: what changed, who changed it and when
+const PollRevision = db.define("pollRevision", {
+  action: {
+    type: DataTypes.ENUM(
+      "poll_updated",
+      "option_added",
+      "option_renamed",
+      "option_removed",
+      "options_reordered",
+      "write_in_added",
+      "archived",
+      "restored",
+      "ballots_imported",
+      "member_added",
+      "member_role_changed",
+      "member_removed",
+      "unpublished",
+      "taken_down",
+      "reinstated"
+    ),
+    allowNull: false,
+  },
+  // Action-specific details, e.g. { optionId, from, to } for a rename
+  details: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+  },
+});
+
+module.exports = PollRevision;
@@ -0,0 +1,41 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+
+// A tally frozen at a point in time: "certified" when a poll closes (or a tie-break
+// settles it afterwards), "recount" when the creator re-runs the count to audit it
+const ResultSnapshot = db.define("resultSnapshot", {
+  kind: {
+    type: DataTypes.ENUM("certified", "recount"),
+    allowNull: false,
+  },
+  method: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // Settings the method ran with, e.g. { seats, approvalCutoff, tieBreak: { rule, seed, order } }
+  parameters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+  },
+  // The full tabulation output, rounds included
+  results: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  ballotCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // SHA-256 of every ballot's id and rankings, so a changed ballot set is detectable
+  ballotHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  codeVersion: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+});
+
+module.exports = ResultSnapshot;
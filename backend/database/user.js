@@ -28,6 +28,17 @@ const User = db.define("user", {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  // Site administrators can moderate every user and poll
+  isAdmin: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Set while an administrator has suspended the account; suspended users can't log in
+  suspendedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
 });
 
 // Instance method to check password
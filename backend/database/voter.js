@@ -0,0 +1,33 @@
+const { DataTypes } = require("sequelize");
+const db = require("./db");
+const crypto = require("crypto");
+
+// An entry on a poll's voter roll, holding that voter's single-use voting token
+const Voter = db.define(
+  "voter",
+  {
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true,
+      },
+    },
+    token: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      defaultValue: () => crypto.randomBytes(16).toString("hex"),
+    },
+    // Set when the token is spent on a ballot
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["pollId", "email"] }],
+  }
+);
+
+module.exports = Voter;
@@ -0,0 +1,84 @@
+const { Op } = require("sequelize");
+const { Poll, db } = require("./database");
+const { emitPollStatus } = require("./socket-server");
+const { recordResultSnapshot } = require("./tally");
+
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+let timer;
+
+/**
+ * Publish drafts whose opensAt has passed and close published polls whose
+ * closesAt has passed. Each poll is saved individually so model hooks run, and
+ * closing a poll certifies its result snapshot.
+ * @param {Date} [now] - Time to compare the schedules against
+ * @returns {Promise<Object>} { opened, closed } arrays of poll ids
+ */
+const runScheduledTransitions = async (now = new Date()) => {
+  const opened = [];
+  const closed = [];
+
+  const dueToOpen = await Poll.findAll({
+    where: {
+      status: "draft",
+      archivedAt: null,
+      opensAt: { [Op.lte]: now },
+      [Op.or]: [{ closesAt: null }, { closesAt: { [Op.gt]: now } }],
+    },
+  });
+
+  for (const poll of dueToOpen) {
+    poll.status = "published";
+    poll.generateShareLink();
+    await poll.save();
+    emitPollStatus(poll);
+    opened.push(poll.id);
+  }
+
+  const dueToClose = await Poll.findAll({
+    where: {
+      status: "published",
+      archivedAt: null,
+      closesAt: { [Op.lte]: now },
+    },
+  });
+
+  for (const poll of dueToClose) {
+    poll.status = "closed";
+    await db.transaction(async (t) => {
+      await poll.save({ transaction: t });
+      await recordResultSnapshot(poll, { kind: "certified", transaction: t });
+    });
+    emitPollStatus(poll);
+    closed.push(poll.id);
+  }
+
+  return { opened, closed };
+};
+
+const tick = async () => {
+  try {
+    const { opened, closed } = await runScheduledTransitions();
+    if (opened.length || closed.length) {
+      console.log(`⏰ Scheduler opened polls [${opened}] and closed polls [${closed}]`);
+    }
+  } catch (error) {
+    console.error("❌ Error running poll scheduler:", error);
+  }
+};
+
+// Check poll schedules now and then on a fixed interval for the life of the process
+const startPollScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopPollScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startPollScheduler, stopPollScheduler, runScheduledTransitions };
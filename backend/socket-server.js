@@ -1,21 +1,77 @@
 const { Server } = require("socket.io");
+const jwt = require("jsonwebtoken");
+const cookieParser = require("cookie-parser");
+const { Poll } = require("./database");
+const { isSuspended, findPollRole, checkPollAccess } = require("./auth");
 
 let io;
 
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
-const corsOptions =
-  process.env.NODE_ENV === "production"
-    ? {
-        origin: FRONTEND_URL,
-        credentials: true,
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+const COOKIE_SECRET = process.env.COOKIE_SECRET || "your-cookie-secret";
+
+// Credentials are needed in every environment so the auth cookie reaches the handshake
+const corsOptions = {
+  cors: {
+    origin: FRONTEND_URL,
+    credentials: true,
+  },
+};
+
+const pollRoom = (pollId) => `poll:${pollId}`;
+
+const parseCookies = cookieParser(COOKIE_SECRET);
+
+// Read the JWT cookie from the handshake, if any, so rooms can be restricted to poll members.
+// Signed cookies are parsed too, so password grants can be checked on joining a room.
+// Suspended accounts connect as anonymous sockets.
+const authenticateSocket = (socket, next) => {
+  parseCookies(socket.request, {}, async () => {
+    const { token } = socket.request.cookies;
+
+    if (token) {
+      try {
+        const user = jwt.verify(token, JWT_SECRET);
+        if (!(await isSuspended(user.id))) {
+          socket.user = user;
+        }
+      } catch {
+        // Invalid or expired token, or the account couldn't be checked: continue as an
+        // anonymous socket
       }
-    : {
-        cors: "*",
-      };
+    }
+    next();
+  });
+};
+
+// Poll members follow live tallies and status changes for polls shared with them; anyone
+// who can see a published poll can follow it if its results are public while voting is open.
+// Everyone but members has to join by share link, so unlisted polls can't be followed by
+// guessing their ids.
+const canFollowPoll = async (poll, socket, { viaShareLink = false } = {}) => {
+  if (socket.user && (await findPollRole(poll, socket.user.id))) return true;
+
+  if (
+    !viaShareLink ||
+    poll.resultsVisibility !== "live" ||
+    poll.status === "draft" ||
+    poll.archivedAt ||
+    poll.takenDownAt
+  ) {
+    return false;
+  }
+
+  const denied = await checkPollAccess(poll, {
+    user: socket.user,
+    signedCookies: socket.request.signedCookies,
+  });
+  return !denied;
+};
 
 const initSocketServer = (server) => {
   try {
     io = new Server(server, corsOptions);
+    io.use(authenticateSocket);
 
     io.on("connection", (socket) => {
       console.log(`🔗 User ${socket.id} connected to sockets`);
@@ -24,7 +80,33 @@ const initSocketServer = (server) => {
         console.log(`🔗 User ${socket.id} disconnected from sockets`);
       });
 
-      // Define event handlers here...
+      // Members join a poll's room by its id, everyone else by its share link
+      socket.on("poll:join", async (pollIdOrShareLink) => {
+        try {
+          const viaShareLink = typeof pollIdOrShareLink === "string";
+          const poll = viaShareLink
+            ? await Poll.findOne({ where: { shareLink: pollIdOrShareLink } })
+            : await Poll.findByPk(pollIdOrShareLink);
+          const canFollow = poll && (await canFollowPoll(poll, socket, { viaShareLink }));
+
+          if (!canFollow) {
+            socket.emit("poll:error", {
+              poll: pollIdOrShareLink,
+              error: "Not allowed to follow this poll",
+            });
+            return;
+          }
+
+          socket.join(pollRoom(poll.id));
+        } catch (error) {
+          console.error("❌ Error joining poll room:", error);
+          socket.emit("poll:error", { poll: pollIdOrShareLink, error: "Failed to follow poll" });
+        }
+      });
+
+      socket.on("poll:leave", (pollId) => {
+        socket.leave(pollRoom(pollId));
+      });
     });
   } catch (error) {
     console.error("❌ Error initializing socket server:");
@@ -32,4 +114,45 @@ const initSocketServer = (server) => {
   }
 };
 
-module.exports = initSocketServer;
+// Whether anyone is following a poll, so callers can skip work nobody will see
+const hasPollFollowers = (pollId) => Boolean(io?.sockets.adapter.rooms.get(pollRoom(pollId))?.size);
+
+// Rooms are only checked on joining, so after a change that can take access away (visibility,
+// results visibility, archiving, a takedown or a removed member) drop the followers who lost
+// it. Failing here only affects live views, so it is logged rather than surfaced.
+const dropLostFollowers = async (poll) => {
+  if (!hasPollFollowers(poll.id)) return;
+
+  try {
+    const sockets = await io.in(pollRoom(poll.id)).fetchSockets();
+    for (const socket of sockets) {
+      // Anyone in the room who isn't a member joined through the share link
+      if (!(await canFollowPoll(poll, socket, { viaShareLink: true }))) {
+        socket.leave(pollRoom(poll.id));
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error checking poll followers:", error);
+  }
+};
+
+// Broadcast a poll's new ballot count and results to everyone following it
+const emitPollTally = (pollId, { ballotCount, results }) => {
+  io?.to(pollRoom(pollId)).emit("poll:tally", { pollId, ballotCount, results });
+};
+
+// Broadcast a poll's status after it is published or closed. The share link is left out, as
+// followers of an unlisted poll may not know it.
+const emitPollStatus = (poll) => {
+  io?.to(pollRoom(poll.id)).emit("poll:status", { pollId: poll.id, status: poll.status });
+};
+
+module.exports = {
+  initSocketServer,
+  authenticateSocket,
+  canFollowPoll,
+  hasPollFollowers,
+  dropLostFollowers,
+  emitPollTally,
+  emitPollStatus,
+};
@@ -0,0 +1,93 @@
+const { Ballot, Ranking, PollOption, ResultSnapshot } = require("./database");
+const { DEFAULT_METHOD, tabulatePoll, tabulationSettings } = require("./utils/methods");
+const { CODE_VERSION, hashBallots } = require("./utils/audit");
+
+/**
+ * Load a poll's ballots with their rankings in rank order
+ * @param {number} pollId
+ * @param {Object} [queryOptions] - e.g. { transaction }
+ * @returns {Promise<Array>} Plain ballots with rankings and their poll options
+ */
+const findPollBallots = async (pollId, { transaction } = {}) => {
+  const ballots = await Ballot.findAll({
+    where: { pollId },
+    include: [
+      {
+        model: Ranking,
+        as: "rankings",
+        include: [
+          {
+            model: PollOption,
+            as: "pollOption",
+            attributes: ["id", "text"],
+          },
+        ],
+      },
+    ],
+    transaction,
+  });
+
+  return ballots.map((ballot) => ({
+    ...ballot.toJSON(),
+    rankings: [...ballot.rankings].sort((a, b) => a.rank - b.rank),
+  }));
+};
+
+/**
+ * Load a poll's ballots and tabulate them with the poll's voting method.
+ * Expects poll.options to be loaded.
+ * @param {Object} poll - Poll instance with options
+ * @param {Object} [queryOptions] - e.g. { transaction }
+ * @returns {Promise<Object>} { options (sorted), ballots, ballotCount, results }
+ */
+const tabulateStoredPoll = async (poll, { transaction } = {}) => {
+  const ballots = await findPollBallots(poll.id, { transaction });
+
+  // Sort options for consistent processing
+  const sortedOptions = [...poll.options].sort(PollOption.byPosition);
+
+  return {
+    options: sortedOptions,
+    ballots,
+    ballotCount: ballots.length,
+    results: tabulatePoll(poll, sortedOptions, ballots),
+  };
+};
+
+/**
+ * Count a poll and store the outcome as a result snapshot
+ * @param {Object} poll - Poll instance
+ * @param {Object} snapshot
+ * @param {string} snapshot.kind - "certified" or "recount"
+ * @param {number|null} [snapshot.userId] - Who triggered it; null for the scheduler
+ * @param {Object} [snapshot.transaction]
+ * @returns {Promise<Object>} The created ResultSnapshot
+ */
+const recordResultSnapshot = async (poll, { kind, userId = null, transaction } = {}) => {
+  const options = await PollOption.findAll({
+    where: { pollId: poll.id },
+    attributes: ["id", "text", "position"],
+    transaction,
+  });
+  const { ballots, ballotCount, results } = await tabulateStoredPoll(
+    { ...poll.toJSON(), options },
+    { transaction }
+  );
+
+  return ResultSnapshot.create(
+    {
+      pollId: poll.id,
+      userId,
+      kind,
+      method: poll.votingMethod || DEFAULT_METHOD,
+      parameters: tabulationSettings(poll),
+      results,
+      ballotCount,
+      ballotHash: hashBallots(ballots),
+      codeVersion: CODE_VERSION,
+    },
+    { transaction }
+  );
+};
+
+module.exports = { findPollBallots, tabulateStoredPoll, recordResultSnapshot };
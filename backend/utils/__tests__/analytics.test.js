@@ -0,0 +1,58 @@
+const { analyzeRankings } = require("../analytics");
+const { ballot } = require("./helpers");
+
+describe("analyzeRankings", () => {
+  const options = [
+    { id: 1, text: "Option A" },
+    { id: 2, text: "Option B" },
+    { id: 3, text: "Option C" },
+  ];
+  const ballots = [
+    ballot(1, [1, 2, 3]),
+    ballot(2, [1, 2, 3]),
+    ballot(3, [2, 1, 3]),
+    ballot(4, [3, 1]),
+    ballot(5, [2]),
+  ];
+
+  test("counts how often each option was ranked at each position", () => {
+    const { totalBallots, options: stats } = analyzeRankings(options, ballots);
+
+    expect(totalBallots).toBe(5);
+    expect(stats.map((stat) => stat.rankCounts)).toEqual([
+      [2, 2, 0],
+      [2, 2, 0],
+      [1, 0, 3],
+    ]);
+    expect(stats.map((stat) => stat.firstPreferences)).toEqual([2, 2, 1]);
+    expect(stats.map((stat) => stat.unranked)).toEqual([1, 1, 1]);
+  });
+
+  test("reports average rank, Borda score and last-place counts", () => {
+    const [a, b, c] = analyzeRankings(options, ballots).options;
+
+    expect(a.averageRank).toBe(1.5);
+    expect(c.averageRank).toBe(2.5);
+    expect([a.bordaScore, b.bordaScore, c.bordaScore]).toEqual([6, 6, 2]);
+    // Ballot 4 stops after A, so A counts as its last choice; ballot 5 ranks only one option
+    expect([a.rankedLast, b.rankedLast, c.rankedLast]).toEqual([1, 0, 3]);
+  });
+
+  test("lists the most common orderings first", () => {
+    const { patterns, distinctPatterns } = analyzeRankings(options, ballots, { topPatterns: 2 });
+
+    expect(distinctPatterns).toBe(4);
+    expect(patterns).toEqual([
+      { ordering: [1, 2, 3], count: 2, share: 0.4 },
+      { ordering: [2], count: 1, share: 0.2 },
+    ]);
+  });
+
+  test("handles a poll with no ballots", () => {
+    const result = analyzeRankings(options, []);
+
+    expect(result.totalBallots).toBe(0);
+    expect(result.patterns).toEqual([]);
+    expect(result.options[0]).toMatchObject({ averageRank: null, bordaScore: 0, unranked: 0 });
+  });
+});
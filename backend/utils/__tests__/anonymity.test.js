@@ -0,0 +1,43 @@
+const { shuffle, toSecretBallot } = require("../anonymity");
+
+describe("shuffle", () => {
+  const items = Array.from({ length: 20 }, (_, i) => i);
+
+  test("returns every item exactly once without changing the input", () => {
+    const shuffled = shuffle(items);
+
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+    expect(items).toEqual(Array.from({ length: 20 }, (_, i) => i));
+  });
+
+  test("does not keep the original order", () => {
+    // 20 items come back in their original order with probability 1 / 20!
+    expect(shuffle(items)).not.toEqual(items);
+  });
+
+  test("handles empty and single-item lists", () => {
+    expect(shuffle([])).toEqual([]);
+    expect(shuffle(["only"])).toEqual(["only"]);
+  });
+});
+
+describe("toSecretBallot", () => {
+  test("keeps only the option and rank of each choice", () => {
+    const ballot = {
+      id: 7,
+      voterName: "Ana",
+      createdAt: "2026-01-01T00:00:00Z",
+      rankings: [
+        { id: 12, ballotId: 7, pollOptionId: 3, rank: 1, createdAt: "2026-01-01T00:00:00Z" },
+        { id: 13, ballotId: 7, pollOptionId: 1, rank: 2, updatedAt: "2026-01-01T00:00:00Z" },
+      ],
+    };
+
+    expect(toSecretBallot(ballot)).toEqual({
+      rankings: [
+        { pollOptionId: 3, rank: 1 },
+        { pollOptionId: 1, rank: 2 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { calculateApproval } = require("../approval");
+
+describe("Approval Voting", () => {
+  const options = [
+    { id: 1, text: "Option A" },
+    { id: 2, text: "Option B" },
+    { id: 3, text: "Option C" },
+  ];
+  const ballots = [
+    { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 2, rank: 2 }, { pollOptionId: 3, rank: 3 }] },
+    { id: 2, rankings: [{ pollOptionId: 3, rank: 1 }, { pollOptionId: 2, rank: 2 }, { pollOptionId: 1, rank: 3 }] },
+    { id: 3, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 3, rank: 2 }, { pollOptionId: 2, rank: 3 }] },
+  ];
+
+  test("returns error when no ballots provided", () => {
+    const result = calculateApproval(options, []);
+    expect(result.error).toBe("No ballots available");
+  });
+
+  test("counts ranks within the cutoff as approvals", () => {
+    const result = calculateApproval(options, ballots, { approvalCutoff: 2 });
+    expect(result.approvals).toEqual({ 1: 2, 2: 2, 3: 2 });
+    expect(result.tie).toBe(true);
+
+    const strict = calculateApproval(options, ballots, { approvalCutoff: 1 });
+    expect(strict.approvals).toEqual({ 1: 2, 2: 0, 3: 1 });
+    expect(strict.winner.id).toBe(1);
+    expect(strict.percentages[1]).toBeCloseTo(66.67, 1);
+  });
+
+  test("approves every ranked option without a cutoff", () => {
+    const result = calculateApproval(options, ballots);
+    expect(result.approvals).toEqual({ 1: 3, 2: 3, 3: 3 });
+    expect(result.approvalCutoff).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+const { CODE_VERSION, hashBallots, diffSnapshots } = require("../audit");
+const { tabulate } = require("../methods");
+const { ballot } = require("./helpers");
+
+describe("hashBallots", () => {
+  const ballots = [ballot(1, [1, 2]), ballot(2, [2, 1]), ballot(3, [1])];
+
+  test("ignores ballot and ranking order", () => {
+    const shuffled = [
+      ballot(3, [1]),
+      { id: 1, rankings: [...ballot(1, [1, 2]).rankings].reverse() },
+      ballot(2, [2, 1]),
+    ];
+
+    expect(hashBallots(shuffled)).toBe(hashBallots(ballots));
+    expect(hashBallots(ballots)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test("changes when a ballot is added, removed or re-ranked", () => {
+    const hash = hashBallots(ballots);
+
+    expect(hashBallots([...ballots, ballot(4, [2])])).not.toBe(hash);
+    expect(hashBallots(ballots.slice(1))).not.toBe(hash);
+    expect(hashBallots([ballot(1, [2, 1]), ballots[1], ballots[2]])).not.toBe(hash);
+  });
+});
+
+describe("diffSnapshots", () => {
+  const options = [
+    { id: 1, text: "Option A" },
+    { id: 2, text: "Option B" },
+    { id: 3, text: "Option C" },
+  ];
+  const ballots = [
+    ballot(1, [1, 2]),
+    ballot(2, [1, 3]),
+    ballot(3, [2, 1]),
+    ballot(4, [2, 1]),
+    ballot(5, [3, 2]),
+  ];
+
+  const snapshot = (method, castBallots, fields = {}) => ({
+    method,
+    parameters: { seats: null },
+    results: tabulate(method, options, castBallots),
+    ballotCount: castBallots.length,
+    ballotHash: hashBallots(castBallots),
+    codeVersion: CODE_VERSION,
+    ...fields,
+  });
+
+  test("reports no changes for an identical recount", () => {
+    const diff = diffSnapshots(snapshot("irv", ballots), snapshot("irv", ballots));
+
+    expect(diff).toEqual({
+      changed: false,
+      ballotsChanged: false,
+      ballotCount: null,
+      codeVersion: null,
+      parameters: {},
+      winners: null,
+      counts: [],
+    });
+  });
+
+  test("explains how added ballots changed each round", () => {
+    const recounted = [...ballots, ballot(6, [1]), ballot(7, [1])];
+    const diff = diffSnapshots(snapshot("irv", ballots), snapshot("irv", recounted));
+
+    expect(diff.changed).toBe(true);
+    expect(diff.ballotsChanged).toBe(true);
+    expect(diff.ballotCount).toEqual({ from: 5, to: 7 });
+    expect(diff.winners).toEqual({ from: [2], to: [1] });
+    expect(diff.counts).toContainEqual({ round: 1, optionId: 1, from: 2, to: 4 });
+  });
+
+  test("reports algorithm and parameter changes on the same ballots", () => {
+    const certified = snapshot("irv", ballots, { codeVersion: "0.9.0+tally.0" });
+    const recount = snapshot("irv", ballots, { parameters: { seats: 2 } });
+    const diff = diffSnapshots(certified, recount);
+
+    expect(diff.ballotsChanged).toBe(false);
+    expect(diff.codeVersion).toEqual({ from: "0.9.0+tally.0", to: CODE_VERSION });
+    expect(diff.parameters).toEqual({ seats: { from: null, to: 2 } });
+    expect(diff.changed).toBe(true);
+  });
+
+  test("compares final scores for score-based methods", () => {
+    const recounted = [...ballots, ballot(6, [3, 1])];
+    const diff = diffSnapshots(snapshot("borda", ballots), snapshot("borda", recounted));
+
+    expect(diff.counts).toEqual([
+      { round: 1, optionId: 1, from: 6, to: 7 },
+      { round: 1, optionId: 3, from: 3, to: 5 },
+    ]);
+  });
+});
@@ -0,0 +1,41 @@
+const { calculateBorda } = require("../borda");
+
+describe("Borda Count", () => {
+  const options = [
+    { id: 1, text: "Option A" },
+    { id: 2, text: "Option B" },
+    { id: 3, text: "Option C" },
+  ];
+
+  test("returns error when no ballots provided", () => {
+    const result = calculateBorda(options, []);
+    expect(result.error).toBe("No ballots available");
+    expect(result.winner).toBeNull();
+  });
+
+  test("awards N - rank points per ballot", () => {
+    const ballots = [
+      { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 2, rank: 2 }, { pollOptionId: 3, rank: 3 }] },
+      { id: 2, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 1, rank: 2 }, { pollOptionId: 3, rank: 3 }] },
+      { id: 3, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 3, rank: 2 }, { pollOptionId: 1, rank: 3 }] },
+    ];
+
+    const result = calculateBorda(options, ballots);
+    expect(result.scores).toEqual({ 1: 3, 2: 5, 3: 1 });
+    expect(result.winner.id).toBe(2);
+    expect(result.maxScore).toBe(6);
+    expect(result.standings.map((s) => s.id)).toEqual([2, 1, 3]);
+  });
+
+  test("can elect a broadly liked option with no first preferences", () => {
+    const ballots = [
+      { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 3, rank: 2 }, { pollOptionId: 2, rank: 3 }] },
+      { id: 2, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 3, rank: 2 }, { pollOptionId: 1, rank: 3 }] },
+    ];
+
+    const result = calculateBorda(options, ballots);
+    expect(result.winner).toBeNull();
+    expect(result.tie).toBe(true);
+    expect(result.tiedOptions.map((o) => o.id)).toEqual([1, 2, 3]);
+  });
+});
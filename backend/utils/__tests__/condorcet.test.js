@@ -0,0 +1,94 @@
+const {
+  calculateSchulze,
+  buildPairwiseMatrix,
+  findCondorcetWinner,
+  findCondorcetLoser,
+  compareHeadToHead,
+} = require("../condorcet");
+const { ballot } = require("./helpers");
+
+describe("Condorcet (Schulze)", () => {
+  const options = [
+    { id: 1, text: "Option A" },
+    { id: 2, text: "Option B" },
+    { id: 3, text: "Option C" },
+  ];
+
+  test("returns error when no options provided", () => {
+    const result = calculateSchulze([], []);
+    expect(result.error).toBe("No options available");
+  });
+
+  test("builds the pairwise matrix", () => {
+    const matrix = buildPairwiseMatrix([1, 2, 3], [ballot(1, [1, 2, 3]), ballot(2, [2, 1, 3])]);
+    expect(matrix[1][2]).toBe(1);
+    expect(matrix[2][1]).toBe(1);
+    expect(matrix[1][3]).toBe(2);
+    expect(matrix[3][1]).toBe(0);
+  });
+
+  test("elects the Condorcet winner when one exists", () => {
+    // B is everyone's first or second choice and beats A and C head-to-head
+    const ballots = [
+      ballot(1, [1, 2, 3]),
+      ballot(2, [1, 2, 3]),
+      ballot(3, [3, 2, 1]),
+      ballot(4, [3, 2, 1]),
+      ballot(5, [2, 1, 3]),
+    ];
+
+    const result = calculateSchulze(options, ballots);
+    expect(result.condorcetWinner).toBe(2);
+    expect(result.winner.id).toBe(2);
+    expect(result.totalVotes).toBe(5);
+  });
+
+  test("resolves a Condorcet cycle using strongest paths", () => {
+    // A > B (7-2), B > C (5-4), C > A (6-3): no Condorcet winner
+    const ballots = [
+      ...[1, 2, 3].map((id) => ballot(id, [1, 2, 3])),
+      ...[4, 5].map((id) => ballot(id, [2, 3, 1])),
+      ...[6, 7, 8, 9].map((id) => ballot(id, [3, 1, 2])),
+    ];
+
+    const result = calculateSchulze(options, ballots);
+    expect(findCondorcetWinner([1, 2, 3], result.pairwise)).toBeNull();
+    expect(result.condorcetWinner).toBeNull();
+    // C's path to A (6) beats A's path to C via B (min(7, 5) = 5)
+    expect(result.strongestPaths[3][1]).toBe(6);
+    expect(result.strongestPaths[1][3]).toBe(5);
+    expect(result.winner.id).toBe(3);
+  });
+
+  describe("head-to-head comparison", () => {
+    // Center squeeze: B beats both A and C head-to-head but has the fewest first choices
+    const ballots = [
+      ...[1, 2, 3, 4].map((id) => ballot(id, [1, 2, 3])),
+      ...[5, 6, 7, 8].map((id) => ballot(id, [3, 2, 1])),
+      ...[9, 10, 11].map((id) => ballot(id, [2, 1, 3])),
+    ];
+
+    test("finds the Condorcet winner and loser", () => {
+      const result = compareHeadToHead(options, ballots, [1]);
+
+      expect(result.condorcetWinner).toBe(2);
+      expect(result.condorcetLoser).toBe(3);
+      expect(result.matrix[2][1]).toBe(7);
+      expect(result.matrix[1][2]).toBe(4);
+    });
+
+    test("reports whether the method's winner is the Condorcet winner", () => {
+      expect(compareHeadToHead(options, ballots, [1]).agreesWithCondorcet).toBe(false);
+      expect(compareHeadToHead(options, ballots, [1, 2]).agreesWithCondorcet).toBe(true);
+      expect(compareHeadToHead(options, ballots, []).agreesWithCondorcet).toBeNull();
+    });
+
+    test("has no Condorcet loser in a cycle", () => {
+      const cycle = [ballot(1, [1, 2, 3]), ballot(2, [2, 3, 1]), ballot(3, [3, 1, 2])];
+      const matrix = buildPairwiseMatrix([1, 2, 3], cycle);
+
+      expect(findCondorcetLoser([1, 2, 3], matrix)).toBeNull();
+      expect(compareHeadToHead(options, cycle, [1]).agreesWithCondorcet).toBeNull();
+    });
+  });
+});
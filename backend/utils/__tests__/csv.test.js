@@ -0,0 +1,30 @@
+const { parseCSV, formatCSVRow } = require("../csv");
+
+describe("parseCSV", () => {
+  test("splits rows and cells", () => {
+    expect(parseCSV("a,b\nc,d")).toEqual([
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+  });
+
+  test("handles quoted fields, doubled quotes and CRLF line endings", () => {
+    expect(parseCSV('"Lee, Sam","say ""hi"""\r\nnext,"multi\nline"\r\n')).toEqual([
+      ["Lee, Sam", 'say "hi"'],
+      ["next", "multi\nline"],
+    ]);
+  });
+
+  test("skips blank lines", () => {
+    expect(parseCSV("a\n\n\nb\n")).toEqual([["a"], ["b"]]);
+  });
+});
+
+describe("formatCSVRow", () => {
+  test("quotes cells only when needed and round-trips through parseCSV", () => {
+    const row = formatCSVRow(["plain", "Lee, Sam", 'say "hi"', null, 3]);
+
+    expect(row).toBe('plain,"Lee, Sam","say ""hi""",,3\r\n');
+    expect(parseCSV(row)).toEqual([["plain", "Lee, Sam", 'say "hi"', "", "3"]]);
+  });
+});
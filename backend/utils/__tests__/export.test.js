@@ -0,0 +1,140 @@
+const { EXPORT_FORMATS, isExportFormat, toExportBallot } = require("../export");
+
+describe("ballot export", () => {
+  const poll = { id: 7, title: 'Team "Lunch"', description: null, status: "closed" };
+  const options = [
+    { id: 10, text: "Tacos" },
+    { id: 11, text: "Pizza, thin crust" },
+    { id: 12, text: "Sushi" },
+  ];
+  const ballots = [
+    {
+      id: 1,
+      submittedAt: new Date("2026-03-01T12:00:00Z"),
+      voterName: "Ana",
+      voterEmail: "ana@example.com",
+      rankings: [11, 10, 12],
+    },
+    {
+      id: 2,
+      submittedAt: new Date("2026-03-01T12:05:00Z"),
+      voterName: null,
+      voterEmail: null,
+      rankings: [12],
+    },
+  ];
+
+  // Write a whole export the way the route streams it
+  const exportBallots = (format, context) => {
+    const writer = EXPORT_FORMATS[format];
+    return (
+      writer.header(context) +
+      ballots.map((ballot, i) => writer.ballot(ballot, i, context)).join("") +
+      writer.footer(context)
+    );
+  };
+
+  test("recognizes the supported formats", () => {
+    expect(["csv", "blt", "json"].every(isExportFormat)).toBe(true);
+    expect(isExportFormat("xml")).toBe(false);
+    expect(isExportFormat("toString")).toBe(false);
+  });
+
+  test("orders a stored ballot's rankings by rank", () => {
+    const ballot = toExportBallot({
+      id: 3,
+      createdAt: "2026-03-01T12:00:00Z",
+      voterName: null,
+      voterEmail: null,
+      rankings: [
+        { pollOptionId: 12, rank: 2 },
+        { pollOptionId: 10, rank: 1 },
+      ],
+    });
+
+    expect(ballot.rankings).toEqual([10, 12]);
+    expect(ballot.submittedAt).toBe("2026-03-01T12:00:00Z");
+  });
+
+  test("leaves out everything but the rankings for anonymous polls", () => {
+    const ballot = toExportBallot(
+      {
+        id: 3,
+        createdAt: "2026-03-01T12:00:00Z",
+        voterName: "Ana",
+        voterEmail: "ana@example.com",
+        rankings: [{ pollOptionId: 10, rank: 1 }],
+      },
+      { anonymous: true }
+    );
+
+    expect(ballot).toEqual({
+      id: null,
+      submittedAt: null,
+      voterName: null,
+      voterEmail: null,
+      rankings: [10],
+    });
+    expect(EXPORT_FORMATS.csv.ballot(ballot, 0, { options, includeVoters: false })).toBe(
+      ",,Tacos,,\r\n"
+    );
+  });
+
+  test("writes one CSV row per ballot with a column per rank", () => {
+    const csv = exportBallots("csv", { poll, options, includeVoters: false });
+
+    expect(csv.split("\r\n")).toEqual([
+      "ballot_id,submitted_at,rank_1,rank_2,rank_3",
+      '1,2026-03-01T12:00:00.000Z,"Pizza, thin crust",Tacos,Sushi',
+      "2,2026-03-01T12:05:00.000Z,Sushi,,",
+      "",
+    ]);
+  });
+
+  test("adds voter columns to the CSV only when asked", () => {
+    const csv = exportBallots("csv", { poll, options, includeVoters: true });
+
+    expect(csv).toContain("ballot_id,submitted_at,voter_name,voter_email,rank_1");
+    expect(csv).toContain("1,2026-03-01T12:00:00.000Z,Ana,ana@example.com,");
+  });
+
+  test("writes BLT with numbered candidates and seats for STV", () => {
+    const blt = exportBallots("blt", {
+      poll: { ...poll, votingMethod: "stv", seats: 2 },
+      options,
+      includeVoters: true,
+    });
+
+    expect(blt.split("\n")).toEqual([
+      "3 2",
+      "1 2 1 3 0",
+      "1 3 0",
+      "0",
+      '"Tacos"',
+      '"Pizza, thin crust"',
+      '"Sushi"',
+      "\"Team 'Lunch'\"",
+      "",
+    ]);
+  });
+
+  test("writes the documented JSON schema without voter details by default", () => {
+    const document = JSON.parse(exportBallots("json", { poll, options, includeVoters: false }));
+
+    expect(document.format).toBe("rcv-polls/ballots");
+    expect(document.version).toBe(1);
+    expect(document.poll.title).toBe('Team "Lunch"');
+    expect(document.options).toEqual(options);
+    expect(document.ballots).toEqual([
+      { id: 1, submittedAt: "2026-03-01T12:00:00.000Z", rankings: [11, 10, 12] },
+      { id: 2, submittedAt: "2026-03-01T12:05:00.000Z", rankings: [12] },
+    ]);
+  });
+
+  test("includes voter details in JSON when asked", () => {
+    const document = JSON.parse(exportBallots("json", { poll, options, includeVoters: true }));
+
+    expect(document.ballots[0].voterName).toBe("Ana");
+    expect(document.ballots[0].voterEmail).toBe("ana@example.com");
+  });
+});
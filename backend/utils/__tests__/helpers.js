@@ -0,0 +1,9 @@
+// Fixtures shared by the tabulation, analytics and audit tests
+
+// Build a ballot from an ordered list of option ids
+const ballot = (id, order) => ({
+  id,
+  rankings: order.map((pollOptionId, index) => ({ pollOptionId, rank: index + 1 })),
+});
+
+module.exports = { ballot };
@@ -0,0 +1,130 @@
+const { MAX_IMPORTED_BALLOTS, parseBallotFile, isImportFormat } = require("../import");
+
+describe("parseBallotFile", () => {
+  const options = [
+    { id: 10, text: "Tacos" },
+    { id: 11, text: "Pizza" },
+    { id: 12, text: "Sushi" },
+  ];
+
+  test("recognizes the supported formats", () => {
+    expect(isImportFormat("csv")).toBe(true);
+    expect(isImportFormat("blt")).toBe(true);
+    expect(isImportFormat("json")).toBe(false);
+  });
+
+  describe("CSV", () => {
+    test("reads the export layout, matching option text loosely", () => {
+      const csv = [
+        "ballot_id,submitted_at,voter_name,voter_email,rank_1,rank_2,rank_3",
+        "1,2026-03-01,Ana,ana@example.com, pizza ,Tacos,SUSHI",
+        "2,2026-03-01,,,Sushi,,",
+      ].join("\n");
+
+      const { ballots, errors } = parseBallotFile("csv", csv, options);
+
+      expect(errors).toEqual([]);
+      expect(ballots).toEqual([
+        {
+          row: 2,
+          voterName: "Ana",
+          voterEmail: "ana@example.com",
+          rankings: [
+            { pollOptionId: 11, rank: 1 },
+            { pollOptionId: 10, rank: 2 },
+            { pollOptionId: 12, rank: 3 },
+          ],
+        },
+        { row: 3, voterName: null, voterEmail: null, rankings: [{ pollOptionId: 12, rank: 1 }] },
+      ]);
+    });
+
+    test("reads every cell as a choice when there is no header", () => {
+      const { ballots } = parseBallotFile("csv", "Sushi,Tacos\nPizza", options);
+
+      expect(ballots.map((ballot) => ballot.rankings.map((r) => r.pollOptionId))).toEqual([
+        [12, 10],
+        [11],
+      ]);
+    });
+
+    test("reports unknown options and bad emails by row", () => {
+      const csv = "rank_1,voter_email\nCurry,\nTacos,not-an-email\nSushi,a@b.c\nPizza,";
+
+      const { ballots, errors } = parseBallotFile("csv", csv, options);
+
+      expect(errors).toEqual([
+        { row: 2, error: 'Unknown option "Curry"' },
+        { row: 3, error: "Invalid voter email" },
+        { row: 4, error: "Invalid voter email" },
+      ]);
+      expect(ballots).toHaveLength(1);
+    });
+  });
+
+  describe("BLT", () => {
+    const blt = (...ballotLines) =>
+      ["3 1", ...ballotLines, "0", '"Tacos"', '"Pizza"', '"Sushi"', '"Lunch"'].join("\n");
+
+    test("numbers candidates in name order and expands ballot weights", () => {
+      const { ballots, errors } = parseBallotFile("blt", blt("2 2 1 0", "1 3 0"), options);
+
+      expect(errors).toEqual([]);
+      expect(ballots).toHaveLength(3);
+      expect(ballots[0].rankings).toEqual([
+        { pollOptionId: 11, rank: 1 },
+        { pollOptionId: 10, rank: 2 },
+      ]);
+      expect(ballots[2]).toEqual({
+        row: 3,
+        voterName: null,
+        voterEmail: null,
+        rankings: [{ pollOptionId: 12, rank: 1 }],
+      });
+    });
+
+    test("skips a withdrawn candidates line", () => {
+      const text = blt("1 1 0").replace("3 1\n", "3 1\n-2\n");
+
+      expect(parseBallotFile("blt", text, options).ballots).toHaveLength(1);
+    });
+
+    test("reports malformed ballot lines by row", () => {
+      const text = blt("0.5 1 0", "1 1 2", "1 1=2 0", "1 4 0");
+
+      const { errors } = parseBallotFile("blt", text, options);
+
+      expect(errors).toEqual([
+        { row: 2, error: "Ballot weight must be a positive whole number" },
+        { row: 3, error: 'Ballot lines must end with "0"' },
+        { row: 4, error: "Equal rankings are not supported" },
+        { row: 5, error: "Unknown candidate number 4" },
+      ]);
+    });
+
+    test("reports candidate names that are not poll options", () => {
+      const text = blt("1 1 0").replace('"Pizza"', '"Curry"');
+
+      const { errors } = parseBallotFile("blt", text, options);
+
+      expect(errors).toEqual([{ row: 5, error: 'Unknown option "Curry"' }]);
+    });
+
+    test("requires a header and the end-of-ballots marker", () => {
+      expect(parseBallotFile("blt", "Tacos\n", options).errors[0].error).toBe(
+        'BLT files start with "candidates seats"'
+      );
+      expect(parseBallotFile("blt", "3 1\n1 1 0\n", options).errors[0].error).toBe(
+        'Missing "0" after the last ballot'
+      );
+    });
+
+    test("limits how many ballots one import can create", () => {
+      const { errors } = parseBallotFile("blt", blt(`${MAX_IMPORTED_BALLOTS + 1} 1 0`), options);
+
+      expect(errors).toEqual([
+        { row: null, error: `Imports are limited to ${MAX_IMPORTED_BALLOTS} ballots` },
+      ]);
+    });
+  });
+});
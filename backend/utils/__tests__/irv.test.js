@@ -120,6 +120,40 @@ describe("IRV Algorithm", () => {
       expect(result.rounds[1].eliminated.id).toBe(3);
     });
 
+    test("records where each eliminated option's votes went", () => {
+      const options = [
+        { id: 1, text: "A" },
+        { id: 2, text: "B" },
+        { id: 3, text: "C" },
+      ];
+      const ballot = (id, ...optionIds) => ({
+        id,
+        rankings: optionIds.map((pollOptionId, i) => ({ pollOptionId, rank: i + 1 })),
+      });
+      const ballots = [
+        ballot(1, 1),
+        ballot(2, 1),
+        ballot(3, 2, 3),
+        ballot(4, 2, 3),
+        ballot(5, 2),
+        ballot(6, 3, 2),
+        ballot(7, 3, 1),
+        ballot(8, 1),
+        ballot(9, 2),
+      ];
+
+      const result = calculateIRV(options, ballots);
+
+      expect(result.rounds[0].transfers).toEqual([
+        { from: 3, type: "elimination", transferValue: 1, votes: 2, to: { 1: 1, 2: 1 }, exhausted: 0 },
+      ]);
+      // A's ballots, including the one it picked up from C, rank nothing else
+      expect(result.rounds[1].transfers).toEqual([
+        { from: 1, type: "elimination", transferValue: 1, votes: 4, to: {}, exhausted: 4 },
+      ]);
+      expect(result.winner.id).toBe(2);
+    });
+
     test("handles three-round elimination", () => {
       const options = [
         { id: 1, text: "Option A" },
@@ -144,7 +178,7 @@ describe("IRV Algorithm", () => {
   });
 
   describe("Tie Handling", () => {
-    test("detects tie when all candidates have equal votes", () => {
+    test("breaks a two-way tie with the seeded draw when there is no earlier round", () => {
       const options = [
         { id: 1, text: "Option A" },
         { id: 2, text: "Option B" },
@@ -154,14 +188,51 @@ describe("IRV Algorithm", () => {
         { id: 2, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 1, rank: 2 }] },
       ];
 
-      const result = calculateIRV(options, ballots);
+      const result = calculateIRV(options, ballots, { tieBreak: { seed: "published-seed" } });
+      const round = result.rounds[0];
+      expect(round.tieBreak.rule).toBe("random");
+      expect(round.tieBreak.fallbackFrom).toBe("backward");
+      expect(round.tieBreak.tiedOptions).toEqual([1, 2]);
+      expect(result.winner.id).not.toBe(round.eliminated.id);
+      expect(result.tieBreak).toEqual({ rule: "backward", seed: "published-seed" });
+    });
+
+    test("detects tie when manual tie-breaking has no order yet", () => {
+      const options = [
+        { id: 1, text: "Option A" },
+        { id: 2, text: "Option B" },
+      ];
+      const ballots = [
+        { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 2, rank: 2 }] },
+        { id: 2, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 1, rank: 2 }] },
+      ];
+
+      const result = calculateIRV(options, ballots, { tieBreak: { rule: "manual" } });
       expect(result.tie).toBe(true);
+      expect(result.manualTieBreakRequired).toBe(true);
       expect(result.winner).toBeNull();
       expect(result.tiedOptions.length).toBe(2);
       expect(result.tiedOptions.map((o) => o.id).sort()).toEqual([1, 2]);
     });
 
-    test("handles multiple candidates tied for last place", () => {
+    test("applies the creator's manual order", () => {
+      const options = [
+        { id: 1, text: "Option A" },
+        { id: 2, text: "Option B" },
+      ];
+      const ballots = [
+        { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 2, rank: 2 }] },
+        { id: 2, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 1, rank: 2 }] },
+      ];
+
+      const result = calculateIRV(options, ballots, {
+        tieBreak: { rule: "manual", order: [2, 1] },
+      });
+      expect(result.winner.id).toBe(2);
+      expect(result.rounds[0].tieBreak.rule).toBe("manual");
+    });
+
+    test("eliminates one of several candidates tied for last place", () => {
       const options = [
         { id: 1, text: "Option A" },
         { id: 2, text: "Option B" },
@@ -175,10 +246,41 @@ describe("IRV Algorithm", () => {
       ];
 
       const result = calculateIRV(options, ballots);
-      // Round 1: A=2, B=1, C=1 (B and C tied for elimination)
+      // Round 1: A=2, B=1, C=1 (B and C tied for elimination, only one goes)
       expect(result.rounds.length).toBeGreaterThan(0);
-      expect(result.rounds[0].eliminatedMultiple).toBeTruthy();
-      expect(result.rounds[0].eliminatedMultiple.length).toBe(2);
+      expect(result.rounds[0].eliminatedMultiple).toBeUndefined();
+      expect(result.rounds[0].tieBreak.tiedOptions).toEqual([2, 3]);
+      expect([2, 3]).toContain(result.rounds[0].eliminated.id);
+      expect(result.rounds[1].remaining.length).toBe(2);
+    });
+
+    test("backward tracing uses earlier rounds to separate a tie", () => {
+      const options = [
+        { id: 1, text: "Option A" },
+        { id: 2, text: "Option B" },
+        { id: 3, text: "Option C" },
+        { id: 4, text: "Option D" },
+      ];
+      // Round 1: A=3, B=2, C=3, D=1 -> D eliminated, its ballot goes to B
+      // Round 2: A=3, B=3, C=3 -> three-way tie; B had fewest in round 1
+      const ballots = [
+        { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }] },
+        { id: 2, rankings: [{ pollOptionId: 1, rank: 1 }] },
+        { id: 3, rankings: [{ pollOptionId: 1, rank: 1 }] },
+        { id: 4, rankings: [{ pollOptionId: 2, rank: 1 }] },
+        { id: 5, rankings: [{ pollOptionId: 2, rank: 1 }] },
+        { id: 6, rankings: [{ pollOptionId: 3, rank: 1 }] },
+        { id: 7, rankings: [{ pollOptionId: 3, rank: 1 }] },
+        { id: 8, rankings: [{ pollOptionId: 3, rank: 1 }] },
+        { id: 9, rankings: [{ pollOptionId: 4, rank: 1 }, { pollOptionId: 2, rank: 2 }] },
+      ];
+
+      const result = calculateIRV(options, ballots, { tieBreak: { rule: "backward" } });
+      expect(result.rounds[1].tieBreak).toEqual({
+        eliminated: 2,
+        rule: "backward",
+        tiedOptions: [1, 2, 3],
+      });
     });
   });
 
@@ -228,6 +330,40 @@ describe("IRV Algorithm", () => {
     });
   });
 
+  describe("Partial Ballots", () => {
+    test("counts exhausted ballots and takes the majority of continuing ballots", () => {
+      const options = [
+        { id: 1, text: "A" },
+        { id: 2, text: "B" },
+        { id: 3, text: "C" },
+        { id: 4, text: "D" },
+      ];
+      const only = (id, optionId) => ({ id, rankings: [{ pollOptionId: optionId, rank: 1 }] });
+      const ballots = [
+        ...[1, 2, 3, 4, 5].map((id) => only(id, 1)),
+        only(6, 2),
+        only(7, 2),
+        { id: 8, rankings: [{ pollOptionId: 3, rank: 1 }, { pollOptionId: 2, rank: 2 }] },
+        only(9, 3),
+        only(10, 4),
+      ];
+
+      const result = calculateIRV(options, ballots);
+      expect(result.rounds[0]).toMatchObject({ exhausted: 0, continuingBallots: 10 });
+      expect(result.rounds[0].eliminated.id).toBe(4);
+
+      // 5 of 9 continuing ballots is a majority even though it is not a majority of all 10
+      expect(result.rounds[1]).toMatchObject({
+        exhausted: 1,
+        continuingBallots: 9,
+        majorityThreshold: 5,
+        majorityWinner: 1,
+      });
+      expect(result.rounds[1].percentages[1]).toBeCloseTo((5 / 9) * 100);
+      expect(result.winner.id).toBe(1);
+    });
+  });
+
   describe("Ballot Normalization", () => {
     test("handles ballots with pollOption object structure", () => {
       const options = [{ id: 1, text: "Option A" }, { id: 2, text: "Option B" }];
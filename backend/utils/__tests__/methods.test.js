@@ -0,0 +1,48 @@
+const { VOTING_METHODS, isVotingMethod, tabulate, tabulatePoll } = require("../methods");
+
+describe("Voting Method Registry", () => {
+  const options = [
+    { id: 1, text: "Option A" },
+    { id: 2, text: "Option B" },
+  ];
+  const ballots = [
+    { id: 1, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 2, rank: 2 }] },
+    { id: 2, rankings: [{ pollOptionId: 1, rank: 1 }, { pollOptionId: 2, rank: 2 }] },
+    { id: 3, rankings: [{ pollOptionId: 2, rank: 1 }, { pollOptionId: 1, rank: 2 }] },
+  ];
+
+  test("every registered method tabulates and agrees on a clear winner", () => {
+    Object.keys(VOTING_METHODS).forEach((method) => {
+      const result = tabulate(method, options, ballots, { approvalCutoff: 1 });
+      expect(result.method).toBe(method);
+      expect(result.methodLabel).toBe(VOTING_METHODS[method].label);
+      expect(result.winner.id).toBe(1);
+      expect(result.totalVotes).toBe(3);
+    });
+  });
+
+  test("rejects unknown methods", () => {
+    expect(isVotingMethod("plurality")).toBe(false);
+    expect(isVotingMethod("toString")).toBe(false);
+    expect(tabulate("plurality", options, ballots).error).toContain("Unknown voting method");
+  });
+
+  test("tabulatePoll defaults to instant runoff", () => {
+    const result = tabulatePoll({}, options, ballots);
+    expect(result.method).toBe("irv");
+    expect(result.rounds).toBeDefined();
+  });
+
+  test("tabulatePoll compares the winner with every option head-to-head", () => {
+    const result = tabulatePoll({ votingMethod: "borda" }, options, ballots);
+
+    expect(result.headToHead.matrix[1][2]).toBe(2);
+    expect(result.headToHead.condorcetWinner).toBe(1);
+    expect(result.headToHead.condorcetLoser).toBe(2);
+    expect(result.headToHead.agreesWithCondorcet).toBe(true);
+  });
+
+  test("tabulatePoll skips the comparison when there is nothing to count", () => {
+    expect(tabulatePoll({}, options, []).headToHead).toBeUndefined();
+  });
+});
@@ -0,0 +1,34 @@
+const { validateRankings } = require("../rankings");
+
+describe("validateRankings", () => {
+  const optionIds = [1, 2, 3, 4];
+  const ballot = (...ids) => ids.map((pollOptionId, i) => ({ pollOptionId, rank: i + 1 }));
+
+  test("accepts a complete ballot", () => {
+    expect(validateRankings(ballot(2, 1, 4, 3), optionIds)).toBeNull();
+  });
+
+  test("requires every option when the poll has no minimum", () => {
+    expect(validateRankings(ballot(1, 2), optionIds)).toBe("All options must be ranked");
+  });
+
+  test("accepts a partial ballot that meets the poll's minimum", () => {
+    expect(validateRankings(ballot(3, 1), optionIds, 2)).toBeNull();
+    expect(validateRankings(ballot(3), optionIds, 2)).toBe("At least 2 options must be ranked");
+  });
+
+  test("rejects duplicate, unknown and non-sequential rankings", () => {
+    expect(validateRankings(ballot(1, 1), optionIds, 1)).toBe("Each option can only be ranked once");
+    expect(validateRankings(ballot(1, 9), optionIds, 1)).toBe("Invalid option ID");
+    expect(
+      validateRankings(
+        [
+          { pollOptionId: 1, rank: 1 },
+          { pollOptionId: 2, rank: 3 },
+        ],
+        optionIds,
+        1
+      )
+    ).toContain("sequential");
+  });
+});
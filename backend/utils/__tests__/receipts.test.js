@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+const { GENESIS_HASH, computeReceipt, buildBulletinBoard, isReceipt } = require("../receipts");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+describe("computeReceipt", () => {
+  const ballot = {
+    id: 7,
+    receiptSalt: "salt",
+    rankings: [
+      { pollOptionId: 2, rank: 2 },
+      { pollOptionId: 1, rank: 1 },
+    ],
+  };
+
+  test("hashes the ballot id, rankings in rank order and salt", () => {
+    expect(computeReceipt(ballot)).toBe(sha256("7:1>2:salt"));
+  });
+
+  test("changes when the rankings or salt change", () => {
+    const receipt = computeReceipt(ballot);
+
+    expect(computeReceipt({ ...ballot, receiptSalt: "other" })).not.toBe(receipt);
+    expect(
+      computeReceipt({
+        ...ballot,
+        rankings: [
+          { pollOptionId: 2, rank: 1 },
+          { pollOptionId: 1, rank: 2 },
+        ],
+      })
+    ).not.toBe(receipt);
+  });
+});
+
+describe("buildBulletinBoard", () => {
+  const receipts = ["b".repeat(64), "a".repeat(64)];
+
+  test("chains receipts in sorted order", () => {
+    const { entries, head } = buildBulletinBoard(receipts);
+    const first = sha256(GENESIS_HASH + "a".repeat(64));
+    const second = sha256(first + "b".repeat(64));
+
+    expect(entries).toEqual([
+      { position: 1, receipt: "a".repeat(64), chainHash: first },
+      { position: 2, receipt: "b".repeat(64), chainHash: second },
+    ]);
+    expect(head).toBe(second);
+  });
+
+  test("does not depend on the order receipts are given in", () => {
+    expect(buildBulletinBoard([...receipts].reverse())).toEqual(buildBulletinBoard(receipts));
+  });
+
+  test("starts from the genesis hash when there are no ballots", () => {
+    expect(buildBulletinBoard([])).toEqual({ entries: [], head: GENESIS_HASH });
+  });
+});
+
+describe("isReceipt", () => {
+  test("accepts 64 lowercase hex characters only", () => {
+    expect(isReceipt("a".repeat(64))).toBe(true);
+    expect(isReceipt("a".repeat(63))).toBe(false);
+    expect(isReceipt("g".repeat(64))).toBe(false);
+  });
+});
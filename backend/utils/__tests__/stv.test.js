@@ -0,0 +1,131 @@
+const { calculateSTV } = require("../stv");
+const { ballot } = require("./helpers");
+
+describe("Single Transferable Vote", () => {
+  const options = [
+    { id: 1, text: "Alice" },
+    { id: 2, text: "Bob" },
+    { id: 3, text: "Charlie" },
+    { id: 4, text: "Diana" },
+  ];
+
+  test("returns error when no ballots provided", () => {
+    const result = calculateSTV(options, []);
+    expect(result.error).toBe("No ballots available");
+    expect(result.elected).toEqual([]);
+  });
+
+  test("single seat behaves like instant runoff", () => {
+    const ballots = [
+      ballot(1, [1, 2, 3, 4]),
+      ballot(2, [1, 2, 3, 4]),
+      ballot(3, [2, 1, 3, 4]),
+      ballot(4, [3, 2, 1, 4]),
+      ballot(5, [3, 2, 1, 4]),
+    ];
+
+    const result = calculateSTV(options, ballots);
+    expect(result.seats).toBe(1);
+    expect(result.quota).toBe(3);
+    expect(result.winner).toBeTruthy();
+    expect(result.elected.length).toBe(1);
+  });
+
+  test("transfers surplus at a fractional value", () => {
+    // 6 votes, 2 seats: quota = floor(6 / 3) + 1 = 3
+    const ballots = [
+      ballot(1, [1, 3, 2, 4]),
+      ballot(2, [1, 3, 2, 4]),
+      ballot(3, [1, 3, 2, 4]),
+      ballot(4, [1, 3, 2, 4]),
+      ballot(5, [2, 4, 1, 3]),
+      ballot(6, [4, 2, 1, 3]),
+    ];
+
+    const result = calculateSTV(options, ballots, { seats: 2 });
+    expect(result.quota).toBe(3);
+    expect(result.rounds[0].elected).toEqual([1]);
+    expect(result.rounds[0].surplus[1]).toBe(1);
+    expect(result.rounds[0].transferValues[1]).toBe(0.25);
+    // Alice's four ballots move to Charlie at 0.25 each
+    expect(result.rounds[0].transfers).toEqual([
+      { from: 1, type: "surplus", transferValue: 0.25, votes: 1, to: { 3: 1 }, exhausted: 0 },
+    ]);
+    expect(result.rounds[1].voteCounts[3]).toBe(1);
+    expect(result.elected.map((o) => o.id)).toContain(1);
+    expect(result.elected.length).toBe(2);
+  });
+
+  test("records the round each candidate was elected in", () => {
+    const ballots = [
+      ballot(1, [1, 2, 3, 4]),
+      ballot(2, [1, 2, 3, 4]),
+      ballot(3, [1, 2, 3, 4]),
+      ballot(4, [2, 3, 1, 4]),
+      ballot(5, [2, 3, 1, 4]),
+      ballot(6, [3, 2, 1, 4]),
+      ballot(7, [4, 3, 2, 1]),
+      ballot(8, [4, 2, 3, 1]),
+    ];
+
+    // 8 votes, 2 seats: quota = 3. Alice is elected first with no surplus,
+    // then Charlie is eliminated and his ballot carries Bob to the quota.
+    const result = calculateSTV(options, ballots, { seats: 2 });
+    expect(result.quota).toBe(3);
+    expect(result.elected[0]).toEqual({ id: 1, text: "Alice", round: 1 });
+    expect(result.rounds[1].eliminated.id).toBe(3);
+    expect(result.rounds[1].transfers[0]).toMatchObject({
+      from: 3,
+      type: "elimination",
+      to: { 2: 1 },
+    });
+    expect(result.elected[1]).toEqual({ id: 2, text: "Bob", round: 3 });
+  });
+
+  describe("with fractional transfers", () => {
+    // Ballots for each ranking in turn, numbered from 1
+    const ballotsFor = (groups) =>
+      groups
+        .flatMap(([count, order]) => Array.from({ length: count }, () => order))
+        .map((order, index) => ballot(index + 1, order));
+
+    test("elects a candidate whose transfers bring them exactly to the quota", () => {
+      // 39 votes, 2 seats: quota = 14. Alice's 18 Charlie ballots carry 7/21 each,
+      // which adds up to 13.999... in floating point.
+      const ballots = ballotsFor([
+        [3, [1, 2]],
+        [18, [1, 3]],
+        [8, [3]],
+        [10, [4]],
+      ]);
+
+      const result = calculateSTV(options, ballots, { seats: 2 });
+      expect(result.quota).toBe(14);
+      expect(result.rounds[1].voteCounts[3]).toBe(14);
+      expect(result.rounds[1].elected).toEqual([3]);
+      expect(result.rounds[1].surplus[3]).toBe(0);
+      expect(result.elected.map((o) => o.id)).toEqual([1, 3]);
+    });
+
+    test("treats counts that only differ by rounding drift as a tie", () => {
+      // 15 votes, 2 seats: quota = 6. Bob ends up with 1 + 3 × 1/3 and Charlie with 6 × 1/3
+      const ballots = ballotsFor([
+        [3, [1, 2]],
+        [6, [1, 3]],
+        [1, [2]],
+        [5, [4]],
+      ]);
+
+      const result = calculateSTV(options, ballots, { seats: 2, tieBreak: { rule: "manual" } });
+      expect(result.rounds[1].voteCounts).toMatchObject({ 2: 2, 3: 2 });
+      expect(result.manualTieBreakRequired).toBe(true);
+      expect(result.tiedOptions.map((o) => o.id)).toEqual([2, 3]);
+    });
+  });
+
+  test("never elects more candidates than seats", () => {
+    const ballots = [ballot(1, [1, 2, 3, 4]), ballot(2, [2, 1, 3, 4])];
+    const result = calculateSTV(options, ballots, { seats: 3 });
+    expect(result.elected.length).toBe(3);
+  });
+});
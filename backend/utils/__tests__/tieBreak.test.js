@@ -0,0 +1,50 @@
+const { breakTie, drawOrder, addManualDecision } = require("../tieBreak");
+
+describe("Tie-Breaking Rules", () => {
+  // Round 1: 3 had the fewest; round 2: 2 had the fewest
+  const history = [
+    { 1: 5, 2: 4, 3: 3 },
+    { 1: 5, 2: 3, 3: 4 },
+  ];
+
+  test("previous-round looks only at the round before", () => {
+    expect(breakTie([2, 3], { rule: "previous-round" }, history)).toEqual({
+      eliminated: 2,
+      rule: "previous-round",
+    });
+  });
+
+  test("backward tracing starts from the most recent round", () => {
+    expect(breakTie([2, 3], { rule: "backward" }, history).eliminated).toBe(2);
+  });
+
+  test("forward tracing starts from the first round", () => {
+    expect(breakTie([2, 3], { rule: "forward" }, history).eliminated).toBe(3);
+  });
+
+  test("falls back to the seeded draw when history cannot separate the tie", () => {
+    const result = breakTie([1, 2], { rule: "forward", seed: "abc" }, []);
+    expect(result.rule).toBe("random");
+    expect(result.fallbackFrom).toBe("forward");
+    expect(result.eliminated).toBe(drawOrder("abc", [1, 2])[0]);
+  });
+
+  test("random draw is reproducible from the seed", () => {
+    const first = breakTie([1, 2, 3, 4], { rule: "random", seed: "seed-1" });
+    const again = breakTie([4, 3, 2, 1], { rule: "random", seed: "seed-1" });
+    expect(first).toEqual(again);
+    expect(drawOrder("seed-1", [1, 2, 3, 4]).sort()).toEqual([1, 2, 3, 4]);
+  });
+
+  test("manual order eliminates the tied option listed last", () => {
+    expect(breakTie([1, 3], { rule: "manual", order: [3, 2, 1] }).eliminated).toBe(1);
+    expect(breakTie([1, 3], { rule: "manual", order: [3, 2] })).toBeNull();
+  });
+
+  test("manual decisions extend the order without reversing earlier ones", () => {
+    expect(addManualDecision(null, [1, 2], 2)).toEqual([1, 2]);
+    expect(addManualDecision([1, 2], [1, 4], 4)).toEqual([1, 2, 4]);
+    expect(addManualDecision([1, 2], [2, 5], 2)).toEqual([1, 5, 2]);
+    expect(addManualDecision([1, 2], [1, 2], 1)).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Ranking analytics
+ *
+ * Describes how each option was ranked across all ballots, independent of the
+ * poll's voting method, and which complete orderings voters cast most often.
+ */
+
+const { normalizeBallots } = require("./ballots");
+const { calculateBorda } = require("./borda");
+
+// How many of the most common ballot orderings to report
+const DEFAULT_TOP_PATTERNS = 10;
+
+/**
+ * Summarize how a poll's options were ranked
+ *
+ * Per option: rankCounts[i] is the number of ballots ranking it (i + 1)th,
+ * averageRank is over the ballots that ranked it (null if none did), bordaScore
+ * uses the Borda method's points, and rankedLast counts ballots that ranked it
+ * below every other option they ranked (ballots ranking a single option are skipped).
+ *
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @param {Object} [settings]
+ * @param {number} [settings.topPatterns=10] - How many orderings to return
+ * @returns {Object} { totalBallots, options, patterns, distinctPatterns }
+ */
+function analyzeRankings(options, ballots, { topPatterns = DEFAULT_TOP_PATTERNS } = {}) {
+  const normalizedBallots = normalizeBallots(ballots);
+  const borda = normalizedBallots.length > 0 ? calculateBorda(options, ballots).scores : {};
+
+  const stats = {};
+  options.forEach((option) => {
+    stats[option.id] = {
+      id: option.id,
+      text: option.text,
+      rankCounts: options.map(() => 0),
+      rankTotal: 0,
+      ranked: 0,
+      rankedLast: 0,
+    };
+  });
+
+  const patternCounts = new Map();
+  normalizedBallots.forEach((ballot) => {
+    const ordering = ballot.rankings
+      .map((ranking) => ranking.pollOptionId)
+      .filter((id) => stats[id] !== undefined);
+
+    ordering.forEach((id, index) => {
+      stats[id].rankCounts[index]++;
+      stats[id].rankTotal += index + 1;
+      stats[id].ranked++;
+    });
+    if (ordering.length > 1) {
+      stats[ordering[ordering.length - 1]].rankedLast++;
+    }
+
+    if (ordering.length > 0) {
+      const key = ordering.join(",");
+      patternCounts.set(key, (patternCounts.get(key) || 0) + 1);
+    }
+  });
+
+  const totalBallots = normalizedBallots.length;
+  const patterns = [...patternCounts.entries()]
+    .map(([key, count]) => ({
+      ordering: key.split(",").map(Number),
+      count,
+      share: count / totalBallots,
+    }))
+    .sort((a, b) => b.count - a.count || a.ordering.join().localeCompare(b.ordering.join()))
+    .slice(0, topPatterns);
+
+  return {
+    totalBallots,
+    options: options.map((option) => {
+      const { rankTotal, ranked, ...stat } = stats[option.id];
+      return {
+        ...stat,
+        firstPreferences: stat.rankCounts[0],
+        unranked: totalBallots - ranked,
+        averageRank: ranked > 0 ? Math.round((rankTotal / ranked) * 100) / 100 : null,
+        bordaScore: borda[option.id] || 0,
+      };
+    }),
+    patterns,
+    distinctPatterns: patternCounts.size,
+  };
+}
+
+module.exports = {
+  analyzeRankings,
+};
@@ -0,0 +1,43 @@
+/**
+ * Secret-ballot helpers
+ *
+ * Anonymous polls keep voter identities out of the ballots table entirely, but a
+ * ballot's timestamps or its position in id order could still be matched against
+ * when someone was seen voting. Creator-facing views of those ballots keep only the
+ * choices and shuffle the ballots.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Reduce a stored ballot (with rankings loaded) to its choices. Ballot and ranking ids
+ * and timestamps are dropped along with voter details, since sorting by any of them
+ * recovers the casting order.
+ * @param {Object} ballot - Ballot with a rankings array of { pollOptionId, rank }
+ * @returns {Object} Ballot as { rankings: [{ pollOptionId, rank }] }
+ */
+function toSecretBallot(ballot) {
+  return {
+    rankings: ballot.rankings.map(({ pollOptionId, rank }) => ({ pollOptionId, rank })),
+  };
+}
+
+/**
+ * Return the items in a uniformly random order (Fisher-Yates with a CSPRNG, so the
+ * order can't be predicted from earlier shuffles)
+ * @param {Array} items
+ * @returns {Array} A shuffled copy
+ */
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = {
+  shuffle,
+  toSecretBallot,
+};
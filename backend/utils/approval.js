@@ -0,0 +1,56 @@
+/**
+ * Approval Voting Implementation (from ranked ballots)
+ *
+ * Every option a voter ranks within the poll's approval cutoff counts as
+ * one approval. Without a cutoff, every ranked option is approved.
+ * The option with the most approvals wins.
+ */
+
+const { normalizeBallots, emptyResult, rankByScore } = require("./ballots");
+
+/**
+ * Calculate approval voting results
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @param {Object} settings - Tabulation settings
+ * @param {number} [settings.approvalCutoff] - Highest rank that counts as an approval
+ * @returns {Object} Results object with approvals, standings and winner
+ */
+function calculateApproval(options, ballots, { approvalCutoff } = {}) {
+  const empty = emptyResult(options, ballots);
+  if (empty) {
+    return { ...empty, approvals: {}, percentages: {}, standings: [] };
+  }
+
+  const approvals = {};
+  options.forEach((option) => {
+    approvals[option.id] = 0;
+  });
+
+  normalizeBallots(ballots).forEach((ballot) => {
+    ballot.rankings.forEach((ranking) => {
+      const withinCutoff = !approvalCutoff || ranking.rank <= approvalCutoff;
+      if (withinCutoff && approvals[ranking.pollOptionId] !== undefined) {
+        approvals[ranking.pollOptionId]++;
+      }
+    });
+  });
+
+  const totalVotes = ballots.length;
+  const percentages = {};
+  options.forEach((option) => {
+    percentages[option.id] = (approvals[option.id] / totalVotes) * 100;
+  });
+
+  return {
+    ...rankByScore(options, approvals),
+    approvals,
+    percentages,
+    approvalCutoff: approvalCutoff || null,
+    totalVotes,
+  };
+}
+
+module.exports = {
+  calculateApproval,
+};
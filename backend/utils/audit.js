@@ -0,0 +1,124 @@
+/**
+ * Tally audit helpers
+ *
+ * A result snapshot records what a count produced along with enough context to
+ * check it later: a hash of the exact ballot set and the version of the counting
+ * code. Recounting builds a fresh snapshot, and diffSnapshots explains any difference
+ * from the certified one.
+ */
+
+const crypto = require("crypto");
+const { version } = require("../package.json");
+
+// Bump whenever a change to a counting method could change a poll's results, so
+// snapshots taken before and after the change can be told apart
+const TABULATION_VERSION = 1;
+
+const CODE_VERSION = `${version}+tally.${TABULATION_VERSION}`;
+
+/**
+ * Hash a ballot set so any added, removed or re-ranked ballot changes the result.
+ * Ballots are ordered by id and written as "id:option>option>..." in rank order, so
+ * the hash doesn't depend on query order.
+ * @param {Array} ballots - Array of ballots with id and rankings ({ pollOptionId, rank })
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashBallots(ballots) {
+  const canonical = [...ballots]
+    .sort((a, b) => a.id - b.id)
+    .map((ballot) => {
+      const ordering = [...ballot.rankings]
+        .sort((a, b) => a.rank - b.rank)
+        .map((ranking) => ranking.pollOptionId);
+      return `${ballot.id}:${ordering.join(">")}`;
+    })
+    .join("\n");
+
+  return crypto.createHash("sha256").update(canonical).digest("hex");
+}
+
+// Ids of the options a tally declared the winners, in the order it declared them
+const winnerIds = (results) =>
+  results.elected
+    ? results.elected.map((opt) => opt.id)
+    : [results.winner?.id].filter((id) => id !== undefined);
+
+// Vote counts keyed by round number: each round for round-based methods, or a single
+// round holding the final scores for score-based ones
+const countsByRound = (results) => {
+  if (results.rounds) {
+    return Object.fromEntries(results.rounds.map((round) => [round.round, round.voteCounts]));
+  }
+  const scores = Object.fromEntries(
+    (results.standings || []).map((standing) => [standing.id, standing.score])
+  );
+  return { 1: scores };
+};
+
+const changedValue = (from, to) =>
+  JSON.stringify(from) === JSON.stringify(to) ? null : { from, to };
+
+/**
+ * Compare a recount with the certified snapshot
+ *
+ * ballotCount, codeVersion and winners are { from, to } when they differ and null when
+ * they match. parameters lists only the settings that changed. counts lists every vote
+ * count that moved as { round, optionId, from, to }, with 0 for an option missing from
+ * one side's round.
+ *
+ * @param {Object} certified - Snapshot with ballotHash, ballotCount, codeVersion,
+ *   parameters and results
+ * @param {Object} recount - Snapshot of the same shape
+ * @returns {Object} { changed, ballotsChanged, ballotCount, codeVersion, parameters,
+ *   winners, counts }
+ */
+function diffSnapshots(certified, recount) {
+  const parameterKeys = new Set([
+    ...Object.keys(certified.parameters || {}),
+    ...Object.keys(recount.parameters || {}),
+  ]);
+  const parameters = {};
+  parameterKeys.forEach((key) => {
+    const change = changedValue(certified.parameters?.[key], recount.parameters?.[key]);
+    if (change) parameters[key] = change;
+  });
+
+  const before = countsByRound(certified.results);
+  const after = countsByRound(recount.results);
+  const rounds = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(Number)
+    .sort((a, b) => a - b);
+  const counts = rounds.flatMap((round) => {
+    const from = before[round] || {};
+    const to = after[round] || {};
+    return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+      .filter((id) => (from[id] || 0) !== (to[id] || 0))
+      .map((id) => ({ round, optionId: Number(id), from: from[id] || 0, to: to[id] || 0 }));
+  });
+
+  const diff = {
+    ballotsChanged: certified.ballotHash !== recount.ballotHash,
+    ballotCount: changedValue(certified.ballotCount, recount.ballotCount),
+    codeVersion: changedValue(certified.codeVersion, recount.codeVersion),
+    parameters,
+    winners: changedValue(winnerIds(certified.results), winnerIds(recount.results)),
+    counts,
+  };
+
+  return {
+    changed:
+      diff.ballotsChanged ||
+      diff.codeVersion !== null ||
+      Object.keys(parameters).length > 0 ||
+      diff.winners !== null ||
+      counts.length > 0,
+    ...diff,
+  };
+}
+
+module.exports = {
+  TABULATION_VERSION,
+  CODE_VERSION,
+  hashBallots,
+  diffSnapshots,
+};
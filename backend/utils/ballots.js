@@ -0,0 +1,74 @@
+/**
+ * Shared ballot helpers used by the tabulation methods
+ */
+
+/**
+ * Normalize ballots into a consistent shape with rankings sorted by rank
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @returns {Array} Ballots as { id, rankings: [{ pollOptionId, rank }] }
+ */
+function normalizeBallots(ballots) {
+  return ballots.map((ballot) => {
+    const sortedRankings = [...ballot.rankings].sort((a, b) => a.rank - b.rank);
+    return {
+      id: ballot.id,
+      rankings: sortedRankings.map((r) => ({
+        pollOptionId: r.pollOption?.id || r.pollOptionId,
+        rank: r.rank,
+      })),
+    };
+  });
+}
+
+/**
+ * Build the common "nothing to count" result shared by every method
+ * @param {Array} options - Array of poll options
+ * @param {Array} ballots - Array of ballots
+ * @returns {Object|null} Error result, or null if there is something to count
+ */
+function emptyResult(options, ballots) {
+  if (!options || options.length === 0) {
+    return { error: "No options available", winner: null };
+  }
+
+  if (!ballots || ballots.length === 0) {
+    return { error: "No ballots available", winner: null };
+  }
+
+  return null;
+}
+
+/**
+ * Sort options by score (highest first) and detect a tie for first place
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Object} scores - Map of option id to score
+ * @returns {Object} { standings, winner, tie, tiedOptions }
+ */
+function rankByScore(options, scores) {
+  const standings = options
+    .map((opt) => ({ id: opt.id, text: opt.text, score: scores[opt.id] }))
+    .sort((a, b) => b.score - a.score || a.id - b.id);
+
+  const topScore = standings[0].score;
+  const leaders = standings.filter((s) => s.score === topScore);
+
+  if (leaders.length > 1) {
+    return {
+      standings,
+      winner: null,
+      tie: true,
+      tiedOptions: leaders.map(({ id, text }) => ({ id, text })),
+    };
+  }
+
+  return {
+    standings,
+    winner: { id: leaders[0].id, text: leaders[0].text },
+  };
+}
+
+module.exports = {
+  normalizeBallots,
+  emptyResult,
+  rankByScore,
+};
@@ -0,0 +1,48 @@
+/**
+ * Borda Count Implementation
+ *
+ * Each ballot awards points by position: with N options, a first choice
+ * earns N - 1 points, a second choice N - 2, and so on down to 0 for last.
+ * Options a ballot leaves unranked earn nothing from that ballot.
+ * The option with the most points wins.
+ */
+
+const { normalizeBallots, emptyResult, rankByScore } = require("./ballots");
+
+/**
+ * Calculate Borda count results
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @returns {Object} Results object with scores, standings and winner
+ */
+function calculateBorda(options, ballots) {
+  const empty = emptyResult(options, ballots);
+  if (empty) {
+    return { ...empty, scores: {}, standings: [] };
+  }
+
+  const optionCount = options.length;
+  const scores = {};
+  options.forEach((option) => {
+    scores[option.id] = 0;
+  });
+
+  normalizeBallots(ballots).forEach((ballot) => {
+    ballot.rankings.forEach((ranking) => {
+      if (scores[ranking.pollOptionId] !== undefined) {
+        scores[ranking.pollOptionId] += Math.max(optionCount - ranking.rank, 0);
+      }
+    });
+  });
+
+  return {
+    ...rankByScore(options, scores),
+    scores,
+    maxScore: ballots.length * (optionCount - 1),
+    totalVotes: ballots.length,
+  };
+}
+
+module.exports = {
+  calculateBorda,
+};
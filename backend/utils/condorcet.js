@@ -0,0 +1,169 @@
+/**
+ * Condorcet / Schulze Method Implementation
+ *
+ * This algorithm:
+ * 1. Builds the pairwise matrix: how many voters rank A above B, for every pair
+ * 2. Reports the Condorcet winner, if one option beats every other head-to-head
+ * 3. Computes the strongest path between every pair (Schulze beatpath)
+ * 4. The winner is the option whose strongest path to every rival is at least
+ *    as strong as the rival's path back - this always exists, even in a cycle
+ */
+
+const { normalizeBallots, emptyResult, rankByScore } = require("./ballots");
+
+/**
+ * Count, for every ordered pair (a, b), the voters preferring a over b.
+ * A ranked option is preferred over any option the voter left unranked.
+ * @param {Array} optionIds - Ids of the options to compare
+ * @param {Array} normalizedBallots - Ballots from normalizeBallots
+ * @returns {Object} Nested map matrix[a][b] = voters preferring a over b
+ */
+function buildPairwiseMatrix(optionIds, normalizedBallots) {
+  const matrix = {};
+  optionIds.forEach((a) => {
+    matrix[a] = {};
+    optionIds.forEach((b) => {
+      if (a !== b) matrix[a][b] = 0;
+    });
+  });
+
+  normalizedBallots.forEach((ballot) => {
+    const position = {};
+    ballot.rankings.forEach((ranking, index) => {
+      position[ranking.pollOptionId] = index;
+    });
+
+    optionIds.forEach((a) => {
+      if (position[a] === undefined) return;
+      optionIds.forEach((b) => {
+        if (a !== b && (position[b] === undefined || position[a] < position[b])) {
+          matrix[a][b]++;
+        }
+      });
+    });
+  });
+
+  return matrix;
+}
+
+/**
+ * Find the option that beats every other option head-to-head
+ * @param {Array} optionIds - Ids of the options to compare
+ * @param {Object} matrix - Pairwise matrix from buildPairwiseMatrix
+ * @returns {number|null} Id of the Condorcet winner, or null if none exists
+ */
+function findCondorcetWinner(optionIds, matrix) {
+  return (
+    optionIds.find((a) => optionIds.every((b) => a === b || matrix[a][b] > matrix[b][a])) ??
+    null
+  );
+}
+
+/**
+ * Find the option that loses to every other option head-to-head
+ * @param {Array} optionIds - Ids of the options to compare
+ * @param {Object} matrix - Pairwise matrix from buildPairwiseMatrix
+ * @returns {number|null} Id of the Condorcet loser, or null if none exists
+ */
+function findCondorcetLoser(optionIds, matrix) {
+  if (optionIds.length < 2) return null;
+  return (
+    optionIds.find((a) => optionIds.every((b) => a === b || matrix[a][b] < matrix[b][a])) ??
+    null
+  );
+}
+
+/**
+ * Compare every pair of options, whatever method decided the poll, and check
+ * whether the method's winner (or any elected option) is the Condorcet winner
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @param {Array} winnerIds - Ids of the options the poll's method picked
+ * @returns {Object} { matrix, condorcetWinner, condorcetLoser, agreesWithCondorcet },
+ *   where agreesWithCondorcet is null when there is no Condorcet winner or no result
+ */
+function compareHeadToHead(options, ballots, winnerIds) {
+  const optionIds = options.map((opt) => opt.id);
+  const matrix = buildPairwiseMatrix(optionIds, normalizeBallots(ballots));
+  const condorcetWinner = findCondorcetWinner(optionIds, matrix);
+
+  return {
+    matrix,
+    condorcetWinner,
+    condorcetLoser: findCondorcetLoser(optionIds, matrix),
+    agreesWithCondorcet:
+      condorcetWinner === null || winnerIds.length === 0
+        ? null
+        : winnerIds.includes(condorcetWinner),
+  };
+}
+
+/**
+ * Compute the Schulze strongest-path strengths from a pairwise matrix
+ * @param {Array} optionIds - Ids of the options to compare
+ * @param {Object} matrix - Pairwise matrix from buildPairwiseMatrix
+ * @returns {Object} Nested map paths[a][b] = strength of the strongest path a → b
+ */
+function computeStrongestPaths(optionIds, matrix) {
+  const paths = {};
+  optionIds.forEach((a) => {
+    paths[a] = {};
+    optionIds.forEach((b) => {
+      if (a !== b) paths[a][b] = matrix[a][b] > matrix[b][a] ? matrix[a][b] : 0;
+    });
+  });
+
+  optionIds.forEach((k) => {
+    optionIds.forEach((a) => {
+      if (a === k) return;
+      optionIds.forEach((b) => {
+        if (b === a || b === k) return;
+        paths[a][b] = Math.max(paths[a][b], Math.min(paths[a][k], paths[k][b]));
+      });
+    });
+  });
+
+  return paths;
+}
+
+/**
+ * Calculate Schulze (Condorcet) results
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @returns {Object} Results object with pairwise matrix, standings and winner
+ */
+function calculateSchulze(options, ballots) {
+  const empty = emptyResult(options, ballots);
+  if (empty) {
+    return { ...empty, pairwise: {}, strongestPaths: {}, standings: [], condorcetWinner: null };
+  }
+
+  const optionIds = options.map((opt) => opt.id);
+  const pairwise = buildPairwiseMatrix(optionIds, normalizeBallots(ballots));
+  const strongestPaths = computeStrongestPaths(optionIds, pairwise);
+
+  // Score each option by how many rivals it defeats on strongest paths
+  const wins = {};
+  optionIds.forEach((a) => {
+    wins[a] = optionIds.filter(
+      (b) => a !== b && strongestPaths[a][b] > strongestPaths[b][a]
+    ).length;
+  });
+
+  return {
+    ...rankByScore(options, wins),
+    pairwise,
+    strongestPaths,
+    condorcetWinner: findCondorcetWinner(optionIds, pairwise),
+    totalVotes: ballots.length,
+  };
+}
+
+module.exports = {
+  buildPairwiseMatrix,
+  findCondorcetWinner,
+  findCondorcetLoser,
+  compareHeadToHead,
+  computeStrongestPaths,
+  calculateSchulze,
+};
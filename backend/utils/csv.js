@@ -0,0 +1,68 @@
+/**
+ * Minimal CSV parsing and writing (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cell values, blank lines skipped
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Format one row of CSV, quoting cells that contain commas, quotes or line breaks
+ * @param {Array} cells - Cell values; null and undefined become empty cells
+ * @returns {string} The row terminated with CRLF
+ */
+function formatCSVRow(cells) {
+  const formatted = cells.map((value) => {
+    const cell = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  });
+  return `${formatted.join(",")}\r\n`;
+}
+
+module.exports = {
+  parseCSV,
+  formatCSVRow,
+};
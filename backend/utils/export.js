@@ -0,0 +1,141 @@
+/**
+ * Ballot export formats
+ *
+ * Each format is written in three parts so large polls can be streamed a batch of
+ * ballots at a time: header(context), ballot(ballot, index, context), footer(context).
+ * The context is { poll, options, includeVoters }, with options in display order.
+ * Ballots are { id, submittedAt, voterName, voterEmail, rankings: [optionId, ...] }
+ * with rankings listed from first choice down. Ballots from anonymous polls have a null
+ * id, submission time and voter details, so nothing ties them to who cast them.
+ *
+ * JSON schema ("rcv-polls/ballots", version 1):
+ *   {
+ *     "format": "rcv-polls/ballots",
+ *     "version": 1,
+ *     "poll": { "id", "title", "description", "status", "votingMethod", "seats" },
+ *     "options": [{ "id", "text" }],
+ *     "ballots": [{
+ *       "id", "submittedAt",         // null for anonymous polls
+ *       "voterName", "voterEmail",   // only when voter details are included
+ *       "rankings": [optionId, ...]  // first choice first; unranked options omitted
+ *     }]
+ *   }
+ */
+
+const { formatCSVRow } = require("./csv");
+
+const JSON_FORMAT = "rcv-polls/ballots";
+const JSON_VERSION = 1;
+
+/**
+ * Reshape a stored ballot (with rankings loaded) for export
+ * @param {Object} ballot - Ballot with a rankings array of { pollOptionId, rank }
+ * @param {Object} [settings]
+ * @param {boolean} [settings.anonymous] - Leave out everything but the rankings
+ * @returns {Object} Ballot as { id, submittedAt, voterName, voterEmail, rankings }
+ */
+function toExportBallot(ballot, { anonymous = false } = {}) {
+  return {
+    id: anonymous ? null : ballot.id,
+    submittedAt: anonymous ? null : ballot.createdAt,
+    voterName: anonymous ? null : ballot.voterName,
+    voterEmail: anonymous ? null : ballot.voterEmail,
+    rankings: [...ballot.rankings]
+      .sort((a, b) => a.rank - b.rank)
+      .map((ranking) => ranking.pollOptionId),
+  };
+}
+
+const optionText = (options, optionId) =>
+  options.find((option) => option.id === optionId)?.text ?? "";
+
+// BLT strings are double-quoted with no escape sequence, so inner quotes are swapped out
+const bltString = (text) => `"${String(text).replace(/"/g, "'").replace(/[\r\n]+/g, " ")}"`;
+
+const EXPORT_FORMATS = {
+  // One row per ballot: the option text at each rank, blank where the voter stopped ranking
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: ({ options, includeVoters }) =>
+      formatCSVRow([
+        "ballot_id",
+        "submitted_at",
+        ...(includeVoters ? ["voter_name", "voter_email"] : []),
+        ...options.map((_, i) => `rank_${i + 1}`),
+      ]),
+    ballot: (ballot, index, { options, includeVoters }) =>
+      formatCSVRow([
+        ballot.id,
+        ballot.submittedAt && new Date(ballot.submittedAt).toISOString(),
+        ...(includeVoters ? [ballot.voterName, ballot.voterEmail] : []),
+        ...options.map((_, i) =>
+          i < ballot.rankings.length ? optionText(options, ballot.rankings[i]) : ""
+        ),
+      ]),
+    footer: () => "",
+  },
+
+  // OpenSTV / BLT: candidates are numbered from 1 in display order, each ballot line is
+  // "weight preferences... 0", and the candidate names and title follow the ballots.
+  // BLT has nowhere to put voter details, so they are never written.
+  blt: {
+    contentType: "text/plain; charset=utf-8",
+    extension: "blt",
+    header: ({ poll, options }) =>
+      `${options.length} ${poll.votingMethod === "stv" ? poll.seats : 1}\n`,
+    ballot: (ballot, index, { options }) => {
+      const preferences = ballot.rankings.map(
+        (optionId) => options.findIndex((option) => option.id === optionId) + 1
+      );
+      return `1 ${[...preferences, 0].join(" ")}\n`;
+    },
+    footer: ({ poll, options }) =>
+      ["0", ...options.map((option) => bltString(option.text)), bltString(poll.title)]
+        .map((line) => `${line}\n`)
+        .join(""),
+  },
+
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    header: ({ poll, options }) => {
+      const document = JSON.stringify({
+        format: JSON_FORMAT,
+        version: JSON_VERSION,
+        poll: {
+          id: poll.id,
+          title: poll.title,
+          description: poll.description,
+          status: poll.status,
+          votingMethod: poll.votingMethod,
+          seats: poll.seats,
+        },
+        options: options.map(({ id, text }) => ({ id, text })),
+        ballots: [],
+      });
+      // Leave the ballots array open so ballots can be appended as they are loaded
+      return `${document.slice(0, -2)}\n`;
+    },
+    ballot: (ballot, index, { includeVoters }) => {
+      const { voterName, voterEmail, ...anonymous } = ballot;
+      return `${index === 0 ? "" : ",\n"}${JSON.stringify(includeVoters ? ballot : anonymous)}`;
+    },
+    footer: () => "\n]}\n",
+  },
+};
+
+/**
+ * Check whether a format name is one of the supported export formats
+ * @param {string} format - Format name from the request
+ * @returns {boolean} True if the format can be exported
+ */
+function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  toExportBallot,
+};
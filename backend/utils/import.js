@@ -0,0 +1,220 @@
+/**
+ * Ballot import parsing for paper or offline elections
+ *
+ * Both formats are read into ballots of { row, voterName, voterEmail, rankings },
+ * where rankings are { pollOptionId, rank } and row is the line the ballot came from.
+ * Candidates are matched to poll options by text, ignoring case and surrounding space.
+ * Problems are collected per row rather than stopping at the first one, so a whole
+ * file can be fixed in one pass.
+ */
+
+const { Validator } = require("sequelize");
+const { parseCSV } = require("./csv");
+
+// Largest number of ballots one import may create (BLT weights multiply ballots)
+const MAX_IMPORTED_BALLOTS = 10000;
+
+const RANK_COLUMN = /^rank[ _]?\d+$/i;
+
+const normalizeText = (text) => text.trim().toLowerCase();
+
+// Map normalized option text to option id
+const buildOptionLookup = (options) =>
+  new Map(options.map((option) => [normalizeText(option.text), option.id]));
+
+/**
+ * Read ballots from CSV
+ *
+ * The layout matches the CSV export: a header row with rank_1, rank_2, ... columns
+ * holding option text, plus optional voter_name and voter_email columns. Other columns
+ * (e.g. ballot_id) are ignored. A file without rank columns in its first row is read as
+ * one ballot per row with every cell a ranked choice.
+ *
+ * @param {string} text - CSV text
+ * @param {Array} options - Poll options as { id, text }
+ * @returns {Object} { ballots, errors } with errors as { row, error }
+ */
+function parseBallotCSV(text, options) {
+  const lookup = buildOptionLookup(options);
+  const rows = parseCSV(text);
+  const header = (rows[0] || []).map(normalizeText);
+  const hasHeader = header.some((cell) => RANK_COLUMN.test(cell));
+
+  const rankColumns = hasHeader
+    ? header
+        .map((cell, column) => ({ rank: parseInt(cell.replace(/\D/g, "")), cell, column }))
+        .filter(({ cell }) => RANK_COLUMN.test(cell))
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ column }) => column)
+    : null;
+  const nameColumn = hasHeader ? header.indexOf("voter_name") : -1;
+  const emailColumn = hasHeader ? header.indexOf("voter_email") : -1;
+
+  const ballots = [];
+  const errors = [];
+
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, i) => {
+    const row = i + (hasHeader ? 2 : 1);
+    const choices = (rankColumns || cells.map((_, column) => column)).map(
+      (column) => cells[column]?.trim() || ""
+    );
+
+    const rankings = [];
+    for (const [index, choice] of choices.entries()) {
+      if (!choice) continue;
+      if (!lookup.has(normalizeText(choice))) {
+        errors.push({ row, error: `Unknown option "${choice}"` });
+        return;
+      }
+      rankings.push({ pollOptionId: lookup.get(normalizeText(choice)), rank: index + 1 });
+    }
+
+    const voterEmail = emailColumn >= 0 ? cells[emailColumn]?.trim() || null : null;
+    // The same check the Ballot and Participation models make, so every accepted email saves
+    if (voterEmail && !Validator.isEmail(voterEmail)) {
+      errors.push({ row, error: "Invalid voter email" });
+      return;
+    }
+
+    ballots.push({
+      row,
+      voterName: nameColumn >= 0 ? cells[nameColumn]?.trim() || null : null,
+      voterEmail,
+      rankings,
+    });
+  });
+
+  return { ballots, errors };
+}
+
+/**
+ * Read ballots from OpenSTV / BLT
+ *
+ * Layout: "candidates seats", an optional line of withdrawn candidates as negative
+ * numbers, one "weight preference... 0" line per ballot, a lone "0", then the quoted
+ * candidate names and election title. A ballot's weight is how many identical ballots
+ * it stands for. Equal rankings ("2=3") are not supported.
+ *
+ * @param {string} text - BLT text
+ * @param {Array} options - Poll options as { id, text }
+ * @returns {Object} { ballots, errors } with errors as { row, error }
+ */
+function parseBallotBLT(text, options) {
+  const lookup = buildOptionLookup(options);
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, i) => ({ row: i + 1, text: line.replace(/#.*$/, "").trim() }))
+    .filter((line) => line.text !== "");
+
+  const [header, ...rest] = lines;
+  const [candidateCount] = (header?.text || "").split(/\s+/).map(Number);
+  if (!Number.isInteger(candidateCount) || candidateCount < 1) {
+    return {
+      ballots: [],
+      errors: [{ row: header?.row || 1, error: 'BLT files start with "candidates seats"' }],
+    };
+  }
+
+  let cursor = 0;
+  if (rest[0] && /^-\d/.test(rest[0].text)) cursor++;
+
+  // Ballot lines hold candidate numbers until the lone "0" that ends them
+  const ballotLines = [];
+  while (cursor < rest.length && rest[cursor].text !== "0") {
+    ballotLines.push(rest[cursor]);
+    cursor++;
+  }
+  if (cursor === rest.length) {
+    return {
+      ballots: [],
+      errors: [{ row: lines[lines.length - 1].row, error: 'Missing "0" after the last ballot' }],
+    };
+  }
+
+  // Candidate names follow, one quoted name per line
+  const errors = [];
+  const candidates = rest.slice(cursor + 1, cursor + 1 + candidateCount).map((line) => {
+    const name = line.text.replace(/^"(.*)"$/, "$1");
+    if (!lookup.has(normalizeText(name))) {
+      errors.push({ row: line.row, error: `Unknown option "${name}"` });
+    }
+    return lookup.get(normalizeText(name));
+  });
+  if (candidates.length < candidateCount) {
+    errors.push({
+      row: lines[lines.length - 1].row,
+      error: `Expected ${candidateCount} candidate names`,
+    });
+  }
+
+  const ballots = [];
+  ballotLines.forEach(({ row, text: line }) => {
+    const tokens = line.replace(/^\(.*?\)\s*/, "").split(/\s+/);
+    const weight = Number(tokens[0]);
+    const preferences = tokens.slice(1);
+
+    if (!Number.isInteger(weight) || weight < 1) {
+      errors.push({ row, error: "Ballot weight must be a positive whole number" });
+      return;
+    }
+    if (preferences[preferences.length - 1] !== "0") {
+      errors.push({ row, error: 'Ballot lines must end with "0"' });
+      return;
+    }
+    if (preferences.some((preference) => preference.includes("="))) {
+      errors.push({ row, error: "Equal rankings are not supported" });
+      return;
+    }
+
+    const numbers = preferences.slice(0, -1).map(Number);
+    const invalid = numbers.find((n) => !Number.isInteger(n) || n < 1 || n > candidateCount);
+    if (invalid !== undefined) {
+      errors.push({ row, error: `Unknown candidate number ${invalid}` });
+      return;
+    }
+
+    const rankings = numbers.map((n, i) => ({ pollOptionId: candidates[n - 1], rank: i + 1 }));
+    for (let copy = 0; copy < weight && ballots.length <= MAX_IMPORTED_BALLOTS; copy++) {
+      ballots.push({ row, voterName: null, voterEmail: null, rankings });
+    }
+  });
+
+  return { ballots, errors };
+}
+
+const IMPORT_FORMATS = {
+  csv: parseBallotCSV,
+  blt: parseBallotBLT,
+};
+
+/**
+ * Parse an uploaded ballot file
+ * @param {string} format - "csv" or "blt"
+ * @param {string} text - File contents
+ * @param {Array} options - Poll options as { id, text }
+ * @returns {Object} { ballots, errors } with errors as { row, error }
+ */
+function parseBallotFile(format, text, options) {
+  const { ballots, errors } = IMPORT_FORMATS[format](text, options);
+
+  if (ballots.length > MAX_IMPORTED_BALLOTS) {
+    errors.push({ row: null, error: `Imports are limited to ${MAX_IMPORTED_BALLOTS} ballots` });
+  }
+
+  return { ballots, errors };
+}
+
+/**
+ * Check whether a format name is one of the supported import formats
+ * @param {string} format - Format name from the request
+ * @returns {boolean} True if ballots can be imported from the format
+ */
+function isImportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(IMPORT_FORMATS, format);
+}
+
+module.exports = {
+  MAX_IMPORTED_BALLOTS,
+  parseBallotFile,
+  isImportFormat,
+};
@@ -3,19 +3,63 @@
  * 
  * This algorithm:
  * 1. Counts first-choice votes for each candidate
- * 2. If a candidate has a majority (>50%), they win
+ * 2. If a candidate has a majority (>50%) of the continuing ballots, they win
  * 3. Otherwise, eliminates the candidate with the fewest votes
+ *    (ties for last place are settled by the poll's tie-break rule)
  * 4. Redistributes votes to the next choice
  * 5. Repeats until a winner is found
+ *
+ * Ballots may rank only some options. Once every option a ballot ranks has
+ * been eliminated, the ballot is exhausted: it is reported for each round but
+ * no longer counts toward the majority.
+ *
+ * Each elimination records its transfers in the same shape STV uses: how many
+ * of the eliminated option's votes went to each next choice or exhausted.
  */
 
+const { normalizeBallots } = require("./ballots");
+const { breakTie, DEFAULT_TIE_BREAK_RULE } = require("./tieBreak");
+
+/**
+ * Follow an eliminated option's ballots to their next continuing choice
+ * @param {Array} ballots - Normalized ballots
+ * @param {number} from - Id of the eliminated option
+ * @param {Array} continuing - Options still in the race after the elimination
+ * @returns {Object} Transfer as { from, type, transferValue, votes, to, exhausted }
+ */
+function describeElimination(ballots, from, continuing) {
+  const continuingIds = continuing.map((opt) => opt.id);
+  const to = {};
+  let votes = 0;
+  let exhausted = 0;
+
+  ballots.forEach((ballot) => {
+    const current = ballot.rankings.find(
+      (r) => r.pollOptionId === from || continuingIds.includes(r.pollOptionId)
+    );
+    if (current?.pollOptionId !== from) return;
+
+    votes++;
+    const next = ballot.rankings.find((r) => continuingIds.includes(r.pollOptionId));
+    if (next) {
+      to[next.pollOptionId] = (to[next.pollOptionId] || 0) + 1;
+    } else {
+      exhausted++;
+    }
+  });
+
+  return { from, type: "elimination", transferValue: 1, votes, to, exhausted };
+}
+
 /**
  * Calculate Instant Runoff Voting results
  * @param {Array} options - Array of poll options with id and text
  * @param {Array} ballots - Array of ballots, each with rankings array
+ * @param {Object} settings - Tabulation settings
+ * @param {Object} [settings.tieBreak] - Tie-break rule, seed and manual order (see tieBreak.js)
  * @returns {Object} Results object with rounds and winner
  */
-function calculateIRV(options, ballots) {
+function calculateIRV(options, ballots, { tieBreak = {} } = {}) {
   if (!options || options.length === 0) {
     return {
       error: "No options available",
@@ -39,20 +83,15 @@ function calculateIRV(options, ballots) {
   }));
 
   // Normalize ballots - ensure rankings are sorted and valid
-  const normalizedBallots = ballots.map((ballot) => {
-    // Sort rankings by rank (1, 2, 3, ...)
-    const sortedRankings = [...ballot.rankings].sort((a, b) => a.rank - b.rank);
-    return {
-      id: ballot.id,
-      rankings: sortedRankings.map((r) => ({
-        pollOptionId: r.pollOption?.id || r.pollOptionId,
-        rank: r.rank,
-      })),
-    };
-  });
+  const normalizedBallots = normalizeBallots(ballots);
 
   const totalVotes = normalizedBallots.length;
+  // Majority of all ballots cast; each round recomputes it from its continuing ballots
   const majorityThreshold = Math.floor(totalVotes / 2) + 1;
+  const tieBreakInfo = {
+    rule: tieBreak.rule || DEFAULT_TIE_BREAK_RULE,
+    seed: tieBreak.seed || "",
+  };
 
   // Continue until we have a winner or one option remains
   while (remainingOptions.length > 1) {
@@ -63,26 +102,32 @@ function calculateIRV(options, ballots) {
     });
 
     // Count votes for each remaining option
+    let exhausted = 0;
     normalizedBallots.forEach((ballot) => {
       // Find the highest-ranked option that's still in the race
-      for (const ranking of ballot.rankings) {
-        if (remainingOptions.some((opt) => opt.id === ranking.pollOptionId)) {
-          voteCounts[ranking.pollOptionId]++;
-          break; // Count only the first valid choice
-        }
+      const choice = ballot.rankings.find((ranking) =>
+        remainingOptions.some((opt) => opt.id === ranking.pollOptionId)
+      );
+      if (choice) {
+        voteCounts[choice.pollOptionId]++;
+      } else {
+        exhausted++; // Every option this ballot ranked has been eliminated
       }
     });
 
-    // Calculate percentages
+    const continuingBallots = totalVotes - exhausted;
+    const roundMajority = Math.floor(continuingBallots / 2) + 1;
+
+    // Calculate percentages of the continuing ballots
     const percentages = {};
     remainingOptions.forEach((option) => {
       percentages[option.id] =
-        totalVotes > 0 ? (voteCounts[option.id] / totalVotes) * 100 : 0;
+        continuingBallots > 0 ? (voteCounts[option.id] / continuingBallots) * 100 : 0;
     });
 
     // Check for majority winner (only matters with 3+ options)
     const majorityWinner = remainingOptions.length > 2
-      ? remainingOptions.find((opt) => voteCounts[opt.id] >= majorityThreshold)
+      ? remainingOptions.find((opt) => voteCounts[opt.id] >= roundMajority)
       : null;
 
     if (majorityWinner) {
@@ -91,6 +136,9 @@ function calculateIRV(options, ballots) {
         round: rounds.length + 1,
         voteCounts: { ...voteCounts },
         percentages: { ...percentages },
+        exhausted,
+        continuingBallots,
+        majorityThreshold: roundMajority,
         eliminated: null,
         remaining: remainingOptions.map((opt) => opt.id),
         majorityWinner: majorityWinner.id,
@@ -101,144 +149,68 @@ function calculateIRV(options, ballots) {
         winner: majorityWinner,
         totalVotes,
         majorityThreshold,
-      };
-    }
-
-    // If only 2 options remain, the one with fewer votes loses
-    if (remainingOptions.length === 2) {
-      const voteValues = Object.values(voteCounts);
-      const minVotes = Math.min(...voteValues);
-
-      // Check for tie with 2 options
-      if (voteValues[0] === voteValues[1]) {
-        rounds.push({
-          round: rounds.length + 1,
-          voteCounts: { ...voteCounts },
-          percentages: { ...percentages },
-          eliminated: null,
-          remaining: remainingOptions.map((opt) => opt.id),
-          tie: true,
-        });
-
-        return {
-          rounds,
-          winner: null,
-          tie: true,
-          tiedOptions: remainingOptions,
-          totalVotes,
-          majorityThreshold,
-        };
-      }
-
-      // One option has fewer votes, eliminate it
-      const eliminatedOption = remainingOptions.find(
-        (opt) => voteCounts[opt.id] === minVotes
-      );
-
-      rounds.push({
-        round: rounds.length + 1,
-        voteCounts: { ...voteCounts },
-        percentages: { ...percentages },
-        eliminated: eliminatedOption,
-        remaining: remainingOptions.map((opt) => opt.id),
-      });
-
-      // Return the winner (the other option)
-      const winner = remainingOptions.find(
-        (opt) => opt.id !== eliminatedOption.id
-      );
-
-      return {
-        rounds,
-        winner,
-        totalVotes,
-        majorityThreshold,
+        tieBreak: tieBreakInfo,
       };
     }
 
     // Find the option(s) with the fewest votes
-    const voteValues = Object.values(voteCounts);
-    const minVotes = Math.min(...voteValues);
-
-    // Find all options with minimum votes
+    const minVotes = Math.min(...Object.values(voteCounts));
     const minVoteOptions = remainingOptions.filter(
       (opt) => voteCounts[opt.id] === minVotes
     );
 
-    // Handle complete ties - if all remaining options have the same votes
-    const allSame = voteValues.every((count) => count === minVotes);
-    if (allSame && remainingOptions.length > 2) {
-      // For a complete tie with 3+ candidates, eliminate the one with lowest ID (tie-breaking)
-      const optionToEliminate = minVoteOptions.reduce((lowest, current) =>
-        current.id < lowest.id ? current : lowest
-      );
+    const round = {
+      round: rounds.length + 1,
+      voteCounts: { ...voteCounts },
+      percentages: { ...percentages },
+      exhausted,
+      continuingBallots,
+      majorityThreshold: roundMajority,
+      eliminated: null,
+      remaining: remainingOptions.map((opt) => opt.id),
+    };
 
-      rounds.push({
-        round: rounds.length + 1,
-        voteCounts: { ...voteCounts },
-        percentages: { ...percentages },
-        eliminated: optionToEliminate,
-        remaining: remainingOptions.map((opt) => opt.id),
-      });
+    let eliminatedOption = minVoteOptions[0];
 
-      // Remove eliminated option
-      remainingOptions = remainingOptions.filter(
-        (opt) => opt.id !== optionToEliminate.id
+    // Several options tied for last place - let the tie-break rule pick one
+    if (minVoteOptions.length > 1) {
+      const tiedIds = minVoteOptions.map((opt) => opt.id);
+      const resolution = breakTie(
+        tiedIds,
+        tieBreak,
+        rounds.map((r) => r.voteCounts)
       );
 
-      continue; // Go to next round
-    }
+      // Manual tie-breaking without an order for these options: wait for the creator
+      if (!resolution) {
+        rounds.push({ ...round, tie: true });
 
-    // If only 2 options and they have equal votes, it's a tie
-    if (remainingOptions.length === 2 && allSame) {
-      rounds.push({
-        round: rounds.length + 1,
-        voteCounts: { ...voteCounts },
-        percentages: { ...percentages },
-        eliminated: null,
-        remaining: remainingOptions.map((opt) => opt.id),
-        tie: true,
-      });
+        return {
+          rounds,
+          winner: null,
+          tie: true,
+          tiedOptions: minVoteOptions,
+          manualTieBreakRequired: true,
+          totalVotes,
+          majorityThreshold,
+          tieBreak: tieBreakInfo,
+        };
+      }
 
-      return {
-        rounds,
-        winner: null,
-        tie: true,
-        tiedOptions: remainingOptions,
-        totalVotes,
-        majorityThreshold,
-      };
+      eliminatedOption = minVoteOptions.find((opt) => opt.id === resolution.eliminated);
+      round.tieBreak = { ...resolution, tiedOptions: tiedIds };
     }
 
-    // If multiple options tied for last place, eliminate all of them
-    const eliminatedOptions = minVoteOptions.length > 1 ? minVoteOptions : [minVoteOptions[0]];
+    round.eliminated = eliminatedOption;
+    rounds.push(round);
 
-    // Store round data
-    rounds.push({
-      round: rounds.length + 1,
-      voteCounts: { ...voteCounts },
-      percentages: { ...percentages },
-      eliminated: eliminatedOptions.length === 1 ? eliminatedOptions[0] : null,
-      eliminatedMultiple: eliminatedOptions.length > 1 ? eliminatedOptions : undefined,
-      remaining: remainingOptions.map((opt) => opt.id),
-    });
-
-    // Remove eliminated option(s)
-    const eliminatedIds = eliminatedOptions.map((opt) => opt.id);
+    // Remove eliminated option and record where its ballots went
     remainingOptions = remainingOptions.filter(
-      (opt) => !eliminatedIds.includes(opt.id)
+      (opt) => opt.id !== eliminatedOption.id
     );
-
-    // If no options remain, it's an error
-    if (remainingOptions.length === 0) {
-      return {
-        rounds,
-        winner: null,
-        error: "All options eliminated - no winner",
-        totalVotes,
-        majorityThreshold,
-      };
-    }
+    round.transfers = [
+      describeElimination(normalizedBallots, eliminatedOption.id, remainingOptions),
+    ];
   }
 
   // Final winner (last remaining option)
@@ -249,10 +221,10 @@ function calculateIRV(options, ballots) {
     winner,
     totalVotes,
     majorityThreshold,
+    tieBreak: tieBreakInfo,
   };
 }
 
 module.exports = {
   calculateIRV,
 };
-
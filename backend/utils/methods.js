@@ -0,0 +1,104 @@
+/**
+ * Voting Method Registry
+ *
+ * Every tabulation method takes (options, ballots, settings) and returns a
+ * results object. The registry key is what gets stored in Poll.votingMethod.
+ */
+
+const { calculateIRV } = require("./irv");
+const { calculateBorda } = require("./borda");
+const { calculateSchulze, compareHeadToHead } = require("./condorcet");
+const { calculateApproval } = require("./approval");
+const { calculateSTV } = require("./stv");
+
+const VOTING_METHODS = {
+  irv: { label: "Instant Runoff Voting", tabulate: calculateIRV },
+  stv: { label: "Single Transferable Vote", tabulate: calculateSTV },
+  borda: { label: "Borda Count", tabulate: calculateBorda },
+  condorcet: { label: "Condorcet (Schulze)", tabulate: calculateSchulze },
+  approval: { label: "Approval Voting", tabulate: calculateApproval },
+};
+
+const DEFAULT_METHOD = "irv";
+
+/**
+ * Check whether a method name is registered
+ * @param {string} method - Method key, e.g. "irv"
+ * @returns {boolean}
+ */
+function isVotingMethod(method) {
+  return Object.prototype.hasOwnProperty.call(VOTING_METHODS, method);
+}
+
+/**
+ * Tabulate ballots with the given method
+ * @param {string} method - Method key from VOTING_METHODS
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @param {Object} settings - Method-specific settings
+ * @returns {Object} Results object tagged with the method used
+ */
+function tabulate(method, options, ballots, settings = {}) {
+  if (!isVotingMethod(method)) {
+    return { method, error: `Unknown voting method: ${method}`, winner: null };
+  }
+
+  return {
+    method,
+    methodLabel: VOTING_METHODS[method].label,
+    ...VOTING_METHODS[method].tabulate(options, ballots, settings),
+  };
+}
+
+/**
+ * The method settings stored on a poll, as passed to tabulate
+ * @param {Object} poll - Poll (or plain poll data) with approvalCutoff, seats and tie-break fields
+ * @returns {Object} { approvalCutoff, seats, tieBreak: { rule, seed, order } }
+ */
+function tabulationSettings(poll) {
+  return {
+    approvalCutoff: poll.approvalCutoff,
+    seats: poll.seats,
+    tieBreak: {
+      rule: poll.tieBreakRule,
+      seed: poll.tieBreakSeed || `poll-${poll.id}`,
+      order: poll.tieBreakOrder,
+    },
+  };
+}
+
+/**
+ * Tabulate a poll's ballots using the method and settings stored on the poll, adding a
+ * head-to-head comparison of every pair of options (see compareHeadToHead)
+ * @param {Object} poll - Poll (or plain poll data) with votingMethod and settings
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @returns {Object} Results object tagged with the method used
+ */
+function tabulatePoll(poll, options, ballots) {
+  const results = tabulate(
+    poll.votingMethod || DEFAULT_METHOD,
+    options,
+    ballots,
+    tabulationSettings(poll)
+  );
+
+  if (results.error) {
+    return results;
+  }
+
+  // Head-to-head comparison so any method's winner can be checked against Condorcet
+  const winnerIds = results.elected
+    ? results.elected.map((opt) => opt.id)
+    : [results.winner?.id].filter((id) => id !== undefined);
+  return { ...results, headToHead: compareHeadToHead(options, ballots, winnerIds) };
+}
+
+module.exports = {
+  VOTING_METHODS,
+  DEFAULT_METHOD,
+  isVotingMethod,
+  tabulate,
+  tabulationSettings,
+  tabulatePoll,
+};
@@ -0,0 +1,49 @@
+/**
+ * Ballot validation shared by every route that accepts rankings
+ */
+
+/**
+ * Check a ballot's rankings against a poll's options
+ *
+ * Voters rank options 1, 2, 3, ... without gaps. A poll may let voters stop
+ * after minRankings choices; otherwise every option must be ranked.
+ *
+ * @param {Array} rankings - Array of { pollOptionId, rank }
+ * @param {Array} optionIds - Ids of the poll's options
+ * @param {number|null} [minRankings] - Fewest options a voter must rank (null = all of them)
+ * @returns {string|null} Error message, or null if the rankings are valid
+ */
+function validateRankings(rankings, optionIds, minRankings = null) {
+  const required = minRankings ? Math.min(minRankings, optionIds.length) : optionIds.length;
+
+  if (!rankings || !Array.isArray(rankings) || rankings.length < required) {
+    return required === optionIds.length
+      ? "All options must be ranked"
+      : `At least ${required} option${required === 1 ? "" : "s"} must be ranked`;
+  }
+
+  // Validate that no option is ranked twice
+  const rankedOptionIds = rankings.map((r) => r?.pollOptionId);
+  if (new Set(rankedOptionIds).size !== rankings.length || rankings.length > optionIds.length) {
+    return required === optionIds.length
+      ? "Each option must be ranked exactly once"
+      : "Each option can only be ranked once";
+  }
+
+  // Validate that all option IDs are valid
+  if (rankedOptionIds.some((id) => !optionIds.includes(id))) {
+    return "Invalid option ID";
+  }
+
+  // Validate rankings are sequential (1, 2, 3, ...)
+  const ranks = rankings.map((r) => r.rank).sort((a, b) => a - b);
+  if (ranks.some((rank, i) => rank !== i + 1)) {
+    return "Rankings must be sequential (1, 2, 3, etc.)";
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateRankings,
+};
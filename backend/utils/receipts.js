@@ -0,0 +1,63 @@
+/**
+ * Ballot receipts and the bulletin board
+ *
+ * A voter's receipt is a SHA-256 hash of their ballot id, rankings and a secret salt
+ * stored with the ballot, so it changes if the ballot is altered but reveals nothing
+ * about how they voted. Once a poll closes its receipts are published as a hash chain:
+ * receipts in sorted order, each entry hashing the previous entry's chain hash with
+ * its receipt. The final chain hash (the head) fixes the whole board, so a voter who
+ * finds their receipt on it knows their ballot was counted unchanged, and anyone can
+ * recompute the chain to check that no entry was added, dropped or reordered.
+ */
+
+const crypto = require("crypto");
+
+// Chain hash the first entry builds on
+const GENESIS_HASH = "0".repeat(64);
+
+const RECEIPT_PATTERN = /^[0-9a-f]{64}$/;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+/**
+ * Compute a ballot's receipt
+ * @param {Object} ballot - Ballot with id, receiptSalt and rankings ({ pollOptionId, rank })
+ * @returns {string} Hex-encoded SHA-256 receipt
+ */
+function computeReceipt(ballot) {
+  const ordering = [...ballot.rankings]
+    .sort((a, b) => a.rank - b.rank)
+    .map((ranking) => ranking.pollOptionId);
+  return sha256(`${ballot.id}:${ordering.join(">")}:${ballot.receiptSalt}`);
+}
+
+/**
+ * Chain a poll's receipts into its bulletin board
+ * @param {Array<string>} receipts - Every ballot's receipt, in any order
+ * @returns {Object} { entries: [{ position, receipt, chainHash }], head }
+ */
+function buildBulletinBoard(receipts) {
+  let previous = GENESIS_HASH;
+  const entries = [...receipts].sort().map((receipt, index) => {
+    previous = sha256(previous + receipt);
+    return { position: index + 1, receipt, chainHash: previous };
+  });
+
+  return { entries, head: previous };
+}
+
+/**
+ * Check whether text is shaped like a receipt
+ * @param {string} receipt - Receipt as entered by a voter
+ * @returns {boolean}
+ */
+function isReceipt(receipt) {
+  return RECEIPT_PATTERN.test(receipt);
+}
+
+module.exports = {
+  GENESIS_HASH,
+  computeReceipt,
+  buildBulletinBoard,
+  isReceipt,
+};
@@ -0,0 +1,222 @@
+/**
+ * Single Transferable Vote (STV) Implementation
+ *
+ * This algorithm:
+ * 1. Sets the Droop quota: floor(votes / (seats + 1)) + 1
+ * 2. Counts each ballot (at its current weight) for its highest continuing choice
+ * 3. Elects every candidate who reaches the quota and transfers their surplus
+ *    to the next choices using the Gregory method: every ballot held by the
+ *    elected candidate continues at weight × (surplus / candidate's votes)
+ * 4. If nobody reaches the quota, eliminates the candidate with the fewest votes
+ *    (ties settled by the poll's tie-break rule) and transfers their ballots at
+ *    full current weight
+ * 5. Repeats until every seat is filled
+ *
+ * Each round records its transfers: which candidate's ballots moved, at what
+ * transfer value, and how many votes went to each next choice or exhausted.
+ */
+
+const { normalizeBallots, emptyResult } = require("./ballots");
+const { breakTie, DEFAULT_TIE_BREAK_RULE } = require("./tieBreak");
+
+// Round vote totals so fractional transfers stay readable
+const roundVotes = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Calculate Single Transferable Vote results
+ * @param {Array} options - Array of poll options with id and text
+ * @param {Array} ballots - Array of ballots, each with rankings array
+ * @param {Object} settings - Tabulation settings
+ * @param {number} [settings.seats=1] - Number of candidates to elect
+ * @param {Object} [settings.tieBreak] - Tie-break rule, seed and manual order (see tieBreak.js)
+ * @returns {Object} Results object with rounds, quota and elected candidates
+ */
+function calculateSTV(options, ballots, { seats = 1, tieBreak = {} } = {}) {
+  const empty = emptyResult(options, ballots);
+  if (empty) {
+    return { ...empty, rounds: [], elected: [] };
+  }
+
+  const seatCount = Math.min(Math.max(parseInt(seats) || 1, 1), options.length);
+  const totalVotes = ballots.length;
+  const quota = Math.floor(totalVotes / (seatCount + 1)) + 1;
+  const tieBreakInfo = {
+    rule: tieBreak.rule || DEFAULT_TIE_BREAK_RULE,
+    seed: tieBreak.seed || "",
+  };
+
+  const weightedBallots = normalizeBallots(ballots).map((ballot) => ({
+    rankings: ballot.rankings,
+    weight: 1,
+  }));
+
+  const rounds = [];
+  const elected = [];
+  let hopeful = options.map((opt) => ({ id: opt.id, text: opt.text }));
+
+  const topChoice = (ballot) =>
+    ballot.rankings.find((r) => hopeful.some((opt) => opt.id === r.pollOptionId));
+
+  // Record where the ballots held by each source candidate move next
+  const describeTransfers = (holders, sourceIds, type, values) =>
+    sourceIds.map((from) => {
+      const to = {};
+      let votes = 0;
+      let exhaustedVotes = 0;
+
+      weightedBallots.forEach((ballot, index) => {
+        if (holders[index] !== from) return;
+        const next = topChoice(ballot);
+        votes += ballot.weight;
+        if (next) {
+          to[next.pollOptionId] = (to[next.pollOptionId] || 0) + ballot.weight;
+        } else {
+          exhaustedVotes += ballot.weight;
+        }
+      });
+
+      return {
+        from,
+        type,
+        transferValue: roundVotes(values[from]),
+        votes: roundVotes(votes),
+        to: Object.fromEntries(Object.entries(to).map(([id, v]) => [id, roundVotes(v)])),
+        exhausted: roundVotes(exhaustedVotes),
+      };
+    });
+
+  while (elected.length < seatCount) {
+    // Count each ballot at its current weight for its highest hopeful choice
+    const voteCounts = {};
+    hopeful.forEach((option) => {
+      voteCounts[option.id] = 0;
+    });
+    let exhausted = 0;
+
+    weightedBallots.forEach((ballot) => {
+      const choice = topChoice(ballot);
+      if (choice) {
+        voteCounts[choice.pollOptionId] += ballot.weight;
+      } else {
+        exhausted += ballot.weight;
+      }
+    });
+
+    // Compare totals at the precision they're reported in, so float drift from fractional
+    // transfers can't keep a candidate off the quota or split a tie for last place
+    const counts = Object.fromEntries(
+      Object.entries(voteCounts).map(([id, votes]) => [id, roundVotes(votes)])
+    );
+
+    const round = {
+      round: rounds.length + 1,
+      voteCounts: counts,
+      percentages: Object.fromEntries(
+        Object.entries(voteCounts).map(([id, votes]) => [id, (votes / totalVotes) * 100])
+      ),
+      exhausted: roundVotes(exhausted),
+      remaining: hopeful.map((opt) => opt.id),
+      elected: [],
+      eliminated: null,
+    };
+
+    // Fill the remaining seats outright once there are no more candidates than seats
+    if (elected.length + hopeful.length <= seatCount) {
+      round.elected = hopeful.map((opt) => opt.id);
+      elected.push(...hopeful.map((opt) => ({ ...opt, round: round.round })));
+      rounds.push(round);
+      break;
+    }
+
+    const reachedQuota = hopeful
+      .filter((opt) => counts[opt.id] >= quota)
+      .sort((a, b) => counts[b.id] - counts[a.id])
+      .slice(0, seatCount - elected.length);
+
+    // Remember which candidate currently holds each ballot before anyone leaves the count
+    const holders = weightedBallots.map((ballot) => topChoice(ballot)?.pollOptionId);
+
+    if (reachedQuota.length > 0) {
+      const electedIds = reachedQuota.map((opt) => opt.id);
+      const transferValues = {};
+
+      // A count just under the quota before rounding has no surplus rather than a negative one
+      const surplusOf = (opt) => Math.max(voteCounts[opt.id] - quota, 0);
+      reachedQuota.forEach((opt) => {
+        transferValues[opt.id] = surplusOf(opt) / voteCounts[opt.id];
+      });
+
+      // Scale down every ballot held by a newly elected candidate
+      weightedBallots.forEach((ballot, index) => {
+        if (electedIds.includes(holders[index])) {
+          ballot.weight *= transferValues[holders[index]];
+        }
+      });
+
+      round.elected = electedIds;
+      round.surplus = Object.fromEntries(
+        reachedQuota.map((opt) => [opt.id, roundVotes(surplusOf(opt))])
+      );
+      round.transferValues = Object.fromEntries(
+        Object.entries(transferValues).map(([id, value]) => [id, roundVotes(value)])
+      );
+
+      elected.push(...reachedQuota.map((opt) => ({ ...opt, round: round.round })));
+      hopeful = hopeful.filter((opt) => !electedIds.includes(opt.id));
+      round.transfers = describeTransfers(holders, electedIds, "surplus", transferValues);
+      rounds.push(round);
+      continue;
+    }
+
+    // Nobody reached the quota - eliminate the candidate with the fewest votes
+    const minVotes = Math.min(...hopeful.map((opt) => counts[opt.id]));
+    const lowest = hopeful.filter((opt) => counts[opt.id] === minVotes);
+    let eliminatedOption = lowest[0];
+
+    if (lowest.length > 1) {
+      const tiedIds = lowest.map((opt) => opt.id);
+      const resolution = breakTie(tiedIds, tieBreak, rounds.map((r) => r.voteCounts));
+
+      // Manual tie-breaking without an order for these candidates: wait for the creator
+      if (!resolution) {
+        rounds.push({ ...round, tie: true });
+        return {
+          rounds,
+          elected,
+          winner: null,
+          tie: true,
+          tiedOptions: lowest,
+          manualTieBreakRequired: true,
+          seats: seatCount,
+          quota,
+          totalVotes,
+          tieBreak: tieBreakInfo,
+        };
+      }
+
+      eliminatedOption = lowest.find((opt) => opt.id === resolution.eliminated);
+      round.tieBreak = { ...resolution, tiedOptions: tiedIds };
+    }
+
+    round.eliminated = eliminatedOption;
+    hopeful = hopeful.filter((opt) => opt.id !== eliminatedOption.id);
+    round.transfers = describeTransfers(holders, [eliminatedOption.id], "elimination", {
+      [eliminatedOption.id]: 1,
+    });
+    rounds.push(round);
+  }
+
+  return {
+    rounds,
+    elected,
+    winner: elected[0] || null,
+    seats: seatCount,
+    quota,
+    totalVotes,
+    tieBreak: tieBreakInfo,
+  };
+}
+
+module.exports = {
+  calculateSTV,
+};
@@ -0,0 +1,115 @@
+/**
+ * Tie-Breaking Rules for Elimination Rounds
+ *
+ * When several options are tied for elimination, one rule picks which goes:
+ * - previous-round: fewest votes in the round immediately before this one
+ * - backward: walk back through earlier rounds until one option had fewer votes
+ * - forward: walk forward from round 1 until one option had fewer votes
+ * - random: a draw that anyone can reproduce from the poll's published seed
+ * - manual: the creator's priority order (listed first = kept longest)
+ *
+ * If a counting rule cannot separate the options (e.g. the tie happens in
+ * round 1), the seeded random draw decides and the round records the fallback.
+ */
+
+const crypto = require("crypto");
+
+const TIE_BREAK_RULES = ["previous-round", "backward", "forward", "random", "manual"];
+const DEFAULT_TIE_BREAK_RULE = "backward";
+
+/**
+ * Order option ids by the seeded draw. The option with the smallest
+ * SHA-256("<seed>:<optionId>") is drawn first, so it is eliminated first.
+ * @param {string} seed - Published seed for the poll
+ * @param {Array} optionIds - Ids of the tied options
+ * @returns {Array} Option ids in draw order
+ */
+function drawOrder(seed, optionIds) {
+  const drawKey = (id) => crypto.createHash("sha256").update(`${seed}:${id}`).digest("hex");
+  return [...optionIds].sort((a, b) => drawKey(a).localeCompare(drawKey(b)));
+}
+
+/**
+ * Narrow a set of tied options using earlier rounds' vote counts
+ * @param {Array} tiedIds - Ids of the tied options
+ * @param {Array} history - Vote counts of earlier rounds, in the order to examine
+ * @returns {number|null} Id of the option to eliminate, or null if still tied
+ */
+function traceHistory(tiedIds, history) {
+  let candidates = tiedIds;
+
+  for (const voteCounts of history) {
+    const fewest = Math.min(...candidates.map((id) => voteCounts[id] ?? 0));
+    candidates = candidates.filter((id) => (voteCounts[id] ?? 0) === fewest);
+    if (candidates.length === 1) return candidates[0];
+  }
+
+  return null;
+}
+
+/**
+ * Pick which of several tied options to eliminate
+ * @param {Array} tiedIds - Ids of the options tied for elimination
+ * @param {Object} settings - Tie-break settings
+ * @param {string} [settings.rule] - One of TIE_BREAK_RULES
+ * @param {string} [settings.seed] - Seed for the random draw
+ * @param {Array} [settings.order] - Manual priority order of option ids
+ * @param {Array} history - Vote counts of every earlier round, oldest first
+ * @returns {Object|null} { eliminated, rule, fallbackFrom? }, or null if a manual
+ *   decision is required
+ */
+function breakTie(tiedIds, { rule = DEFAULT_TIE_BREAK_RULE, seed = "", order } = {}, history = []) {
+  const random = () => ({ eliminated: drawOrder(seed, tiedIds)[0], rule: "random" });
+  const orFallback = (eliminated) =>
+    eliminated !== null ? { eliminated, rule } : { ...random(), fallbackFrom: rule };
+
+  switch (rule) {
+    case "previous-round":
+      return orFallback(traceHistory(tiedIds, history.slice(-1)));
+    case "backward":
+      return orFallback(traceHistory(tiedIds, [...history].reverse()));
+    case "forward":
+      return orFallback(traceHistory(tiedIds, history));
+    case "manual": {
+      const positions = tiedIds.map((id) => (order || []).indexOf(id));
+      if (positions.includes(-1)) return null;
+      return { eliminated: tiedIds[positions.indexOf(Math.max(...positions))], rule };
+    }
+    default:
+      return random();
+  }
+}
+
+/**
+ * Add a creator's manual decision to the stored priority order without
+ * changing how any earlier tie was resolved
+ * @param {Array} order - Current priority order of option ids (may be empty)
+ * @param {Array} tiedIds - Ids of the options in the tie being resolved
+ * @param {number} eliminatedId - The tied option the creator chose to eliminate
+ * @returns {Array|null} New priority order with eliminatedId after every other tied
+ *   option, or null if that would reverse an earlier decision
+ */
+function addManualDecision(order, tiedIds, eliminatedId) {
+  const newOrder = [...(order || [])];
+  const unplaced = tiedIds.filter((id) => id !== eliminatedId && !newOrder.includes(id));
+
+  if (newOrder.includes(eliminatedId)) {
+    const kept = tiedIds.filter((id) => id !== eliminatedId && newOrder.includes(id));
+    // Already placed ahead of a kept option: the creator is reversing an earlier call
+    if (kept.some((id) => newOrder.indexOf(id) > newOrder.indexOf(eliminatedId))) {
+      return null;
+    }
+    newOrder.splice(newOrder.indexOf(eliminatedId), 0, ...unplaced);
+    return newOrder;
+  }
+
+  return [...newOrder, ...unplaced, eliminatedId];
+}
+
+module.exports = {
+  TIE_BREAK_RULES,
+  DEFAULT_TIE_BREAK_RULE,
+  drawOrder,
+  breakTie,
+  addManualDecision,
+};
@@ -11,21 +11,23 @@ import PollList from "./components/PollList";
 import CreatePoll from "./components/CreatePoll";
 import PollDetail from "./components/PollDetail";
 import PollResults from "./components/PollResults";
+import PublicResults from "./components/PublicResults";
 import VotePoll from "./components/VotePoll";
+import VerifyReceipt from "./components/VerifyReceipt";
 import DiscoverPolls from "./components/DiscoverPolls";
+import Organizations from "./components/Organizations";
+import AdminConsole from "./components/AdminConsole";
 import NotFound from "./components/NotFound";
-import { API_URL, SOCKETS_URL, NODE_ENV } from "./shared";
-import { io } from "socket.io-client";
-
-const socket = io(SOCKETS_URL, {
-  withCredentials: NODE_ENV === "production",
-});
+import { API_URL } from "./shared";
+import { getSocket } from "./socket";
 
 const App = () => {
   const [user, setUser] = useState(null);
+  const [organizations, setOrganizations] = useState([]);
+  const [activeOrganizationId, setActiveOrganizationId] = useState(null);
 
   useEffect(() => {
-    socket.on("connect", () => {
+    getSocket().on("connect", () => {
       console.log("🔗 Connected to socket");
     });
   }, []);
@@ -47,6 +49,44 @@ const App = () => {
     checkAuth();
   }, []);
 
+  const fetchWorkspaces = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/organizations`, {
+        withCredentials: true,
+      });
+      setOrganizations(response.data.organizations);
+      setActiveOrganizationId(response.data.activeOrganizationId);
+    } catch (error) {
+      console.error("Error fetching organizations:", error);
+    }
+  };
+
+  // Load the user's organizations whenever someone logs in
+  useEffect(() => {
+    if (user) {
+      fetchWorkspaces();
+    } else {
+      setOrganizations([]);
+      setActiveOrganizationId(null);
+    }
+  }, [user]);
+
+  // Switch to an organization's workspace, or to personal polls with null
+  const handleSwitchWorkspace = async (organizationId) => {
+    try {
+      await axios.put(
+        `${API_URL}/api/organizations/active`,
+        { organizationId },
+        { withCredentials: true }
+      );
+      setActiveOrganizationId(organizationId);
+    } catch (error) {
+      console.error("Error switching workspace:", error);
+    }
+  };
+
+  const activeOrganization = organizations.find((org) => org.id === activeOrganizationId) || null;
+
   const handleLogout = async () => {
     try {
       // Logout from our backend
@@ -65,18 +105,38 @@ const App = () => {
 
   return (
     <div>
-      <NavBar user={user} onLogout={handleLogout} />
+      <NavBar
+        user={user}
+        organizations={organizations}
+        activeOrganizationId={activeOrganizationId}
+        onSwitchWorkspace={handleSwitchWorkspace}
+        onLogout={handleLogout}
+      />
       <ErrorBoundary>
         <div className="app">
           <Routes>
             <Route path="/login" element={<Login setUser={setUser} />} />
             <Route path="/signup" element={<Signup setUser={setUser} />} />
-            <Route exact path="/" element={<PollList user={user} />} />
-            <Route path="/polls/create" element={<CreatePoll user={user} />} />
+            <Route
+              exact
+              path="/"
+              element={<PollList user={user} organization={activeOrganization} />}
+            />
+            <Route
+              path="/polls/create"
+              element={<CreatePoll user={user} organization={activeOrganization} />}
+            />
             <Route path="/polls/:id" element={<PollDetail user={user} />} />
             <Route path="/polls/:id/results" element={<PollResults user={user} />} />
             <Route path="/discover" element={<DiscoverPolls />} />
-            <Route path="/vote/:shareLink" element={<VotePoll />} />
+            <Route
+              path="/organizations"
+              element={<Organizations user={user} onChange={fetchWorkspaces} />}
+            />
+            <Route path="/admin" element={<AdminConsole user={user} />} />
+            <Route path="/vote/:shareLink" element={<VotePoll user={user} />} />
+            <Route path="/results/:shareLink" element={<PublicResults />} />
+            <Route path="/verify/:shareLink" element={<VerifyReceipt />} />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </div>
@@ -0,0 +1,372 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./AdminConsoleStyles.css";
+
+const POLL_STATUSES = [
+  { value: "", label: "Any status" },
+  { value: "draft", label: "Draft" },
+  { value: "published", label: "Published" },
+  { value: "closed", label: "Closed" },
+  { value: "taken_down", label: "Taken down" },
+];
+
+const REPORT_REASON_LABELS = {
+  spam: "Spam",
+  offensive: "Offensive",
+  misleading: "Misleading",
+  other: "Other",
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Site administrators' console: site-wide stats, the queue of reported polls, user
+// suspensions and poll moderation
+const AdminConsole = ({ user }) => {
+  const [stats, setStats] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [polls, setPolls] = useState([]);
+  const [userQuery, setUserQuery] = useState("");
+  const [pollQuery, setPollQuery] = useState("");
+  const [pollStatus, setPollStatus] = useState("");
+  const [error, setError] = useState(null);
+
+  const adminUrl = `${API_URL}/api/admin`;
+
+  useEffect(() => {
+    if (user?.isAdmin) {
+      fetchStats();
+      fetchQueue();
+      searchUsers();
+      searchPolls();
+    }
+  }, [user]);
+
+  const fetchStats = async () => {
+    try {
+      const response = await axios.get(`${adminUrl}/stats`, { withCredentials: true });
+      setStats(response.data);
+    } catch (err) {
+      console.error("Error fetching site stats:", err);
+      setError(err.response?.data?.error || "Failed to load site stats");
+    }
+  };
+
+  const fetchQueue = async () => {
+    try {
+      const response = await axios.get(`${adminUrl}/reports`, { withCredentials: true });
+      setQueue(response.data);
+    } catch (err) {
+      console.error("Error fetching moderation queue:", err);
+      setError(err.response?.data?.error || "Failed to load reported polls");
+    }
+  };
+
+  const searchUsers = async (e) => {
+    e?.preventDefault();
+    try {
+      const response = await axios.get(`${adminUrl}/users`, {
+        params: { q: userQuery.trim() },
+        withCredentials: true,
+      });
+      setUsers(response.data);
+    } catch (err) {
+      console.error("Error searching users:", err);
+      setError(err.response?.data?.error || "Failed to search users");
+    }
+  };
+
+  const searchPolls = async (e) => {
+    e?.preventDefault();
+    try {
+      const response = await axios.get(`${adminUrl}/polls`, {
+        params: { q: pollQuery.trim(), status: pollStatus },
+        withCredentials: true,
+      });
+      setPolls(response.data);
+    } catch (err) {
+      console.error("Error searching polls:", err);
+      setError(err.response?.data?.error || "Failed to search polls");
+    }
+  };
+
+  // Run a moderation action, then refresh the stats, the report queue and the list it changed
+  const moderate = async (url, body, refresh, failureMessage) => {
+    try {
+      setError(null);
+      await axios.post(url, body, { withCredentials: true });
+      await Promise.all([fetchStats(), fetchQueue(), refresh()]);
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.response?.data?.error || failureMessage);
+    }
+  };
+
+  const handleSuspend = (target, action) =>
+    moderate(
+      `${adminUrl}/users/${target.id}/${action}`,
+      {},
+      searchUsers,
+      action === "suspend" ? "Failed to suspend user" : "Failed to lift suspension"
+    );
+
+  const handleUnpublish = (poll) => {
+    const reason = window.prompt(`Unpublish "${poll.title}"? Optionally give a reason:`);
+    if (reason === null) return;
+    moderate(
+      `${adminUrl}/polls/${poll.id}/unpublish`,
+      { reason },
+      searchPolls,
+      "Failed to unpublish poll"
+    );
+  };
+
+  const handleTakedown = (poll) => {
+    const reason = window.prompt(`Why is "${poll.title}" being taken down?`);
+    if (!reason?.trim()) return;
+    moderate(
+      `${adminUrl}/polls/${poll.id}/takedown`,
+      { reason: reason.trim() },
+      searchPolls,
+      "Failed to take down poll"
+    );
+  };
+
+  const handleDismissReports = (poll) =>
+    moderate(
+      `${adminUrl}/reports/${poll.id}/dismiss`,
+      {},
+      searchPolls,
+      "Failed to dismiss reports"
+    );
+
+  const handleReinstate = (poll) =>
+    moderate(`${adminUrl}/polls/${poll.id}/reinstate`, {}, searchPolls, "Failed to reinstate poll");
+
+  if (!user?.isAdmin) {
+    return (
+      <div className="admin-console">
+        <div className="auth-required">
+          <h2>Only site administrators can see this page</h2>
+          <Link to="/" className="btn-primary">
+            Back to My Polls
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-console">
+      <h1>Admin Console</h1>
+
+      {error && <div className="error">{error}</div>}
+
+      {stats && (
+        <div className="admin-stats">
+          <div className="admin-stat">
+            <span className="admin-stat-value">{stats.users.total}</span>
+            <span className="admin-stat-label">Users ({stats.users.suspended} suspended)</span>
+          </div>
+          <div className="admin-stat">
+            <span className="admin-stat-value">{stats.polls.total}</span>
+            <span className="admin-stat-label">
+              Polls ({stats.polls.published} published, {stats.polls.public} public)
+            </span>
+          </div>
+          <div className="admin-stat">
+            <span className="admin-stat-value">{stats.openReports}</span>
+            <span className="admin-stat-label">Open reports</span>
+          </div>
+          <div className="admin-stat">
+            <span className="admin-stat-value">{stats.polls.takenDown}</span>
+            <span className="admin-stat-label">Polls taken down</span>
+          </div>
+          <div className="admin-stat">
+            <span className="admin-stat-value">{stats.ballots}</span>
+            <span className="admin-stat-label">Ballots</span>
+          </div>
+          <div className="admin-stat">
+            <span className="admin-stat-value">{stats.organizations}</span>
+            <span className="admin-stat-label">Organizations</span>
+          </div>
+        </div>
+      )}
+
+      <section className="admin-section">
+        <h2>Reported Polls</h2>
+        {queue.length === 0 ? (
+          <p className="admin-empty">No polls are waiting for review.</p>
+        ) : (
+          <ul className="admin-queue">
+            {queue.map(({ poll, reports }) => (
+              <li key={poll.id}>
+                <div className="admin-queue-header">
+                  <strong>{poll.title}</strong>
+                  <span>
+                    by {poll.creator?.username} · {reports.length}{" "}
+                    {reports.length === 1 ? "report" : "reports"}
+                  </span>
+                  {poll.flaggedAt && <span className="admin-tag warning">Hidden</span>}
+                </div>
+                <ul className="admin-queue-reports">
+                  {reports.map((report) => (
+                    <li key={report.id}>
+                      <strong>{REPORT_REASON_LABELS[report.reason]}</strong>
+                      {report.details && `: ${report.details}`}
+                    </li>
+                  ))}
+                </ul>
+                <div className="admin-actions">
+                  <button onClick={() => handleDismissReports(poll)} className="btn-secondary">
+                    Dismiss Reports
+                  </button>
+                  <button onClick={() => handleTakedown(poll)} className="btn-danger">
+                    Take Down
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="admin-section">
+        <h2>Users</h2>
+        <form onSubmit={searchUsers} className="admin-search">
+          <input
+            type="search"
+            aria-label="Search users"
+            value={userQuery}
+            onChange={(e) => setUserQuery(e.target.value)}
+            placeholder="Username or email"
+          />
+          <button type="submit" className="btn-secondary">
+            Search
+          </button>
+        </form>
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Email</th>
+              <th>Joined</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((account) => (
+              <tr key={account.id}>
+                <td>
+                  {account.username}
+                  {account.isAdmin && <span className="admin-tag">Admin</span>}
+                  {account.suspendedAt && <span className="admin-tag warning">Suspended</span>}
+                </td>
+                <td>{account.email || "—"}</td>
+                <td>{formatDate(account.createdAt)}</td>
+                <td>
+                  {account.suspendedAt ? (
+                    <button
+                      onClick={() => handleSuspend(account, "unsuspend")}
+                      className="btn-secondary"
+                    >
+                      Lift Suspension
+                    </button>
+                  ) : (
+                    !account.isAdmin && (
+                      <button
+                        onClick={() => handleSuspend(account, "suspend")}
+                        className="btn-danger"
+                      >
+                        Suspend
+                      </button>
+                    )
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="admin-section">
+        <h2>Polls</h2>
+        <form onSubmit={searchPolls} className="admin-search">
+          <input
+            type="search"
+            aria-label="Search polls"
+            value={pollQuery}
+            onChange={(e) => setPollQuery(e.target.value)}
+            placeholder="Poll title"
+          />
+          <select
+            aria-label="Poll status"
+            value={pollStatus}
+            onChange={(e) => setPollStatus(e.target.value)}
+          >
+            {POLL_STATUSES.map((status) => (
+              <option key={status.value} value={status.value}>
+                {status.label}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn-secondary">
+            Search
+          </button>
+        </form>
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Title</th>
+              <th>Creator</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {polls.map((poll) => (
+              <tr key={poll.id}>
+                <td>
+                  {poll.shareLink && poll.status !== "draft" ? (
+                    <Link to={`/vote/${poll.shareLink}`}>{poll.title}</Link>
+                  ) : (
+                    poll.title
+                  )}
+                  {poll.takenDownAt && (
+                    <span className="admin-tag warning" title={poll.takedownReason}>
+                      Taken down
+                    </span>
+                  )}
+                </td>
+                <td>{poll.creator?.username}</td>
+                <td>
+                  {poll.status} · {poll.visibility}
+                </td>
+                <td className="admin-actions">
+                  {poll.status === "published" && (
+                    <button onClick={() => handleUnpublish(poll)} className="btn-secondary">
+                      Unpublish
+                    </button>
+                  )}
+                  {poll.takenDownAt ? (
+                    <button onClick={() => handleReinstate(poll)} className="btn-secondary">
+                      Reinstate
+                    </button>
+                  ) : (
+                    <button onClick={() => handleTakedown(poll)} className="btn-danger">
+                      Take Down
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from "react";
+import { formatDuration } from "../dates";
+import "./CountdownStyles.css";
+
+// Live countdown to a poll's next scheduled opening or closing
+const Countdown = ({ poll }) => {
+  const [now, setNow] = useState(Date.now());
+
+  const opensAt = poll.opensAt ? new Date(poll.opensAt).getTime() : null;
+  const closesAt = poll.closesAt ? new Date(poll.closesAt).getTime() : null;
+  const scheduled =
+    (poll.status === "draft" && opensAt) || (poll.status === "published" && closesAt);
+
+  useEffect(() => {
+    if (!scheduled) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [scheduled]);
+
+  if (poll.status === "draft" && opensAt) {
+    return (
+      <div className="countdown">
+        {opensAt > now ? `Opens in ${formatDuration(opensAt - now)}` : "Opening now..."}
+      </div>
+    );
+  }
+
+  if (poll.status === "published" && closesAt) {
+    return (
+      <div className={`countdown ${closesAt <= now ? "countdown-ended" : ""}`}>
+        {closesAt > now ? `Closes in ${formatDuration(closesAt - now)}` : "Voting has closed"}
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default Countdown;
@@ -2,13 +2,54 @@ import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import { API_URL } from "../shared";
+import {
+  VOTING_METHODS,
+  TIE_BREAK_RULES,
+  RESULTS_VISIBILITY,
+  POLL_VISIBILITY,
+  getPollVisibilityOptions,
+} from "../votingMethods";
+import { fromDateTimeLocal } from "../dates";
 import "./CreatePollStyles.css";
 
-const CreatePoll = ({ user }) => {
+// How the public vote route detects a voter casting a second ballot
+const DEDUP_POLICIES = [
+  { value: "none", label: "Allow repeat ballots", description: "Anyone can vote any number of times." },
+  {
+    value: "browser",
+    label: "One ballot per browser",
+    description: "A cookie stops the same browser voting twice. No sign-in needed.",
+  },
+  {
+    value: "user",
+    label: "One ballot per logged-in user",
+    description: "Voters must log in, and each account can vote once.",
+  },
+  {
+    value: "email",
+    label: "One ballot per email address",
+    description: "Voters must enter an email address, and each address can vote once.",
+  },
+];
+
+const CreatePoll = ({ user, organization }) => {
   const navigate = useNavigate();
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [options, setOptions] = useState(["", ""]);
+  const [votingMethod, setVotingMethod] = useState("irv");
+  const [approvalCutoff, setApprovalCutoff] = useState("");
+  const [seats, setSeats] = useState(1);
+  const [tieBreakRule, setTieBreakRule] = useState("backward");
+  const [minRankings, setMinRankings] = useState("");
+  const [dedupPolicy, setDedupPolicy] = useState("browser");
+  const [resultsVisibility, setResultsVisibility] = useState("creator");
+  const [anonymous, setAnonymous] = useState(false);
+  const [visibility, setVisibility] = useState("public");
+  const [accessPassword, setAccessPassword] = useState("");
+  const [groupDomain, setGroupDomain] = useState("");
+  const [opensAt, setOpensAt] = useState("");
+  const [closesAt, setClosesAt] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -45,6 +86,21 @@ const CreatePoll = ({ user }) => {
       return;
     }
 
+    if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+      setError("Closing time must be after opening time");
+      return;
+    }
+
+    if (visibility === "password" && !accessPassword) {
+      setError("Enter a password for the poll");
+      return;
+    }
+
+    if (visibility === "group" && !groupDomain.trim()) {
+      setError("Enter your group's email domain");
+      return;
+    }
+
     try {
       setLoading(true);
       const response = await axios.post(
@@ -53,6 +109,19 @@ const CreatePoll = ({ user }) => {
           title: title.trim(),
           description: description.trim() || null,
           options: validOptions,
+          votingMethod,
+          approvalCutoff: votingMethod === "approval" && approvalCutoff ? approvalCutoff : null,
+          seats: votingMethod === "stv" ? seats : 1,
+          tieBreakRule,
+          minRankings: minRankings || null,
+          dedupPolicy,
+          resultsVisibility,
+          anonymous,
+          visibility,
+          accessPassword: visibility === "password" ? accessPassword : null,
+          groupDomain: visibility === "group" ? groupDomain.trim() : null,
+          opensAt: fromDateTimeLocal(opensAt),
+          closesAt: fromDateTimeLocal(closesAt),
         },
         {
           withCredentials: true,
@@ -83,6 +152,9 @@ const CreatePoll = ({ user }) => {
     <div className="create-poll">
       <div className="create-poll-container">
         <h1>Create New Poll</h1>
+        {organization && (
+          <p className="form-help">This poll will belong to {organization.name}.</p>
+        )}
 
         <form onSubmit={handleSubmit} className="poll-form">
           {error && <div className="error-message">{error}</div>}
@@ -139,6 +211,209 @@ const CreatePoll = ({ user }) => {
             </button>
           </div>
 
+          <div className="form-group">
+            <label htmlFor="votingMethod">Voting Method</label>
+            <select
+              id="votingMethod"
+              value={votingMethod}
+              onChange={(e) => setVotingMethod(e.target.value)}
+            >
+              {VOTING_METHODS.map((method) => (
+                <option key={method.value} value={method.value}>
+                  {method.label}
+                </option>
+              ))}
+            </select>
+            <p className="form-help">
+              {VOTING_METHODS.find((method) => method.value === votingMethod)?.description}
+            </p>
+          </div>
+
+          {votingMethod === "stv" && (
+            <div className="form-group">
+              <label htmlFor="seats">Seats to Fill</label>
+              <p className="form-help">
+                How many options will be elected. Must be fewer than the number of options.
+              </p>
+              <input
+                type="number"
+                id="seats"
+                min="1"
+                value={seats}
+                onChange={(e) => setSeats(e.target.value)}
+              />
+            </div>
+          )}
+
+          {(votingMethod === "irv" || votingMethod === "stv") && (
+            <div className="form-group">
+              <label htmlFor="tieBreakRule">Tie-Break Rule</label>
+              <select
+                id="tieBreakRule"
+                value={tieBreakRule}
+                onChange={(e) => setTieBreakRule(e.target.value)}
+              >
+                {TIE_BREAK_RULES.map((rule) => (
+                  <option key={rule.value} value={rule.value}>
+                    {rule.label}
+                  </option>
+                ))}
+              </select>
+              <p className="form-help">
+                {TIE_BREAK_RULES.find((rule) => rule.value === tieBreakRule)?.description}
+              </p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="minRankings">Minimum Rankings (optional)</label>
+            <p className="form-help">
+              Voters may stop after ranking this many options. Leave blank to require a full ranking.
+            </p>
+            <input
+              type="number"
+              id="minRankings"
+              min="1"
+              value={minRankings}
+              onChange={(e) => setMinRankings(e.target.value)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="dedupPolicy">Duplicate Votes</label>
+            <select
+              id="dedupPolicy"
+              value={dedupPolicy}
+              onChange={(e) => setDedupPolicy(e.target.value)}
+            >
+              {DEDUP_POLICIES.map((policy) => (
+                <option key={policy.value} value={policy.value}>
+                  {policy.label}
+                </option>
+              ))}
+            </select>
+            <p className="form-help">
+              {DEDUP_POLICIES.find((policy) => policy.value === dedupPolicy)?.description}
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="visibility">Who Can Vote</label>
+            <select
+              id="visibility"
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+            >
+              {getPollVisibilityOptions(Boolean(organization)).map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="form-help">
+              {POLL_VISIBILITY.find((v) => v.value === visibility)?.description}
+            </p>
+            {visibility === "password" && (
+              <input
+                type="password"
+                id="accessPassword"
+                aria-label="Poll password"
+                value={accessPassword}
+                onChange={(e) => setAccessPassword(e.target.value)}
+                placeholder="Poll password"
+              />
+            )}
+            {visibility === "group" && (
+              <input
+                type="text"
+                id="groupDomain"
+                aria-label="Group email domain"
+                value={groupDomain}
+                onChange={(e) => setGroupDomain(e.target.value)}
+                placeholder="example.com"
+              />
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="resultsVisibility">Results Visibility</label>
+            <select
+              id="resultsVisibility"
+              value={resultsVisibility}
+              onChange={(e) => setResultsVisibility(e.target.value)}
+            >
+              {RESULTS_VISIBILITY.map((visibility) => (
+                <option key={visibility.value} value={visibility.value}>
+                  {visibility.label}
+                </option>
+              ))}
+            </select>
+            <p className="form-help">
+              {RESULTS_VISIBILITY.find((v) => v.value === resultsVisibility)?.description}
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label" htmlFor="anonymous">
+              <input
+                type="checkbox"
+                id="anonymous"
+                checked={anonymous}
+                onChange={(e) => setAnonymous(e.target.checked)}
+              />
+              Secret ballot
+            </label>
+            <p className="form-help">
+              Who voted is recorded separately from the rankings, so you can see turnout but not
+              how anyone voted. This can't be changed once votes are cast.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label>Schedule (optional)</label>
+            <p className="form-help">
+              The poll publishes itself at the opening time and closes at the closing time. Leave
+              blank to publish and close it yourself.
+            </p>
+            <div className="schedule-inputs">
+              <label htmlFor="opensAt">
+                Opens at
+                <input
+                  type="datetime-local"
+                  id="opensAt"
+                  value={opensAt}
+                  onChange={(e) => setOpensAt(e.target.value)}
+                />
+              </label>
+              <label htmlFor="closesAt">
+                Closes at
+                <input
+                  type="datetime-local"
+                  id="closesAt"
+                  value={closesAt}
+                  onChange={(e) => setClosesAt(e.target.value)}
+                />
+              </label>
+            </div>
+          </div>
+
+          {votingMethod === "approval" && (
+            <div className="form-group">
+              <label htmlFor="approvalCutoff">Approval Cutoff (optional)</label>
+              <p className="form-help">
+                Each voter's top choices up to this rank count as approvals. Leave blank to count
+                every ranked option.
+              </p>
+              <input
+                type="number"
+                id="approvalCutoff"
+                min="1"
+                value={approvalCutoff}
+                onChange={(e) => setApprovalCutoff(e.target.value)}
+              />
+            </div>
+          )}
+
           <div className="form-actions">
             <button type="submit" className="btn-primary" disabled={loading}>
               {loading ? "Creating..." : "Create Poll"}
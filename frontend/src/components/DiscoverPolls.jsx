@@ -3,6 +3,7 @@ import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import "./DiscoverPollsStyles.css";
 import { API_URL } from "../shared";
+import ReportPoll from "./ReportPoll";
 
 const DiscoverPolls = () => {
     const [polls, setPolls] = useState([]);
@@ -85,6 +86,7 @@ const DiscoverPolls = () => {
                                         Vote Now
                                     </button>
                                 </div>
+                                <ReportPoll shareLink={poll.shareLink} />
                             </div>
                         ))}
                     </div>
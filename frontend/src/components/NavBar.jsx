@@ -2,7 +2,7 @@ import React from "react";
 import { Link } from "react-router-dom";
 import "./NavBarStyles.css";
 
-const NavBar = ({ user, onLogout }) => {
+const NavBar = ({ user, organizations, activeOrganizationId, onSwitchWorkspace, onLogout }) => {
   return (
     <nav className="navbar">
       <div className="nav-brand">
@@ -22,8 +22,31 @@ const NavBar = ({ user, onLogout }) => {
               <Link to="/discover" className="nav-link">
                 Discover Polls
               </Link>
+              <Link to="/organizations" className="nav-link">
+                Organizations
+              </Link>
+              {user.isAdmin && (
+                <Link to="/admin" className="nav-link">
+                  Admin
+                </Link>
+              )}
             </div>
             <div className="user-info">
+              {organizations.length > 0 && (
+                <select
+                  aria-label="Workspace"
+                  className="workspace-select"
+                  value={activeOrganizationId ?? ""}
+                  onChange={(e) => onSwitchWorkspace(Number(e.target.value) || null)}
+                >
+                  <option value="">Personal</option>
+                  {organizations.map((organization) => (
+                    <option key={organization.id} value={organization.id}>
+                      {organization.name}
+                    </option>
+                  ))}
+                </select>
+              )}
               <span className="username">{user.username}</span>
               <button onClick={onLogout} className="nav-link btn-logout">
                 Logout
@@ -0,0 +1,176 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./OptionEditorStyles.css";
+
+// A poll's options: freely editable while drafting, write-ins only once published, and
+// read-only for observers
+const OptionEditor = ({ poll, ballotCount, onChange }) => {
+  const [newOption, setNewOption] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const options = poll.options || [];
+  const isDraft = poll.status === "draft";
+  const canEdit = poll.role !== "observer";
+  const optionsUrl = `${API_URL}/api/polls/${poll.id}/options`;
+
+  // Run an edit, then let the page reload the poll and its revision history
+  const saveChange = async (request, failureMessage) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await request();
+      await onChange();
+      return true;
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.response?.data?.error || failureMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const added = await saveChange(
+      () => axios.post(optionsUrl, { text: newOption }, { withCredentials: true }),
+      "Failed to add option"
+    );
+    if (added) setNewOption("");
+  };
+
+  const handleWriteIn = async (e) => {
+    e.preventDefault();
+    const ballots = `${ballotCount} ${ballotCount === 1 ? "ballot" : "ballots"}`;
+    const confirmed = window.confirm(
+      `Add "${newOption.trim()}" as a write-in option? ` +
+        `The ${ballots} already cast will leave it unranked.`
+    );
+    if (!confirmed) return;
+
+    const added = await saveChange(
+      () => axios.post(`${optionsUrl}/write-in`, { text: newOption }, { withCredentials: true }),
+      "Failed to add write-in option"
+    );
+    if (added) setNewOption("");
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const { id: optionId, text } = renaming;
+    const renamed = await saveChange(
+      () => axios.put(`${optionsUrl}/${optionId}`, { text }, { withCredentials: true }),
+      "Failed to rename option"
+    );
+    if (renamed) setRenaming(null);
+  };
+
+  const handleMove = (index, offset) => {
+    const optionIds = options.map((option) => option.id);
+    [optionIds[index], optionIds[index + offset]] = [optionIds[index + offset], optionIds[index]];
+    saveChange(
+      () => axios.put(`${optionsUrl}/order`, { optionIds }, { withCredentials: true }),
+      "Failed to reorder options"
+    );
+  };
+
+  const handleRemove = (option) => {
+    if (!window.confirm(`Remove "${option.text}" from this poll?`)) return;
+
+    saveChange(
+      () => axios.delete(`${optionsUrl}/${option.id}`, { withCredentials: true }),
+      "Failed to remove option"
+    );
+  };
+
+  return (
+    <div className="poll-info-section option-editor">
+      <h2>Poll Options</h2>
+      {error && <div className="error">{error}</div>}
+
+      <ul className="options-list">
+        {options.map((option, index) => (
+          <li key={option.id}>
+            {renaming?.id === option.id ? (
+              <form onSubmit={handleRename} className="option-rename-form">
+                <input
+                  type="text"
+                  aria-label={`New text for ${option.text}`}
+                  value={renaming.text}
+                  onChange={(e) => setRenaming({ ...renaming, text: e.target.value })}
+                />
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  Save
+                </button>
+                <button type="button" onClick={() => setRenaming(null)} className="btn-secondary">
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <>
+                <span className="option-text">{option.text}</span>
+                {isDraft && canEdit && (
+                  <span className="option-actions">
+                    <button
+                      onClick={() => handleMove(index, -1)}
+                      disabled={saving || index === 0}
+                      aria-label={`Move ${option.text} up`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={saving || index === options.length - 1}
+                      aria-label={`Move ${option.text} down`}
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => setRenaming({ id: option.id, text: option.text })}
+                      disabled={saving}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      onClick={() => handleRemove(option)}
+                      disabled={saving || options.length <= 2}
+                      aria-label={`Remove ${option.text}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && (isDraft || poll.status === "published") && (
+        <form onSubmit={isDraft ? handleAdd : handleWriteIn} className="option-add-form">
+          <input
+            type="text"
+            aria-label={isDraft ? "New option" : "Write-in option"}
+            value={newOption}
+            onChange={(e) => setNewOption(e.target.value)}
+            placeholder={isDraft ? "Add another option" : "Add a write-in option"}
+          />
+          <button type="submit" className="btn-primary" disabled={saving || !newOption.trim()}>
+            {isDraft ? "Add Option" : "Add Write-In"}
+          </button>
+        </form>
+      )}
+      {poll.status === "published" && (
+        <p className="option-editor-help">
+          Options are locked once a poll is published. A write-in is added for new voters, and
+          ballots already cast leave it unranked.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OptionEditor;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./OrganizationsStyles.css";
+
+const ROLES = [
+  { value: "admin", label: "Admin" },
+  { value: "member", label: "Member" },
+];
+
+const roleLabel = (role) => ROLES.find((r) => r.value === role)?.label || role;
+
+// The user's organizations. Anyone can start one; admins add people by username and change
+// their roles, and members can leave. onChange refreshes the workspace switcher.
+const Organizations = ({ user, onChange }) => {
+  const [organizations, setOrganizations] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [name, setName] = useState("");
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("member");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const organizationsUrl = `${API_URL}/api/organizations`;
+  const isAdmin = selected?.role === "admin";
+
+  useEffect(() => {
+    if (user) {
+      fetchOrganizations();
+    }
+  }, [user]);
+
+  const fetchOrganizations = async () => {
+    try {
+      const response = await axios.get(organizationsUrl, { withCredentials: true });
+      setOrganizations(response.data.organizations);
+    } catch (err) {
+      console.error("Error fetching organizations:", err);
+      setError(err.response?.data?.error || "Failed to load organizations");
+    }
+  };
+
+  const selectOrganization = async (organizationId) => {
+    try {
+      const response = await axios.get(`${organizationsUrl}/${organizationId}`, {
+        withCredentials: true,
+      });
+      setSelected(response.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching organization:", err);
+      setError(err.response?.data?.error || "Failed to load organization");
+    }
+  };
+
+  // Run a change, then reload the organization list, the open organization and the switcher
+  const saveChange = async (request, failureMessage) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await request();
+      await fetchOrganizations();
+      onChange();
+      return response;
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.response?.data?.error || failureMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const response = await saveChange(
+      () => axios.post(organizationsUrl, { name: name.trim() }, { withCredentials: true }),
+      "Failed to create organization"
+    );
+    if (response) {
+      setName("");
+      await selectOrganization(response.data.id);
+    }
+  };
+
+  const membersUrl = selected && `${organizationsUrl}/${selected.id}/members`;
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const response = await saveChange(
+      () => axios.post(membersUrl, { username: username.trim(), role }, { withCredentials: true }),
+      "Failed to add organization member"
+    );
+    if (response) {
+      setUsername("");
+      await selectOrganization(selected.id);
+    }
+  };
+
+  const handleRoleChange = async (member, newRole) => {
+    const response = await saveChange(
+      () => axios.put(`${membersUrl}/${member.id}`, { role: newRole }, { withCredentials: true }),
+      "Failed to change member role"
+    );
+    if (response) {
+      await selectOrganization(selected.id);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.user.id === user.id;
+    const response = await saveChange(
+      () => axios.delete(`${membersUrl}/${member.id}`, { withCredentials: true }),
+      leaving ? "Failed to leave organization" : "Failed to remove organization member"
+    );
+    if (response) {
+      if (leaving) {
+        setSelected(null);
+      } else {
+        await selectOrganization(selected.id);
+      }
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="organizations">
+        <div className="auth-required">
+          <h2>Please log in to manage organizations</h2>
+          <Link to="/login" className="btn-primary">
+            Login
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="organizations">
+      <h1>Organizations</h1>
+      <p>
+        Polls created while an organization is your workspace belong to it. Its admins can see
+        all of them, and they can be limited to the organization's members.
+      </p>
+
+      {error && <div className="error">{error}</div>}
+
+      <ul className="organization-list">
+        {organizations.map((organization) => (
+          <li key={organization.id}>
+            <button
+              onClick={() => selectOrganization(organization.id)}
+              className={selected?.id === organization.id ? "active" : ""}
+            >
+              {organization.name}
+            </button>
+            <span className="organization-role">{roleLabel(organization.role)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleCreate} className="organization-form">
+        <input
+          type="text"
+          aria-label="Organization name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New organization name"
+          maxLength={100}
+        />
+        <button type="submit" className="btn-primary" disabled={saving || !name.trim()}>
+          Create
+        </button>
+      </form>
+
+      {selected && (
+        <div className="organization-members">
+          <h2>{selected.name} Members</h2>
+          <ul className="organization-member-list">
+            {selected.members.map((member) => (
+              <li key={member.id}>
+                <span className="organization-member-name">{member.user.username}</span>
+                {isAdmin ? (
+                  <select
+                    aria-label={`Role for ${member.user.username}`}
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    disabled={saving}
+                  >
+                    {ROLES.map((r) => (
+                      <option key={r.value} value={r.value}>
+                        {r.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="organization-role">{roleLabel(member.role)}</span>
+                )}
+                {member.user.id === user.id ? (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="btn-secondary"
+                    disabled={saving}
+                  >
+                    Leave
+                  </button>
+                ) : (
+                  isAdmin && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      className="organization-member-remove"
+                      aria-label={`Remove ${member.user.username}`}
+                      disabled={saving}
+                    >
+                      ×
+                    </button>
+                  )
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isAdmin && (
+            <form onSubmit={handleInvite} className="organization-form">
+              <input
+                type="text"
+                aria-label="Username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+              />
+              <select aria-label="Role" value={role} onChange={(e) => setRole(e.target.value)}>
+                {ROLES.map((r) => (
+                  <option key={r.value} value={r.value}>
+                    {r.label}
+                  </option>
+                ))}
+              </select>
+              <button type="submit" className="btn-primary" disabled={saving || !username.trim()}>
+                Add
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Organizations;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./PollAnalyticsStyles.css";
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${n}${suffix}`;
+};
+
+// First choices darkest, fading toward last place
+const rankColor = (index, count) => `rgba(89, 78, 54, ${1 - (index / count) * 0.8})`;
+
+const percent = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+// How each option was ranked across every ballot, whatever the voting method
+const PollAnalytics = ({ pollId, refreshKey }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [pollId, refreshKey]);
+
+  const fetchAnalytics = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/polls/${pollId}/analytics`, {
+        withCredentials: true,
+      });
+      setAnalytics(response.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching poll analytics:", err);
+      setError(err.response?.data?.error || "Failed to load analytics");
+    }
+  };
+
+  if (error) {
+    return <div className="error">{error}</div>;
+  }
+
+  if (!analytics) {
+    return <div className="loading">Loading analytics...</div>;
+  }
+
+  const { totalBallots, options, patterns, distinctPatterns } = analytics;
+
+  if (totalBallots === 0) {
+    return (
+      <div className="no-votes">
+        <p>No votes have been cast yet.</p>
+      </div>
+    );
+  }
+
+  const optionText = (id) => options.find((option) => option.id === id)?.text;
+  const positions = options.map((_, index) => index);
+
+  return (
+    <div className="poll-analytics">
+      <div className="rounds-section">
+        <h2>Rank Distribution</h2>
+        <div className="rank-legend">
+          {positions.map((index) => (
+            <span key={index}>
+              <span
+                className="rank-swatch"
+                style={{ background: rankColor(index, positions.length) }}
+              />
+              {ordinal(index + 1)}
+            </span>
+          ))}
+          <span>
+            <span className="rank-swatch rank-unranked" />
+            Unranked
+          </span>
+        </div>
+        <div className="round-card">
+          {options.map((option) => (
+            <div key={option.id} className="rank-distribution">
+              <div className="result-option">{option.text}</div>
+              <div className="rank-bar">
+                {option.rankCounts.map(
+                  (count, index) =>
+                    count > 0 && (
+                      <div
+                        key={index}
+                        className="rank-segment"
+                        style={{
+                          width: `${percent(count, totalBallots)}%`,
+                          background: rankColor(index, positions.length),
+                        }}
+                        title={`${ordinal(index + 1)} choice on ${count} of ${totalBallots}`}
+                      />
+                    )
+                )}
+                {option.unranked > 0 && (
+                  <div
+                    className="rank-segment rank-unranked"
+                    style={{ width: `${percent(option.unranked, totalBallots)}%` }}
+                    title={`Unranked on ${option.unranked} of ${totalBallots}`}
+                  />
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="rounds-section">
+        <h2>Option Summary</h2>
+        <div className="pairwise-table-container">
+          <table className="pairwise-table analytics-table">
+            <thead>
+              <tr>
+                <th>Option</th>
+                <th>First choices</th>
+                <th>Average rank</th>
+                <th>Borda score</th>
+                <th>Ranked last</th>
+              </tr>
+            </thead>
+            <tbody>
+              {options.map((option) => (
+                <tr key={option.id}>
+                  <th>{option.text}</th>
+                  <td>{option.firstPreferences}</td>
+                  <td>{option.averageRank ?? "—"}</td>
+                  <td>{option.bordaScore}</td>
+                  <td>{option.rankedLast}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="rounds-section">
+        <h2>Most Common Ballots</h2>
+        <p className="analytics-note">
+          {distinctPatterns} different {distinctPatterns === 1 ? "ordering" : "orderings"}{" "}
+          across {totalBallots} {totalBallots === 1 ? "ballot" : "ballots"}
+        </p>
+        <div className="round-card">
+          {patterns.map((pattern) => (
+            <div key={pattern.ordering.join("-")} className="result-item">
+              <div className="result-option">{pattern.ordering.map(optionText).join(" › ")}</div>
+              <div className="result-stats">
+                <span className="vote-count">
+                  {pattern.count} {pattern.count === 1 ? "ballot" : "ballots"}
+                </span>
+                <span className="vote-percentage">{(pattern.share * 100).toFixed(1)}%</span>
+              </div>
+              <div className="vote-bar-container">
+                <div className="vote-bar" style={{ width: `${pattern.share * 100}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PollAnalytics;
@@ -2,6 +2,19 @@ import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import axios from "axios";
 import { API_URL } from "../shared";
+import {
+  getVotingMethodLabel,
+  RESULTS_VISIBILITY,
+  POLL_VISIBILITY,
+  getPollVisibilityOptions,
+} from "../votingMethods";
+import { toDateTimeLocal, fromDateTimeLocal } from "../dates";
+import { usePollUpdates } from "../socket";
+import VoterRoll from "./VoterRoll";
+import OptionEditor from "./OptionEditor";
+import RevisionHistory from "./RevisionHistory";
+import PollMembers from "./PollMembers";
+import Countdown from "./Countdown";
 import "./PollDetailStyles.css";
 
 const PollDetail = ({ user }) => {
@@ -12,6 +25,13 @@ const PollDetail = ({ user }) => {
   const [error, setError] = useState(null);
   const [closing, setClosing] = useState(false);
   const [publishing, setPublishing] = useState(false);
+  const [opensAt, setOpensAt] = useState("");
+  const [closesAt, setClosesAt] = useState("");
+  const [savingSchedule, setSavingSchedule] = useState(false);
+  const [access, setAccess] = useState({ visibility: "public", password: "", groupDomain: "" });
+  const [savingAccess, setSavingAccess] = useState(false);
+  const [liveBallotCount, setLiveBallotCount] = useState(null);
+  const [revisionsVersion, setRevisionsVersion] = useState(0);
 
   useEffect(() => {
     if (user) {
@@ -26,6 +46,14 @@ const PollDetail = ({ user }) => {
         withCredentials: true,
       });
       setPoll(response.data);
+      setLiveBallotCount(null);
+      setOpensAt(toDateTimeLocal(response.data.opensAt));
+      setClosesAt(toDateTimeLocal(response.data.closesAt));
+      setAccess({
+        visibility: response.data.visibility,
+        password: "",
+        groupDomain: response.data.groupDomain || "",
+      });
       setError(null);
     } catch (err) {
       console.error("Error fetching poll:", err);
@@ -35,6 +63,21 @@ const PollDetail = ({ user }) => {
     }
   };
 
+  // Re-read the poll after an edit without swapping the page for the loading state
+  const refreshPoll = async () => {
+    const response = await axios.get(`${API_URL}/api/polls/${id}`, {
+      withCredentials: true,
+    });
+    setPoll(response.data);
+    setRevisionsVersion((version) => version + 1);
+  };
+
+  // Votes and scheduled opening or closing show up without a refresh
+  usePollUpdates(user && id, {
+    onTally: ({ ballotCount }) => setLiveBallotCount(ballotCount),
+    onStatus: () => fetchPoll(),
+  });
+
   const handlePublish = async () => {
     try {
       setPublishing(true);
@@ -44,6 +87,7 @@ const PollDetail = ({ user }) => {
         { withCredentials: true }
       );
       setPoll(response.data);
+      setRevisionsVersion((version) => version + 1);
     } catch (err) {
       console.error("Error publishing poll:", err);
       alert(err.response?.data?.error || "Failed to publish poll");
@@ -69,6 +113,76 @@ const PollDetail = ({ user }) => {
     }
   };
 
+  const handleSaveSchedule = async () => {
+    try {
+      setSavingSchedule(true);
+      await axios.put(
+        `${API_URL}/api/polls/${id}`,
+        { opensAt: fromDateTimeLocal(opensAt), closesAt: fromDateTimeLocal(closesAt) },
+        { withCredentials: true }
+      );
+      await fetchPoll();
+    } catch (err) {
+      console.error("Error saving schedule:", err);
+      alert(err.response?.data?.error || "Failed to save schedule");
+    } finally {
+      setSavingSchedule(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    try {
+      await axios.post(`${API_URL}/api/polls/${id}/restore`, {}, { withCredentials: true });
+      await fetchPoll();
+    } catch (err) {
+      console.error("Error restoring poll:", err);
+      alert(err.response?.data?.error || "Failed to restore poll");
+    }
+  };
+
+  const handleSaveAccess = async () => {
+    try {
+      setSavingAccess(true);
+      await axios.put(
+        `${API_URL}/api/polls/${id}`,
+        {
+          visibility: access.visibility,
+          accessPassword: access.visibility === "password" ? access.password : null,
+          groupDomain: access.visibility === "group" ? access.groupDomain.trim() : null,
+        },
+        { withCredentials: true }
+      );
+      await fetchPoll();
+    } catch (err) {
+      console.error("Error saving poll access:", err);
+      alert(err.response?.data?.error || "Failed to save who can vote");
+    } finally {
+      setSavingAccess(false);
+    }
+  };
+
+  const handleVisibilityChange = async (resultsVisibility) => {
+    try {
+      const response = await axios.put(
+        `${API_URL}/api/polls/${id}`,
+        { resultsVisibility },
+        { withCredentials: true }
+      );
+      setPoll((current) => ({ ...current, resultsVisibility: response.data.resultsVisibility }));
+      setRevisionsVersion((version) => version + 1);
+    } catch (err) {
+      console.error("Error updating results visibility:", err);
+      alert(err.response?.data?.error || "Failed to update results visibility");
+    }
+  };
+
+  const copyResultsLink = () => {
+    const resultsUrl = `${window.location.origin}/results/${poll.shareLink}`;
+    navigator.clipboard.writeText(resultsUrl).then(() => {
+      alert("Results link copied to clipboard!");
+    });
+  };
+
   const copyShareLink = () => {
     const shareUrl = `${window.location.origin}/vote/${poll.shareLink}`;
     navigator.clipboard.writeText(shareUrl).then(() => {
@@ -106,6 +220,11 @@ const PollDetail = ({ user }) => {
   }
 
   const shareUrl = `${window.location.origin}/vote/${poll.shareLink}`;
+  const resultsUrl = `${window.location.origin}/results/${poll.shareLink}`;
+  const ballotCount = liveBallotCount ?? (poll.ballots?.length || 0);
+  // Observers can look but not change anything; only owners archive and share the poll
+  const canEdit = poll.role !== "observer";
+  const isOwner = poll.role === "owner";
 
   return (
     <div className="poll-detail">
@@ -119,18 +238,59 @@ const PollDetail = ({ user }) => {
           </div>
         </div>
 
+        {poll.archivedAt && (
+          <div className="archived-notice">
+            <p>This poll is archived. Voters can't see it, and it can't be edited until restored.</p>
+            {isOwner && (
+              <button onClick={handleRestore} className="btn-secondary">
+                Restore Poll
+              </button>
+            )}
+          </div>
+        )}
+
+        {poll.takenDownAt && (
+          <div className="archived-notice">
+            <p>
+              A site administrator took this poll down: {poll.takedownReason}. Its share link
+              won't work until they reinstate it.
+            </p>
+          </div>
+        )}
+
         <div className="poll-content">
           <h1>{poll.title}</h1>
+          <Countdown poll={poll} />
+          {poll.creator && poll.creator.id !== user.id && (
+            <p className="poll-method">
+              <strong>Shared with you</strong> by {poll.creator.username} as{" "}
+              {poll.role === "owner" ? "a co-owner" : `an ${poll.role}`}
+            </p>
+          )}
           {poll.description && <p className="poll-description">{poll.description}</p>}
+          <p className="poll-method">
+            <strong>Voting method:</strong> {getVotingMethodLabel(poll.votingMethod)}
+            {poll.votingMethod === "approval" &&
+              poll.approvalCutoff &&
+              ` (top ${poll.approvalCutoff} choices count as approvals)`}
+            {poll.votingMethod === "stv" &&
+              ` (${poll.seats} ${poll.seats === 1 ? "seat" : "seats"})`}
+          </p>
+          {poll.minRankings && (
+            <p className="poll-method">
+              <strong>Partial ballots:</strong> voters must rank at least {poll.minRankings}{" "}
+              {poll.minRankings === 1 ? "option" : "options"}
+            </p>
+          )}
 
-          <div className="poll-info-section">
-            <h2>Poll Options</h2>
-            <ul className="options-list">
-              {poll.options?.map((option) => (
-                <li key={option.id}>{option.text}</li>
-              ))}
-            </ul>
-          </div>
+          {poll.anonymous && (
+            <p className="poll-method">
+              <strong>Secret ballot:</strong> who voted is kept apart from the rankings
+              {poll.participants && ` (${poll.participants.length} recorded voters)`}
+            </p>
+          )}
+
+          <OptionEditor poll={poll} ballotCount={ballotCount} onChange={refreshPoll} />
 
           <div className="poll-stats">
             <div className="stat-item">
@@ -138,7 +298,7 @@ const PollDetail = ({ user }) => {
               <span>Options</span>
             </div>
             <div className="stat-item">
-              <strong>{poll.ballots?.length || 0}</strong>
+              <strong>{ballotCount}</strong>
               <span>Votes</span>
             </div>
           </div>
@@ -156,6 +316,128 @@ const PollDetail = ({ user }) => {
             </div>
           )}
 
+          {canEdit && poll.status !== "closed" && (
+            <div className="schedule-section">
+              <h2>Schedule</h2>
+              <p>
+                {poll.status === "draft"
+                  ? "Publish automatically at the opening time and close at the closing time."
+                  : "Close automatically at the closing time."}
+              </p>
+              <div className="schedule-inputs">
+                {poll.status === "draft" && (
+                  <label htmlFor="opensAt">
+                    Opens at
+                    <input
+                      type="datetime-local"
+                      id="opensAt"
+                      value={opensAt}
+                      onChange={(e) => setOpensAt(e.target.value)}
+                    />
+                  </label>
+                )}
+                <label htmlFor="closesAt">
+                  Closes at
+                  <input
+                    type="datetime-local"
+                    id="closesAt"
+                    value={closesAt}
+                    onChange={(e) => setClosesAt(e.target.value)}
+                  />
+                </label>
+                <button
+                  onClick={handleSaveSchedule}
+                  className="btn-secondary"
+                  disabled={savingSchedule}
+                >
+                  {savingSchedule ? "Saving..." : "Save Schedule"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {canEdit && (
+            <div className="visibility-section">
+              <h2>Who Can Vote</h2>
+              <select
+                aria-label="Who can vote"
+                value={access.visibility}
+                onChange={(e) => setAccess({ ...access, visibility: e.target.value })}
+              >
+                {getPollVisibilityOptions(Boolean(poll.organizationId)).map((visibility) => (
+                  <option key={visibility.value} value={visibility.value}>
+                    {visibility.label}
+                  </option>
+                ))}
+              </select>
+              <p>{POLL_VISIBILITY.find((v) => v.value === access.visibility)?.description}</p>
+              <div className="access-inputs">
+                {access.visibility === "password" && (
+                  <input
+                    type="password"
+                    aria-label="Poll password"
+                    value={access.password}
+                    onChange={(e) => setAccess({ ...access, password: e.target.value })}
+                    placeholder={
+                      poll.visibility === "password" ? "New password (optional)" : "Poll password"
+                    }
+                  />
+                )}
+                {access.visibility === "group" && (
+                  <input
+                    type="text"
+                    aria-label="Group email domain"
+                    value={access.groupDomain}
+                    onChange={(e) => setAccess({ ...access, groupDomain: e.target.value })}
+                    placeholder="example.com"
+                  />
+                )}
+                <button
+                  onClick={handleSaveAccess}
+                  className="btn-secondary"
+                  disabled={savingAccess}
+                >
+                  {savingAccess ? "Saving..." : "Save"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="visibility-section">
+            <h2>Results Visibility</h2>
+            <select
+              aria-label="Results visibility"
+              value={poll.resultsVisibility}
+              onChange={(e) => handleVisibilityChange(e.target.value)}
+              disabled={!canEdit}
+            >
+              {RESULTS_VISIBILITY.map((visibility) => (
+                <option key={visibility.value} value={visibility.value}>
+                  {visibility.label}
+                </option>
+              ))}
+            </select>
+            <p>{RESULTS_VISIBILITY.find((v) => v.value === poll.resultsVisibility)?.description}</p>
+            {poll.resultsVisibility !== "creator" && poll.shareLink && (
+              <div className="share-link-container">
+                <input type="text" value={resultsUrl} readOnly className="share-link-input" />
+                <button onClick={copyResultsLink} className="btn-copy">
+                  Copy Link
+                </button>
+              </div>
+            )}
+          </div>
+
+          {canEdit && <VoterRoll poll={poll} />}
+
+          <PollMembers
+            poll={poll}
+            user={user}
+            onChange={() => setRevisionsVersion((version) => version + 1)}
+          />
+
+          <RevisionHistory pollId={poll.id} refreshKey={revisionsVersion} />
+
           {poll.status === "closed" && (
             <div className="results-section">
               <h2>Poll Closed</h2>
@@ -167,12 +449,12 @@ const PollDetail = ({ user }) => {
           )}
 
           <div className="poll-actions">
-            {poll.status === "draft" && (
+            {canEdit && poll.status === "draft" && (
               <button onClick={handlePublish} className="btn-primary" disabled={publishing}>
                 {publishing ? "Publishing..." : "Publish Poll"}
               </button>
             )}
-            {poll.status === "published" && (
+            {canEdit && poll.status === "published" && (
               <button onClick={handleClose} className="btn-danger" disabled={closing}>
                 {closing ? "Closing..." : "Close Poll"}
               </button>
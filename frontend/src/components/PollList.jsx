@@ -1,19 +1,45 @@
 import React, { useState, useEffect } from "react";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import axios from "axios";
 import { API_URL } from "../shared";
 import "./PollListStyles.css";
 
-const PollList = ({ user }) => {
+// Archived polls only show under their own filter
+const FILTERS = [
+  { value: "all", label: "All", matches: (poll) => !poll.archivedAt },
+  {
+    value: "active",
+    label: "Active",
+    matches: (poll) => !poll.archivedAt && poll.status === "published",
+  },
+  {
+    value: "drafts",
+    label: "Drafts",
+    matches: (poll) => !poll.archivedAt && poll.status === "draft",
+  },
+  { value: "archived", label: "Archived", matches: (poll) => Boolean(poll.archivedAt) },
+  {
+    value: "shared",
+    label: "Shared with me",
+    matches: (poll, user) => !poll.archivedAt && poll.creatorId !== user.id,
+  },
+];
+
+const ROLE_LABELS = { owner: "Co-owner", editor: "Editor", observer: "Observer" };
+
+// The polls in the user's active workspace: their personal polls, or the organization's
+const PollList = ({ user, organization }) => {
+  const navigate = useNavigate();
   const [polls, setPolls] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [filter, setFilter] = useState("all");
 
   useEffect(() => {
     if (user) {
       fetchPolls();
     }
-  }, [user]);
+  }, [user, organization?.id]);
 
   const fetchPolls = async () => {
     try {
@@ -31,6 +57,55 @@ const PollList = ({ user }) => {
     }
   };
 
+  const handleDuplicate = async (poll) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/polls/${poll.id}/duplicate`,
+        {},
+        { withCredentials: true }
+      );
+      navigate(`/polls/${response.data.id}`);
+    } catch (err) {
+      console.error("Error duplicating poll:", err);
+      alert(err.response?.data?.error || "Failed to duplicate poll");
+    }
+  };
+
+  // Archive or restore a poll, then update it in place
+  const handleArchive = async (poll, action) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/polls/${poll.id}/${action}`,
+        {},
+        { withCredentials: true }
+      );
+      const { archivedAt } = response.data.poll;
+      setPolls(polls.map((p) => (p.id === poll.id ? { ...p, archivedAt } : p)));
+    } catch (err) {
+      console.error(`Error updating poll (${action}):`, err);
+      alert(err.response?.data?.error || `Failed to ${action} poll`);
+    }
+  };
+
+  const handleDelete = async (poll) => {
+    if (
+      !window.confirm(
+        `Permanently delete "${poll.title}"? Its options and ballots will be deleted too. ` +
+          "This action cannot be undone."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/api/polls/${poll.id}`, { withCredentials: true });
+      setPolls(polls.filter((p) => p.id !== poll.id));
+    } catch (err) {
+      console.error("Error deleting poll:", err);
+      alert(err.response?.data?.error || "Failed to delete poll");
+    }
+  };
+
   const getStatusBadge = (status) => {
     const statusClasses = {
       draft: "status-draft",
@@ -72,15 +147,33 @@ const PollList = ({ user }) => {
     );
   }
 
+  const { matches } = FILTERS.find((option) => option.value === filter);
+  const visiblePolls = polls.filter((poll) => matches(poll, user));
+
   return (
     <div className="poll-list">
       <div className="poll-list-header">
-        <h1>My Polls</h1>
+        <h1>{organization ? `${organization.name} Polls` : "My Polls"}</h1>
         <Link to="/polls/create" className="btn-primary">
           Create New Poll
         </Link>
       </div>
 
+      {polls.length > 0 && (
+        <div className="poll-filters" role="group" aria-label="Filter polls">
+          {FILTERS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              className={`poll-filter${filter === option.value ? " active" : ""}`}
+              aria-pressed={filter === option.value}
+            >
+              {option.label} ({polls.filter((poll) => option.matches(poll, user)).length})
+            </button>
+          ))}
+        </div>
+      )}
+
       {polls.length === 0 ? (
         <div className="empty-state">
           <p>You haven't created any polls yet.</p>
@@ -88,14 +181,23 @@ const PollList = ({ user }) => {
             Create Your First Poll
           </Link>
         </div>
+      ) : visiblePolls.length === 0 ? (
+        <div className="empty-state">
+          <p>No polls match this filter.</p>
+        </div>
       ) : (
         <div className="polls-grid">
-          {polls.map((poll) => (
-            <div key={poll.id} className="poll-card">
+          {visiblePolls.map((poll) => (
+            <div key={poll.id} className={`poll-card${poll.archivedAt ? " archived" : ""}`}>
               <div className="poll-card-header">
                 <h3>{poll.title}</h3>
                 {getStatusBadge(poll.status)}
               </div>
+              {poll.creatorId !== user.id && (
+                <p className="poll-shared-by">
+                  {ROLE_LABELS[poll.role]} · shared by {poll.creator?.username}
+                </p>
+              )}
               {poll.description && <p className="poll-description">{poll.description}</p>}
               <div className="poll-card-info">
                 <span className="info-item">
@@ -109,6 +211,28 @@ const PollList = ({ user }) => {
                 <Link to={`/polls/${poll.id}`} className="btn-secondary">
                   View Details
                 </Link>
+                {["owner", "editor"].includes(poll.role) && (
+                  <button onClick={() => handleDuplicate(poll)} className="btn-secondary">
+                    Duplicate
+                  </button>
+                )}
+                {poll.role !== "owner" ? null : poll.archivedAt ? (
+                  <>
+                    <button
+                      onClick={() => handleArchive(poll, "restore")}
+                      className="btn-secondary"
+                    >
+                      Restore
+                    </button>
+                    <button onClick={() => handleDelete(poll)} className="btn-danger">
+                      Delete
+                    </button>
+                  </>
+                ) : (
+                  <button onClick={() => handleArchive(poll, "archive")} className="btn-secondary">
+                    Archive
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./PollMembersStyles.css";
+
+const ROLES = [
+  { value: "owner", label: "Co-owner" },
+  { value: "editor", label: "Editor" },
+  { value: "observer", label: "Observer" },
+];
+
+const roleLabel = (role) => ROLES.find((r) => r.value === role)?.label || role;
+
+// People the poll is shared with. Owners invite users by username and change their roles;
+// anyone else can only leave.
+const PollMembers = ({ poll, user, onChange }) => {
+  const navigate = useNavigate();
+  const [creator, setCreator] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("editor");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const membersUrl = `${API_URL}/api/polls/${poll.id}/members`;
+  const isOwner = poll.role === "owner";
+
+  useEffect(() => {
+    fetchMembers();
+  }, [poll.id]);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await axios.get(membersUrl, { withCredentials: true });
+      setCreator(response.data.creator);
+      setMembers(response.data.members);
+    } catch (err) {
+      console.error("Error fetching poll members:", err);
+      setError(err.response?.data?.error || "Failed to load poll members");
+    }
+  };
+
+  // Run a membership change, then reload the members and the poll's revision history
+  const saveChange = async (request, failureMessage) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await request();
+      await fetchMembers();
+      onChange();
+      return true;
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.response?.data?.error || failureMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const added = await saveChange(
+      () => axios.post(membersUrl, { username: username.trim(), role }, { withCredentials: true }),
+      "Failed to add poll member"
+    );
+    if (added) {
+      setUsername("");
+    }
+  };
+
+  const handleRoleChange = (member, newRole) =>
+    saveChange(
+      () => axios.put(`${membersUrl}/${member.id}`, { role: newRole }, { withCredentials: true }),
+      "Failed to change member role"
+    );
+
+  const handleRemove = (member) =>
+    saveChange(
+      () => axios.delete(`${membersUrl}/${member.id}`, { withCredentials: true }),
+      "Failed to remove poll member"
+    );
+
+  // Leaving takes the poll away, so go back to the poll list
+  const handleLeave = async (member) => {
+    try {
+      await axios.delete(`${membersUrl}/${member.id}`, { withCredentials: true });
+      navigate("/");
+    } catch (err) {
+      console.error("Error leaving poll:", err);
+      setError(err.response?.data?.error || "Failed to leave poll");
+    }
+  };
+
+  return (
+    <div className="poll-members">
+      <h2>Collaborators</h2>
+      <p>
+        Co-owners can do everything you can, editors can change the poll's options and settings,
+        and observers can only view its ballots and results.
+      </p>
+
+      {error && <div className="error">{error}</div>}
+
+      <ul className="member-list">
+        {creator && (
+          <li>
+            <span className="member-name">{creator.username}</span>
+            <span className="member-role">Creator</span>
+          </li>
+        )}
+        {members.map((member) => (
+          <li key={member.id}>
+            <span className="member-name">{member.user.username}</span>
+            {isOwner ? (
+              <select
+                aria-label={`Role for ${member.user.username}`}
+                value={member.role}
+                onChange={(e) => handleRoleChange(member, e.target.value)}
+                disabled={saving}
+              >
+                {ROLES.map((r) => (
+                  <option key={r.value} value={r.value}>
+                    {r.label}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <span className="member-role">{roleLabel(member.role)}</span>
+            )}
+            {member.user.id === user.id ? (
+              <button onClick={() => handleLeave(member)} className="btn-secondary">
+                Leave
+              </button>
+            ) : (
+              isOwner && (
+                <button
+                  onClick={() => handleRemove(member)}
+                  className="member-remove"
+                  aria-label={`Remove ${member.user.username}`}
+                  disabled={saving}
+                >
+                  ×
+                </button>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && (
+        <form onSubmit={handleInvite} className="member-invite-form">
+          <input
+            type="text"
+            aria-label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+          />
+          <select aria-label="Role" value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn-primary" disabled={saving || !username.trim()}>
+            Invite
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PollMembers;
@@ -2,8 +2,469 @@ import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import axios from "axios";
 import { API_URL } from "../shared";
+import { getVotingMethodLabel, getTieBreakLabel } from "../votingMethods";
+import { usePollUpdates } from "../socket";
+import TransferFlowChart from "./TransferFlowChart";
+import PollAnalytics from "./PollAnalytics";
+import ResultsAudit from "./ResultsAudit";
 import "./PollResultsStyles.css";
 
+// Score column label for methods that rank options by a single total
+const SCORE_LABELS = {
+  borda: "points",
+  approval: "approvals",
+  condorcet: "head-to-head wins",
+};
+
+const optionText = (options, id) => options.find((opt) => opt.id === Number(id))?.text;
+
+// Final standings for score-based methods (Borda, approval, Condorcet)
+const StandingsBreakdown = ({ results }) => {
+  const topScore = Math.max(...results.standings.map((s) => s.score), 1);
+
+  return (
+    <div className="rounds-section">
+      <h2>Standings</h2>
+      <div className="round-card">
+        <div className="round-results">
+          {results.standings.map((standing) => (
+            <div key={standing.id} className="result-item">
+              <div className="result-option">{standing.text}</div>
+              <div className="result-stats">
+                <span className="vote-count">
+                  {standing.score} {SCORE_LABELS[results.method]}
+                </span>
+                {results.percentages && (
+                  <span className="vote-percentage">
+                    {results.percentages[standing.id].toFixed(1)}%
+                  </span>
+                )}
+              </div>
+              <div className="vote-bar-container">
+                <div
+                  className="vote-bar"
+                  style={{ width: `${(standing.score / topScore) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Where each elected or eliminated option's ballots went at the end of a round
+const TransferSummary = ({ options, transfers }) => (
+  <ul className="transfer-summary">
+    {transfers.map((transfer) => (
+      <li key={transfer.from}>
+        {transfer.type === "surplus"
+          ? `Surplus of ${transfer.votes} votes from ${optionText(options, transfer.from)} ` +
+            `transferred at ${transfer.transferValue} per ballot`
+          : `${transfer.votes} votes from ${optionText(options, transfer.from)} transferred`}
+        {": "}
+        {Object.entries(transfer.to)
+          .map(([id, votes]) => `${optionText(options, id)} +${votes}`)
+          .concat(transfer.exhausted > 0 ? [`exhausted ${transfer.exhausted}`] : [])
+          .join(", ") || "no further choices"}
+      </li>
+    ))}
+  </ul>
+);
+
+// Heatmap shade for a head-to-head cell: green when the row option wins the pair,
+// red when it loses, stronger the more lopsided the result
+const heatmapColor = (share) => {
+  if (share === null || share === 0.5) return undefined;
+  const strength = 0.1 + Math.abs(share - 0.5) * 1.2;
+  return share > 0.5 ? `rgba(46, 125, 50, ${strength})` : `rgba(211, 47, 47, ${strength})`;
+};
+
+// Head-to-head counts: each cell is how many voters prefer the row option over the column
+// option, shaded by the row option's share of that pair
+const PairwiseTable = ({ options, headToHead, methodLabel, results }) => {
+  const { matrix, condorcetWinner, condorcetLoser, agreesWithCondorcet } = headToHead;
+
+  return (
+    <div className="rounds-section">
+      <h2>Head-to-Head Comparisons</h2>
+      <ul className="condorcet-summary">
+        <li>
+          {condorcetWinner !== null
+            ? `${optionText(options, condorcetWinner)} beats every other option head-to-head ` +
+              "(Condorcet winner)."
+            : "No option beats every other option head-to-head."}
+        </li>
+        {agreesWithCondorcet === false && (
+          <li className="condorcet-disagrees">
+            {results.elected
+              ? `${methodLabel} did not elect ${optionText(options, condorcetWinner)}.`
+              : `${methodLabel} picked ${optionText(options, results.winner.id)} instead.`}
+          </li>
+        )}
+        {condorcetLoser !== null && (
+          <li>
+            {optionText(options, condorcetLoser)} loses to every other option head-to-head
+            (Condorcet loser).
+          </li>
+        )}
+      </ul>
+      <div className="pairwise-table-container">
+        <table className="pairwise-table">
+          <thead>
+            <tr>
+              <th>Preferred ↓ over →</th>
+              {options.map((opt) => (
+                <th key={opt.id}>{opt.text}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {options.map((row) => (
+              <tr key={row.id}>
+                <th>{row.text}</th>
+                {options.map((col) => {
+                  if (row.id === col.id) {
+                    return (
+                      <td key={col.id} className="pairwise-self">
+                        —
+                      </td>
+                    );
+                  }
+                  const votes = matrix[row.id][col.id];
+                  const contested = votes + matrix[col.id][row.id];
+                  const share = contested > 0 ? votes / contested : null;
+                  return (
+                    <td
+                      key={col.id}
+                      className={share > 0.5 ? "pairwise-win" : ""}
+                      style={{ background: heatmapColor(share) }}
+                      title={
+                        `${votes} of ${contested} voters prefer ${row.text} over ${col.text}` +
+                        (share === null ? "" : ` (${(share * 100).toFixed(1)}%)`)
+                      }
+                    >
+                      {votes}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Winner, summary and round-by-round breakdown shared by the creator and public results pages.
+// Without onTieBreak, a pending manual tie-break is shown as waiting on the creator.
+export const ResultsBreakdown = ({ poll, results, onTieBreak, resolvingTie }) => {
+  const hasVotes = poll && results && results.totalVotes > 0;
+  const method = results?.method || "irv";
+  const methodLabel = results?.methodLabel || getVotingMethodLabel(method);
+  const isRoundBased = method === "irv" || method === "stv";
+  // Each round's majority counts only the ballots still continuing, so the summary shows the
+  // one the winner had to reach in the final round
+  const finalMajority = results?.rounds?.at(-1)?.majorityThreshold ?? results?.majorityThreshold;
+
+  return !hasVotes ? (
+    <div className="no-votes">
+      <p>No votes have been cast yet.</p>
+    </div>
+  ) : results.error ? (
+    <div className="error">
+      <p>{results.error}</p>
+    </div>
+  ) : (
+    <>
+      <div className="results-summary">
+        <div className="summary-item">
+          <strong>{results.totalVotes}</strong>
+          <span>Total Votes</span>
+        </div>
+        <div className="summary-item">
+          <strong>{poll.options.length}</strong>
+          <span>Options</span>
+        </div>
+        {method === "irv" && (
+          <div className="summary-item">
+            <strong>{finalMajority}</strong>
+            <span>Majority Needed in Final Round</span>
+          </div>
+        )}
+        {method === "stv" && (
+          <>
+            <div className="summary-item">
+              <strong>{results.seats}</strong>
+              <span>Seats</span>
+            </div>
+            <div className="summary-item">
+              <strong>{results.quota}</strong>
+              <span>Quota</span>
+            </div>
+          </>
+        )}
+      </div>
+
+      {results.manualTieBreakRequired ? (
+        <div className="winner-section">
+          <h2>Tie-Break Needed</h2>
+          <div className="winner-card">
+            <div className="winner-label">
+              These options are tied for elimination in round {results.rounds.length}.
+              {onTieBreak
+                ? " Choose which one to eliminate:"
+                : " The poll creator will choose which one to eliminate."}
+            </div>
+            {onTieBreak ? (
+              <div className="tie-break-choices">
+                {results.tiedOptions.map((opt) => (
+                  <button
+                    key={opt.id}
+                    onClick={() => onTieBreak(opt.id)}
+                    className="btn-secondary"
+                    disabled={resolvingTie}
+                  >
+                    Eliminate {optionText(poll.options, opt.id)}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <ul className="tie-break-choices">
+                {results.tiedOptions.map((opt) => (
+                  <li key={opt.id}>{optionText(poll.options, opt.id)}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      ) : results.tie ? (
+        <div className="winner-section">
+          <h2>Tie Result</h2>
+          <div className="winner-card">
+            <div className="winner-name">No Clear Winner</div>
+            <div className="winner-label">
+              The following options are tied:
+            </div>
+            <ul style={{ marginTop: "20px", textAlign: "left", display: "inline-block" }}>
+              {results.tiedOptions.map((opt) => (
+                <li key={opt.id} style={{ margin: "10px 0", fontSize: "1.2rem" }}>
+                  {opt.text}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      ) : results.winner ? (
+        <>
+          <div className="winner-section">
+            <h2>{method === "stv" && results.seats > 1 ? "Elected" : "Winner"}</h2>
+            <div className="winner-card">
+              {method === "stv" ? (
+                <ol className="elected-list">
+                  {results.elected.map((opt) => (
+                    <li key={opt.id}>
+                      <span className="winner-name">{optionText(poll.options, opt.id)}</span>
+                      <span className="elected-round">Elected in round {opt.round}</span>
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <div className="winner-name">{optionText(poll.options, results.winner.id)}</div>
+              )}
+              <div className="winner-label">
+                Selected by {methodLabel}
+                {results.rounds?.some((r) => r.majorityWinner) && " (Majority Winner)"}
+                {method === "condorcet" &&
+                  results.condorcetWinner &&
+                  " (beats every option head-to-head)"}
+              </div>
+            </div>
+          </div>
+
+          {!isRoundBased && <StandingsBreakdown results={results} />}
+          {results.headToHead && (
+            <PairwiseTable
+              options={poll.options}
+              headToHead={results.headToHead}
+              methodLabel={methodLabel}
+              results={results}
+            />
+          )}
+
+          {isRoundBased && results.rounds.some((round) => round.transfers?.length > 0) && (
+            <TransferFlowChart options={poll.options} rounds={results.rounds} />
+          )}
+
+          {isRoundBased && (
+            <div className="rounds-section">
+              <h2>Voting Rounds</h2>
+              {results.rounds.map((round) => (
+                <div key={round.round} className="round-card">
+                  <h3>Round {round.round}</h3>
+                  {round.majorityWinner && (
+                    <div
+                      style={{
+                        background: "rgba(46, 125, 50, 0.1)",
+                        padding: "10px",
+                        borderRadius: "8px",
+                        marginBottom: "15px",
+                        color: "#2e7d32",
+                        fontWeight: 600,
+                      }}
+                    >
+                      ✓ Majority achieved in this round!
+                    </div>
+                  )}
+                  {round.exhausted !== undefined && (
+                    <p className="round-ballot-status">
+                      {round.continuingBallots !== undefined &&
+                        `${round.continuingBallots} continuing ballots · `}
+                      {round.exhausted} exhausted
+                      {round.majorityThreshold !== undefined &&
+                        ` · ${round.majorityThreshold} needed for a majority`}
+                    </p>
+                  )}
+                  <div className="round-results">
+                    {poll.options
+                      .filter((opt) => round.remaining.includes(opt.id))
+                      .sort((a, b) => round.voteCounts[b.id] - round.voteCounts[a.id])
+                      .map((option) => (
+                        <div key={option.id} className="result-item">
+                          <div className="result-option">{option.text}</div>
+                          <div className="result-stats">
+                            <span className="vote-count">
+                              {round.voteCounts[option.id]} votes
+                            </span>
+                            <span className="vote-percentage">
+                              {round.percentages[option.id].toFixed(1)}%
+                            </span>
+                          </div>
+                          <div className="vote-bar-container">
+                            <div
+                              className="vote-bar"
+                              style={{
+                                width: `${round.percentages[option.id]}%`,
+                              }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                  </div>
+                  {round.eliminated && (
+                    <div className="eliminated">
+                      <strong>Eliminated:</strong>{" "}
+                      {poll.options.find((opt) => opt.id === round.eliminated.id)?.text}
+                    </div>
+                  )}
+                  {round.tieBreak && (
+                    <div className="tie-break-note">
+                      Tie between{" "}
+                      {round.tieBreak.tiedOptions
+                        .map((optionId) => optionText(poll.options, optionId))
+                        .join(", ")}{" "}
+                      settled by {getTieBreakLabel(round.tieBreak.rule).toLowerCase()}
+                      {round.tieBreak.fallbackFrom &&
+                        ` (${getTieBreakLabel(round.tieBreak.fallbackFrom).toLowerCase()} could not separate them)`}
+                    </div>
+                  )}
+                  {round.elected?.length > 0 && (
+                    <div className="elected">
+                      <strong>Elected:</strong>{" "}
+                      {round.elected.map((id) => optionText(poll.options, id)).join(", ")}
+                    </div>
+                  )}
+                  {round.transfers?.length > 0 && (
+                    <TransferSummary options={poll.options} transfers={round.transfers} />
+                  )}
+                </div>
+              ))}
+              {results.tieBreak && (
+                <p className="tie-break-footnote">
+                  Tie-break rule: {getTieBreakLabel(results.tieBreak.rule)} · Random draw
+                  seed: <code>{results.tieBreak.seed}</code>
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="error">
+          <p>Unable to determine winner</p>
+        </div>
+      )}
+    </>
+  );
+};
+
+// Ballot export formats offered by GET /api/polls/:id/export
+const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV (one row per ballot)" },
+  { value: "blt", label: "BLT (OpenSTV)" },
+  { value: "json", label: "JSON" },
+];
+
+// Download the poll's raw ballots; voter names and emails are left out unless asked for
+const BallotDownloadMenu = ({ pollId, anonymous }) => {
+  const [includeVoters, setIncludeVoters] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async (format) => {
+    try {
+      setDownloading(true);
+      const response = await axios.get(`${API_URL}/api/polls/${pollId}/export`, {
+        params: { format, includeVoters },
+        responseType: "blob",
+        withCredentials: true,
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `poll-${pollId}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error downloading ballots:", err);
+      alert("Failed to download ballots");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <details className="download-menu">
+      <summary>Download Ballots</summary>
+      <div className="download-menu-panel">
+        {EXPORT_FORMATS.map((format) => (
+          <button
+            key={format.value}
+            onClick={() => handleDownload(format.value)}
+            disabled={downloading}
+            className="btn-secondary"
+          >
+            {format.label}
+          </button>
+        ))}
+        {anonymous ? (
+          <p className="download-voters">Secret ballot: voters are never exported.</p>
+        ) : (
+          <label className="download-voters">
+            <input
+              type="checkbox"
+              checked={includeVoters}
+              onChange={(e) => setIncludeVoters(e.target.checked)}
+            />
+            Include voter names and emails
+          </label>
+        )}
+      </div>
+    </details>
+  );
+};
+
 const PollResults = ({ user }) => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -11,6 +472,8 @@ const PollResults = ({ user }) => {
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [resolvingTie, setResolvingTie] = useState(false);
+  const [tab, setTab] = useState("results");
 
   useEffect(() => {
     if (user) {
@@ -35,6 +498,33 @@ const PollResults = ({ user }) => {
     }
   };
 
+  // Recount live as ballots come in instead of waiting for a refresh
+  usePollUpdates(user && id, {
+    onTally: ({ ballotCount, results: tally }) => {
+      setPoll((current) => current && { ...current, ballotCount });
+      // Secret-ballot polls only send the new ballot count
+      if (tally) setResults(tally);
+    },
+    onStatus: ({ status }) => setPoll((current) => current && { ...current, status }),
+  });
+
+  const handleTieBreak = async (eliminate) => {
+    try {
+      setResolvingTie(true);
+      await axios.post(
+        `${API_URL}/api/polls/${id}/tie-break`,
+        { tiedOptions: results.tiedOptions.map((opt) => opt.id), eliminate },
+        { withCredentials: true }
+      );
+      await fetchPollAndResults();
+    } catch (err) {
+      console.error("Error recording tie-break:", err);
+      alert(err.response?.data?.error || "Failed to record tie-break");
+    } finally {
+      setResolvingTie(false);
+    }
+  };
+
   if (!user) {
     return (
       <div className="poll-results">
@@ -64,8 +554,6 @@ const PollResults = ({ user }) => {
     );
   }
 
-  const hasVotes = poll && results && results.totalVotes > 0;
-
   return (
     <div className="poll-results">
       <div className="poll-results-container">
@@ -74,135 +562,37 @@ const PollResults = ({ user }) => {
             ← Back to Poll
           </button>
           <h1>Poll Results: {poll.title}</h1>
+          <BallotDownloadMenu pollId={id} anonymous={poll.anonymous} />
         </div>
 
-        {!hasVotes ? (
-          <div className="no-votes">
-            <p>No votes have been cast yet.</p>
-          </div>
-        ) : results.error ? (
-          <div className="error">
-            <p>{results.error}</p>
-          </div>
-        ) : (
-          <>
-            <div className="results-summary">
-              <div className="summary-item">
-                <strong>{results.totalVotes}</strong>
-                <span>Total Votes</span>
-              </div>
-              <div className="summary-item">
-                <strong>{poll.options.length}</strong>
-                <span>Options</span>
-              </div>
-              <div className="summary-item">
-                <strong>{results.majorityThreshold}</strong>
-                <span>Majority Needed</span>
-              </div>
-            </div>
-
-            {results.tie ? (
-              <div className="winner-section">
-                <h2>Tie Result</h2>
-                <div className="winner-card">
-                  <div className="winner-name">No Clear Winner</div>
-                  <div className="winner-label">
-                    The following options are tied:
-                  </div>
-                  <ul style={{ marginTop: "20px", textAlign: "left", display: "inline-block" }}>
-                    {results.tiedOptions.map((opt) => (
-                      <li key={opt.id} style={{ margin: "10px 0", fontSize: "1.2rem" }}>
-                        {opt.text}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-              </div>
-            ) : results.winner ? (
-              <>
-                <div className="winner-section">
-                  <h2>Winner</h2>
-                  <div className="winner-card">
-                    <div className="winner-name">
-                      {poll.options.find((opt) => opt.id === results.winner.id)?.text}
-                    </div>
-                    <div className="winner-label">
-                      Selected by Instant Runoff Voting
-                      {results.rounds.some((r) => r.majorityWinner) && " (Majority Winner)"}
-                    </div>
-                  </div>
-                </div>
+        <div className="results-tabs" role="tablist">
+          {[
+            ["results", "Results"],
+            ["analytics", "Analytics"],
+            ["audit", "Audit"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              role="tab"
+              aria-selected={tab === value}
+              onClick={() => setTab(value)}
+              className={`results-tab ${tab === value ? "active" : ""}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
 
-                <div className="rounds-section">
-                  <h2>Voting Rounds</h2>
-                  {results.rounds.map((round) => (
-                    <div key={round.round} className="round-card">
-                      <h3>Round {round.round}</h3>
-                      {round.majorityWinner && (
-                        <div
-                          style={{
-                            background: "rgba(46, 125, 50, 0.1)",
-                            padding: "10px",
-                            borderRadius: "8px",
-                            marginBottom: "15px",
-                            color: "#2e7d32",
-                            fontWeight: 600,
-                          }}
-                        >
-                          ✓ Majority achieved in this round!
-                        </div>
-                      )}
-                      <div className="round-results">
-                        {poll.options
-                          .filter((opt) => round.remaining.includes(opt.id))
-                          .sort((a, b) => round.voteCounts[b.id] - round.voteCounts[a.id])
-                          .map((option) => (
-                            <div key={option.id} className="result-item">
-                              <div className="result-option">{option.text}</div>
-                              <div className="result-stats">
-                                <span className="vote-count">
-                                  {round.voteCounts[option.id]} votes
-                                </span>
-                                <span className="vote-percentage">
-                                  {round.percentages[option.id].toFixed(1)}%
-                                </span>
-                              </div>
-                              <div className="vote-bar-container">
-                                <div
-                                  className="vote-bar"
-                                  style={{
-                                    width: `${round.percentages[option.id]}%`,
-                                  }}
-                                />
-                              </div>
-                            </div>
-                          ))}
-                      </div>
-                      {round.eliminated && (
-                        <div className="eliminated">
-                          <strong>Eliminated:</strong>{" "}
-                          {poll.options.find((opt) => opt.id === round.eliminated.id)?.text}
-                        </div>
-                      )}
-                      {round.eliminatedMultiple && round.eliminatedMultiple.length > 0 && (
-                        <div className="eliminated">
-                          <strong>Eliminated:</strong>{" "}
-                          {round.eliminatedMultiple
-                            .map((opt) => poll.options.find((o) => o.id === opt.id)?.text)
-                            .join(", ")}
-                        </div>
-                      )}
-                    </div>
-                  ))}
-                </div>
-              </>
-            ) : (
-              <div className="error">
-                <p>Unable to determine winner</p>
-              </div>
-            )}
-          </>
+        {tab === "results" && (
+          <ResultsBreakdown
+            poll={poll}
+            results={results}
+            onTieBreak={["owner", "editor"].includes(poll.role) ? handleTieBreak : undefined}
+            resolvingTie={resolvingTie}
+          />
         )}
+        {tab === "analytics" && <PollAnalytics pollId={id} refreshKey={poll.ballotCount} />}
+        {tab === "audit" && <ResultsAudit pollId={id} poll={poll} />}
       </div>
     </div>
   );
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import axios from "axios";
+import { API_URL } from "../shared";
+import { usePollUpdates } from "../socket";
+import { ResultsBreakdown } from "./PollResults";
+import "./PollResultsStyles.css";
+
+// Results for voters following the share link, if the creator has made them public
+const PublicResults = () => {
+  const { shareLink } = useParams();
+  const navigate = useNavigate();
+  const [poll, setPoll] = useState(null);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchResults();
+  }, [shareLink]);
+
+  const fetchResults = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/api/polls/public/${shareLink}/results`, {
+        withCredentials: true,
+      });
+      setPoll(response.data.poll);
+      setResults(response.data.results);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching public results:", err);
+      setError(err.response?.data?.error || "Failed to load results");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isLive = poll?.status === "published";
+
+  // Live results keep counting while voting is open
+  usePollUpdates(
+    isLive && poll.id,
+    {
+      onTally: ({ ballotCount, results: tally }) => {
+        setPoll((current) => current && { ...current, ballotCount });
+        // Secret-ballot polls only send the new ballot count
+        if (tally) setResults(tally);
+      },
+      onStatus: ({ status }) => setPoll((current) => current && { ...current, status }),
+    },
+    shareLink
+  );
+
+  if (loading) {
+    return (
+      <div className="poll-results">
+        <div className="loading">Loading results...</div>
+      </div>
+    );
+  }
+
+  if (error || !poll) {
+    return (
+      <div className="poll-results">
+        <div className="error">{error || "Poll not found"}</div>
+        <button onClick={() => navigate("/discover")} className="btn-secondary">
+          Discover Polls
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="poll-results">
+      <div className="poll-results-container">
+        <div className="results-header">
+          {isLive && (
+            <button onClick={() => navigate(`/vote/${shareLink}`)} className="btn-back">
+              ← Back to Voting
+            </button>
+          )}
+          <h1>Poll Results: {poll.title}</h1>
+          {isLive && (
+            <p className="results-live-note">
+              Voting is still open. These results update as ballots come in.
+            </p>
+          )}
+        </div>
+
+        <ResultsBreakdown poll={poll} results={results} />
+      </div>
+    </div>
+  );
+};
+
+export default PublicResults;
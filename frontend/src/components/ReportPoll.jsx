@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./ReportPollStyles.css";
+
+const REPORT_REASONS = [
+  { value: "spam", label: "Spam or advertising" },
+  { value: "offensive", label: "Offensive or abusive" },
+  { value: "misleading", label: "Misleading or a scam" },
+  { value: "other", label: "Something else" },
+];
+
+// A "Report" link that opens a short form for flagging a public poll to the site's admins
+const ReportPoll = ({ shareLink }) => {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("spam");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await axios.post(
+        `${API_URL}/api/polls/public/${shareLink}/report`,
+        { reason, details: details.trim() },
+        { withCredentials: true }
+      );
+      setMessage(response.data.message);
+      setOpen(false);
+    } catch (err) {
+      console.error("Error reporting poll:", err);
+      setError(err.response?.data?.error || "Failed to report poll");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (message) {
+    return <p className="report-poll-message">{message}</p>;
+  }
+
+  if (!open) {
+    return (
+      <button type="button" onClick={() => setOpen(true)} className="report-poll-link">
+        Report
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="report-poll-form">
+      {error && <div className="error">{error}</div>}
+      <select aria-label="Report reason" value={reason} onChange={(e) => setReason(e.target.value)}>
+        {REPORT_REASONS.map((r) => (
+          <option key={r.value} value={r.value}>
+            {r.label}
+          </option>
+        ))}
+      </select>
+      <textarea
+        aria-label="Report details"
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="Anything the admins should know (optional)"
+        maxLength={1000}
+        rows={2}
+      />
+      <div className="report-poll-actions">
+        <button type="submit" className="btn-danger" disabled={submitting}>
+          {submitting ? "Sending..." : "Send Report"}
+        </button>
+        <button type="button" onClick={() => setOpen(false)} className="btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReportPoll;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./ResultsAuditStyles.css";
+
+// Readable names for the tabulation parameters stored on a snapshot
+const PARAMETER_LABELS = {
+  approvalCutoff: "approval cutoff",
+  seats: "seats",
+  tieBreak: "tie-break settings",
+};
+
+const winnerNames = (results) => {
+  const winners = results.elected || (results.winner ? [results.winner] : []);
+  return winners.length > 0 ? winners.map((winner) => winner.text).join(", ") : "No winner";
+};
+
+const formatValue = (value) =>
+  value === null || value === undefined ? "none" : JSON.stringify(value);
+
+// Each difference between the certified result and a recount, as a sentence
+const describeDiff = (diff, optionText) => {
+  const lines = [];
+  if (diff.ballotsChanged) {
+    lines.push(
+      diff.ballotCount
+        ? `Ballots changed: ${diff.ballotCount.from} → ${diff.ballotCount.to}`
+        : "Ballots changed, although the count is the same"
+    );
+  }
+  if (diff.codeVersion) {
+    lines.push(`Counting code changed: ${diff.codeVersion.from} → ${diff.codeVersion.to}`);
+  }
+  Object.entries(diff.parameters).forEach(([key, { from, to }]) => {
+    lines.push(
+      `Changed ${PARAMETER_LABELS[key] || key}: ${formatValue(from)} → ${formatValue(to)}`
+    );
+  });
+  if (diff.winners) {
+    const names = (ids) => ids.map(optionText).join(", ") || "no winner";
+    lines.push(`Winner changed: ${names(diff.winners.from)} → ${names(diff.winners.to)}`);
+  }
+  diff.counts.forEach(({ round, optionId, from, to }) => {
+    lines.push(`Round ${round}, ${optionText(optionId)}: ${from} → ${to}`);
+  });
+  return lines;
+};
+
+const SnapshotSummary = ({ snapshot }) => (
+  <dl className="snapshot-summary">
+    <dt>Winner</dt>
+    <dd>{winnerNames(snapshot.results)}</dd>
+    <dt>Method</dt>
+    <dd>{snapshot.results.methodLabel || snapshot.method}</dd>
+    <dt>Ballots</dt>
+    <dd>{snapshot.ballotCount}</dd>
+    <dt>Ballot hash</dt>
+    <dd>
+      <code title={snapshot.ballotHash}>{snapshot.ballotHash.slice(0, 16)}…</code>
+    </dd>
+    <dt>Code version</dt>
+    <dd>
+      <code>{snapshot.codeVersion}</code>
+    </dd>
+  </dl>
+);
+
+// The certified result of a closed poll, recounts against it and the snapshot history
+const ResultsAudit = ({ pollId, poll }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [recount, setRecount] = useState(null);
+  const [recounting, setRecounting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [pollId, poll.status]);
+
+  const fetchSnapshots = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/polls/${pollId}/snapshots`, {
+        withCredentials: true,
+      });
+      setSnapshots(response.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching result snapshots:", err);
+      setError(err.response?.data?.error || "Failed to load result snapshots");
+    }
+  };
+
+  const handleRecount = async () => {
+    try {
+      setRecounting(true);
+      const response = await axios.post(
+        `${API_URL}/api/polls/${pollId}/recount`,
+        {},
+        { withCredentials: true }
+      );
+      setRecount(response.data);
+      setError(null);
+      await fetchSnapshots();
+    } catch (err) {
+      console.error("Error recounting poll:", err);
+      setError(err.response?.data?.error || "Failed to recount poll");
+    } finally {
+      setRecounting(false);
+    }
+  };
+
+  const certified = snapshots.find((snapshot) => snapshot.kind === "certified");
+  const optionText = (id) =>
+    poll.options.find((option) => option.id === id)?.text || `Option ${id}`;
+
+  return (
+    <div className="results-audit">
+      {error && <div className="error">{error}</div>}
+
+      <div className="rounds-section">
+        <h2>Certified Result</h2>
+        {certified ? (
+          <div className="round-card">
+            <p className="audit-note">
+              Certified {new Date(certified.createdAt).toLocaleString()}
+              {certified.user?.username && ` by ${certified.user.username}`}
+            </p>
+            <SnapshotSummary snapshot={certified} />
+          </div>
+        ) : (
+          <p className="audit-note">
+            {poll.status === "closed"
+              ? "This poll closed before results were certified."
+              : "Results are certified when the poll closes."}
+          </p>
+        )}
+        {poll.status === "closed" && (
+          <button onClick={handleRecount} disabled={recounting} className="btn-secondary">
+            {recounting ? "Recounting..." : "Recount"}
+          </button>
+        )}
+      </div>
+
+      {recount && (
+        <div className="rounds-section">
+          <h2>Recount</h2>
+          <div className="round-card">
+            <SnapshotSummary snapshot={recount.recount} />
+            {!recount.diff ? (
+              <p className="audit-note">There is no certified result to compare with.</p>
+            ) : recount.diff.changed ? (
+              <ul className="audit-diff">
+                {describeDiff(recount.diff, optionText).map((line) => (
+                  <li key={line}>{line}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="audit-match">The recount matches the certified result.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {snapshots.length > 0 && (
+        <div className="rounds-section">
+          <h2>Snapshot History</h2>
+          <ol className="snapshot-history">
+            {snapshots.map((snapshot) => (
+              <li key={snapshot.id}>
+                <span className="snapshot-description">
+                  {snapshot.kind === "certified" ? "Certified" : "Recount"}:{" "}
+                  {winnerNames(snapshot.results)} · {snapshot.ballotCount}{" "}
+                  {snapshot.ballotCount === 1 ? "ballot" : "ballots"}
+                </span>
+                <span className="snapshot-meta">
+                  {snapshot.user?.username && `${snapshot.user.username} · `}
+                  {new Date(snapshot.createdAt).toLocaleString()}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultsAudit;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./RevisionHistoryStyles.css";
+
+// Readable names for poll fields recorded in "poll_updated" revisions
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  status: "status",
+  votingMethod: "voting method",
+  approvalCutoff: "approval cutoff",
+  seats: "seats",
+  tieBreakRule: "tie-break rule",
+  minRankings: "minimum rankings",
+  dedupPolicy: "duplicate-vote policy",
+  resultsVisibility: "results visibility",
+  anonymous: "secret ballot",
+  visibility: "visibility",
+  accessPassword: "poll password",
+  groupDomain: "group domain",
+  opensAt: "opening time",
+  closesAt: "closing time",
+};
+
+const ROLE_NAMES = { owner: "co-owner", editor: "editor", observer: "observer" };
+
+const describeRevision = ({ action, details }) => {
+  switch (action) {
+    case "poll_updated":
+      return `Updated ${Object.keys(details.changes)
+        .map((field) => FIELD_LABELS[field] || field)
+        .join(", ")}`;
+    case "option_added":
+      return `Added option "${details.text}"`;
+    case "option_renamed":
+      return `Renamed "${details.from}" to "${details.to}"`;
+    case "option_removed":
+      return `Removed option "${details.text}"`;
+    case "options_reordered":
+      return "Reordered options";
+    case "write_in_added":
+      return (
+        `Added write-in "${details.text}"; ${details.existingBallots} earlier ` +
+        `${details.existingBallots === 1 ? "ballot leaves" : "ballots leave"} it unranked`
+      );
+    case "archived":
+      return "Archived the poll";
+    case "restored":
+      return "Restored the poll";
+    case "ballots_imported":
+      return `Imported ${details.count} ${
+        details.count === 1 ? "ballot" : "ballots"
+      } from ${details.format.toUpperCase()}`;
+    case "member_added":
+      return `Shared the poll with ${details.username} as ${ROLE_NAMES[details.role]}`;
+    case "member_role_changed":
+      return `Changed ${details.username} from ${ROLE_NAMES[details.from]} to ${
+        ROLE_NAMES[details.to]
+      }`;
+    case "member_removed":
+      return `Stopped sharing the poll with ${details.username}`;
+    case "unpublished":
+      return details.reason
+        ? `A site administrator unpublished the poll: ${details.reason}`
+        : "A site administrator unpublished the poll";
+    case "taken_down":
+      return `A site administrator took the poll down: ${details.reason}`;
+    case "reinstated":
+      return "A site administrator reinstated the poll";
+    default:
+      return action;
+  }
+};
+
+// Every change made to a poll after it was created, newest first
+const RevisionHistory = ({ pollId, refreshKey }) => {
+  const [revisions, setRevisions] = useState([]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [pollId, refreshKey]);
+
+  const fetchRevisions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/polls/${pollId}/revisions`, {
+        withCredentials: true,
+      });
+      setRevisions(response.data);
+    } catch (err) {
+      console.error("Error fetching revision history:", err);
+    }
+  };
+
+  if (revisions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="revision-history">
+      <h2>Revision History</h2>
+      <ol className="revision-list">
+        {revisions.map((revision) => (
+          <li key={revision.id}>
+            <span className="revision-description">{describeRevision(revision)}</span>
+            <span className="revision-meta">
+              {revision.user?.username && `${revision.user.username} · `}
+              {new Date(revision.createdAt).toLocaleString()}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from "react";
+import "./TransferFlowChartStyles.css";
+
+const EXHAUSTED = "exhausted";
+const ELECTED = "elected";
+const COLORS = ["#594e36", "#4f6d7a", "#a07f4f", "#6b8f71", "#8c5a5a", "#5b5f97", "#b08d57"];
+const EXHAUSTED_COLOR = "#bdbdbd";
+const ELECTED_COLOR = "#d4b86a";
+
+// Chart geometry in SVG units; the SVG scales to the width of its container
+const CHART_HEIGHT = 320;
+const COLUMN_GAP = 180;
+const NODE_WIDTH = 14;
+const NODE_PADDING = 12;
+const LABEL_SPACE = 130;
+const STEP_DELAY = 1200;
+
+const formatVotes = (votes) =>
+  `${Math.round(votes * 100) / 100} ${votes === 1 ? "vote" : "votes"}`;
+
+// Votes an elected candidate keeps (the quota) when only their surplus moves on
+const keptVotes = (round, transfer) =>
+  Math.round(((round.voteCounts[transfer.from] || 0) - transfer.votes) * 10000) / 10000;
+
+const electedVotes = (round) =>
+  (round.transfers || [])
+    .filter((transfer) => transfer.type === "surplus")
+    .reduce((sum, transfer) => sum + keptVotes(round, transfer), 0);
+
+// One column per round. When the last round still moved votes (e.g. an IRV final-two
+// elimination), add a final column showing where they ended up. Quotas kept by elected
+// candidates collect in an "Elected" node so every column adds up to the same total.
+const buildColumns = (rounds) => {
+  let elected = 0;
+  const columns = rounds.map((round, index) => {
+    if (index > 0) elected += electedVotes(rounds[index - 1]);
+    return {
+      label: `Round ${round.round}`,
+      counts: round.voteCounts,
+      exhausted: round.exhausted || 0,
+      elected,
+    };
+  });
+
+  const last = rounds[rounds.length - 1];
+  if (last?.transfers?.length > 0) {
+    const sources = last.transfers.map((transfer) => String(transfer.from));
+    const counts = Object.fromEntries(
+      Object.entries(last.voteCounts).filter(([id]) => !sources.includes(id))
+    );
+    let exhausted = last.exhausted || 0;
+    last.transfers.forEach((transfer) => {
+      Object.entries(transfer.to).forEach(([id, votes]) => {
+        counts[id] = (counts[id] || 0) + votes;
+      });
+      exhausted += transfer.exhausted;
+    });
+    columns.push({ label: "Final", counts, exhausted, elected: elected + electedVotes(last) });
+  }
+
+  return columns;
+};
+
+// Votes moving from one column to the next: options that stay in the count carry their
+// votes forward, and each transfer splits its source's votes among the next choices. An
+// elected candidate's quota goes to the "Elected" node and only the surplus moves on.
+const buildLinks = (columns, rounds) =>
+  rounds.slice(0, columns.length - 1).flatMap((round, index) => {
+    const from = columns[index];
+    const to = columns[index + 1];
+    const sources = (round.transfers || []).map((transfer) => String(transfer.from));
+    const links = [];
+
+    Object.keys(to.counts).forEach((id) => {
+      if (from.counts[id] > 0 && !sources.includes(id)) {
+        links.push({ step: index, source: id, target: id, votes: from.counts[id], carry: true });
+      }
+    });
+    if (from.exhausted > 0) {
+      links.push({
+        step: index,
+        source: EXHAUSTED,
+        target: EXHAUSTED,
+        votes: from.exhausted,
+        carry: true,
+      });
+    }
+    if (from.elected > 0) {
+      links.push({
+        step: index,
+        source: ELECTED,
+        target: ELECTED,
+        votes: from.elected,
+        carry: true,
+      });
+    }
+    (round.transfers || []).forEach((transfer) => {
+      const source = String(transfer.from);
+      const kept = transfer.type === "surplus" ? keptVotes(round, transfer) : 0;
+      if (kept > 0) links.push({ step: index, source, target: ELECTED, votes: kept });
+      Object.entries(transfer.to).forEach(([id, votes]) => {
+        if (votes > 0) links.push({ step: index, source, target: id, votes });
+      });
+      if (transfer.exhausted > 0) {
+        links.push({ step: index, source, target: EXHAUSTED, votes: transfer.exhausted });
+      }
+    });
+
+    return links;
+  });
+
+const nodeVotes = (column, id) => {
+  if (id === EXHAUSTED) return column.exhausted;
+  if (id === ELECTED) return column.elected;
+  return column.counts[id] || 0;
+};
+
+// Stack each column's nodes in option order, then elected quotas, exhausted ballots last
+const layoutNodes = (columns, options) => {
+  const order = [...options.map((opt) => String(opt.id)), ELECTED, EXHAUSTED];
+  const columnNodes = columns.map((column) =>
+    order.map((id) => ({ id, votes: nodeVotes(column, id) })).filter((node) => node.votes > 0)
+  );
+
+  const tallest = Math.max(...columnNodes.map((nodes) => (nodes.length - 1) * NODE_PADDING), 0);
+  const largest = Math.max(
+    ...columnNodes.map((nodes) => nodes.reduce((sum, node) => sum + node.votes, 0)),
+    1
+  );
+  const scale = (CHART_HEIGHT - tallest) / largest;
+
+  return columnNodes.map((nodes, column) => {
+    let y = 0;
+    return nodes.map((node) => {
+      const laidOut = {
+        ...node,
+        column,
+        x: LABEL_SPACE + column * COLUMN_GAP,
+        y,
+        height: Math.max(node.votes * scale, 1),
+        outOffset: 0,
+        inOffset: 0,
+      };
+      y += laidOut.height + NODE_PADDING;
+      return laidOut;
+    });
+  });
+};
+
+// A band between two nodes, as wide as the votes it carries at both ends
+const linkPath = (x0, y0, x1, y1, width) => {
+  const mid = (x0 + x1) / 2;
+  return (
+    `M${x0},${y0} C${mid},${y0} ${mid},${y1} ${x1},${y1} ` +
+    `L${x1},${y1 + width} C${mid},${y1 + width} ${mid},${y0 + width} ${x0},${y0 + width} Z`
+  );
+};
+
+// Sankey-style chart of how votes moved between options from round to round
+const TransferFlowChart = ({ options, rounds }) => {
+  const columns = buildColumns(rounds);
+  const steps = columns.length - 1;
+  const [step, setStep] = useState(steps);
+  const [playing, setPlaying] = useState(false);
+  const [hovered, setHovered] = useState(null);
+
+  // Reset to the full chart when a live recount changes the rounds
+  useEffect(() => {
+    setStep(steps);
+    setPlaying(false);
+  }, [steps]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= steps) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStep(step + 1), STEP_DELAY);
+    return () => clearTimeout(timer);
+  }, [playing, step, steps]);
+
+  if (steps < 1) {
+    return null;
+  }
+
+  const nodes = layoutNodes(columns, options);
+  const findNode = (column, id) => nodes[column].find((node) => node.id === id);
+  const label = (id) => {
+    if (id === EXHAUSTED) return "Exhausted";
+    if (id === ELECTED) return "Elected";
+    return options.find((opt) => String(opt.id) === id)?.text;
+  };
+  const color = (id) => {
+    if (id === EXHAUSTED) return EXHAUSTED_COLOR;
+    if (id === ELECTED) return ELECTED_COLOR;
+    return COLORS[options.findIndex((opt) => String(opt.id) === id) % COLORS.length];
+  };
+
+  // Lay links out top to bottom at both ends so bands don't cross inside a node
+  const links = buildLinks(columns, rounds)
+    .map((link) => ({
+      ...link,
+      from: findNode(link.step, link.source),
+      to: findNode(link.step + 1, link.target),
+    }))
+    .filter((link) => link.from && link.to);
+  const scale = (node) => node.height / node.votes;
+  [...links]
+    .sort((a, b) => a.from.y - b.from.y || a.to.y - b.to.y)
+    .forEach((link) => {
+      link.y0 = link.from.y + link.from.outOffset;
+      link.from.outOffset += link.votes * scale(link.from);
+    });
+  [...links]
+    .sort((a, b) => a.to.y - b.to.y || a.from.y - b.from.y)
+    .forEach((link) => {
+      link.y1 = link.to.y + link.to.inOffset;
+      link.to.inOffset += link.votes * scale(link.to);
+    });
+
+  const columnName = (index) => columns[index].label.toLowerCase();
+  const describeLink = (link) =>
+    link.carry
+      ? `${label(link.source)} keeps ${formatVotes(link.votes)} into ${columnName(link.step + 1)}`
+      : `${formatVotes(link.votes)} from ${label(link.source)} to ${label(link.target)} ` +
+        `after ${columnName(link.step)}`;
+  const describeNode = (node) =>
+    `${label(node.id)}: ${formatVotes(node.votes)} in ${columnName(node.column)}`;
+
+  const handlePlay = () => {
+    setStep(0);
+    setPlaying(true);
+  };
+
+  return (
+    <div className="rounds-section transfer-flow">
+      <h2>Vote Transfers</h2>
+      <div className="transfer-flow-controls">
+        <button
+          onClick={() => setStep(step - 1)}
+          disabled={playing || step === 0}
+          className="btn-secondary"
+        >
+          ◀ Previous
+        </button>
+        <button
+          onClick={() => setStep(step + 1)}
+          disabled={playing || step === steps}
+          className="btn-secondary"
+        >
+          Next ▶
+        </button>
+        <button onClick={handlePlay} disabled={playing} className="btn-secondary">
+          Play
+        </button>
+        <span className="transfer-flow-step">
+          {columns[step].label} ({step + 1} of {columns.length})
+        </span>
+      </div>
+
+      <svg
+        className="transfer-flow-chart"
+        viewBox={`0 0 ${LABEL_SPACE * 2 + steps * COLUMN_GAP + NODE_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label="Vote transfers between rounds"
+      >
+        {links
+          .filter((link) => link.step < step)
+          .map((link) => (
+            <path
+              key={`${link.step}-${link.source}-${link.target}`}
+              className={`flow-link ${link.carry ? "flow-carry" : "flow-transfer"}`}
+              d={linkPath(
+                link.from.x + NODE_WIDTH,
+                link.y0,
+                link.to.x,
+                link.y1,
+                link.votes * scale(link.from)
+              )}
+              fill={color(link.source)}
+              onMouseEnter={() => setHovered(describeLink(link))}
+              onMouseLeave={() => setHovered(null)}
+            >
+              <title>{describeLink(link)}</title>
+            </path>
+          ))}
+
+        {nodes
+          .filter((column, index) => index <= step)
+          .flat()
+          .map((node) => (
+            <g
+              key={`${node.column}-${node.id}`}
+              className="flow-node"
+              onMouseEnter={() => setHovered(describeNode(node))}
+              onMouseLeave={() => setHovered(null)}
+            >
+              <rect
+                x={node.x}
+                y={node.y}
+                width={NODE_WIDTH}
+                height={node.height}
+                fill={color(node.id)}
+              />
+              {(node.column === 0 || node.column === step) && (
+                <text
+                  x={node.column === 0 ? node.x - 6 : node.x + NODE_WIDTH + 6}
+                  y={node.y + node.height / 2}
+                  textAnchor={node.column === 0 ? "end" : "start"}
+                  dominantBaseline="middle"
+                >
+                  {label(node.id)}
+                </text>
+              )}
+              <title>{describeNode(node)}</title>
+            </g>
+          ))}
+      </svg>
+
+      <p className="transfer-flow-detail">
+        {hovered || "Hover over a band to see how many votes moved."}
+      </p>
+    </div>
+  );
+};
+
+export default TransferFlowChart;
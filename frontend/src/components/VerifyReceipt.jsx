@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./VotePollStyles.css";
+import "./VerifyReceiptStyles.css";
+
+// Lets a voter check their ballot receipt against a closed poll's bulletin board
+const VerifyReceipt = () => {
+  const { shareLink } = useParams();
+  const [searchParams] = useSearchParams();
+  // Receipt VotePoll kept for the ballot this browser submitted
+  const savedReceipt = localStorage.getItem(`ballotReceipt:${shareLink}`);
+  const [receipt, setReceipt] = useState(searchParams.get("receipt") || savedReceipt || "");
+  const [board, setBoard] = useState(null);
+  const [boardError, setBoardError] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    fetchBoard();
+  }, [shareLink]);
+
+  const fetchBoard = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/polls/public/${shareLink}/bulletin-board`);
+      setBoard(response.data);
+      setBoardError(null);
+    } catch (err) {
+      console.error("Error fetching bulletin board:", err);
+      setBoardError(err.response?.data?.error || "Failed to load the bulletin board");
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    try {
+      setVerifying(true);
+      setVerification(null);
+      const response = await axios.get(
+        `${API_URL}/api/polls/public/${shareLink}/receipts/${receipt.trim()}`
+      );
+      setVerification(response.data);
+      setError(null);
+    } catch (err) {
+      console.error("Error verifying receipt:", err);
+      setError(err.response?.data?.error || "Failed to verify receipt");
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="vote-poll">
+      <div className="vote-poll-container verify-receipt">
+        <h1>Verify Your Ballot</h1>
+        {board && <p className="poll-description">{board.poll.title}</p>}
+
+        {savedReceipt && (
+          <div className="edit-notice">
+            Your receipt for this poll: <code className="receipt-code">{savedReceipt}</code>
+          </div>
+        )}
+
+        {boardError ? (
+          <div className="error-message">{boardError}</div>
+        ) : (
+          board && (
+            <form onSubmit={handleVerify} className="vote-form">
+              <div className="form-group">
+                <label htmlFor="receipt">Receipt</label>
+                <input
+                  type="text"
+                  id="receipt"
+                  value={receipt}
+                  onChange={(e) => setReceipt(e.target.value)}
+                  placeholder="Paste the receipt you were given when you voted"
+                  spellCheck={false}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={verifying || !receipt.trim()}
+                className="btn-primary"
+              >
+                {verifying ? "Checking..." : "Verify"}
+              </button>
+            </form>
+          )
+        )}
+
+        {error && <div className="error-message receipt-result">{error}</div>}
+        {verification && (
+          <div className="receipt-result receipt-found">
+            <h2>Your ballot was counted</h2>
+            <p>
+              Receipt {verification.entry.position} of {verification.ballotCount} on the bulletin
+              board, unchanged since you cast it.
+            </p>
+          </div>
+        )}
+
+        {board && (
+          <details className="bulletin-board">
+            <summary>
+              Bulletin board: {board.ballotCount} {board.ballotCount === 1 ? "ballot" : "ballots"}
+            </summary>
+            <p className="bulletin-board-help">
+              Each chain hash is the SHA-256 of the previous chain hash followed by the receipt,
+              starting from 64 zeros, so the final hash fixes every entry.
+            </p>
+            <p>
+              Final hash: <code className="receipt-code">{board.head}</code>
+            </p>
+            <ol className="bulletin-board-entries">
+              {board.entries.map((entry) => (
+                <li
+                  key={entry.receipt}
+                  className={entry.receipt === verification?.entry.receipt ? "highlighted" : ""}
+                >
+                  <code className="receipt-code">{entry.receipt}</code>
+                  <code className="receipt-code chain-hash">{entry.chainHash}</code>
+                </li>
+              ))}
+            </ol>
+          </details>
+        )}
+
+        <p className="live-results-link">
+          <Link to={`/results/${shareLink}`}>View results</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyReceipt;
@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { Link, useParams, useNavigate, useSearchParams } from "react-router-dom";
 import axios from "axios";
 import { API_URL } from "../shared";
+import { reconnectSocket } from "../socket";
+import Countdown from "./Countdown";
+import ReportPoll from "./ReportPoll";
 import "./VotePollStyles.css";
 
-const VotePoll = () => {
+const VotePoll = ({ user }) => {
   const { shareLink } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
   const navigate = useNavigate();
   const [poll, setPoll] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -14,6 +19,20 @@ const VotePoll = () => {
   const [voterName, setVoterName] = useState("");
   const [voterEmail, setVoterEmail] = useState("");
   const [submitting, setSubmitting] = useState(false);
+  // What a restricted poll needs before it can be shown: "password", "login" or "group"
+  const [access, setAccess] = useState(null);
+  const [accessPassword, setAccessPassword] = useState("");
+
+  // Secret returned with a submitted ballot; kept so the voter can revise it until the poll closes
+  const editTokenKey = `ballotEditToken:${shareLink}`;
+  const [editToken, setEditToken] = useState(() => localStorage.getItem(editTokenKey));
+  // Receipt for checking the ballot against the bulletin board once the poll closes
+  const receiptKey = `ballotReceipt:${shareLink}`;
+
+  // Polls may let voters stop after a minimum number of choices
+  const requiredRankings = poll?.minRankings
+    ? Math.min(poll.minRankings, poll.options.length)
+    : poll?.options.length;
 
   // Debug logs
   console.log("=== VotePoll Component ===");
@@ -37,20 +56,59 @@ const VotePoll = () => {
       setLoading(true);
       const fetchUrl = `${API_URL}/api/polls/public/${shareLink}`;
       console.log(`Fetching from: ${fetchUrl}`);
-      const response = await axios.get(fetchUrl);
+      const response = await axios.get(fetchUrl, { withCredentials: true });
       console.log("Poll data received:", response.data);
+      if (editToken) {
+        await loadPreviousBallot();
+      }
       setPoll(response.data);
+      setAccess(null);
       setError(null);
     } catch (err) {
       console.error("Error fetching poll:", err);
       console.error("Error response:", err.response);
       console.error("Error message:", err.message);
+      setAccess(err.response?.data?.access || null);
       setError(err.response?.data?.error || "Poll not found or no longer available");
     } finally {
       setLoading(false);
     }
   };
 
+  const handleAccessSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(
+        `${API_URL}/api/polls/public/${shareLink}/access`,
+        { password: accessPassword },
+        { withCredentials: true }
+      );
+      setAccessPassword("");
+      reconnectSocket();
+      await fetchPoll();
+    } catch (err) {
+      console.error("Error entering poll password:", err);
+      setError(err.response?.data?.error || "Failed to check password");
+    }
+  };
+
+  // Pre-fill the form with the ballot this browser already submitted
+  const loadPreviousBallot = async () => {
+    try {
+      const response = await axios.get(
+        `${API_URL}/api/polls/public/${shareLink}/ballots/${editToken}`
+      );
+      setRankings(
+        Object.fromEntries(response.data.rankings.map((r) => [r.pollOptionId, r.rank]))
+      );
+    } catch (err) {
+      // The ballot can no longer be edited (e.g. the poll closed), so forget the token
+      console.error("Error loading previous ballot:", err);
+      localStorage.removeItem(editTokenKey);
+      setEditToken(null);
+    }
+  };
+
   const handleRankChange = (optionId, rank) => {
     const newRankings = { ...rankings };
 
@@ -74,15 +132,19 @@ const VotePoll = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    // Validate that all options are ranked
+    // Validate that enough options are ranked
     if (!poll || poll.options.length === 0) {
       setError("No options available");
       return;
     }
 
     const rankedOptions = Object.keys(rankings).length;
-    if (rankedOptions < poll.options.length) {
-      setError("Please rank all options");
+    if (rankedOptions < requiredRankings) {
+      setError(
+        requiredRankings === poll.options.length
+          ? "Please rank all options"
+          : `Please rank at least ${requiredRankings} option${requiredRankings === 1 ? "" : "s"}`
+      );
       return;
     }
 
@@ -105,18 +167,39 @@ const VotePoll = () => {
         rank,
       }));
 
-      await axios.post(
-        `${API_URL}/api/polls/public/${shareLink}/vote`,
-        {
-          voterName: voterName.trim() || null,
-          voterEmail: voterEmail.trim() || null,
-          rankings: rankingArray,
+      let response;
+      if (editToken) {
+        response = await axios.put(
+          `${API_URL}/api/polls/public/${shareLink}/ballots/${editToken}`,
+          { rankings: rankingArray }
+        );
+        alert("Your ballot has been updated.");
+      } else {
+        response = await axios.post(
+          `${API_URL}/api/polls/public/${shareLink}/vote`,
+          {
+            voterName: voterName.trim() || null,
+            voterEmail: voterEmail.trim() || null,
+            rankings: rankingArray,
+            token,
+          },
+          { withCredentials: true }
+        );
+        if (response.data?.editToken) {
+          localStorage.setItem(editTokenKey, response.data.editToken);
         }
-      );
 
-      // Show success message and redirect
-      alert("Thank you for voting! Your ballot has been submitted.");
-      navigate("/");
+        // Show success message and redirect
+        alert("Thank you for voting! Your ballot has been submitted.");
+      }
+
+      // Show the voter their receipt so they can check it was counted
+      if (response?.data?.receipt) {
+        localStorage.setItem(receiptKey, response.data.receipt);
+        navigate(`/verify/${shareLink}`);
+      } else {
+        navigate("/");
+      }
     } catch (err) {
       console.error("Error submitting vote:", err);
       setError(err.response?.data?.error || "Failed to submit vote. Please try again.");
@@ -143,9 +226,34 @@ const VotePoll = () => {
       <div className="vote-poll">
         <div className="vote-poll-container">
           <div className="error-message">
-            <h2>Error</h2>
+            <h2>{access ? "Restricted Poll" : "Error"}</h2>
             <p>{error}</p>
           </div>
+          {access === "password" && (
+            <form onSubmit={handleAccessSubmit} className="access-form">
+              <input
+                type="password"
+                aria-label="Poll password"
+                value={accessPassword}
+                onChange={(e) => setAccessPassword(e.target.value)}
+                placeholder="Poll password"
+              />
+              <button type="submit" className="btn-primary" disabled={!accessPassword}>
+                Continue
+              </button>
+            </form>
+          )}
+          {access === "login" && (
+            <p className="live-results-link">
+              <Link to="/login">Log in to vote</Link>
+            </p>
+          )}
+          {/* A closed poll is no longer found here, but its voters can still check their ballot */}
+          {localStorage.getItem(receiptKey) && (
+            <p className="live-results-link">
+              <Link to={`/verify/${shareLink}`}>Check that your ballot was counted</Link>
+            </p>
+          )}
         </div>
       </div>
     );
@@ -181,6 +289,40 @@ const VotePoll = () => {
     );
   }
 
+  if (poll.requiresToken && !token && !editToken) {
+    return (
+      <div className="vote-poll">
+        <div className="vote-poll-container">
+          <div className="error-message">
+            <h2>Voting Link Required</h2>
+            <p>
+              Only voters on this poll's voter roll can vote. Please use the personal voting link
+              you were sent.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (poll.dedupPolicy === "user" && !user && !editToken) {
+    return (
+      <div className="vote-poll">
+        <div className="vote-poll-container">
+          <div className="error-message">
+            <h2>Log In to Vote</h2>
+            <p>This poll allows one ballot per account. Please log in to cast your vote.</p>
+            <button onClick={() => navigate("/login")} className="btn-primary">
+              Log In
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const emailRequired = poll.dedupPolicy === "email";
+
   // Sort options by current ranking
   const sortedOptions = [...poll.options].sort((a, b) => {
     const rankA = rankings[a.id] || 999;
@@ -192,41 +334,67 @@ const VotePoll = () => {
     <div className="vote-poll">
       <div className="vote-poll-container">
         <h1>{poll.title}</h1>
+        <Countdown poll={poll} />
         {poll.description && <p className="poll-description">{poll.description}</p>}
+        {poll.resultsVisibility === "live" && (
+          <p className="live-results-link">
+            <Link to={`/results/${shareLink}`}>View live results</Link>
+          </p>
+        )}
 
         <form onSubmit={handleSubmit} className="vote-form">
           {error && <div className="error-message">{error}</div>}
 
-          <div className="voter-info">
-            <h2>Your Information (Optional)</h2>
-            <div className="form-row">
-              <div className="form-group">
-                <label htmlFor="voterName">Name</label>
-                <input
-                  type="text"
-                  id="voterName"
-                  value={voterName}
-                  onChange={(e) => setVoterName(e.target.value)}
-                  placeholder="Your name (optional)"
-                />
-              </div>
-              <div className="form-group">
-                <label htmlFor="voterEmail">Email</label>
-                <input
-                  type="email"
-                  id="voterEmail"
-                  value={voterEmail}
-                  onChange={(e) => setVoterEmail(e.target.value)}
-                  placeholder="Your email (optional)"
-                />
+          {editToken ? (
+            <div className="edit-notice">
+              You've already voted in this poll. Change your rankings below and resubmit to update
+              your ballot.
+            </div>
+          ) : (
+            <div className="voter-info">
+              <h2>Your Information{emailRequired ? "" : " (Optional)"}</h2>
+              {poll.anonymous && (
+                <p className="help-text">
+                  This is a secret ballot. Your name and email are recorded separately from your
+                  rankings, so nobody can see how you voted.
+                </p>
+              )}
+              {emailRequired && (
+                <p className="help-text">Each email address can vote once in this poll.</p>
+              )}
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="voterName">Name</label>
+                  <input
+                    type="text"
+                    id="voterName"
+                    value={voterName}
+                    onChange={(e) => setVoterName(e.target.value)}
+                    placeholder="Your name (optional)"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="voterEmail">Email{emailRequired && " *"}</label>
+                  <input
+                    type="email"
+                    id="voterEmail"
+                    value={voterEmail}
+                    onChange={(e) => setVoterEmail(e.target.value)}
+                    placeholder={emailRequired ? "Your email" : "Your email (optional)"}
+                    required={emailRequired}
+                  />
+                </div>
               </div>
             </div>
-          </div>
+          )}
 
           <div className="ranking-section">
             <h2>Rank the Options</h2>
             <p className="help-text">
-              Rank all options from 1 (your first choice) to {poll.options.length} (your last choice).
+              {requiredRankings === poll.options.length
+                ? `Rank all options from 1 (your first choice) to ${poll.options.length} (your last choice).`
+                : `Rank at least ${requiredRankings} option${requiredRankings === 1 ? "" : "s"}, ` +
+                  "starting from 1 (your first choice). Leave the rest unranked if you have no preference."}{" "}
               Each rank can only be used once.
             </p>
 
@@ -238,7 +406,7 @@ const VotePoll = () => {
                     value={rankings[option.id] || ""}
                     onChange={(e) => handleRankChange(option.id, e.target.value)}
                     className="rank-select"
-                    required
+                    required={requiredRankings === poll.options.length}
                   >
                     <option value="">Select rank...</option>
                     {poll.options.map((_, index) => (
@@ -261,10 +429,12 @@ const VotePoll = () => {
 
           <div className="form-actions">
             <button type="submit" className="btn-primary" disabled={submitting}>
-              {submitting ? "Submitting..." : "Submit Vote"}
+              {submitting ? "Submitting..." : editToken ? "Update Vote" : "Submit Vote"}
             </button>
           </div>
         </form>
+
+        <ReportPoll shareLink={shareLink} />
       </div>
     </div>
   );
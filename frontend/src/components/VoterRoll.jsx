@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import { API_URL } from "../shared";
+import "./VoterRollStyles.css";
+
+// Creator-managed list of eligible voters, each with a single-use voting link
+const VoterRoll = ({ poll }) => {
+  const [voters, setVoters] = useState([]);
+  const [turnout, setTurnout] = useState({ eligible: 0, voted: 0 });
+  const [emails, setEmails] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchVoters();
+  }, [poll.id]);
+
+  const fetchVoters = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/polls/${poll.id}/voters`, {
+        withCredentials: true,
+      });
+      setVoters(response.data.voters);
+      setTurnout(response.data.turnout);
+    } catch (err) {
+      console.error("Error fetching voter roll:", err);
+      setError(err.response?.data?.error || "Failed to load voter roll");
+    }
+  };
+
+  const addVoters = async (body) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await axios.post(`${API_URL}/api/polls/${poll.id}/voters`, body, {
+        withCredentials: true,
+      });
+      const { added, skipped, invalid } = response.data;
+      setMessage(
+        [
+          `Added ${added.length} voter${added.length === 1 ? "" : "s"}`,
+          skipped.length > 0 && `${skipped.length} already on the roll`,
+          invalid.length > 0 && `skipped invalid: ${invalid.join(", ")}`,
+        ]
+          .filter(Boolean)
+          .join("; ")
+      );
+      setEmails("");
+      await fetchVoters();
+    } catch (err) {
+      console.error("Error adding voters:", err);
+      setError(err.response?.data?.error || "Failed to add voters");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddEmails = (e) => {
+    e.preventDefault();
+    if (emails.trim()) {
+      addVoters({ emails });
+    }
+  };
+
+  const handleImportCSV = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) {
+      addVoters({ csv: await file.text() });
+    }
+  };
+
+  const handleRemove = async (voter) => {
+    try {
+      await axios.delete(`${API_URL}/api/polls/${poll.id}/voters/${voter.id}`, {
+        withCredentials: true,
+      });
+      await fetchVoters();
+    } catch (err) {
+      console.error("Error removing voter:", err);
+      setError(err.response?.data?.error || "Failed to remove voter");
+    }
+  };
+
+  const votingLink = (voter) =>
+    `${window.location.origin}/vote/${poll.shareLink}?token=${voter.token}`;
+
+  const copyVotingLink = (voter) => {
+    navigator.clipboard.writeText(votingLink(voter)).then(() => {
+      alert(`Voting link for ${voter.email} copied to clipboard!`);
+    });
+  };
+
+  const turnoutPercent =
+    turnout.eligible > 0 ? Math.round((turnout.voted / turnout.eligible) * 100) : 0;
+
+  return (
+    <div className="voter-roll">
+      <h2>Voter Roll</h2>
+      <p>
+        {turnout.eligible === 0
+          ? "Anyone with the share link can vote. Add voters to limit voting to a roll: each voter gets a personal link that works once."
+          : `Only voters on this roll can vote. Turnout: ${turnout.voted} of ${turnout.eligible} (${turnoutPercent}%)`}
+      </p>
+      {turnout.eligible > 0 && (
+        <div className="turnout-bar-container">
+          <div className="turnout-bar" style={{ width: `${turnoutPercent}%` }} />
+        </div>
+      )}
+
+      {error && <div className="error">{error}</div>}
+      {message && <p className="voter-roll-message">{message}</p>}
+
+      {poll.status !== "closed" && (
+        <form onSubmit={handleAddEmails} className="voter-roll-form">
+          <label htmlFor="voterEmails">Add voters by email</label>
+          <textarea
+            id="voterEmails"
+            value={emails}
+            onChange={(e) => setEmails(e.target.value)}
+            placeholder="One email per line, or separated by commas"
+            rows="3"
+          />
+          <div className="voter-roll-actions">
+            <button type="submit" className="btn-primary" disabled={saving || !emails.trim()}>
+              {saving ? "Adding..." : "Add Voters"}
+            </button>
+            <label className="btn-secondary voter-roll-import">
+              Import CSV
+              <input type="file" accept=".csv,text/csv" onChange={handleImportCSV} hidden />
+            </label>
+          </div>
+        </form>
+      )}
+
+      {voters.length > 0 && (
+        <ul className="voter-list">
+          {voters.map((voter) => (
+            <li key={voter.id} className={voter.voted ? "voter-voted" : ""}>
+              <span className="voter-email">{voter.email}</span>
+              <span className="voter-status">{voter.voted ? "Voted" : "Not voted"}</span>
+              {!voter.voted && poll.shareLink && (
+                <button onClick={() => copyVotingLink(voter)} className="btn-copy">
+                  Copy Link
+                </button>
+              )}
+              {!voter.voted && poll.status !== "closed" && (
+                <button
+                  onClick={() => handleRemove(voter)}
+                  className="voter-remove"
+                  aria-label={`Remove ${voter.email}`}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VoterRoll;
@@ -0,0 +1,100 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import axios from "axios";
+import AdminConsole from "../AdminConsole";
+
+jest.mock("axios");
+
+describe("AdminConsole", () => {
+  const admin = { id: 1, username: "admin", isAdmin: true };
+  const stats = {
+    users: { total: 3, admins: 1, suspended: 0 },
+    polls: { total: 2, draft: 1, published: 1, closed: 0, public: 1, archived: 0, takenDown: 0 },
+    ballots: 12,
+    organizations: 1,
+    openReports: 2,
+  };
+  const spamPoll = {
+    id: 9,
+    title: "Buy cheap watches",
+    status: "published",
+    visibility: "public",
+    shareLink: "abc123",
+    takenDownAt: null,
+    creator: { id: 3, username: "spammer" },
+  };
+
+  const renderConsole = (user) =>
+    render(
+      <BrowserRouter>
+        <AdminConsole user={user} />
+      </BrowserRouter>
+    );
+
+  const mockAdminData = (queue = []) =>
+    axios.get.mockImplementation((url) => {
+      const data = { stats, polls: [spamPoll], reports: queue, users: [] };
+      return Promise.resolve({ data: data[url.split("/").pop()] });
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAdminData();
+  });
+
+  test("is only shown to site administrators", () => {
+    renderConsole({ id: 2, username: "ana" });
+
+    expect(screen.getByText("Only site administrators can see this page")).toBeInTheDocument();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test("shows site stats and takes polls down with a reason", async () => {
+    axios.post.mockResolvedValue({ data: {} });
+    jest.spyOn(window, "prompt").mockReturnValue(" Spam ");
+
+    renderConsole(admin);
+
+    expect(await screen.findByText("Buy cheap watches")).toBeInTheDocument();
+    expect(screen.getByText("12")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Take Down"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/admin/polls/9/takedown"),
+        { reason: "Spam" },
+        { withCredentials: true }
+      );
+    });
+  });
+
+  test("lists reported polls and dismisses their reports", async () => {
+    mockAdminData([
+      {
+        poll: { ...spamPoll, flaggedAt: "2026-10-01T00:00:00Z" },
+        reports: [
+          { id: 1, reason: "spam", details: "Affiliate links" },
+          { id: 2, reason: "misleading", details: null },
+        ],
+      },
+    ]);
+    axios.post.mockResolvedValue({ data: {} });
+
+    renderConsole(admin);
+
+    expect(await screen.findByText("Affiliate links", { exact: false })).toBeInTheDocument();
+    expect(screen.getByText("Hidden")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Dismiss Reports"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/admin/reports/9/dismiss"),
+        {},
+        { withCredentials: true }
+      );
+    });
+  });
+});
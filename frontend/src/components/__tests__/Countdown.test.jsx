@@ -0,0 +1,43 @@
+import React from "react";
+import { render, screen, act } from "@testing-library/react";
+import Countdown from "../Countdown";
+
+describe("Countdown", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2026-03-01T12:00:00Z"));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("counts down to a published poll's closing time", () => {
+    render(<Countdown poll={{ status: "published", closesAt: "2026-03-02T13:00:05Z" }} />);
+
+    expect(screen.getByText("Closes in 1d 1h 0m 5s")).toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(6000);
+    });
+    expect(screen.getByText("Closes in 1d 0h 59m 59s")).toBeInTheDocument();
+  });
+
+  test("counts down to a draft's opening time", () => {
+    render(<Countdown poll={{ status: "draft", opensAt: "2026-03-01T12:00:30Z" }} />);
+
+    expect(screen.getByText("Opens in 30s")).toBeInTheDocument();
+  });
+
+  test("says voting has closed once the closing time passes", () => {
+    render(<Countdown poll={{ status: "published", closesAt: "2026-03-01T11:59:00Z" }} />);
+
+    expect(screen.getByText("Voting has closed")).toBeInTheDocument();
+  });
+
+  test("renders nothing for unscheduled polls", () => {
+    const { container } = render(<Countdown poll={{ status: "published" }} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -170,6 +170,66 @@ describe("CreatePoll", () => {
     });
   });
 
+  test("creates a secret-ballot poll", async () => {
+    axios.post.mockResolvedValue({ data: { id: 2 } });
+
+    render(
+      <BrowserRouter>
+        <CreatePoll user={mockUser} />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText(/poll title/i), {
+      target: { value: "Board Election" },
+    });
+    const optionInputs = screen.getAllByPlaceholderText(/option \d+/i);
+    fireEvent.change(optionInputs[0], { target: { value: "Ana" } });
+    fireEvent.change(optionInputs[1], { target: { value: "Bo" } });
+    fireEvent.click(screen.getByLabelText("Secret ballot"));
+    fireEvent.click(screen.getByText(/create poll/i));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls"),
+        expect.objectContaining({ title: "Board Election", anonymous: true }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  test("creates a password-protected poll", async () => {
+    axios.post.mockResolvedValue({ data: { id: 3 } });
+
+    render(
+      <BrowserRouter>
+        <CreatePoll user={mockUser} />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText(/poll title/i), {
+      target: { value: "Club Vote" },
+    });
+    const optionInputs = screen.getAllByPlaceholderText(/option \d+/i);
+    fireEvent.change(optionInputs[0], { target: { value: "Ana" } });
+    fireEvent.change(optionInputs[1], { target: { value: "Bo" } });
+    fireEvent.change(screen.getByLabelText("Who Can Vote"), { target: { value: "password" } });
+    fireEvent.click(screen.getByText(/create poll/i));
+
+    expect(await screen.findByText("Enter a password for the poll")).toBeInTheDocument();
+    expect(axios.post).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Poll password"), { target: { value: "secret" } });
+    fireEvent.click(screen.getByText(/create poll/i));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls"),
+        expect.objectContaining({ visibility: "password", accessPassword: "secret" }),
+        expect.any(Object)
+      );
+    });
+  });
+
   test("displays error on submission failure", async () => {
     axios.post.mockRejectedValue({
       response: { data: { error: "Failed to create poll" } },
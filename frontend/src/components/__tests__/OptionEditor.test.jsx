@@ -0,0 +1,117 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import axios from "axios";
+import OptionEditor from "../OptionEditor";
+
+jest.mock("axios");
+
+describe("OptionEditor", () => {
+  const options = [
+    { id: 1, text: "Tacos" },
+    { id: 2, text: "Pizza" },
+    { id: 3, text: "Sushi" },
+  ];
+  const draftPoll = { id: 7, status: "draft", options };
+  const onChange = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    onChange.mockResolvedValue();
+    window.confirm = jest.fn(() => true);
+  });
+
+  test("adds an option to a draft poll", async () => {
+    axios.post.mockResolvedValue({ data: { id: 4, text: "Curry" } });
+
+    render(<OptionEditor poll={draftPoll} ballotCount={0} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText("New option"), { target: { value: "Curry" } });
+    fireEvent.click(screen.getByText("Add Option"));
+
+    await waitFor(() => {
+      expect(onChange).toHaveBeenCalled();
+    });
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining("/api/polls/7/options"),
+      { text: "Curry" },
+      { withCredentials: true }
+    );
+    expect(screen.getByLabelText("New option")).toHaveValue("");
+  });
+
+  test("moves an option up", async () => {
+    axios.put.mockResolvedValue({ data: [] });
+
+    render(<OptionEditor poll={draftPoll} ballotCount={0} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText("Move Sushi up"));
+
+    await waitFor(() => {
+      expect(axios.put).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls/7/options/order"),
+        { optionIds: [1, 3, 2] },
+        { withCredentials: true }
+      );
+    });
+  });
+
+  test("renames an option", async () => {
+    axios.put.mockResolvedValue({ data: { id: 2, text: "Pasta" } });
+
+    render(<OptionEditor poll={draftPoll} ballotCount={0} onChange={onChange} />);
+
+    fireEvent.click(screen.getAllByText("Rename")[1]);
+    fireEvent.change(screen.getByLabelText("New text for Pizza"), { target: { value: "Pasta" } });
+    fireEvent.click(screen.getByText("Save"));
+
+    await waitFor(() => {
+      expect(screen.queryByText("Save")).not.toBeInTheDocument();
+    });
+    expect(axios.put).toHaveBeenCalledWith(
+      expect.stringContaining("/api/polls/7/options/2"),
+      { text: "Pasta" },
+      { withCredentials: true }
+    );
+  });
+
+  test("offers write-ins instead of editing once published", async () => {
+    axios.post.mockResolvedValue({ data: {} });
+
+    render(
+      <OptionEditor
+        poll={{ ...draftPoll, status: "published" }}
+        ballotCount={5}
+        onChange={onChange}
+      />
+    );
+
+    expect(screen.queryByText("Rename")).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Write-in option"), { target: { value: "Curry" } });
+    fireEvent.click(screen.getByText("Add Write-In"));
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining("5 ballots"));
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls/7/options/write-in"),
+        { text: "Curry" },
+        { withCredentials: true }
+      );
+    });
+  });
+
+  test("shows errors from the server", async () => {
+    axios.delete.mockRejectedValue({
+      response: { data: { error: "A poll needs at least 2 options" } },
+    });
+
+    render(<OptionEditor poll={draftPoll} ballotCount={0} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText("Remove Tacos"));
+
+    await waitFor(() => {
+      expect(screen.getByText("A poll needs at least 2 options")).toBeInTheDocument();
+    });
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import axios from "axios";
+import Organizations from "../Organizations";
+
+jest.mock("axios");
+
+describe("Organizations", () => {
+  const user = { id: 1, username: "ana" };
+  const acme = {
+    id: 5,
+    name: "Acme",
+    role: "admin",
+    members: [
+      { id: 20, role: "admin", user },
+      { id: 21, role: "member", user: { id: 2, username: "bo" } },
+    ],
+  };
+
+  const renderOrganizations = (onChange = jest.fn()) =>
+    render(
+      <BrowserRouter>
+        <Organizations user={user} onChange={onChange} />
+      </BrowserRouter>
+    );
+
+  const mockOrganizations = (organization) =>
+    axios.get.mockImplementation((url) =>
+      Promise.resolve({
+        data: url.endsWith(`/api/organizations/${organization.id}`)
+          ? organization
+          : { organizations: [{ id: 5, name: "Acme", role: organization.role }] },
+      })
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("creates an organization and refreshes the workspace switcher", async () => {
+    mockOrganizations(acme);
+    axios.post.mockResolvedValue({ data: { id: 5, name: "Acme", role: "admin" } });
+    const onChange = jest.fn();
+
+    renderOrganizations(onChange);
+
+    fireEvent.change(screen.getByLabelText("Organization name"), { target: { value: " Acme " } });
+    fireEvent.click(screen.getByText("Create"));
+
+    expect(await screen.findByText("Acme Members")).toBeInTheDocument();
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining("/api/organizations"),
+      { name: "Acme" },
+      { withCredentials: true }
+    );
+    expect(onChange).toHaveBeenCalled();
+    expect(screen.getByLabelText("Role for bo")).toBeInTheDocument();
+  });
+
+  test("shows members read-only to non-admins and lets them leave", async () => {
+    mockOrganizations({ ...acme, role: "member" });
+
+    renderOrganizations();
+
+    fireEvent.click(await screen.findByText("Acme"));
+
+    expect(await screen.findByText("Acme Members")).toBeInTheDocument();
+    expect(screen.queryByLabelText("Role for bo")).not.toBeInTheDocument();
+    expect(screen.queryByText("Add")).not.toBeInTheDocument();
+
+    axios.delete.mockResolvedValue({ data: {} });
+    fireEvent.click(screen.getByText("Leave"));
+
+    await waitFor(() => {
+      expect(axios.delete).toHaveBeenCalledWith(
+        expect.stringContaining("/api/organizations/5/members/20"),
+        { withCredentials: true }
+      );
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import axios from "axios";
+import PollAnalytics from "../PollAnalytics";
+
+jest.mock("axios");
+
+describe("PollAnalytics", () => {
+  const analytics = {
+    totalBallots: 4,
+    options: [
+      {
+        id: 1,
+        text: "Tacos",
+        rankCounts: [3, 1],
+        firstPreferences: 3,
+        unranked: 0,
+        averageRank: 1.25,
+        bordaScore: 3,
+        rankedLast: 1,
+      },
+      {
+        id: 2,
+        text: "Pizza",
+        rankCounts: [1, 2],
+        firstPreferences: 1,
+        unranked: 1,
+        averageRank: 1.67,
+        bordaScore: 1,
+        rankedLast: 2,
+      },
+    ],
+    patterns: [
+      { ordering: [1, 2], count: 2, share: 0.5 },
+      { ordering: [2, 1], count: 1, share: 0.25 },
+    ],
+    distinctPatterns: 3,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("charts each option's rank distribution", async () => {
+    axios.get.mockResolvedValue({ data: analytics });
+
+    render(<PollAnalytics pollId="7" refreshKey={4} />);
+
+    await waitFor(() => {
+      expect(screen.getByText("Rank Distribution")).toBeInTheDocument();
+    });
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining("/api/polls/7/analytics"), {
+      withCredentials: true,
+    });
+    expect(screen.getByTitle("1st choice on 3 of 4")).toHaveStyle({ width: "75%" });
+    expect(screen.getByTitle("Unranked on 1 of 4")).toBeInTheDocument();
+  });
+
+  test("summarizes each option and the most common ballots", async () => {
+    axios.get.mockResolvedValue({ data: analytics });
+
+    render(<PollAnalytics pollId="7" refreshKey={4} />);
+
+    await waitFor(() => {
+      expect(screen.getByText("Option Summary")).toBeInTheDocument();
+    });
+    expect(screen.getByText("1.25")).toBeInTheDocument();
+    expect(screen.getByText("3 different orderings across 4 ballots")).toBeInTheDocument();
+    expect(screen.getByText("Tacos › Pizza")).toBeInTheDocument();
+    expect(screen.getByText("50.0%")).toBeInTheDocument();
+  });
+
+  test("shows an empty state before any votes", async () => {
+    axios.get.mockResolvedValue({
+      data: { ...analytics, totalBallots: 0, patterns: [], distinctPatterns: 0 },
+    });
+
+    render(<PollAnalytics pollId="7" refreshKey={0} />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/no votes have been cast/i)).toBeInTheDocument();
+    });
+  });
+});
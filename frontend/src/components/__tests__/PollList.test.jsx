@@ -1,5 +1,5 @@
 import React from "react";
-import { render, screen, waitFor } from "@testing-library/react";
+import { render, screen, waitFor, fireEvent } from "@testing-library/react";
 import { BrowserRouter } from "react-router-dom";
 import axios from "axios";
 import PollList from "../PollList";
@@ -23,6 +23,8 @@ describe("PollList", () => {
         { id: 2, text: "Option B" },
       ],
       ballotCount: 5,
+      creatorId: 1,
+      role: "owner",
     },
     {
       id: 2,
@@ -30,6 +32,8 @@ describe("PollList", () => {
       status: "draft",
       options: [{ id: 3, text: "Option C" }],
       ballotCount: 0,
+      creatorId: 1,
+      role: "owner",
     },
   ];
 
@@ -137,5 +141,93 @@ describe("PollList", () => {
       expect(screen.getByText(/1.*options/i)).toBeInTheDocument();
     });
   });
-});
 
+  test("filters drafts and archived polls", async () => {
+    const archivedPoll = {
+      id: 3,
+      title: "Old Poll",
+      status: "closed",
+      options: [],
+      ballotCount: 2,
+      archivedAt: "2026-01-01T00:00:00Z",
+      creatorId: 1,
+      role: "owner",
+    };
+    axios.get.mockResolvedValue({ data: [...mockPolls, archivedPoll] });
+
+    render(
+      <BrowserRouter>
+        <PollList user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Test Poll 1")).toBeInTheDocument();
+    });
+    expect(screen.queryByText("Old Poll")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Drafts (1)"));
+    expect(screen.queryByText("Test Poll 1")).not.toBeInTheDocument();
+    expect(screen.getByText("Test Poll 2")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText("Archived (1)"));
+    expect(screen.getByText("Old Poll")).toBeInTheDocument();
+    expect(screen.getByText("Restore")).toBeInTheDocument();
+    expect(screen.getByText("Delete")).toBeInTheDocument();
+  });
+
+  test("archives a poll", async () => {
+    axios.get.mockResolvedValue({ data: mockPolls });
+    axios.post.mockResolvedValue({ data: { poll: { archivedAt: "2026-01-01T00:00:00Z" } } });
+
+    render(
+      <BrowserRouter>
+        <PollList user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Test Poll 1")).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getAllByText("Archive")[0]);
+
+    await waitFor(() => {
+      expect(screen.queryByText("Test Poll 1")).not.toBeInTheDocument();
+    });
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining("/api/polls/1/archive"),
+      {},
+      { withCredentials: true }
+    );
+    expect(screen.getByText("Archived (1)")).toBeInTheDocument();
+  });
+
+  test("shows polls shared with the user and their role", async () => {
+    const sharedPoll = {
+      id: 4,
+      title: "Shared Poll",
+      status: "published",
+      options: [],
+      ballotCount: 1,
+      creatorId: 2,
+      creator: { id: 2, username: "ana" },
+      role: "observer",
+    };
+    axios.get.mockResolvedValue({ data: [...mockPolls, sharedPoll] });
+
+    render(
+      <BrowserRouter>
+        <PollList user={mockUser} />
+      </BrowserRouter>
+    );
+
+    fireEvent.click(await screen.findByText("Shared with me (1)"));
+
+    expect(screen.getByText("Shared Poll")).toBeInTheDocument();
+    expect(screen.queryByText("Test Poll 1")).not.toBeInTheDocument();
+    expect(screen.getByText("Observer · shared by ana")).toBeInTheDocument();
+    expect(screen.queryByText("Duplicate")).not.toBeInTheDocument();
+    expect(screen.queryByText("Archive")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,62 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import axios from "axios";
+import PollMembers from "../PollMembers";
+
+jest.mock("axios");
+
+describe("PollMembers", () => {
+  const owner = { id: 1, username: "ana" };
+  const editor = { id: 2, username: "bo" };
+  const membersResponse = {
+    data: {
+      creator: owner,
+      members: [{ id: 10, role: "editor", user: editor }],
+    },
+  };
+
+  const renderMembers = (poll, user) =>
+    render(
+      <BrowserRouter>
+        <PollMembers poll={poll} user={user} onChange={jest.fn()} />
+      </BrowserRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("lets owners invite users by username", async () => {
+    axios.get.mockResolvedValue(membersResponse);
+    axios.post.mockResolvedValue({ data: {} });
+
+    renderMembers({ id: 7, role: "owner" }, owner);
+
+    expect(await screen.findByText("bo")).toBeInTheDocument();
+    expect(screen.getByText("Creator")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Username"), { target: { value: " cy " } });
+    fireEvent.change(screen.getByLabelText("Role"), { target: { value: "observer" } });
+    fireEvent.click(screen.getByText("Invite"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls/7/members"),
+        { username: "cy", role: "observer" },
+        { withCredentials: true }
+      );
+    });
+  });
+
+  test("shows other members read-only and lets them leave", async () => {
+    axios.get.mockResolvedValue(membersResponse);
+
+    renderMembers({ id: 7, role: "editor" }, editor);
+
+    expect(await screen.findByText("Editor")).toBeInTheDocument();
+    expect(screen.queryByText("Invite")).not.toBeInTheDocument();
+    expect(screen.queryByLabelText("Role for bo")).not.toBeInTheDocument();
+    expect(screen.getByText("Leave")).toBeInTheDocument();
+  });
+});
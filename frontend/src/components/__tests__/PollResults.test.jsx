@@ -1,11 +1,13 @@
 import React from "react";
-import { render, screen, waitFor } from "@testing-library/react";
+import { render, screen, waitFor, fireEvent, act } from "@testing-library/react";
 import { BrowserRouter } from "react-router-dom";
 import axios from "axios";
 import { useParams, useNavigate } from "react-router-dom";
 import PollResults from "../PollResults";
+import { usePollUpdates } from "../../socket";
 
 jest.mock("axios");
+jest.mock("../../socket");
 jest.mock("react-router-dom", () => ({
   ...jest.requireActual("react-router-dom"),
   useParams: jest.fn(),
@@ -28,6 +30,7 @@ describe("PollResults", () => {
       { id: 3, text: "Option C" },
     ],
     ballotCount: 10,
+    role: "owner",
   };
 
   const mockResults = {
@@ -234,6 +237,373 @@ describe("PollResults", () => {
     });
   });
 
+  test("displays standings for score-based methods", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: { ...mockPoll, votingMethod: "borda" },
+        results: {
+          method: "borda",
+          methodLabel: "Borda Count",
+          totalVotes: 10,
+          winner: { id: 2, text: "Option B" },
+          scores: { 1: 9, 2: 14, 3: 7 },
+          standings: [
+            { id: 2, text: "Option B", score: 14 },
+            { id: 1, text: "Option A", score: 9 },
+            { id: 3, text: "Option C", score: 7 },
+          ],
+        },
+      },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/selected by borda count/i)).toBeInTheDocument();
+    });
+
+    expect(screen.getByText("Standings")).toBeInTheDocument();
+    expect(screen.getByText("14 points")).toBeInTheDocument();
+    expect(screen.queryByText(/majority needed/i)).not.toBeInTheDocument();
+    expect(screen.queryByText(/voting rounds/i)).not.toBeInTheDocument();
+  });
+
+  test("displays elected candidates and surplus transfers for STV", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: { ...mockPoll, votingMethod: "stv", seats: 2 },
+        results: {
+          method: "stv",
+          methodLabel: "Single Transferable Vote",
+          totalVotes: 10,
+          seats: 2,
+          quota: 4,
+          winner: { id: 1, text: "Option A" },
+          elected: [
+            { id: 1, text: "Option A", round: 1 },
+            { id: 2, text: "Option B", round: 2 },
+          ],
+          rounds: [
+            {
+              round: 1,
+              voteCounts: { 1: 6, 2: 3, 3: 1 },
+              percentages: { 1: 60, 2: 30, 3: 10 },
+              remaining: [1, 2, 3],
+              elected: [1],
+              eliminated: null,
+              transfers: [
+                { from: 1, type: "surplus", transferValue: 0.3333, votes: 2, to: { 2: 2 }, exhausted: 0 },
+              ],
+            },
+            {
+              round: 2,
+              voteCounts: { 2: 5, 3: 1 },
+              percentages: { 2: 50, 3: 10 },
+              remaining: [2, 3],
+              elected: [2],
+              eliminated: null,
+            },
+          ],
+        },
+      },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Elected in round 1")).toBeInTheDocument();
+    });
+
+    expect(screen.getByText("Elected in round 2")).toBeInTheDocument();
+    expect(screen.getByText("Quota")).toBeInTheDocument();
+    expect(
+      screen.getByText(/surplus of 2 votes from option a transferred at 0.3333 per ballot/i)
+    ).toBeInTheDocument();
+  });
+
+  const pendingResults = {
+    method: "irv",
+    totalVotes: 4,
+    majorityThreshold: 3,
+    winner: null,
+    tie: true,
+    manualTieBreakRequired: true,
+    tiedOptions: [
+      { id: 2, text: "Option B" },
+      { id: 3, text: "Option C" },
+    ],
+    rounds: [
+      {
+        round: 1,
+        voteCounts: { 1: 2, 2: 1, 3: 1 },
+        percentages: { 1: 50, 2: 25, 3: 25 },
+        remaining: [1, 2, 3],
+        tie: true,
+      },
+    ],
+    tieBreak: { rule: "manual", seed: "abc123" },
+  };
+
+  test("lets the creator settle a manual tie-break", async () => {
+    axios.get.mockResolvedValue({ data: { poll: mockPoll, results: pendingResults } });
+    axios.post.mockResolvedValue({ data: {} });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/tie-break needed/i)).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Eliminate Option C" }));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls/123/tie-break"),
+        { tiedOptions: [2, 3], eliminate: 3 },
+        { withCredentials: true }
+      );
+    });
+  });
+
+  test("doesn't offer observers the tie-break", async () => {
+    axios.get.mockResolvedValue({
+      data: { poll: { ...mockPoll, role: "observer" }, results: pendingResults },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/tie-break needed/i)).toBeInTheDocument();
+    });
+
+    expect(screen.queryByRole("button", { name: /eliminate/i })).not.toBeInTheDocument();
+  });
+
+  test("explains how a tie for elimination was broken", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: mockPoll,
+        results: {
+          ...mockResults,
+          rounds: [
+            {
+              ...mockResults.rounds[0],
+              tieBreak: { eliminated: 3, rule: "random", fallbackFrom: "backward", tiedOptions: [1, 3] },
+            },
+            mockResults.rounds[1],
+          ],
+          tieBreak: { rule: "backward", seed: "abc123" },
+        },
+      },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(
+        screen.getByText(/tie between option a, option c settled by random draw/i)
+      ).toBeInTheDocument();
+    });
+
+    expect(screen.getByText(/backward tracing could not separate them/i)).toBeInTheDocument();
+    expect(screen.getByText("abc123")).toBeInTheDocument();
+  });
+
+  test("displays exhausted ballots for each round", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: { ...mockPoll, minRankings: 1 },
+        results: {
+          ...mockResults,
+          rounds: [
+            { ...mockResults.rounds[0], exhausted: 0, continuingBallots: 10, majorityThreshold: 6 },
+            { ...mockResults.rounds[1], exhausted: 2, continuingBallots: 8, majorityThreshold: 5 },
+          ],
+        },
+      },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(
+        screen.getByText("8 continuing ballots · 2 exhausted · 5 needed for a majority")
+      ).toBeInTheDocument();
+    });
+    expect(screen.getByText(/10 continuing ballots · 0 exhausted/)).toBeInTheDocument();
+    const majority = screen.getByText("Majority Needed in Final Round").parentElement;
+    expect(majority).toHaveTextContent("5");
+  });
+
+  test("updates the tally live when new ballots arrive", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: { ...mockPoll, status: "published", ballotCount: 0 },
+        results: { totalVotes: 0, winner: null, rounds: [] },
+      },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/no votes have been cast/i)).toBeInTheDocument();
+    });
+    expect(usePollUpdates).toHaveBeenCalledWith(mockPollId, expect.any(Object));
+
+    const { onTally } = usePollUpdates.mock.calls.at(-1)[1];
+    act(() => onTally({ pollId: 123, ballotCount: 10, results: mockResults }));
+
+    expect(screen.queryByText(/no votes have been cast/i)).not.toBeInTheDocument();
+    expect(screen.getByText("Total Votes").previousSibling).toHaveTextContent("10");
+  });
+
+  test("downloads ballots in the chosen format", async () => {
+    const blob = new Blob(["ballot_id"]);
+    axios.get
+      .mockResolvedValueOnce({ data: { poll: mockPoll, results: mockResults } })
+      .mockResolvedValueOnce({ data: blob });
+    URL.createObjectURL = jest.fn(() => "blob:ballots");
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Download Ballots")).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByLabelText("Include voter names and emails"));
+    fireEvent.click(screen.getByText("BLT (OpenSTV)"));
+
+    await waitFor(() => {
+      expect(click).toHaveBeenCalled();
+    });
+    expect(axios.get).toHaveBeenLastCalledWith(
+      expect.stringContaining(`/api/polls/${mockPollId}/export`),
+      { params: { format: "blt", includeVoters: true }, responseType: "blob", withCredentials: true }
+    );
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+    click.mockRestore();
+  });
+
+  test("never offers voter details for a secret ballot", async () => {
+    axios.get.mockResolvedValue({
+      data: { poll: { ...mockPoll, anonymous: true }, results: mockResults },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Secret ballot: voters are never exported.")).toBeInTheDocument();
+    });
+    expect(screen.queryByLabelText("Include voter names and emails")).not.toBeInTheDocument();
+  });
+
+  test("shows the head-to-head heatmap and flags a Condorcet winner IRV missed", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: mockPoll,
+        results: {
+          ...mockResults,
+          headToHead: {
+            matrix: {
+              1: { 2: 4, 3: 6 },
+              2: { 1: 6, 3: 7 },
+              3: { 1: 4, 2: 3 },
+            },
+            condorcetWinner: 2,
+            condorcetLoser: 3,
+            agreesWithCondorcet: false,
+          },
+        },
+      },
+    });
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Head-to-Head Comparisons")).toBeInTheDocument();
+    });
+    expect(
+      screen.getByText("Option B beats every other option head-to-head (Condorcet winner).")
+    ).toBeInTheDocument();
+    expect(screen.getByText(/picked Option A instead/)).toBeInTheDocument();
+    expect(screen.getByText(/Option C loses to every other option/)).toBeInTheDocument();
+
+    const cell = screen.getByTitle("7 of 10 voters prefer Option B over Option C (70.0%)");
+    expect(cell).toHaveClass("pairwise-win");
+    expect(cell.style.background).toContain("rgba(46, 125, 50");
+  });
+
+  test("switches to the analytics tab", async () => {
+    axios.get.mockImplementation((url) =>
+      Promise.resolve({
+        data: url.endsWith("/analytics")
+          ? { totalBallots: 0, options: [], patterns: [], distinctPatterns: 0 }
+          : { poll: mockPoll, results: mockResults },
+      })
+    );
+
+    render(
+      <BrowserRouter>
+        <PollResults user={mockUser} />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByRole("tab", { name: "Analytics" })).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByRole("tab", { name: "Analytics" }));
+
+    await waitFor(() => {
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining(`/api/polls/${mockPollId}/analytics`),
+        { withCredentials: true }
+      );
+    });
+    expect(screen.getByRole("tab", { name: "Analytics" })).toHaveAttribute("aria-selected", "true");
+    expect(screen.queryByText("Voting Rounds")).not.toBeInTheDocument();
+  });
+
   test("displays error message", async () => {
     axios.get.mockRejectedValue({
       response: { data: { error: "Poll not found" } },
@@ -0,0 +1,102 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import axios from "axios";
+import { useParams, useNavigate } from "react-router-dom";
+import PublicResults from "../PublicResults";
+import { usePollUpdates } from "../../socket";
+
+jest.mock("axios");
+jest.mock("../../socket");
+jest.mock("react-router-dom", () => ({
+  ...jest.requireActual("react-router-dom"),
+  useParams: jest.fn(),
+  useNavigate: jest.fn(),
+}));
+
+describe("PublicResults", () => {
+  const mockPoll = {
+    id: 123,
+    title: "Test Poll",
+    status: "closed",
+    resultsVisibility: "closed",
+    options: [
+      { id: 1, text: "Option A" },
+      { id: 2, text: "Option B" },
+    ],
+    ballotCount: 3,
+  };
+
+  const mockResults = {
+    totalVotes: 3,
+    majorityThreshold: 2,
+    winner: { id: 1, text: "Option A" },
+    tiedOptions: [],
+    rounds: [
+      {
+        round: 1,
+        voteCounts: { 1: 2, 2: 1 },
+        percentages: { 1: 66.7, 2: 33.3 },
+        remaining: [1, 2],
+        majorityWinner: 1,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useParams.mockReturnValue({ shareLink: "abc123" });
+    useNavigate.mockReturnValue(jest.fn());
+  });
+
+  const renderPage = () =>
+    render(
+      <BrowserRouter>
+        <PublicResults />
+      </BrowserRouter>
+    );
+
+  test("shows the rounds for a poll with public results", async () => {
+    axios.get.mockResolvedValue({ data: { poll: mockPoll, results: mockResults } });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText("Poll Results: Test Poll")).toBeInTheDocument();
+    });
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining("/public/abc123/results"), {
+      withCredentials: true,
+    });
+    expect(screen.getByText("Round 1")).toBeInTheDocument();
+    expect(screen.queryByText(/voting is still open/i)).not.toBeInTheDocument();
+    expect(usePollUpdates).toHaveBeenLastCalledWith(false, expect.any(Object), "abc123");
+  });
+
+  test("follows live updates while voting is open", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        poll: { ...mockPoll, status: "published", resultsVisibility: "live" },
+        results: mockResults,
+      },
+    });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText(/voting is still open/i)).toBeInTheDocument();
+    });
+    expect(usePollUpdates).toHaveBeenLastCalledWith(123, expect.any(Object), "abc123");
+  });
+
+  test("explains when results are not public", async () => {
+    axios.get.mockRejectedValue({
+      response: { data: { error: "Results for this poll are private" } },
+    });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText("Results for this poll are private")).toBeInTheDocument();
+    });
+  });
+});
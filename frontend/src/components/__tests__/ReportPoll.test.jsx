@@ -0,0 +1,49 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import axios from "axios";
+import ReportPoll from "../ReportPoll";
+
+jest.mock("axios");
+
+describe("ReportPoll", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("posts the reason and details, then thanks the reporter", async () => {
+    axios.post.mockResolvedValue({
+      data: { message: "Thanks for your report. An admin will review this poll." },
+    });
+
+    render(<ReportPoll shareLink="abc123" />);
+
+    fireEvent.click(screen.getByText("Report"));
+    fireEvent.change(screen.getByLabelText("Report reason"), { target: { value: "offensive" } });
+    fireEvent.change(screen.getByLabelText("Report details"), { target: { value: " Slurs " } });
+    fireEvent.click(screen.getByText("Send Report"));
+
+    expect(
+      await screen.findByText("Thanks for your report. An admin will review this poll.")
+    ).toBeInTheDocument();
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining("/api/polls/public/abc123/report"),
+      { reason: "offensive", details: "Slurs" },
+      { withCredentials: true }
+    );
+  });
+
+  test("shows why a report was refused", async () => {
+    axios.post.mockRejectedValue({
+      response: { data: { error: "You have already reported this poll" } },
+    });
+
+    render(<ReportPoll shareLink="abc123" />);
+
+    fireEvent.click(screen.getByText("Report"));
+    fireEvent.click(screen.getByText("Send Report"));
+
+    await waitFor(() => {
+      expect(screen.getByText("You have already reported this poll")).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import React from "react";
+import { render, screen, waitFor, fireEvent } from "@testing-library/react";
+import axios from "axios";
+import ResultsAudit from "../ResultsAudit";
+
+jest.mock("axios");
+
+describe("ResultsAudit", () => {
+  const poll = {
+    status: "closed",
+    options: [
+      { id: 1, text: "Tacos" },
+      { id: 2, text: "Pizza" },
+    ],
+  };
+
+  const snapshot = (fields) => ({
+    id: 1,
+    kind: "certified",
+    method: "irv",
+    results: { methodLabel: "Instant Runoff Voting", winner: { id: 1, text: "Tacos" } },
+    ballotCount: 3,
+    ballotHash: "a".repeat(64),
+    codeVersion: "1.0.0+tally.1",
+    createdAt: "2026-03-01T12:00:00Z",
+    user: { id: 1, username: "creator" },
+    ...fields,
+  });
+  const certified = snapshot();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("shows the certified result and snapshot history", async () => {
+    axios.get.mockResolvedValue({ data: [certified] });
+
+    render(<ResultsAudit pollId="7" poll={poll} />);
+
+    await waitFor(() => {
+      expect(screen.getByText("Certified Result")).toBeInTheDocument();
+    });
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining("/api/polls/7/snapshots"), {
+      withCredentials: true,
+    });
+    expect(screen.getByText("1.0.0+tally.1")).toBeInTheDocument();
+    expect(screen.getByTitle("a".repeat(64))).toBeInTheDocument();
+    expect(screen.getByText(/Certified: Tacos · 3 ballots/)).toBeInTheDocument();
+  });
+
+  test("reports a recount that matches the certified result", async () => {
+    const recount = snapshot({ id: 2, kind: "recount" });
+    axios.get.mockResolvedValue({ data: [certified] });
+    axios.post.mockResolvedValue({
+      data: { certified, recount, diff: { changed: false } },
+    });
+
+    render(<ResultsAudit pollId="7" poll={poll} />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Recount" }));
+
+    await waitFor(() => {
+      expect(screen.getByText("The recount matches the certified result.")).toBeInTheDocument();
+    });
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining("/api/polls/7/recount"),
+      {},
+      { withCredentials: true }
+    );
+  });
+
+  test("lists what changed since certification", async () => {
+    const recount = snapshot({
+      id: 2,
+      kind: "recount",
+      ballotCount: 5,
+      results: { winner: { id: 2, text: "Pizza" } },
+    });
+    axios.get.mockResolvedValue({ data: [certified] });
+    axios.post.mockResolvedValue({
+      data: {
+        certified,
+        recount,
+        diff: {
+          changed: true,
+          ballotsChanged: true,
+          ballotCount: { from: 3, to: 5 },
+          codeVersion: null,
+          parameters: {},
+          winners: { from: [1], to: [2] },
+          counts: [{ round: 1, optionId: 2, from: 1, to: 3 }],
+        },
+      },
+    });
+
+    render(<ResultsAudit pollId="7" poll={poll} />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Recount" }));
+
+    await waitFor(() => {
+      expect(screen.getByText("Ballots changed: 3 → 5")).toBeInTheDocument();
+    });
+    expect(screen.getByText("Winner changed: Tacos → Pizza")).toBeInTheDocument();
+    expect(screen.getByText("Round 1, Pizza: 1 → 3")).toBeInTheDocument();
+  });
+
+  test("explains that open polls are certified when they close", async () => {
+    axios.get.mockResolvedValue({ data: [] });
+
+    render(<ResultsAudit pollId="7" poll={{ ...poll, status: "published" }} />);
+
+    await waitFor(() => {
+      expect(screen.getByText("Results are certified when the poll closes.")).toBeInTheDocument();
+    });
+    expect(screen.queryByRole("button", { name: "Recount" })).not.toBeInTheDocument();
+  });
+});
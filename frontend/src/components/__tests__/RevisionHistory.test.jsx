@@ -0,0 +1,62 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import axios from "axios";
+import RevisionHistory from "../RevisionHistory";
+
+jest.mock("axios");
+
+describe("RevisionHistory", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("describes each revision", async () => {
+    axios.get.mockResolvedValue({
+      data: [
+        {
+          id: 3,
+          action: "write_in_added",
+          details: { optionId: 4, text: "Curry", existingBallots: 2, ballotHandling: "unranked" },
+          user: { username: "ana" },
+          createdAt: "2026-03-01T12:00:00Z",
+        },
+        {
+          id: 2,
+          action: "poll_updated",
+          details: { changes: { title: { from: "Lunch", to: "Dinner" }, dedupPolicy: {} } },
+          user: { username: "ana" },
+          createdAt: "2026-03-01T11:00:00Z",
+        },
+        {
+          id: 1,
+          action: "option_renamed",
+          details: { optionId: 2, from: "Pizza", to: "Pasta" },
+          user: { username: "ana" },
+          createdAt: "2026-03-01T10:00:00Z",
+        },
+      ],
+    });
+
+    render(<RevisionHistory pollId={7} refreshKey={0} />);
+
+    await waitFor(() => {
+      expect(screen.getByText("Revision History")).toBeInTheDocument();
+    });
+    expect(
+      screen.getByText('Added write-in "Curry"; 2 earlier ballots leave it unranked')
+    ).toBeInTheDocument();
+    expect(screen.getByText("Updated title, duplicate-vote policy")).toBeInTheDocument();
+    expect(screen.getByText('Renamed "Pizza" to "Pasta"')).toBeInTheDocument();
+  });
+
+  test("renders nothing before the first change", async () => {
+    axios.get.mockResolvedValue({ data: [] });
+
+    const { container } = render(<RevisionHistory pollId={7} refreshKey={0} />);
+
+    await waitFor(() => {
+      expect(axios.get).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+});
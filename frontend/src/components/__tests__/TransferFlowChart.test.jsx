@@ -0,0 +1,128 @@
+import React from "react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import TransferFlowChart from "../TransferFlowChart";
+
+describe("TransferFlowChart", () => {
+  const options = [
+    { id: 1, text: "Tacos" },
+    { id: 2, text: "Pizza" },
+    { id: 3, text: "Sushi" },
+  ];
+  const rounds = [
+    {
+      round: 1,
+      voteCounts: { 1: 4, 2: 3, 3: 2 },
+      exhausted: 0,
+      transfers: [
+        { from: 3, type: "elimination", transferValue: 1, votes: 2, to: { 2: 1 }, exhausted: 1 },
+      ],
+    },
+    {
+      round: 2,
+      voteCounts: { 1: 4, 2: 4 },
+      exhausted: 1,
+      transfers: [
+        { from: 2, type: "elimination", transferValue: 1, votes: 4, to: { 1: 3 }, exhausted: 1 },
+      ],
+    },
+  ];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("draws every round plus where the final transfer ended up", () => {
+    render(<TransferFlowChart options={options} rounds={rounds} />);
+
+    expect(screen.getByText("Final (3 of 3)")).toBeInTheDocument();
+    expect(screen.getByText("1 vote from Sushi to Pizza after round 1")).toBeInTheDocument();
+    expect(screen.getByText("1 vote from Sushi to Exhausted after round 1")).toBeInTheDocument();
+    expect(screen.getByText("Tacos keeps 4 votes into round 2")).toBeInTheDocument();
+    expect(screen.getByText("Tacos: 7 votes in final")).toBeInTheDocument();
+    expect(screen.getByText("Exhausted: 2 votes in final")).toBeInTheDocument();
+  });
+
+  test("keeps an elected candidate's quota in the chart when their surplus moves on", () => {
+    const stvRounds = [
+      {
+        round: 1,
+        voteCounts: { 1: 6, 2: 2, 3: 1 },
+        exhausted: 0,
+        transfers: [
+          {
+            from: 1,
+            type: "surplus",
+            transferValue: 0.3333,
+            votes: 2,
+            to: { 2: 1.5 },
+            exhausted: 0.5,
+          },
+        ],
+      },
+      {
+        round: 2,
+        voteCounts: { 2: 3.5, 3: 1 },
+        exhausted: 0.5,
+        transfers: [
+          { from: 3, type: "elimination", transferValue: 1, votes: 1, to: { 2: 1 }, exhausted: 0 },
+        ],
+      },
+    ];
+
+    render(<TransferFlowChart options={options} rounds={stvRounds} />);
+
+    expect(screen.getByText("4 votes from Tacos to Elected after round 1")).toBeInTheDocument();
+    expect(screen.getByText("1.5 votes from Tacos to Pizza after round 1")).toBeInTheDocument();
+    expect(screen.getByText("Elected: 4 votes in round 2")).toBeInTheDocument();
+    expect(screen.getByText("Elected keeps 4 votes into final")).toBeInTheDocument();
+    expect(screen.getByText("Elected: 4 votes in final")).toBeInTheDocument();
+  });
+
+  test("shows details for the hovered band", () => {
+    const { container } = render(<TransferFlowChart options={options} rounds={rounds} />);
+
+    fireEvent.mouseEnter(container.querySelector(".flow-transfer"));
+
+    expect(screen.getByText(/after round 1$/, { selector: "p" })).toBeInTheDocument();
+  });
+
+  test("steps through the rounds", () => {
+    const { container } = render(<TransferFlowChart options={options} rounds={rounds} />);
+
+    fireEvent.click(screen.getByText("◀ Previous"));
+    fireEvent.click(screen.getByText("◀ Previous"));
+    expect(screen.getByText("Round 1 (1 of 3)")).toBeInTheDocument();
+    expect(container.querySelectorAll(".flow-link")).toHaveLength(0);
+
+    fireEvent.click(screen.getByText("Next ▶"));
+    expect(screen.getByText("Round 2 (2 of 3)")).toBeInTheDocument();
+    expect(screen.queryByText(/after round 2$/)).not.toBeInTheDocument();
+  });
+
+  test("plays the rounds in order", () => {
+    render(<TransferFlowChart options={options} rounds={rounds} />);
+
+    fireEvent.click(screen.getByText("Play"));
+    expect(screen.getByText("Round 1 (1 of 3)")).toBeInTheDocument();
+    expect(screen.getByText("Play")).toBeDisabled();
+
+    act(() => jest.advanceTimersByTime(1200));
+    expect(screen.getByText("Round 2 (2 of 3)")).toBeInTheDocument();
+
+    act(() => jest.advanceTimersByTime(1200));
+    expect(screen.getByText("Final (3 of 3)")).toBeInTheDocument();
+    expect(screen.getByText("Play")).not.toBeDisabled();
+  });
+
+  test("renders nothing without a second round", () => {
+    const { container } = render(
+      <TransferFlowChart options={options} rounds={[{ ...rounds[0], transfers: [] }]} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,103 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import axios from "axios";
+import { useParams } from "react-router-dom";
+import VerifyReceipt from "../VerifyReceipt";
+
+jest.mock("axios");
+jest.mock("react-router-dom", () => ({
+  ...jest.requireActual("react-router-dom"),
+  useParams: jest.fn(),
+}));
+
+describe("VerifyReceipt", () => {
+  const shareLink = "share-123";
+  const receipt = "a".repeat(64);
+  const entry = { position: 1, receipt, chainHash: "c".repeat(64) };
+  const board = {
+    poll: { id: 1, title: "Lunch Poll" },
+    ballotCount: 2,
+    head: "d".repeat(64),
+    entries: [entry, { position: 2, receipt: "b".repeat(64), chainHash: "d".repeat(64) }],
+  };
+
+  const renderPage = () =>
+    render(
+      <BrowserRouter>
+        <VerifyReceipt />
+      </BrowserRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    useParams.mockReturnValue({ shareLink });
+  });
+
+  test("verifies the receipt saved when the voter voted", async () => {
+    localStorage.setItem(`ballotReceipt:${shareLink}`, receipt);
+    axios.get.mockImplementation((url) =>
+      url.includes("/receipts/")
+        ? Promise.resolve({ data: { poll: board.poll, ballotCount: 2, head: board.head, entry } })
+        : Promise.resolve({ data: board })
+    );
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText("Lunch Poll")).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText("Receipt")).toHaveValue(receipt);
+
+    fireEvent.click(screen.getByRole("button", { name: "Verify" }));
+
+    await waitFor(() => {
+      expect(screen.getByText("Your ballot was counted")).toBeInTheDocument();
+    });
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringContaining(`/api/polls/public/${shareLink}/receipts/${receipt}`)
+    );
+    expect(screen.getByText(/Receipt 1 of 2 on the bulletin board/)).toBeInTheDocument();
+  });
+
+  test("reports a receipt missing from the bulletin board", async () => {
+    axios.get.mockImplementation((url) =>
+      url.includes("/receipts/")
+        ? Promise.reject({
+            response: { data: { error: "This receipt is not on the poll's bulletin board" } },
+          })
+        : Promise.resolve({ data: board })
+    );
+
+    renderPage();
+
+    fireEvent.change(await screen.findByLabelText("Receipt"), {
+      target: { value: "e".repeat(64) },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Verify" }));
+
+    await waitFor(() => {
+      expect(
+        screen.getByText("This receipt is not on the poll's bulletin board")
+      ).toBeInTheDocument();
+    });
+  });
+
+  test("explains that the bulletin board is published when the poll closes", async () => {
+    localStorage.setItem(`ballotReceipt:${shareLink}`, receipt);
+    axios.get.mockRejectedValue({
+      response: { data: { error: "The bulletin board is published once the poll closes" } },
+    });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(
+        screen.getByText("The bulletin board is published once the poll closes")
+      ).toBeInTheDocument();
+    });
+    expect(screen.getByText(receipt)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Verify" })).not.toBeInTheDocument();
+  });
+});
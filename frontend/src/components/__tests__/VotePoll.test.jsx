@@ -30,6 +30,7 @@ describe("VotePoll", () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    localStorage.clear();
     useParams.mockReturnValue({ shareLink: mockShareLink });
     useNavigate.mockReturnValue(mockNavigate);
   });
@@ -138,6 +139,60 @@ describe("VotePoll", () => {
     });
   });
 
+  test("submits a partial ballot when the poll sets a minimum", async () => {
+    axios.get.mockResolvedValue({ data: { ...mockPoll, minRankings: 1 } });
+    axios.post.mockResolvedValue({ data: { message: "Vote submitted successfully" } });
+    window.alert = jest.fn();
+
+    render(
+      <BrowserRouter>
+        <VotePoll />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/rank at least 1 option,/i)).toBeInTheDocument();
+    });
+
+    const selects = screen.getAllByDisplayValue(/select rank/i);
+    fireEvent.change(selects[1], { target: { value: "1" } });
+    fireEvent.click(screen.getByText(/submit vote/i));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalled();
+    });
+    expect(axios.post.mock.calls[0][1].rankings).toEqual([{ pollOptionId: 2, rank: 1 }]);
+  });
+
+  test("keeps the ballot receipt and shows it after voting", async () => {
+    axios.get.mockResolvedValue({ data: mockPoll });
+    axios.post.mockResolvedValue({
+      data: { message: "Vote submitted successfully", receipt: "f".repeat(64) },
+    });
+    window.alert = jest.fn();
+
+    render(
+      <BrowserRouter>
+        <VotePoll />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Option A")).toBeInTheDocument();
+    });
+
+    const selects = screen.getAllByDisplayValue(/select rank/i);
+    selects.forEach((select, index) => {
+      fireEvent.change(select, { target: { value: String(index + 1) } });
+    });
+    fireEvent.click(screen.getByText(/submit vote/i));
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith(`/verify/${mockShareLink}`);
+    });
+    expect(localStorage.getItem(`ballotReceipt:${mockShareLink}`)).toBe("f".repeat(64));
+  });
+
   test("submits valid vote", async () => {
     axios.get.mockResolvedValue({ data: mockPoll });
     axios.post.mockResolvedValue({ data: { message: "Vote submitted successfully" } });
@@ -182,6 +237,86 @@ describe("VotePoll", () => {
     });
   });
 
+  test("asks for a personal link when the poll has a voter roll", async () => {
+    axios.get.mockResolvedValue({ data: { ...mockPoll, requiresToken: true } });
+
+    render(
+      <BrowserRouter>
+        <VotePoll />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/voting link required/i)).toBeInTheDocument();
+    });
+    expect(screen.queryByText(/submit vote/i)).not.toBeInTheDocument();
+  });
+
+  test("shows why a repeat ballot was rejected", async () => {
+    axios.get.mockResolvedValue({ data: { ...mockPoll, dedupPolicy: "browser" } });
+    axios.post.mockRejectedValue({
+      response: { status: 409, data: { error: "You have already voted in this poll" } },
+    });
+
+    render(
+      <BrowserRouter>
+        <VotePoll />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText("Option A")).toBeInTheDocument();
+    });
+
+    const selects = screen.getAllByDisplayValue(/select rank/i);
+    fireEvent.change(selects[0], { target: { value: "1" } });
+    fireEvent.change(selects[1], { target: { value: "2" } });
+    fireEvent.change(selects[2], { target: { value: "3" } });
+    fireEvent.click(screen.getByText(/submit vote/i));
+
+    expect(await screen.findByText("You have already voted in this poll")).toBeInTheDocument();
+  });
+
+  test("remembers the edit token and lets the voter revise their ballot", async () => {
+    localStorage.setItem(`ballotEditToken:${mockShareLink}`, "edit-123");
+    axios.get.mockImplementation((url) =>
+      Promise.resolve({
+        data: url.includes("/ballots/edit-123")
+          ? { rankings: [{ pollOptionId: 3, rank: 1 }, { pollOptionId: 1, rank: 2 }] }
+          : mockPoll,
+      })
+    );
+    axios.put.mockResolvedValue({ data: { message: "Ballot updated successfully" } });
+    window.alert = jest.fn();
+
+    render(
+      <BrowserRouter>
+        <VotePoll />
+      </BrowserRouter>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/you've already voted in this poll/i)).toBeInTheDocument();
+    });
+    expect(screen.getAllByRole("combobox").map((select) => select.value)).toEqual(["1", "2", ""]);
+
+    fireEvent.change(screen.getAllByRole("combobox")[2], { target: { value: "3" } });
+    fireEvent.click(screen.getByText(/update vote/i));
+
+    await waitFor(() => {
+      expect(axios.put).toHaveBeenCalledWith(
+        expect.stringContaining(`/api/polls/public/${mockShareLink}/ballots/edit-123`),
+        {
+          rankings: [
+            { pollOptionId: 1, rank: 2 },
+            { pollOptionId: 2, rank: 3 },
+            { pollOptionId: 3, rank: 1 },
+          ],
+        }
+      );
+    });
+  });
+
   test("does not allow voting on closed polls", async () => {
     const closedPoll = { ...mockPoll, status: "closed" };
     axios.get.mockResolvedValue({ data: closedPoll });
@@ -197,6 +332,38 @@ describe("VotePoll", () => {
     });
   });
 
+  test("asks for the password of a password-protected poll", async () => {
+    axios.get
+      .mockRejectedValueOnce({
+        response: {
+          status: 401,
+          data: { error: "This poll is password protected", access: "password" },
+        },
+      })
+      .mockResolvedValueOnce({ data: mockPoll });
+    axios.post.mockResolvedValue({ data: { message: "Access granted" } });
+
+    render(
+      <BrowserRouter>
+        <VotePoll />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(await screen.findByLabelText("Poll password"), {
+      target: { value: "secret" },
+    });
+    fireEvent.click(screen.getByText("Continue"));
+
+    await waitFor(() => {
+      expect(screen.getByText("Test Poll")).toBeInTheDocument();
+    });
+    expect(axios.post).toHaveBeenCalledWith(
+      expect.stringContaining(`/public/${mockShareLink}/access`),
+      { password: "secret" },
+      { withCredentials: true }
+    );
+  });
+
   test("displays error for invalid poll", async () => {
     axios.get.mockRejectedValue({
       response: { status: 404, data: { error: "Poll not found" } },
@@ -0,0 +1,57 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import axios from "axios";
+import VoterRoll from "../VoterRoll";
+
+jest.mock("axios");
+
+describe("VoterRoll", () => {
+  const mockPoll = { id: 7, status: "published", shareLink: "abc" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("shows turnout against the roll", async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        voters: [
+          { id: 1, email: "ana@example.com", token: "t1", voted: true },
+          { id: 2, email: "sam@example.com", token: "t2", voted: false },
+        ],
+        turnout: { eligible: 2, voted: 1 },
+      },
+    });
+
+    render(<VoterRoll poll={mockPoll} />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/turnout: 1 of 2 \(50%\)/i)).toBeInTheDocument();
+    });
+    expect(screen.getByText("Voted")).toBeInTheDocument();
+    expect(screen.getByText("Not voted")).toBeInTheDocument();
+  });
+
+  test("adds pasted emails to the roll", async () => {
+    axios.get.mockResolvedValue({ data: { voters: [], turnout: { eligible: 0, voted: 0 } } });
+    axios.post.mockResolvedValue({
+      data: { added: [{ id: 1, email: "ana@example.com" }], skipped: [], invalid: [] },
+    });
+
+    render(<VoterRoll poll={mockPoll} />);
+
+    fireEvent.change(screen.getByLabelText(/add voters by email/i), {
+      target: { value: "ana@example.com" },
+    });
+    fireEvent.click(screen.getByText("Add Voters"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining("/api/polls/7/voters"),
+        { emails: "ana@example.com" },
+        { withCredentials: true }
+      );
+    });
+    expect(await screen.findByText("Added 1 voter")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,32 @@
+// Helpers for poll schedule timestamps
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// ISO timestamp → value for <input type="datetime-local"> in the browser's time zone
+export const toDateTimeLocal = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+};
+
+// <input type="datetime-local"> value → ISO timestamp (null when blank)
+export const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : null);
+
+// Milliseconds → "2d 3h 4m 5s", dropping leading zero units
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+  const units = [
+    [Math.floor(totalSeconds / 86400), "d"],
+    [Math.floor((totalSeconds % 86400) / 3600), "h"],
+    [Math.floor((totalSeconds % 3600) / 60), "m"],
+    [totalSeconds % 60, "s"],
+  ];
+  const first = units.findIndex(([amount]) => amount > 0);
+  return units
+    .slice(first === -1 ? units.length - 1 : first)
+    .map(([amount, unit]) => `${amount}${unit}`)
+    .join(" ");
+};
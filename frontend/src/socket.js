@@ -0,0 +1,55 @@
+import { useEffect, useRef } from "react";
+import { io } from "socket.io-client";
+import { SOCKETS_URL } from "./shared";
+
+let socket;
+
+// One shared connection for the whole app, opened the first time it is needed
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKETS_URL, { withCredentials: true });
+  }
+  return socket;
+};
+
+// A socket only sees the cookies sent with its handshake, so reconnect after gaining access
+// to a poll, such as a password grant. Rooms are joined again on connect.
+export const reconnectSocket = () => {
+  if (socket?.connected) {
+    socket.disconnect().connect();
+  }
+};
+
+// Follow live tallies and status changes for a poll. Members follow it by id; anyone else
+// passes the share link they reached it through.
+export const usePollUpdates = (pollId, { onTally, onStatus }, shareLink) => {
+  // Keep the latest handlers without re-joining the room on every render
+  const handlers = useRef({ onTally, onStatus });
+  handlers.current = { onTally, onStatus };
+
+  useEffect(() => {
+    if (!pollId) return undefined;
+
+    const socket = getSocket();
+    const join = () => socket.emit("poll:join", shareLink || Number(pollId));
+    const handleTally = (update) => {
+      if (update.pollId === Number(pollId)) handlers.current.onTally?.(update);
+    };
+    const handleStatus = (update) => {
+      if (update.pollId === Number(pollId)) handlers.current.onStatus?.(update);
+    };
+
+    // Rooms are lost when the connection drops, so join again after reconnecting
+    join();
+    socket.on("connect", join);
+    socket.on("poll:tally", handleTally);
+    socket.on("poll:status", handleStatus);
+
+    return () => {
+      socket.emit("poll:leave", Number(pollId));
+      socket.off("connect", join);
+      socket.off("poll:tally", handleTally);
+      socket.off("poll:status", handleStatus);
+    };
+  }, [pollId, shareLink]);
+};
@@ -0,0 +1,127 @@
+// Voting methods supported by the backend tabulation engine (see backend/utils/methods.js)
+export const VOTING_METHODS = [
+  {
+    value: "irv",
+    label: "Instant Runoff Voting",
+    description: "Eliminates the last-place option each round until one has a majority.",
+  },
+  {
+    value: "stv",
+    label: "Single Transferable Vote",
+    description: "Elects options that reach a quota and transfers their surplus votes.",
+  },
+  {
+    value: "borda",
+    label: "Borda Count",
+    description: "Awards points by rank position; the highest total wins.",
+  },
+  {
+    value: "condorcet",
+    label: "Condorcet (Schulze)",
+    description: "Compares every pair of options head-to-head and resolves cycles.",
+  },
+  {
+    value: "approval",
+    label: "Approval Voting",
+    description: "Counts every option ranked within a cutoff as an approval.",
+  },
+];
+
+export const getVotingMethodLabel = (method) =>
+  VOTING_METHODS.find((m) => m.value === (method || "irv"))?.label || method;
+
+// How a tie for elimination is settled in round-based methods (IRV and STV)
+export const TIE_BREAK_RULES = [
+  {
+    value: "backward",
+    label: "Backward tracing",
+    description: "Eliminate whichever tied option had fewer votes in the most recent earlier round.",
+  },
+  {
+    value: "forward",
+    label: "Forward tracing",
+    description: "Eliminate whichever tied option had fewer votes in the earliest round that differs.",
+  },
+  {
+    value: "previous-round",
+    label: "Previous round",
+    description: "Compare only the round immediately before the tie.",
+  },
+  {
+    value: "random",
+    label: "Random draw",
+    description: "Draw lots using a seed that is published with the results.",
+  },
+  {
+    value: "manual",
+    label: "Creator decides",
+    description: "You choose which tied option is eliminated when a tie happens.",
+  },
+];
+
+export const getTieBreakLabel = (rule) =>
+  TIE_BREAK_RULES.find((r) => r.value === rule)?.label || rule;
+
+// Who can see a poll's results through its share link
+export const RESULTS_VISIBILITY = [
+  {
+    value: "creator",
+    label: "Only me",
+    description: "Results stay private to you.",
+  },
+  {
+    value: "closed",
+    label: "Public after closing",
+    description: "Anyone with the share link can see the results once the poll closes.",
+  },
+  {
+    value: "live",
+    label: "Public while voting",
+    description: "Anyone with the share link can watch the results as ballots come in.",
+  },
+];
+
+export const getResultsVisibilityLabel = (visibility) =>
+  RESULTS_VISIBILITY.find((v) => v.value === visibility)?.label || visibility;
+
+// Who can find and vote in a poll
+export const POLL_VISIBILITY = [
+  {
+    value: "public",
+    label: "Public",
+    description: "Listed on Discover Polls; anyone can vote.",
+  },
+  {
+    value: "unlisted",
+    label: "Unlisted",
+    description: "Only people with the share link can find and vote in the poll.",
+  },
+  {
+    value: "password",
+    label: "Password protected",
+    description: "People with the share link must also enter a password.",
+  },
+  {
+    value: "users",
+    label: "Logged-in users",
+    description: "People with the share link must log in first.",
+  },
+  {
+    value: "group",
+    label: "Group members",
+    description: "Only logged-in users whose account email is at your group's domain.",
+  },
+  {
+    value: "organization",
+    label: "Organization members",
+    description: "Only logged-in members of the organization the poll belongs to.",
+  },
+];
+
+export const getPollVisibilityLabel = (visibility) =>
+  POLL_VISIBILITY.find((v) => v.value === visibility)?.label || visibility;
+
+// The visibility choices for a poll; only polls that belong to an organization can be
+// limited to its members
+export const getPollVisibilityOptions = (inOrganization) =>
+  POLL_VISIBILITY.filter((v) => inOrganization || v.value !== "organization");